@@ -1,12 +1,34 @@
 /**
  * @fileoverview Main application component for the React Native Todo App.
- * This component manages the overall state and layout of the todo application,
- * including goal management, modal visibility, and the main user interface.
+ * This component wires the goals store to the device and sets up the screens
+ * of the todo application and the links that open them.
  * 
  * Features:
  * - Add new goals through a modal interface
+ * - Open a goal's detail screen by tapping its card, with its details, checklist
+ *   and history, and edit it from there
+ * - Settings and statistics screens, with Android back navigation between screens
+ * - Open goals, settings and statistics through links such as rncourse://goal/<id>,
+ *   and open a goal by tapping its reminder
  * - Display goals in a scrollable list
- * - Delete individual goals
+ * - Delete individual goals, with a few seconds to undo each deletion
+ * - Mark goals as done and see how many are done
+ * - Give goals a due date and spot overdue ones
+ * - Prioritize goals and sort the list, remembering the chosen order
+ * - Search goals as you type and filter them by status
+ * - Organize goals into named, colored lists and move goals between them
+ * - Tag goals, with suggestions and inline #hashtags, and filter the list by tag
+ * - Break goals into a checklist of steps and track their progress
+ * - Write notes on goals in a small Markdown subset, previewed on their card
+ * - Drag goals into a manual order that is kept across restarts
+ * - Swipe a goal right to complete it or left to delete it
+ * - Select several goals to copy or delete them at once
+ * - Keep all goals, lists and settings in a single store with a reducer
+ * - Undo and redo any change from the header, even after the app was in the background
+ * - Export all goals as JSON, CSV or Markdown, and import them back
+ * - Add packs of goals from templates, and save lists as templates
+ * - Get reminded of goals once, daily or weekly through local notifications
+ * - Persist goals across app restarts
  * - Purple-themed responsive design
  * 
  * @author Todo App Team
@@ -14,21 +36,96 @@
  * @since 2025
  */
 
-import { useState } from "react";
-import { StyleSheet, FlatList, View, Button, Modal } from "react-native";
-import HorizontalLine from "./components/HorizontalLine";
-import GoalCard from "./components/GoalCard";
-import GoalInput from "./components/GoalInput/index";
-import { StatusBar } from "expo-status-bar";
+import { Platform } from "react-native";
+import { NavigationContainer } from "@react-navigation/native";
+import { createNativeStackNavigator } from "@react-navigation/native-stack";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Linking from "expo-linking";
+import * as Notifications from "expo-notifications";
+import HomeScreen from "./screens/HomeScreen";
+import GoalDetailScreen from "./screens/GoalDetailScreen";
+import SettingsScreen from "./screens/SettingsScreen";
+import StatsScreen from "./screens/StatsScreen";
+import GoalsProvider from "./store/GoalsProvider";
+import { createAsyncStorageBackend } from "./utils/storage";
+import { createGoalRepository } from "./utils/goalRepository";
+import { createHistoryRepository } from "./utils/historyRepository";
+import { createExpoNotificationScheduler } from "./utils/notifications";
+import { createLinking } from "./navigation/linking";
+
+/**
+ * Stack navigator holding the screens of the app.
+ *
+ * @constant
+ */
+const Stack = createNativeStackNavigator();
+
+/**
+ * Repository used to load and save the goals on the device.
+ *
+ * @constant
+ * @type {ReturnType<typeof createGoalRepository>}
+ */
+const goalRepository = createGoalRepository(createAsyncStorageBackend(AsyncStorage));
+
+/**
+ * Repository that keeps the undo/redo history while the app is in the background.
+ *
+ * @constant
+ * @type {ReturnType<typeof createHistoryRepository>}
+ */
+const historyRepository = createHistoryRepository(createAsyncStorageBackend(AsyncStorage));
+
+/**
+ * Scheduler for the goal reminders, backed by local notifications.
+ *
+ * @constant
+ * @type {import("./utils/notifications").NotificationScheduler}
+ */
+const notificationScheduler = createExpoNotificationScheduler(Notifications, { platform: Platform.OS });
+
+/**
+ * Links that open the screens, including taps on goal reminders.
+ *
+ * @constant
+ * @type {Object}
+ */
+const linking = createLinking(Linking, Notifications);
+
+/**
+ * Header options of the screens above the home screen, in the colors of the app.
+ *
+ * @constant
+ * @type {Object}
+ */
+const screenOptions = {
+    headerStyle: { backgroundColor: "#9607e2" },    // Primary purple theme color
+    headerTintColor: "white",
+    contentStyle: { backgroundColor: "#311b6b" },
+};
+
+// Show reminders that arrive while the app is open as banners too.
+Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+        shouldShowBanner: true,
+        shouldShowList: true,
+        shouldPlaySound: false,
+        shouldSetBadge: false,
+    }),
+});
 
 /**
  * Main App component that serves as the root container for the Todo application.
  * 
- * This component manages:
- * - The list of goals using React state
- * - Modal visibility for adding new goals
- * - Goal creation and deletion functionality
- * - Overall application layout and styling
+ * This component wires the goals store to the device storage: the
+ * GoalsProvider loads the saved goals on startup and saves them after every
+ * change, keeps the undo/redo history across backgrounding and schedules
+ * the goals' reminders as local notifications, and the screens read and
+ * change them through the store.
+ * 
+ * The screens sit in a native stack, so the header back button and the
+ * Android back button return to the previous screen. The home screen draws
+ * its own header; the others get the stack's header with a back button.
  * 
  * @component
  * @returns {JSX.Element} The main application interface
@@ -38,148 +135,20 @@ import { StatusBar } from "expo-status-bar";
  * <App />
  */
 export default function App() {
-    /**
-     * State hook for managing the list of goals.
-     * Each goal is an object with 'text' and 'id' properties.
-     * 
-     * @type {Array<{text: string, id: string}>}
-     */
-    const [listOfGoals, setListOfGoals] = useState([]);
-    
-    /**
-     * State hook for controlling the visibility of the goal input modal.
-     * 
-     * @type {boolean}
-     */
-    const [modalIsVisible, setModalIsVisible] = useState(false);
-
-    /**
-     * Opens the goal input modal by setting modalIsVisible to true.
-     * This function is triggered when the "Add Goals" button is pressed.
-     * 
-     * @function
-     * @returns {void}
-     */
-    function modalVisibility() {
-        setModalIsVisible(true);
-    }
-    
-    /**
-     * Closes the goal input modal by setting modalIsVisible to false.
-     * This function is called when the user cancels goal input or clicks outside the modal.
-     * 
-     * @function
-     * @returns {void}
-     */
-    function handleCloseModal() {
-        setModalIsVisible(false);
-    }
-    
-    /**
-     * Adds a new goal to the goals list and closes the modal.
-     * 
-     * Creates a new goal object with the entered text and a randomly generated ID,
-     * then adds it to the existing goals list using the spread operator to maintain immutability.
-     * After adding the goal, automatically closes the modal.
-     * 
-     * @function
-     * @param {string} enteredGoal - The text content of the new goal
-     * @returns {void}
-     */
-    function addNewGoals(enteredGoal) {
-        setListOfGoals((currentGoals) => [
-            ...currentGoals,
-            { text: enteredGoal, id: Math.random().toString() },
-        ]);
-        setModalIsVisible(false);
-    }
-    
-    /**
-     * Deletes a goal from the goals list by filtering out the goal with the specified ID.
-     * 
-     * Uses the filter method to create a new array containing all goals except
-     * the one with the matching ID, maintaining state immutability.
-     * 
-     * @function
-     * @param {string} goalId - The unique identifier of the goal to delete
-     * @returns {void}
-     */
-    function deleteGoal(goalId) {
-        setListOfGoals((currentGoals) => {
-            return currentGoals.filter((goal) => goal.id !== goalId);
-        });
-    }
-    
     return (
-        <>
-            {/* Status bar configuration for light content on dark background */}
-            <StatusBar style='light'/>
-            <View style={styles.appContainer}>
-                {/* Primary action button to open the goal input modal */}
-                <Button title="Add Goals" onPress={modalVisibility} />
-                
-                {/* Goal input modal component with necessary props */}
-                <GoalInput
-                    visibilty={modalIsVisible}
-                    addGoalHanlder={addNewGoals}
-                    closeModal={handleCloseModal}
-                />
-
-                {/* Visual separator between the add button and goals list */}
-                <HorizontalLine />
-                
-                {/* Scrollable list of goals using FlatList for performance optimization */}
-                <FlatList
-                    data={listOfGoals}
-                    keyExtractor={(item) => item.id}
-                    renderItem={(itemData) => {
-                        return (
-                            <GoalCard
-                                goal={itemData}
-                                onDeleteGoal={deleteGoal}
-                            />
-                        );
-                    }}
-                />
-            </View>
-        </>
+        <GoalsProvider
+            repository={goalRepository}
+            historyRepository={historyRepository}
+            notificationScheduler={notificationScheduler}
+        >
+            <NavigationContainer linking={linking}>
+                <Stack.Navigator initialRouteName="Home" screenOptions={screenOptions}>
+                    <Stack.Screen name="Home" component={HomeScreen} options={{ headerShown: false }} />
+                    <Stack.Screen name="GoalDetail" component={GoalDetailScreen} options={{ title: "Goal" }} />
+                    <Stack.Screen name="Settings" component={SettingsScreen} />
+                    <Stack.Screen name="Stats" component={StatsScreen} options={{ title: "Statistics" }} />
+                </Stack.Navigator>
+            </NavigationContainer>
+        </GoalsProvider>
     );
 }
-
-/**
- * StyleSheet object containing all styles for the App component.
- * 
- * @constant
- * @type {Object}
- */
-const styles = StyleSheet.create({
-    /**
-     * Main container style for the entire application.
-     * 
-     * Features:
-     * - Purple gradient background (#9607e2)
-     * - Full height coverage
-     * - Consistent padding for content spacing
-     * - Gap between child elements for visual separation
-     */
-    appContainer: {
-        paddingVertical: 50,    // Top and bottom padding for status bar and navigation
-        paddingHorizontal: 20,  // Left and right padding for content margins
-        backgroundColor: "#9607e2",  // Primary purple theme color
-        height: "100%",         // Full screen height coverage
-        gap: 20,               // Space between child components
-    },
-    
-    /**
-     * Legacy text input style (currently unused but kept for reference).
-     * This style was likely used before the modal-based input was implemented.
-     * 
-     * @deprecated This style is no longer used in the current implementation
-     */
-    textInput: {
-        flex: 1,
-        borderColor: "grey",
-        borderWidth: 2,
-        padding: 10,
-    },
-});
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview BarChart component for simple statistics charts in the Todo App.
+ * This component draws grouped vertical bars with plain React Native views,
+ * so the charts need no drawing library.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, Text, StyleSheet } from "react-native";
+
+/**
+ * BarChart component that renders one group of bars per entry.
+ *
+ * Each entry has one value per series; the bars of an entry stand side by
+ * side above its label. Bar heights are relative to the largest value in the
+ * chart, and a legend is shown when there is more than one series. Screen
+ * readers read each group as its label followed by the series values.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {Array<{key: string, label: string, values: number[]}>} props.data - The entries, left to right
+ * @param {Array<{label: string, color: string}>} props.series - Name and bar color of each value
+ * @param {number} [props.height=120] - Height of the tallest bar
+ *
+ * @returns {JSX.Element} The chart
+ *
+ * @example
+ * <BarChart
+ *   data={[{ key: "2025-06-01", label: "1", values: [3, 1] }]}
+ *   series={[{ label: "Created", color: "#b9a6e0" }, { label: "Completed", color: "#5cd65c" }]}
+ * />
+ */
+export default function BarChart({ data, series, height = 120 }) {
+    const maxValue = Math.max(1, ...data.flatMap((entry) => entry.values));
+
+    return (
+        <View style={styles.container}>
+            {series.length > 1 && (
+                <View style={styles.legend}>
+                    {series.map((item) => (
+                        <View key={item.label} style={styles.legendItem}>
+                            <View style={[styles.legendSwatch, { backgroundColor: item.color }]} />
+                            <Text style={styles.labelText}>{item.label}</Text>
+                        </View>
+                    ))}
+                </View>
+            )}
+
+            <View style={[styles.plot, { height }]}>
+                {data.map((entry) => (
+                    <View
+                        key={entry.key}
+                        style={styles.group}
+                        accessible
+                        accessibilityLabel={`${entry.label}: ${series
+                            .map((item, index) => `${item.label} ${entry.values[index]}`)
+                            .join(", ")}`}
+                    >
+                        {entry.values.map((value, index) => (
+                            <View
+                                key={series[index].label}
+                                style={[
+                                    styles.bar,
+                                    {
+                                        height: `${(value / maxValue) * 100}%`,
+                                        backgroundColor: series[index].color,
+                                    },
+                                ]}
+                            />
+                        ))}
+                    </View>
+                ))}
+            </View>
+
+            <View style={styles.labelRow}>
+                {data.map((entry) => (
+                    <Text key={entry.key} style={[styles.labelText, styles.groupLabel]} numberOfLines={1}>
+                        {entry.label}
+                    </Text>
+                ))}
+            </View>
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the BarChart component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Column holding the legend, the bars and their labels.
+     */
+    container: {
+        gap: 6,
+    },
+
+    /**
+     * Row of series names above the bars.
+     */
+    legend: {
+        flexDirection: "row",
+        gap: 12,
+    },
+
+    /**
+     * One series name with its color swatch.
+     */
+    legendItem: {
+        flexDirection: "row",
+        alignItems: "center",
+        gap: 4,
+    },
+
+    /**
+     * Small colored square in the legend.
+     */
+    legendSwatch: {
+        width: 10,
+        height: 10,
+        borderRadius: 2,
+    },
+
+    /**
+     * Area the bars grow in, with a baseline at the bottom.
+     */
+    plot: {
+        flexDirection: "row",
+        alignItems: "flex-end",         // Bars grow up from the baseline
+        gap: 4,                         // Space between groups
+        borderBottomWidth: 1,
+        borderBottomColor: "rgba(255, 255, 255, 0.5)",
+    },
+
+    /**
+     * Bars of one entry, side by side.
+     */
+    group: {
+        flex: 1,                        // Every group gets the same width
+        height: "100%",
+        flexDirection: "row",
+        alignItems: "flex-end",
+        gap: 1,
+    },
+
+    /**
+     * A single bar; its height and color are set per value.
+     */
+    bar: {
+        flex: 1,
+        minHeight: 1,                   // Keep empty days visible on the baseline
+        borderTopLeftRadius: 2,
+        borderTopRightRadius: 2,
+    },
+
+    /**
+     * Row of entry labels under the bars.
+     */
+    labelRow: {
+        flexDirection: "row",
+        gap: 4,                         // Same spacing as the groups so labels line up
+    },
+
+    /**
+     * Label of one entry, as wide as its group.
+     */
+    groupLabel: {
+        flex: 1,
+        textAlign: "center",
+    },
+
+    /**
+     * Small translucent text for labels and the legend.
+     */
+    labelText: {
+        color: "white",
+        fontSize: 11,
+        opacity: 0.8,
+    },
+});
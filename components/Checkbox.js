@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Checkbox component for toggling boolean values in the Todo App.
+ * This component renders a small square box that shows a check mark when
+ * checked, and reports presses to its parent.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { Pressable, Text, StyleSheet } from "react-native";
+
+/**
+ * Checkbox component that renders a pressable, controlled check box.
+ *
+ * The component does not keep its own state: the parent decides whether the
+ * box is checked and updates that value in `onToggle`.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {boolean} props.checked - Whether the box is currently checked
+ * @param {Function} props.onToggle - Callback function invoked when the box is pressed
+ * @param {string} [props.accessibilityLabel] - Label read by screen readers
+ *
+ * @returns {JSX.Element} A pressable check box
+ *
+ * @example
+ * <Checkbox
+ *   checked={goal.completed}
+ *   onToggle={() => toggleGoalCompleted(goal.id)}
+ *   accessibilityLabel="Mark goal as done"
+ * />
+ */
+export default function Checkbox({ checked, onToggle, accessibilityLabel }) {
+    return (
+        <Pressable
+            onPress={onToggle}
+            hitSlop={8}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked }}
+            accessibilityLabel={accessibilityLabel}
+            style={[styles.box, checked && styles.boxChecked]}
+        >
+            {checked && <Text style={styles.checkMark}>✓</Text>}
+        </Pressable>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the Checkbox component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Empty box with a white outline, matching the card text color.
+     */
+    box: {
+        width: 24,                      // Fixed square size
+        height: 24,
+        borderRadius: 6,                // Slightly rounded corners
+        borderWidth: 2,                 // Visible outline
+        borderColor: "white",           // White outline for contrast
+        justifyContent: "center",       // Center the check mark
+        alignItems: "center",
+    },
+
+    /**
+     * Filled box used when checked.
+     */
+    boxChecked: {
+        backgroundColor: "white",       // Solid fill when checked
+    },
+
+    /**
+     * Check mark drawn inside a checked box.
+     */
+    checkMark: {
+        color: "#003e79",               // Dark blue matching the card border
+        fontWeight: "bold",
+        fontSize: 16,
+    },
+});
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview FilterChips component for narrowing down the goal list in the Todo App.
+ * This component renders one chip per filter (all, active, completed, overdue),
+ * plus a removable chip for the tag the list is filtered by, if any.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, Text, Pressable, StyleSheet } from "react-native";
+import { GOAL_FILTERS } from "../utils/goalSelectors";
+
+/**
+ * FilterChips component that lets the user pick which goals are shown.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string} props.value - The selected filter
+ * @param {Function} props.onChange - Callback receiving the newly selected filter
+ * @param {(string|null)} [props.tag=null] - The tag the list is filtered by
+ * @param {Function} [props.onClearTag] - Callback that removes the tag filter
+ *
+ * @returns {JSX.Element} A row of filter chips
+ *
+ * @example
+ * <FilterChips value={filter} onChange={setFilter} tag="react" onClearTag={() => setTagFilter(null)} />
+ */
+export default function FilterChips({ value, onChange, tag = null, onClearTag }) {
+    return (
+        <View style={styles.chipRow}>
+            {GOAL_FILTERS.map((filter) => {
+                const selected = filter.value === value;
+                return (
+                    <Pressable
+                        key={filter.value}
+                        onPress={() => onChange(filter.value)}
+                        style={[styles.chip, selected && styles.chipSelected]}
+                        accessibilityRole="button"
+                        accessibilityState={{ selected }}
+                    >
+                        <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                            {filter.label}
+                        </Text>
+                    </Pressable>
+                );
+            })}
+            {tag !== null && (
+                <Pressable
+                    onPress={onClearTag}
+                    style={[styles.chip, styles.chipSelected]}
+                    accessibilityRole="button"
+                    accessibilityLabel={`Stop filtering by tag ${tag}`}
+                >
+                    <Text style={[styles.chipText, styles.chipTextSelected]}>#{tag} ✕</Text>
+                </Pressable>
+            )}
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the FilterChips component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Row of chips that wraps on narrow screens.
+     */
+    chipRow: {
+        flexDirection: "row",
+        flexWrap: "wrap",
+        gap: 8,
+    },
+
+    /**
+     * Outlined, pill-shaped chip.
+     */
+    chip: {
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 20,               // Pill shape
+        paddingVertical: 4,
+        paddingHorizontal: 12,
+    },
+
+    /**
+     * Filled chip for the selected filter.
+     */
+    chipSelected: {
+        backgroundColor: "white",
+    },
+
+    /**
+     * Chip label.
+     */
+    chipText: {
+        color: "white",
+    },
+
+    /**
+     * Label of the selected chip, in the app's purple.
+     */
+    chipTextSelected: {
+        color: "#9607e2",
+        fontWeight: "bold",
+    },
+});
@@ -1,6 +1,7 @@
 /**
  * @fileoverview GoalCard component for displaying individual goals in the Todo App.
  * This component renders a single goal item with its text content and a delete button,
+ * and lets the user tap the goal to open its detail screen,
  * providing a clean and interactive interface for goal management.
  * 
  * @author Todo App Team
@@ -8,27 +9,76 @@
  * @since 2025
  */
 
-import { View, Text, StyleSheet, Pressable } from "react-native";
+import { View, Text, StyleSheet, Pressable, Animated } from "react-native";
+import Checkbox from "./Checkbox";
+import PriorityBadge from "./PriorityBadge";
+import ProgressBar from "./ProgressBar";
+import useDragToReorder from "../hooks/useDragToReorder";
+import useSwipeActions from "../hooks/useSwipeActions";
+import { formatDueLabel, isOverdue } from "../utils/dates";
+import { getSubtaskProgress } from "../utils/subtasks";
+import { describeReminder } from "../utils/reminders";
+import { describeRecurrence } from "../utils/recurrence";
+import { getNotesPreview } from "../utils/markdown";
+import { useGoalsDispatch, useGoalDeletion } from "../store/GoalsProvider";
+import { toggleGoalCompleted } from "../store/actions";
 
 /**
- * GoalCard component that displays an individual goal with delete functionality.
+ * GoalCard component that displays an individual goal with open and delete functionality.
  * 
  * This component renders a goal as a card with:
- * - Goal text content displayed on the left
+ * - A checkbox on the left to mark the goal as done or not done
+ * - Goal text content displayed on the left, tappable to open the goal's detail screen
  * - Delete button positioned on the right
  * - Blue color scheme with rounded corners
  * - Hover/press interactions for the delete button
+ * - Dimmed card and struck-through text once the goal is completed
+ * - The first line of the goal's notes, without formatting, as a one-line preview
+ * - A colored badge with the goal's priority
+ * - A relative due date label ("due in 3 days"), with overdue goals highlighted
+ * - The goal's reminder ("⏰ Daily at 09:00") while the goal is open
+ * - The repeat rule of a recurring goal and how often it was done ("🔁 Every day · done 3×").
+ *   Checking off a recurring goal moves it to its next due date instead of completing it
+ * - A row of tag chips; tapping a chip filters the list down to that tag
+ * - A checklist progress bar, or an "Add steps" link, that also opens the goal's detail screen
+ * - A drag handle: long-press it and drag the card up or down to reorder the list
+ * - Swipe actions: swipe right to mark the goal done (or not done), swipe left
+ *   to delete it. Screen reader users get the same actions on the goal text
+ * - Selection mode: long-pressing the goal text starts selecting goals; while
+ *   selecting, tapping a card selects or deselects it, and dragging, swiping
+ *   and the delete button are switched off
  * 
- * The component extracts goal data from the FlatList item structure and
- * provides a callback mechanism for goal deletion through the parent component.
+ * The component extracts goal data from the FlatList item structure. Completing
+ * and deleting the goal go straight to the goals store; deletions can be
+ * undone from the snackbar. Everything that depends on the screen (opening,
+ * filtering, reordering, selecting) is reported to the parent through callbacks.
  * 
  * @component
  * @param {Object} props - The component props
  * @param {Object} props.goal - The goal object from FlatList renderItem
  * @param {Object} props.goal.item - The actual goal data
  * @param {string} props.goal.item.text - The text content of the goal
+ * @param {string} props.goal.item.notes - The goal's notes, in Markdown
  * @param {string} props.goal.item.id - The unique identifier of the goal
- * @param {Function} props.onDeleteGoal - Callback function to handle goal deletion
+ * @param {boolean} props.goal.item.completed - Whether the goal is done
+ * @param {string|null} props.goal.item.dueDate - The due date key, or null
+ * @param {string} props.goal.item.priority - The priority level
+ * @param {string[]} props.goal.item.tags - The goal's tags
+ * @param {Array<{done: boolean}>} props.goal.item.subtasks - The goal's checklist
+ * @param {Object|null} props.goal.item.recurrence - The goal's repeat rule, or null
+ * @param {string[]} props.goal.item.completions - When the occurrences of a recurring goal were checked off
+ * @param {Function} props.onSelectTag - Callback function receiving the tag whose chip was tapped
+ * @param {Function} props.onOpenDetails - Callback function receiving the goal whose detail screen should open
+ * @param {Function} props.onMoveGoal - Callback function receiving `(goalId, offset)` after the card was
+ *   dragged `offset` rows (negative means up)
+ * @param {Function} [props.onDragStateChange] - Callback function receiving true when the card is picked
+ *   up and false when it is put down
+ * @param {import("../utils/haptics").Haptics} [props.haptics] - Feedback for swipe thresholds and commits
+ * @param {boolean} [props.isSelecting=false] - Whether the list is in selection mode
+ * @param {boolean} [props.isSelected=false] - Whether this goal is selected
+ * @param {Function} props.onStartSelection - Callback function receiving the ID of the long-pressed goal,
+ *   which starts selection mode with that goal selected
+ * @param {Function} props.onToggleSelected - Callback function receiving the ID of the goal to select or deselect
  * 
  * @returns {JSX.Element} A styled goal card with delete functionality
  * 
@@ -39,7 +89,15 @@ import { View, Text, StyleSheet, Pressable } from "react-native";
  *   renderItem={(itemData) => (
  *     <GoalCard
  *       goal={itemData}
- *       onDeleteGoal={handleDeleteGoal}
+ *       onSelectTag={setTagFilter}
+ *       onOpenDetails={openGoalDetail}
+ *       onMoveGoal={moveGoal}
+ *       onDragStateChange={setIsDraggingGoal}
+ *       haptics={haptics}
+ *       isSelecting={isSelecting}
+ *       isSelected={isSelecting && selectedGoalIds.includes(itemData.item.id)}
+ *       onStartSelection={startSelection}
+ *       onToggleSelected={toggleGoalSelected}
  *     />
  *   )}
  * />
@@ -50,13 +108,31 @@ import { View, Text, StyleSheet, Pressable } from "react-native";
  *   goal={{
  *     item: {
  *       id: "1",
- *       text: "Learn React Native"
+ *       text: "Learn React Native",
+ *       completed: false,
+ *       dueDate: "2025-06-30",
+ *       priority: "high",
+ *       tags: ["react"],
+ *       subtasks: [{ id: "a", text: "Read the docs", done: true }]
  *     }
  *   }}
- *   onDeleteGoal={(id) => console.log('Delete goal:', id)}
+ *   onSelectTag={(tag) => console.log('Filter by tag:', tag)}
+ *   onOpenDetails={(goal) => console.log('Open goal:', goal.text)}
+ *   onMoveGoal={(id, offset) => console.log('Move goal:', id, offset)}
  * />
  */
-export default function GoalCard({ goal, onDeleteGoal }) {
+export default function GoalCard({
+    goal,
+    onSelectTag,
+    onOpenDetails,
+    onMoveGoal,
+    onDragStateChange,
+    haptics,
+    isSelecting = false,
+    isSelected = false,
+    onStartSelection,
+    onToggleSelected,
+}) {
     /**
      * Extracts the goal text from the nested goal object structure.
      * The goal prop comes from FlatList's renderItem, which wraps
@@ -75,31 +151,327 @@ export default function GoalCard({ goal, onDeleteGoal }) {
     const goalId = goal.item.id;
 
     /**
-     * Handles the goal deletion process by calling the parent's delete function.
+     * Whether the goal has been marked as done.
+     * 
+     * @type {boolean}
+     */
+    const isCompleted = goal.item.completed;
+
+    /**
+     * The first line of the goal's notes as plain text, or "" without notes.
+     * 
+     * @type {string}
+     */
+    const notesPreview = getNotesPreview(goal.item.notes);
+
+    /**
+     * The goal's due date key, or null when it has no deadline.
+     * 
+     * @type {string|null}
+     */
+    const dueDate = goal.item.dueDate;
+
+    /**
+     * Whether the goal is still open and its due date has passed.
+     * 
+     * @type {boolean}
+     */
+    const isGoalOverdue = !isCompleted && isOverdue(dueDate);
+
+    /**
+     * How far the goal's checklist has come.
+     * 
+     * @type {{done: number, total: number, ratio: number, isComplete: boolean}}
+     */
+    const checklist = getSubtaskProgress(goal.item.subtasks);
+
+    /**
+     * Store dispatch, used to mark the goal done or not done.
+     */
+    const dispatch = useGoalsDispatch();
+
+    /**
+     * Undoable deletion of goals from the store.
+     */
+    const { deleteGoals } = useGoalDeletion();
+
+    /**
+     * Drag gesture state; dropping the card passes the rows it moved to the parent.
+     * The row gap matches the card's bottom margin.
+     */
+    const drag = useDragToReorder({
+        onDrop: (offset) => onMoveGoal(goalId, offset),
+        onDragStateChange,
+        rowGap: 10,
+    });
+
+    /**
+     * Swipe gesture state; swiping right toggles completion, swiping left deletes.
+     * Swipes are ignored while the card is being dragged and in selection mode.
+     */
+    const swipe = useSwipeActions({
+        onSwipeRight: () => ToggleCompleted(),
+        onSwipeLeft: () => DeleteGoal(),
+        haptics,
+        enabled: !drag.isDragging && !isSelecting,
+    });
+
+    /**
+     * Handles the goal deletion process by deleting the goal from the store.
      * 
      * This function serves as a bridge between the UI interaction (button press)
-     * and the parent component's state management (removing the goal from the list).
-     * It passes the goal's ID to the parent's deletion handler.
+     * and the store (removing the goal from the list). The deletion is queued
+     * so it can still be undone from the snackbar.
      * 
      * @function
      * @returns {void}
      */
     function DeleteGoal() {
-        onDeleteGoal(goalId);
+        deleteGoals([goalId]);
+    }
+
+    /**
+     * Handles a press on the checkbox by flipping the goal between done and
+     * not done in the store.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function ToggleCompleted() {
+        dispatch(toggleGoalCompleted(goalId));
+    }
+
+    /**
+     * Handles a tap on the goal text or its checklist progress by passing the
+     * goal to the parent, which opens the goal's detail screen.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function OpenDetails() {
+        onOpenDetails(goal.item);
+    }
+
+    /**
+     * Handles a long press on the goal text by starting selection mode with
+     * this goal selected.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function StartSelection() {
+        onStartSelection(goalId);
+    }
+
+    /**
+     * Handles a tap on the goal text in selection mode by selecting or
+     * deselecting the goal.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function ToggleSelected() {
+        onToggleSelected(goalId);
+    }
+
+    /**
+     * Handles the screen reader actions of the drag handle, which move the
+     * goal one row without dragging.
+     * 
+     * @function
+     * @param {Object} event - The accessibility action event
+     * @returns {void}
+     */
+    function MoveGoalAction(event) {
+        onMoveGoal(goalId, event.nativeEvent.actionName === "moveUp" ? -1 : 1);
+    }
+
+    /**
+     * Handles the screen reader actions of the goal text, which stand in for
+     * the swipe gestures.
+     * 
+     * @function
+     * @param {Object} event - The accessibility action event
+     * @returns {void}
+     */
+    function GoalTextAction(event) {
+        switch (event.nativeEvent.actionName) {
+            case "toggleCompleted":
+                ToggleCompleted();
+                break;
+            case "delete":
+                DeleteGoal();
+                break;
+            case "longpress":
+                StartSelection();
+                break;
+            default:
+                if (isSelecting) {
+                    ToggleSelected();
+                } else {
+                    OpenDetails();
+                }
+        }
     }
     
     return (
-        <View style={styles.goalCardContainer}>
-            {/* Goal text content displayed with white color for contrast */}
-            <Text style={styles.goalText}>{goalName}</Text>
-            
-            {/* Delete button with press interaction */}
-            <Pressable onPress={DeleteGoal}>
-                <View style={styles.deleteButtom}>
-                    <Text style={{ color: "white" }}>Delete</Text>
+        <Animated.View
+            {...drag.panHandlers}
+            onLayout={drag.onLayout}
+            style={[
+                styles.cardWrapper,
+                drag.isDragging && styles.draggingWrapper,
+                { transform: [{ translateY: drag.translateY }] },
+            ]}
+        >
+            {/* Action revealed underneath the card while swiping */}
+            {swipe.swipeAction && (
+                <View
+                    style={[
+                        styles.swipeBackground,
+                        swipe.swipeAction === "complete" ? styles.swipeComplete : styles.swipeDelete,
+                    ]}
+                >
+                    <Text style={styles.swipeLabel}>
+                        {swipe.swipeAction === "complete"
+                            ? isCompleted
+                                ? "↺ Not done"
+                                : "✓ Done"
+                            : "Delete"}
+                    </Text>
                 </View>
-            </Pressable>
-        </View>
+            )}
+
+            <Animated.View
+                {...swipe.panHandlers}
+                onLayout={swipe.onLayout}
+                style={[
+                    styles.goalCardContainer,
+                    isGoalOverdue && styles.overdueCard,
+                    isCompleted && styles.completedCard,
+                    isSelected && styles.selectedCard,
+                    drag.isDragging && styles.draggingCard,
+                    { transform: [{ translateX: swipe.translateX }] },
+                ]}
+            >
+                {/* Drag handle, long-press to pick the card up; hidden while selecting */}
+                {!isSelecting && (
+                    <Pressable
+                        onLongPress={drag.startDrag}
+                        onPressOut={drag.cancelIdleDrag}
+                        delayLongPress={250}
+                        hitSlop={8}
+                        accessibilityRole="adjustable"
+                        accessibilityLabel="Reorder goal"
+                        accessibilityHint="Long-press and drag to move this goal"
+                        accessibilityActions={[
+                            { name: "moveUp", label: "Move up" },
+                            { name: "moveDown", label: "Move down" },
+                        ]}
+                        onAccessibilityAction={MoveGoalAction}
+                    >
+                        <Text style={styles.dragHandle}>≡</Text>
+                    </Pressable>
+                )}
+
+                {/* Completion checkbox */}
+                <Checkbox
+                    checked={isCompleted}
+                    onToggle={ToggleCompleted}
+                    accessibilityLabel={isCompleted ? "Mark as not done" : "Mark as done"}
+                />
+
+                {/* Goal text content displayed with white color for contrast, tap to open
+                    (or to select while selecting), long-press to start selecting */}
+                <Pressable
+                    style={styles.goalTextPressable}
+                    onPress={isSelecting ? ToggleSelected : OpenDetails}
+                    onLongPress={isSelecting ? undefined : StartSelection}
+                    accessibilityRole="button"
+                    accessibilityHint={isSelecting ? "Selects or deselects this goal" : "Opens this goal"}
+                    accessibilityState={isSelecting ? { selected: isSelected } : undefined}
+                    accessibilityActions={[
+                        { name: "activate", label: isSelecting ? "Select" : "Open" },
+                        { name: "longpress", label: "Select goals" },
+                        { name: "toggleCompleted", label: isCompleted ? "Mark as not done" : "Mark as done" },
+                        { name: "delete", label: "Delete" },
+                    ]}
+                    onAccessibilityAction={GoalTextAction}
+                >
+                    <Text style={[styles.goalText, isCompleted && styles.completedText]}>
+                        {goalName}
+                    </Text>
+                    {notesPreview !== "" && (
+                        <Text style={styles.notesText} numberOfLines={1}>
+                            {notesPreview}
+                        </Text>
+                    )}
+                    <PriorityBadge priority={goal.item.priority} />
+                    {dueDate && (
+                        <Text style={[styles.dueText, isGoalOverdue && styles.overdueText]}>
+                            {formatDueLabel(dueDate)}
+                        </Text>
+                    )}
+                    {goal.item.reminder && !isCompleted && (
+                        <Text style={styles.dueText}>⏰ {describeReminder(goal.item.reminder)}</Text>
+                    )}
+                    {goal.item.recurrence && (
+                        <Text style={styles.dueText}>
+                            🔁 {describeRecurrence(goal.item.recurrence)}
+                            {goal.item.completions.length > 0 && ` · done ${goal.item.completions.length}×`}
+                        </Text>
+                    )}
+                    {goal.item.tags.length > 0 && (
+                        <View style={styles.tagRow}>
+                            {goal.item.tags.map((tag) => (
+                                <Pressable
+                                    key={tag}
+                                    onPress={() => onSelectTag(tag)}
+                                    accessibilityRole="button"
+                                    accessibilityLabel={`Show goals tagged ${tag}`}
+                                >
+                                    <Text style={styles.tagChip}>#{tag}</Text>
+                                </Pressable>
+                            ))}
+                        </View>
+                    )}
+
+                    {/* Checklist progress, tap to open the goal with its checklist */}
+                    <Pressable
+                        onPress={OpenDetails}
+                        style={styles.checklistRow}
+                        accessibilityRole="button"
+                        accessibilityLabel={
+                            checklist.total > 0
+                                ? `${checklist.done} of ${checklist.total} steps done, open checklist`
+                                : "Add steps"
+                        }
+                    >
+                        {checklist.total > 0 ? (
+                            <>
+                                <View style={styles.checklistBar}>
+                                    <ProgressBar progress={checklist.ratio} />
+                                </View>
+                                <Text style={styles.dueText}>
+                                    {checklist.done}/{checklist.total}
+                                </Text>
+                            </>
+                        ) : (
+                            <Text style={styles.dueText}>+ Add steps</Text>
+                        )}
+                    </Pressable>
+                </Pressable>
+            
+                {/* Delete button with press interaction; hidden while selecting */}
+                {!isSelecting && (
+                    <Pressable onPress={DeleteGoal}>
+                        <View style={styles.deleteButtom}>
+                            <Text style={{ color: "white" }}>Delete</Text>
+                        </View>
+                    </Pressable>
+                )}
+            </Animated.View>
+        </Animated.View>
     );
 }
 
@@ -116,6 +488,56 @@ export default function GoalCard({ goal, onDeleteGoal }) {
  * @type {Object}
  */
 const styles = StyleSheet.create({
+    /**
+     * Outer wrapper that moves while dragging and holds the swipe actions
+     * underneath the card.
+     */
+    cardWrapper: {
+        marginBottom: 10,               // Space between goal cards
+    },
+    
+    /**
+     * Extra style for the wrapper while the card is being dragged.
+     */
+    draggingWrapper: {
+        zIndex: 1,                      // Draw above neighbouring content
+    },
+    
+    /**
+     * Colored panel revealed under the card while it is swiped.
+     */
+    swipeBackground: {
+        ...StyleSheet.absoluteFillObject, // Same size as the card
+        borderRadius: 20,               // Same corners as the card
+        flexDirection: "row",           // Lay out the label horizontally
+        alignItems: "center",           // Center the label vertically
+        paddingHorizontal: 20,          // Keep the label off the edge
+    },
+    
+    /**
+     * Green panel with its label on the left, revealed by swiping right.
+     */
+    swipeComplete: {
+        backgroundColor: "#1f9d55",     // Green for completing
+        justifyContent: "flex-start",   // Label on the uncovered left side
+    },
+    
+    /**
+     * Red panel with its label on the right, revealed by swiping left.
+     */
+    swipeDelete: {
+        backgroundColor: "#6a1304",     // Same dark red as the delete button
+        justifyContent: "flex-end",     // Label on the uncovered right side
+    },
+    
+    /**
+     * Label of the revealed swipe action.
+     */
+    swipeLabel: {
+        color: "white",                 // White text for contrast
+        fontWeight: "bold",
+    },
+    
     /**
      * Main container style for the goal card.
      * 
@@ -124,12 +546,10 @@ const styles = StyleSheet.create({
      * - Rounded corners (20px radius)
      * - Padding for content spacing
      * - Flexbox layout for proper alignment
-     * - Bottom margin for separation between cards
      */
     goalCardContainer: {
         borderColor: "#003e79",         // Dark blue border color
         borderWidth: 3,                 // Prominent border width
-        marginBottom: 10,               // Space between goal cards
         borderRadius: 20,               // Rounded corners for modern look
         paddingVertical: 10,            // Top and bottom padding
         paddingLeft: 10,                // Left padding for text content
@@ -140,6 +560,68 @@ const styles = StyleSheet.create({
         paddingHorizontal: 10,          // Consistent horizontal padding
     },
     
+    /**
+     * Style for the tappable area around the goal text.
+     * 
+     * Takes all the space left of the delete button so the whole
+     * text region of the card responds to taps.
+     */
+    goalTextPressable: {
+        flex: 1,                        // Fill the space left of the delete button
+        marginHorizontal: 10,           // Keep text clear of the checkbox and delete button
+    },
+    
+    /**
+     * Extra style for the card of an overdue goal.
+     * 
+     * Swaps the blue border for a warm orange so late goals stand out.
+     */
+    overdueCard: {
+        borderColor: "#ffb020",         // Orange warning border
+    },
+    
+    /**
+     * Extra style for the card of a selected goal in selection mode.
+     * 
+     * A white border and a lighter blue make the selection obvious.
+     */
+    selectedCard: {
+        borderColor: "white",           // Highlight selected cards
+        backgroundColor: "#2a86e0",     // Lighter than the normal card blue
+    },
+    
+    /**
+     * Extra style for the card while it is being dragged.
+     * 
+     * Lifts the card with a light border and a shadow so it reads as picked up.
+     */
+    draggingCard: {
+        borderColor: "white",           // Highlight the picked-up card
+        elevation: 6,                   // Android shadow
+        shadowColor: "black",           // iOS shadow
+        shadowOpacity: 0.3,
+        shadowRadius: 6,
+        shadowOffset: { width: 0, height: 3 },
+    },
+    
+    /**
+     * Style for the drag handle on the left of the card.
+     */
+    dragHandle: {
+        color: "#cfe4ff",               // Light blue, secondary to the goal text
+        fontSize: 20,                   // Large enough to grab
+        marginRight: 8,                 // Space before the checkbox
+    },
+    
+    /**
+     * Extra style for the card of a completed goal.
+     * 
+     * Dims the whole card so finished goals recede behind active ones.
+     */
+    completedCard: {
+        opacity: 0.6,                   // Dimmed appearance
+    },
+    
     /**
      * Style for the goal text content.
      * 
@@ -150,6 +632,80 @@ const styles = StyleSheet.create({
         color: "white",                 // White text for contrast
     },
     
+    /**
+     * Extra style for the text of a completed goal.
+     */
+    completedText: {
+        textDecorationLine: "line-through", // Strike through finished goals
+    },
+    
+    /**
+     * Style for the one-line preview of the goal's notes under its text.
+     */
+    notesText: {
+        color: "white",
+        fontSize: 12,                   // Smaller than the goal text
+        opacity: 0.75,                  // Quieter than the goal text
+        marginTop: 2,
+    },
+    
+    /**
+     * Style for the relative due date label under the goal text.
+     */
+    dueText: {
+        color: "#cfe4ff",               // Light blue, secondary to the goal text
+        fontSize: 12,                   // Smaller than the goal text
+        marginTop: 2,                   // Small gap under the goal text
+    },
+    
+    /**
+     * Extra style for the due label of an overdue goal.
+     */
+    overdueText: {
+        color: "#ffb020",               // Same orange as the overdue border
+        fontWeight: "bold",
+    },
+    
+    /**
+     * Style for the row of tag chips under the goal text.
+     */
+    tagRow: {
+        flexDirection: "row",           // Chips side by side
+        flexWrap: "wrap",               // Wrap long tag lists onto more lines
+        gap: 4,                         // Space between chips
+        marginTop: 4,                   // Gap under the due label
+    },
+    
+    /**
+     * Style for a single tag chip.
+     */
+    tagChip: {
+        color: "white",                 // White text for contrast
+        fontSize: 12,                   // Same size as the due label
+        backgroundColor: "#003e79",     // Card border blue, so chips read as part of the card
+        borderRadius: 10,               // Pill shape
+        paddingHorizontal: 8,           // Room around the tag text
+        paddingVertical: 2,             // Slim chip height
+        overflow: "hidden",             // Clip the background to the rounded corners on iOS
+    },
+    
+    /**
+     * Style for the tappable checklist row under the tags.
+     */
+    checklistRow: {
+        flexDirection: "row",           // Bar and count side by side
+        alignItems: "center",           // Center the bar on the count text
+        gap: 6,                         // Space between bar and count
+        marginTop: 4,                   // Gap under the tags
+    },
+    
+    /**
+     * Wrapper that lets the progress bar take the row's remaining width.
+     */
+    checklistBar: {
+        flex: 1,                        // Fill the space left of the count
+    },
+    
     /**
      * Style for the delete button container.
      * 
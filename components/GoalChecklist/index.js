@@ -0,0 +1,233 @@
+/**
+ * @fileoverview GoalChecklist component for working through a goal's checklist in the Todo App.
+ * This component shows a goal's subtasks on the goal detail screen, where
+ * steps can be added, checked off, reordered and deleted.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState } from "react";
+import { View, Text, TextInput, Pressable } from "react-native";
+import ActionButton from "../GoalInput/ActionButton";
+import Checkbox from "../Checkbox";
+import ProgressBar from "../ProgressBar";
+import { actionbButtonsStyles } from "../GoalInput/styles";
+import { goalChecklistStyles } from "./styles";
+import {
+    addSubtask,
+    toggleSubtask,
+    removeSubtask,
+    moveSubtask,
+    getSubtaskProgress,
+} from "../../utils/subtasks";
+import { useGoalsDispatch } from "../../store/GoalsProvider";
+import { updateGoal, toggleGoalCompleted } from "../../store/actions";
+
+/**
+ * GoalChecklist component that shows and edits a goal's checklist.
+ *
+ * Every change to the checklist is stored right away, so there is no
+ * separate save step. When the user checks off the last open step of a goal
+ * that isn't done yet, the checklist offers to mark the whole goal done.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {import("../../utils/goalFactory").Goal} props.goal - The goal, as currently stored
+ *
+ * @returns {JSX.Element} The progress, the steps and a field for adding a step
+ *
+ * @example
+ * <GoalChecklist goal={goal} />
+ */
+function GoalChecklist({ goal }) {
+    const dispatch = useGoalsDispatch();
+
+    /**
+     * Text of the step being added.
+     *
+     * @type {string}
+     */
+    const [draft, setDraft] = useState("");
+
+    /**
+     * Whether the "mark the goal done?" prompt is shown.
+     *
+     * @type {boolean}
+     */
+    const [isOfferingCompletion, setIsOfferingCompletion] = useState(false);
+
+    const subtasks = goal.subtasks;
+    const progress = getSubtaskProgress(subtasks);
+
+    /**
+     * Stores a changed checklist on the goal.
+     *
+     * @function
+     * @param {Array<import("../../utils/subtasks").Subtask>} next - The new checklist
+     * @returns {void}
+     */
+    function changeSubtasks(next) {
+        dispatch(updateGoal(goal.id, { subtasks: next }));
+    }
+
+    /**
+     * Adds the typed step to the end of the checklist.
+     *
+     * @function
+     * @returns {void}
+     */
+    function handleAddSubtask() {
+        const next = addSubtask(subtasks, draft);
+        if (next !== subtasks) {
+            changeSubtasks(next);
+            setIsOfferingCompletion(false);
+        }
+        setDraft("");
+    }
+
+    /**
+     * Checks or unchecks a step, offering to complete the goal when it was the last open one.
+     *
+     * @function
+     * @param {string} subtaskId - The step to flip
+     * @returns {void}
+     */
+    function handleToggleSubtask(subtaskId) {
+        const next = toggleSubtask(subtasks, subtaskId);
+        changeSubtasks(next);
+        setIsOfferingCompletion(!goal.completed && getSubtaskProgress(next).isComplete);
+    }
+
+    /**
+     * Marks the goal done from the completion prompt.
+     *
+     * @function
+     * @returns {void}
+     */
+    function handleCompleteGoal() {
+        dispatch(toggleGoalCompleted(goal.id));
+        setIsOfferingCompletion(false);
+    }
+
+    /**
+     * Renders a small row action such as "move up".
+     *
+     * @function
+     * @param {string} label - The symbol shown
+     * @param {string} accessibilityLabel - Label read by screen readers
+     * @param {boolean} enabled - Whether the action can be used
+     * @param {Function} handler - Press handler
+     * @returns {JSX.Element} The row action
+     */
+    function renderRowAction(label, accessibilityLabel, enabled, handler) {
+        return (
+            <Pressable
+                onPress={handler}
+                disabled={!enabled}
+                hitSlop={6}
+                accessibilityRole="button"
+                accessibilityLabel={accessibilityLabel}
+                accessibilityState={{ disabled: !enabled }}
+            >
+                <Text style={[goalChecklistStyles.rowAction, !enabled && goalChecklistStyles.rowActionDisabled]}>
+                    {label}
+                </Text>
+            </Pressable>
+        );
+    }
+
+    return (
+        <View style={goalChecklistStyles.container}>
+            {/* Checklist progress */}
+            <View>
+                <ProgressBar progress={progress.ratio} />
+                <Text style={goalChecklistStyles.progressText}>
+                    {progress.done} of {progress.total} steps done
+                </Text>
+            </View>
+
+            {/* Offer to complete the goal once every step is checked */}
+            {isOfferingCompletion && (
+                <View style={goalChecklistStyles.completionPrompt} accessibilityLiveRegion="polite">
+                    <Text style={goalChecklistStyles.completionText}>
+                        All steps are done. Mark the goal as done too?
+                    </Text>
+                    <View style={goalChecklistStyles.actionContainer}>
+                        <ActionButton
+                            content="Mark done"
+                            handler={handleCompleteGoal}
+                            styles={actionbButtonsStyles.addGoalButton}
+                        />
+                        <ActionButton
+                            content="Not yet"
+                            handler={() => setIsOfferingCompletion(false)}
+                            styles={actionbButtonsStyles.cancelButton}
+                        />
+                    </View>
+                </View>
+            )}
+
+            <Text style={goalChecklistStyles.sectionLabel}>Checklist</Text>
+            <View style={goalChecklistStyles.subtaskList}>
+                {subtasks.length === 0 && (
+                    <Text style={goalChecklistStyles.emptyText}>
+                        No steps yet. Break the goal down below.
+                    </Text>
+                )}
+                {subtasks.map((subtask, index) => (
+                    <View key={subtask.id} style={goalChecklistStyles.subtaskRow}>
+                        <Checkbox
+                            checked={subtask.done}
+                            onToggle={() => handleToggleSubtask(subtask.id)}
+                            accessibilityLabel={subtask.text}
+                        />
+                        <Text
+                            style={[
+                                goalChecklistStyles.subtaskText,
+                                subtask.done && goalChecklistStyles.subtaskTextDone,
+                            ]}
+                        >
+                            {subtask.text}
+                        </Text>
+                        {renderRowAction("↑", `Move "${subtask.text}" up`, index > 0, () =>
+                            changeSubtasks(moveSubtask(subtasks, subtask.id, -1))
+                        )}
+                        {renderRowAction(
+                            "↓",
+                            `Move "${subtask.text}" down`,
+                            index < subtasks.length - 1,
+                            () => changeSubtasks(moveSubtask(subtasks, subtask.id, 1))
+                        )}
+                        {renderRowAction("✕", `Delete "${subtask.text}"`, true, () =>
+                            changeSubtasks(removeSubtask(subtasks, subtask.id))
+                        )}
+                    </View>
+                ))}
+            </View>
+
+            {/* New step entry */}
+            <View style={goalChecklistStyles.addRow}>
+                <TextInput
+                    placeholder="Add a step"
+                    placeholderTextColor="#b9a6e0"
+                    value={draft}
+                    onChangeText={setDraft}
+                    onSubmitEditing={handleAddSubtask}
+                    blurOnSubmit={false}
+                    style={goalChecklistStyles.textInput}
+                />
+                <ActionButton
+                    content="Add"
+                    handler={handleAddSubtask}
+                    styles={actionbButtonsStyles.addGoalButton}
+                    disabled={draft.trim().length === 0}
+                />
+            </View>
+
+        </View>
+    );
+}
+
+export default GoalChecklist;
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Styles configuration for the GoalChecklist component.
+ * This module contains the styling definitions for the goal checklist,
+ * which sits on the dark purple goal detail screen.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { StyleSheet } from "react-native";
+
+/**
+ * StyleSheet object containing styles for the GoalChecklist component.
+ *
+ * @constant
+ * @type {StyleSheet.NamedStyles}
+ */
+export const goalChecklistStyles = StyleSheet.create({
+    /**
+     * Column holding the progress, the prompt and the steps.
+     */
+    container: {
+        gap: 20,                        // Space between the sections
+    },
+
+    /**
+     * Section label above the checklist, matching the picker labels.
+     */
+    sectionLabel: {
+        color: "white",
+        fontWeight: "bold",
+    },
+
+    /**
+     * "X of Y steps done" caption under the progress bar.
+     */
+    progressText: {
+        color: "#b9a6e0",               // Muted lavender, secondary to the title
+        marginTop: 6,
+    },
+
+    /**
+     * Stack of checklist rows.
+     */
+    subtaskList: {
+        gap: 10,
+    },
+
+    /**
+     * A single checklist row: checkbox, text and row actions.
+     */
+    subtaskRow: {
+        flexDirection: "row",
+        alignItems: "center",
+        gap: 10,
+    },
+
+    /**
+     * Text of a step; takes the space left of the row actions.
+     */
+    subtaskText: {
+        flex: 1,
+        color: "white",
+    },
+
+    /**
+     * Extra style for the text of a checked step.
+     */
+    subtaskTextDone: {
+        textDecorationLine: "line-through", // Same treatment as completed goals
+        opacity: 0.6,
+    },
+
+    /**
+     * Small icon-like button for moving or removing a step.
+     */
+    rowAction: {
+        color: "white",
+        fontSize: 16,
+        paddingHorizontal: 4,
+    },
+
+    /**
+     * Row action that can't be used, such as moving the first step up.
+     */
+    rowActionDisabled: {
+        opacity: 0.3,
+    },
+
+    /**
+     * Placeholder shown while the checklist is empty.
+     */
+    emptyText: {
+        color: "#b9a6e0",
+        fontStyle: "italic",
+    },
+
+    /**
+     * Field and button for adding a step.
+     */
+    addRow: {
+        flexDirection: "row",
+        alignItems: "center",
+        gap: 10,
+    },
+
+    /**
+     * Text field for a new step, styled like the goal text input.
+     */
+    textInput: {
+        flex: 1,
+        borderColor: "white",
+        borderWidth: 2,
+        color: "#ffffff",
+        borderRadius: 20,
+        paddingLeft: 16,
+    },
+
+    /**
+     * Highlighted box offering to complete the goal once every step is checked.
+     */
+    completionPrompt: {
+        gap: 12,
+        borderColor: "#b121fe",         // Add Goal button purple
+        borderWidth: 2,
+        borderRadius: 20,
+        padding: 16,
+    },
+
+    /**
+     * Text of the completion prompt.
+     */
+    completionText: {
+        color: "white",
+        textAlign: "center",
+    },
+
+    /**
+     * Buttons side by side.
+     */
+    actionContainer: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+    },
+});
@@ -20,6 +20,7 @@ import { Pressable, Text, View } from "react-native";
  * - Flexible styling through props
  * - Consistent text styling with white color and bold weight
  * - Touch interaction through React Native's Pressable component
+ * - An optional disabled state that ignores presses and fades the button
  * 
  * The component is designed to be flexible and reusable across different
  * parts of the application where styled buttons are needed. It separates
@@ -31,6 +32,7 @@ import { Pressable, Text, View } from "react-native";
  * @param {string} props.content - The text content to display on the button
  * @param {Function} props.handler - The function to call when the button is pressed
  * @param {Object} props.styles - Custom styles to apply to the button container
+ * @param {boolean} [props.disabled=false] - When true, presses are ignored and the button is dimmed
  * 
  * @returns {JSX.Element} A pressable button with custom styling
  * 
@@ -51,6 +53,15 @@ import { Pressable, Text, View } from "react-native";
  * />
  * 
  * @example
+ * // Disabled until the input is valid
+ * <ActionButton
+ *   content="Add Goal"
+ *   handler={handleAddNewGoal}
+ *   styles={actionbButtonsStyles.addGoalButton}
+ *   disabled={!validation.isValid}
+ * />
+ * 
+ * @example
  * // Cancel button (as used in GoalInput)
  * <ActionButton
  *   content="Cancel"
@@ -74,10 +85,15 @@ import { Pressable, Text, View } from "react-native";
  *   styles={customStyles}
  * />
  */
-function ActionButton({ content, handler, styles }) {
+function ActionButton({ content, handler, styles, disabled = false }) {
     return (
-        <Pressable onPress={handler}>
-            <View style={styles}>
+        <Pressable
+            onPress={handler}
+            disabled={disabled}
+            accessibilityRole="button"
+            accessibilityState={{ disabled }}
+        >
+            <View style={[styles, disabled && { opacity: 0.4 }]}>
                 <Text style={{color: 'white', fontWeight: 'bold'}}>
                     {content}
                 </Text>
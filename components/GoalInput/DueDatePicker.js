@@ -0,0 +1,164 @@
+/**
+ * @fileoverview DueDatePicker component for choosing a goal's due date in the Todo App.
+ * This component offers quick presets (today, tomorrow, next week) and a
+ * custom option where a date can be typed in.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState } from "react";
+import { View, Text, TextInput, Pressable } from "react-native";
+import { getDueDatePresets, isValidDateKey } from "../../utils/dates";
+import { pickerStyles } from "./styles";
+
+/**
+ * DueDatePicker component that lets the user pick an optional due date.
+ *
+ * The picker renders a row of chips: "None", one chip per preset and
+ * "Custom". Choosing "Custom" shows a text field that accepts a date in the
+ * form YYYY-MM-DD. Every change is reported as `onChange(dateKey, isValid)`,
+ * where `dateKey` is null for "None" and `isValid` is false while a custom
+ * date is incomplete or not a real day.
+ * 
+ * The initial `value` decides whether the picker starts in custom mode, so
+ * the parent should remount the picker (via `key`) when it loads another goal.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {(string|null)} props.value - The selected due date key
+ * @param {Function} props.onChange - Callback receiving `(dateKey, isValid)`
+ *
+ * @returns {JSX.Element} The due date chips and optional custom field
+ *
+ * @example
+ * <DueDatePicker
+ *   value={dueDate}
+ *   onChange={(dateKey, isValid) => {
+ *     setDueDate(dateKey);
+ *     setIsDueDateValid(isValid);
+ *   }}
+ * />
+ */
+function DueDatePicker({ value, onChange }) {
+    const presets = getDueDatePresets();
+
+    /**
+     * Whether the custom date field is shown. A saved due date that doesn't
+     * match a preset starts in custom mode, so editing a goal due on e.g.
+     * "2025-12-24" shows that date in the field.
+     *
+     * @type {boolean}
+     */
+    const [isCustom, setIsCustom] = useState(
+        () => value !== null && !presets.some((preset) => preset.dateKey === value)
+    );
+
+    /**
+     * Raw text of the custom date field.
+     *
+     * @type {string}
+     */
+    const [customText, setCustomText] = useState(value ?? "");
+
+    const customIsValid = isValidDateKey(customText);
+
+    /**
+     * Selects "None" or one of the presets.
+     *
+     * @function
+     * @param {(string|null)} dateKey - The chosen date key
+     * @returns {void}
+     */
+    function selectDate(dateKey) {
+        setIsCustom(false);
+        onChange(dateKey, true);
+    }
+
+    /**
+     * Switches to the custom field, keeping the current date as a starting point.
+     *
+     * @function
+     * @returns {void}
+     */
+    function selectCustom() {
+        const text = value ?? "";
+        setIsCustom(true);
+        setCustomText(text);
+        onChange(isValidDateKey(text) ? text : null, isValidDateKey(text));
+    }
+
+    /**
+     * Handles typing in the custom field.
+     *
+     * @function
+     * @param {string} text - The typed text
+     * @returns {void}
+     */
+    function customTextHandler(text) {
+        setCustomText(text);
+        onChange(isValidDateKey(text) ? text : null, isValidDateKey(text));
+    }
+
+    /**
+     * Renders one selectable chip.
+     *
+     * @function
+     * @param {string} key - React key
+     * @param {string} label - Chip text
+     * @param {boolean} selected - Whether the chip is highlighted
+     * @param {Function} handler - Press handler
+     * @returns {JSX.Element} The chip
+     */
+    function renderChip(key, label, selected, handler) {
+        return (
+            <Pressable
+                key={key}
+                onPress={handler}
+                accessibilityRole="button"
+                accessibilityState={{ selected }}
+            >
+                <View style={[pickerStyles.chip, selected && pickerStyles.chipSelected]}>
+                    <Text style={pickerStyles.chipText}>{label}</Text>
+                </View>
+            </Pressable>
+        );
+    }
+
+    return (
+        <View style={pickerStyles.container}>
+            <Text style={pickerStyles.label}>Due date</Text>
+            <View style={pickerStyles.chipRow}>
+                {renderChip("none", "None", !isCustom && value === null, () => selectDate(null))}
+                {presets.map((preset) =>
+                    renderChip(
+                        preset.id,
+                        preset.label,
+                        !isCustom && value === preset.dateKey,
+                        () => selectDate(preset.dateKey)
+                    )
+                )}
+                {renderChip("custom", "Custom", isCustom, selectCustom)}
+            </View>
+
+            {/* Free-form date entry for the custom option */}
+            {isCustom && (
+                <TextInput
+                    placeholder="YYYY-MM-DD"
+                    placeholderTextColor="#b9a6e0"
+                    value={customText}
+                    onChangeText={customTextHandler}
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={10}
+                    style={pickerStyles.customInput}
+                />
+            )}
+            {isCustom && customText.length > 0 && !customIsValid && (
+                <Text style={pickerStyles.errorText}>Enter a real date as YYYY-MM-DD.</Text>
+            )}
+        </View>
+    );
+}
+
+export default DueDatePicker;
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview ListPicker component for choosing which list a goal belongs to in the Todo App.
+ * This component renders one chip per goal list, marked with the list's color.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, Text, Pressable } from "react-native";
+import { pickerStyles } from "./styles";
+
+/**
+ * ListPicker component that lets the user put a goal into a list, or move it to another one.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {Array<import("../../utils/listFactory").GoalList>} props.lists - All lists
+ * @param {string} props.value - ID of the selected list
+ * @param {Function} props.onChange - Callback receiving the ID of the newly selected list
+ *
+ * @returns {JSX.Element} A row of list chips
+ *
+ * @example
+ * <ListPicker lists={lists} value={listId} onChange={setListId} />
+ */
+function ListPicker({ lists, value, onChange }) {
+    return (
+        <View style={pickerStyles.container}>
+            <Text style={pickerStyles.label}>List</Text>
+            <View style={pickerStyles.chipRow}>
+                {lists.map((list) => {
+                    const selected = list.id === value;
+                    return (
+                        <Pressable
+                            key={list.id}
+                            onPress={() => onChange(list.id)}
+                            accessibilityRole="button"
+                            accessibilityState={{ selected }}
+                        >
+                            <View style={[pickerStyles.chip, selected && pickerStyles.chipSelected]}>
+                                <View style={pickerStyles.chipContent}>
+                                    <View style={[pickerStyles.chipDot, { backgroundColor: list.color }]} />
+                                    <Text style={pickerStyles.chipText}>{list.name}</Text>
+                                </View>
+                            </View>
+                        </Pressable>
+                    );
+                })}
+            </View>
+        </View>
+    );
+}
+
+export default ListPicker;
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview NotesInput component for writing a goal's notes in the Todo App.
+ * This component provides a multi-line field for notes in a small Markdown
+ * subset, with a preview of how they will look.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState } from "react";
+import { View, Text, TextInput, Pressable } from "react-native";
+import MarkdownView from "../MarkdownView";
+import { pickerStyles } from "./styles";
+
+/**
+ * NotesInput component that edits a goal's notes.
+ *
+ * The "Write" and "Preview" chips switch between the field and the rendered
+ * notes. The notes are reported as typed; trimming and the length limit are
+ * left to the goal input modal.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string} props.value - The notes
+ * @param {Function} props.onChange - Callback receiving the new notes
+ * @param {(string|null)} [props.error=null] - What is wrong with the notes, if anything
+ *
+ * @returns {JSX.Element} The notes editor
+ *
+ * @example
+ * <NotesInput value={notes} onChange={setNotes} error={notesValidation.error} />
+ */
+function NotesInput({ value, onChange, error = null }) {
+    /**
+     * Whether the rendered notes are shown instead of the field.
+     *
+     * @type {boolean}
+     */
+    const [isPreviewing, setIsPreviewing] = useState(false);
+
+    /**
+     * Renders the chip for one of the two modes.
+     *
+     * @function
+     * @param {string} label - The chip label
+     * @param {boolean} preview - Whether the chip switches to the preview
+     * @returns {JSX.Element} The chip
+     */
+    function renderModeChip(label, preview) {
+        const isSelected = isPreviewing === preview;
+        return (
+            <Pressable
+                onPress={() => setIsPreviewing(preview)}
+                style={[pickerStyles.chip, isSelected && pickerStyles.chipSelected]}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: isSelected }}
+            >
+                <Text style={pickerStyles.chipText}>{label}</Text>
+            </Pressable>
+        );
+    }
+
+    return (
+        <View style={pickerStyles.container}>
+            <Text style={pickerStyles.label}>Notes</Text>
+            <View style={pickerStyles.chipRow}>
+                {renderModeChip("Write", false)}
+                {renderModeChip("Preview", true)}
+            </View>
+
+            {isPreviewing ? (
+                value.trim() === "" ? (
+                    <Text style={pickerStyles.hintText}>Nothing to preview yet.</Text>
+                ) : (
+                    <MarkdownView source={value} />
+                )
+            ) : (
+                <>
+                    <TextInput
+                        placeholder="Optional details, links or steps"
+                        placeholderTextColor="#b9a6e0"
+                        value={value}
+                        onChangeText={onChange}
+                        multiline
+                        style={[pickerStyles.customInput, pickerStyles.notesInput]}
+                        accessibilityLabel="Notes"
+                    />
+                    <Text style={pickerStyles.hintText}>
+                        **bold**, *italics*, `code`, [link](https://…) and "- " lists
+                    </Text>
+                </>
+            )}
+
+            {error && (
+                <Text style={pickerStyles.errorText} accessibilityLiveRegion="polite">
+                    {error}
+                </Text>
+            )}
+        </View>
+    );
+}
+
+export default NotesInput;
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview PriorityPicker component for choosing a goal's priority in the Todo App.
+ * This component renders one chip per priority level, each marked with the
+ * color of its badge.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, Text, Pressable } from "react-native";
+import { PRIORITIES } from "../../utils/priority";
+import { pickerStyles } from "./styles";
+
+/**
+ * PriorityPicker component that lets the user choose low, normal, high or urgent.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string} props.value - The selected priority value
+ * @param {Function} props.onChange - Callback receiving the newly selected priority value
+ *
+ * @returns {JSX.Element} A row of priority chips
+ *
+ * @example
+ * <PriorityPicker value={priority} onChange={setPriority} />
+ */
+function PriorityPicker({ value, onChange }) {
+    return (
+        <View style={pickerStyles.container}>
+            <Text style={pickerStyles.label}>Priority</Text>
+            <View style={pickerStyles.chipRow}>
+                {PRIORITIES.map((priority) => {
+                    const selected = priority.value === value;
+                    return (
+                        <Pressable
+                            key={priority.value}
+                            onPress={() => onChange(priority.value)}
+                            accessibilityRole="button"
+                            accessibilityState={{ selected }}
+                        >
+                            <View style={[pickerStyles.chip, selected && pickerStyles.chipSelected]}>
+                                <View style={pickerStyles.chipContent}>
+                                    <View style={[pickerStyles.chipDot, { backgroundColor: priority.color }]} />
+                                    <Text style={pickerStyles.chipText}>{priority.label}</Text>
+                                </View>
+                            </View>
+                        </Pressable>
+                    );
+                })}
+            </View>
+        </View>
+    );
+}
+
+export default PriorityPicker;
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview RecurrencePicker component for choosing how often a goal repeats in the Todo App.
+ * This component turns a goal into a habit that comes back daily, on
+ * weekdays, every few days, on chosen days of the week or once a month.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState } from "react";
+import { View, Text, TextInput, Pressable } from "react-native";
+import { RECURRENCE_TYPES, validateRecurrence } from "../../utils/recurrence";
+import { WEEKDAY_LABELS } from "../../utils/dates";
+import { pickerStyles } from "./styles";
+
+/**
+ * RecurrencePicker component that lets the user pick an optional repeat rule.
+ *
+ * The picker renders a row of chips: "Once" (a one-off goal) followed by the
+ * rule kinds. "Every N days" shows a field for the number of days, "Weekly"
+ * a row of weekday chips where several days can be picked, and "Monthly" a
+ * field for the day of the month. Every change is reported as
+ * `onChange(recurrence, isValid)`, where `recurrence` is null for "Once" and
+ * `isValid` is false while a field is incomplete.
+ *
+ * The initial `value` fills the fields, so the parent should remount the
+ * picker (via `key`) when it loads another goal.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {(import("../../utils/recurrence").Recurrence|null)} props.value - The selected rule
+ * @param {Function} props.onChange - Callback receiving `(recurrence, isValid)`
+ *
+ * @returns {JSX.Element} The repeat chips and fields
+ *
+ * @example
+ * <RecurrencePicker
+ *   value={recurrence}
+ *   onChange={(nextRecurrence, isValid) => {
+ *     setRecurrence(nextRecurrence);
+ *     setIsRecurrenceValid(isValid);
+ *   }}
+ * />
+ */
+function RecurrencePicker({ value, onChange }) {
+    /**
+     * The fields of the rule being entered. Numbers are kept as typed text
+     * and the fields survive switching between kinds.
+     *
+     * @type {{type: (string|null), days: string, weekdays: number[], dayOfMonth: string}}
+     */
+    const [fields, setFields] = useState(() => ({
+        type: value ? value.type : null,
+        days: value && value.days ? String(value.days) : "2",
+        weekdays: value && value.weekdays ? value.weekdays : [new Date().getDay()],
+        dayOfMonth: String(value && value.dayOfMonth ? value.dayOfMonth : new Date().getDate()),
+    }));
+
+    /**
+     * Builds the rule described by the fields.
+     *
+     * @function
+     * @param {{type: (string|null), days: string, weekdays: number[], dayOfMonth: string}} next - The fields
+     * @returns {(import("../../utils/recurrence").Recurrence|null)} The rule, or null for "Once"
+     */
+    function buildRecurrence(next) {
+        switch (next.type) {
+            case null:
+                return null;
+            case "interval":
+                return { type: "interval", days: Number(next.days) };
+            case "weekly":
+                return { type: "weekly", weekdays: next.weekdays };
+            case "monthly":
+                return { type: "monthly", dayOfMonth: Number(next.dayOfMonth) };
+            default:
+                return { type: next.type };
+        }
+    }
+
+    /**
+     * Changes some of the fields and reports the resulting rule.
+     *
+     * @function
+     * @param {Object} patch - The fields to change
+     * @returns {void}
+     */
+    function changeFields(patch) {
+        const next = { ...fields, ...patch };
+        const recurrence = buildRecurrence(next);
+        setFields(next);
+        onChange(recurrence, recurrence === null || validateRecurrence(recurrence) === null);
+    }
+
+    /**
+     * Adds a day to the weekly rule, or removes it when it is already picked.
+     *
+     * @function
+     * @param {number} weekday - The day, 0 (Sunday) to 6 (Saturday)
+     * @returns {void}
+     */
+    function toggleWeekday(weekday) {
+        const weekdays = fields.weekdays.includes(weekday)
+            ? fields.weekdays.filter((day) => day !== weekday)
+            : [...fields.weekdays, weekday].sort((a, b) => a - b);
+        changeFields({ weekdays });
+    }
+
+    /**
+     * Renders one selectable chip.
+     *
+     * @function
+     * @param {string} key - React key
+     * @param {string} label - Chip text
+     * @param {boolean} selected - Whether the chip is highlighted
+     * @param {Function} handler - Press handler
+     * @returns {JSX.Element} The chip
+     */
+    function renderChip(key, label, selected, handler) {
+        return (
+            <Pressable
+                key={key}
+                onPress={handler}
+                accessibilityRole="button"
+                accessibilityState={{ selected }}
+            >
+                <View style={[pickerStyles.chip, selected && pickerStyles.chipSelected]}>
+                    <Text style={pickerStyles.chipText}>{label}</Text>
+                </View>
+            </Pressable>
+        );
+    }
+
+    const recurrence = buildRecurrence(fields);
+    const error = recurrence ? validateRecurrence(recurrence) : null;
+
+    return (
+        <View style={pickerStyles.container}>
+            <Text style={pickerStyles.label}>Repeat</Text>
+            <View style={pickerStyles.chipRow}>
+                {renderChip("none", "Once", fields.type === null, () => changeFields({ type: null }))}
+                {RECURRENCE_TYPES.map((type) =>
+                    renderChip(type.value, type.label, fields.type === type.value, () =>
+                        changeFields({ type: type.value })
+                    )
+                )}
+            </View>
+
+            {/* Days between occurrences */}
+            {fields.type === "interval" && (
+                <TextInput
+                    placeholder="Number of days"
+                    placeholderTextColor="#b9a6e0"
+                    value={fields.days}
+                    onChangeText={(days) => changeFields({ days })}
+                    keyboardType="number-pad"
+                    maxLength={3}
+                    style={pickerStyles.customInput}
+                />
+            )}
+
+            {/* Days of the week, any number of them */}
+            {fields.type === "weekly" && (
+                <View style={pickerStyles.chipRow}>
+                    {WEEKDAY_LABELS.map((label, weekday) =>
+                        renderChip(label, label, fields.weekdays.includes(weekday), () => toggleWeekday(weekday))
+                    )}
+                </View>
+            )}
+
+            {/* Day of the month */}
+            {fields.type === "monthly" && (
+                <TextInput
+                    placeholder="Day of the month"
+                    placeholderTextColor="#b9a6e0"
+                    value={fields.dayOfMonth}
+                    onChangeText={(dayOfMonth) => changeFields({ dayOfMonth })}
+                    keyboardType="number-pad"
+                    maxLength={2}
+                    style={pickerStyles.customInput}
+                />
+            )}
+            {error && <Text style={pickerStyles.errorText}>{error}</Text>}
+        </View>
+    );
+}
+
+export default RecurrencePicker;
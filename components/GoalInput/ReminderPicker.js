@@ -0,0 +1,187 @@
+/**
+ * @fileoverview ReminderPicker component for choosing a goal's reminder in the Todo App.
+ * This component offers no reminder, a one-off reminder on a given day, or a
+ * daily or weekly reminder, each at a typed time of day.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState } from "react";
+import { View, Text, TextInput, Pressable } from "react-native";
+import { toDateKey, WEEKDAY_LABELS } from "../../utils/dates";
+import {
+    REMINDER_TYPES,
+    parseTime,
+    formatTime,
+    validateReminder,
+} from "../../utils/reminders";
+import { pickerStyles } from "./styles";
+
+/**
+ * Time of day suggested for a new reminder.
+ *
+ * @constant
+ * @type {string}
+ */
+const DEFAULT_REMINDER_TIME = "09:00";
+
+/**
+ * ReminderPicker component that lets the user pick an optional reminder.
+ *
+ * The picker renders a row of chips: "None", "Once", "Daily" and "Weekly".
+ * Any choice but "None" shows a time field; "Once" adds a date field and
+ * "Weekly" a row of weekday chips. Every change is reported as
+ * `onChange(reminder, isValid)`, where `reminder` is null for "None" and
+ * `isValid` is false while the time or date is incomplete.
+ *
+ * The initial `value` fills the fields, so the parent should remount the
+ * picker (via `key`) when it loads another goal.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {(import("../../utils/reminders").Reminder|null)} props.value - The selected reminder
+ * @param {Function} props.onChange - Callback receiving `(reminder, isValid)`
+ *
+ * @returns {JSX.Element} The reminder chips and fields
+ *
+ * @example
+ * <ReminderPicker
+ *   value={reminder}
+ *   onChange={(nextReminder, isValid) => {
+ *     setReminder(nextReminder);
+ *     setIsReminderValid(isValid);
+ *   }}
+ * />
+ */
+function ReminderPicker({ value, onChange }) {
+    /**
+     * The fields of the reminder being entered. They are kept when switching
+     * between kinds, so going from "Once" to "Daily" and back loses nothing.
+     *
+     * @type {{type: (string|null), time: string, date: string, weekday: number}}
+     */
+    const [fields, setFields] = useState(() => ({
+        type: value ? value.type : null,
+        time: value ? value.time : DEFAULT_REMINDER_TIME,
+        date: value && value.date ? value.date : toDateKey(new Date()),
+        weekday: value && Number.isInteger(value.weekday) ? value.weekday : new Date().getDay(),
+    }));
+
+    /**
+     * Builds the reminder described by the fields.
+     *
+     * @function
+     * @param {{type: (string|null), time: string, date: string, weekday: number}} next - The fields
+     * @returns {(import("../../utils/reminders").Reminder|null)} The reminder, or null for "None"
+     */
+    function buildReminder(next) {
+        const parsedTime = parseTime(next.time);
+        const time = parsedTime ? formatTime(parsedTime) : next.time;
+        switch (next.type) {
+            case "once":
+                return { type: "once", time, date: next.date };
+            case "daily":
+                return { type: "daily", time };
+            case "weekly":
+                return { type: "weekly", time, weekday: next.weekday };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Changes some of the fields and reports the resulting reminder.
+     *
+     * @function
+     * @param {Object} patch - The fields to change
+     * @returns {void}
+     */
+    function changeFields(patch) {
+        const next = { ...fields, ...patch };
+        const reminder = buildReminder(next);
+        setFields(next);
+        onChange(reminder, reminder === null || validateReminder(reminder) === null);
+    }
+
+    /**
+     * Renders one selectable chip.
+     *
+     * @function
+     * @param {string} key - React key
+     * @param {string} label - Chip text
+     * @param {boolean} selected - Whether the chip is highlighted
+     * @param {Function} handler - Press handler
+     * @returns {JSX.Element} The chip
+     */
+    function renderChip(key, label, selected, handler) {
+        return (
+            <Pressable
+                key={key}
+                onPress={handler}
+                accessibilityRole="button"
+                accessibilityState={{ selected }}
+            >
+                <View style={[pickerStyles.chip, selected && pickerStyles.chipSelected]}>
+                    <Text style={pickerStyles.chipText}>{label}</Text>
+                </View>
+            </Pressable>
+        );
+    }
+
+    const reminder = buildReminder(fields);
+    const error = reminder ? validateReminder(reminder) : null;
+
+    return (
+        <View style={pickerStyles.container}>
+            <Text style={pickerStyles.label}>Reminder</Text>
+            <View style={pickerStyles.chipRow}>
+                {renderChip("none", "None", fields.type === null, () => changeFields({ type: null }))}
+                {REMINDER_TYPES.map((type) =>
+                    renderChip(type.value, type.label, fields.type === type.value, () =>
+                        changeFields({ type: type.value })
+                    )
+                )}
+            </View>
+
+            {/* Day of the week for weekly reminders */}
+            {fields.type === "weekly" && (
+                <View style={pickerStyles.chipRow}>
+                    {WEEKDAY_LABELS.map((label, weekday) =>
+                        renderChip(label, label, fields.weekday === weekday, () => changeFields({ weekday }))
+                    )}
+                </View>
+            )}
+
+            {/* Day of a one-off reminder */}
+            {fields.type === "once" && (
+                <TextInput
+                    placeholder="YYYY-MM-DD"
+                    placeholderTextColor="#b9a6e0"
+                    value={fields.date}
+                    onChangeText={(date) => changeFields({ date })}
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={10}
+                    style={pickerStyles.customInput}
+                />
+            )}
+
+            {/* Time of day */}
+            {fields.type !== null && (
+                <TextInput
+                    placeholder="HH:MM"
+                    placeholderTextColor="#b9a6e0"
+                    value={fields.time}
+                    onChangeText={(time) => changeFields({ time })}
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={5}
+                    style={pickerStyles.customInput}
+                />
+            )}
+            {error && <Text style={pickerStyles.errorText}>{error}</Text>}
+        </View>
+    );
+}
+
+export default ReminderPicker;
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview TagInput component for adding tags to a goal in the Todo App.
+ * This component shows the chosen tags as removable chips, a field for typing
+ * new ones, and suggestions taken from tags already used on other goals.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState } from "react";
+import { View, Text, TextInput, Pressable } from "react-native";
+import { mergeTags, suggestTags } from "../../utils/tags";
+import { pickerStyles } from "./styles";
+
+/**
+ * TagInput component that edits a list of tags.
+ *
+ * Typing a comma or a space, submitting the field or leaving it turns the
+ * typed text into a tag. Tapping a suggestion adds it directly, and tapping a chosen tag
+ * removes it.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string[]} props.value - The chosen tags
+ * @param {Function} props.onChange - Callback receiving the new list of tags
+ * @param {string[]} [props.knownTags=[]] - Tags used elsewhere, best first, offered as suggestions
+ *
+ * @returns {JSX.Element} The tag editor
+ *
+ * @example
+ * <TagInput value={tags} onChange={setTags} knownTags={["react", "dsa", "python"]} />
+ */
+function TagInput({ value, onChange, knownTags = [] }) {
+    /**
+     * The tag currently being typed.
+     *
+     * @type {string}
+     */
+    const [draft, setDraft] = useState("");
+
+    const suggestions = suggestTags(draft, knownTags, { exclude: value });
+
+    /**
+     * Adds tags to the chosen ones and clears the field.
+     *
+     * @function
+     * @param {string[]} tags - The tags to add
+     * @returns {void}
+     */
+    function addTags(tags) {
+        onChange(mergeTags(value, tags));
+        setDraft("");
+    }
+
+    /**
+     * Handles typing, committing every complete tag followed by a comma or space.
+     *
+     * @function
+     * @param {string} text - The field's new text
+     * @returns {void}
+     */
+    function draftHandler(text) {
+        const parts = text.split(/[,\s]+/);
+        if (parts.length > 1) {
+            const remainder = parts.pop();
+            onChange(mergeTags(value, parts));
+            setDraft(remainder);
+        } else {
+            setDraft(text);
+        }
+    }
+
+    /**
+     * Removes a chosen tag.
+     *
+     * @function
+     * @param {string} tag - The tag to remove
+     * @returns {void}
+     */
+    function removeTag(tag) {
+        onChange(value.filter((candidate) => candidate !== tag));
+    }
+
+    return (
+        <View style={pickerStyles.container}>
+            <Text style={pickerStyles.label}>Tags</Text>
+
+            {/* Chosen tags; tap to remove */}
+            {value.length > 0 && (
+                <View style={pickerStyles.chipRow}>
+                    {value.map((tag) => (
+                        <Pressable
+                            key={tag}
+                            onPress={() => removeTag(tag)}
+                            accessibilityRole="button"
+                            accessibilityLabel={`Remove tag ${tag}`}
+                        >
+                            <View style={[pickerStyles.chip, pickerStyles.chipSelected]}>
+                                <Text style={pickerStyles.chipText}>#{tag} ✕</Text>
+                            </View>
+                        </Pressable>
+                    ))}
+                </View>
+            )}
+
+            <TextInput
+                placeholder="Add a tag"
+                placeholderTextColor="#b9a6e0"
+                value={draft}
+                onChangeText={draftHandler}
+                onSubmitEditing={() => addTags([draft])}
+                onEndEditing={() => addTags([draft])}
+                autoCapitalize="none"
+                autoCorrect={false}
+                blurOnSubmit={false}
+                style={pickerStyles.customInput}
+            />
+
+            {/* Suggestions from tags already in use */}
+            {suggestions.length > 0 && (
+                <View style={pickerStyles.chipRow}>
+                    {suggestions.map((tag) => (
+                        <Pressable
+                            key={tag}
+                            onPress={() => addTags([tag])}
+                            accessibilityRole="button"
+                            accessibilityLabel={`Add tag ${tag}`}
+                        >
+                            <View style={pickerStyles.chip}>
+                                <Text style={pickerStyles.chipText}>+ #{tag}</Text>
+                            </View>
+                        </Pressable>
+                    ))}
+                </View>
+            )}
+        </View>
+    );
+}
+
+export default TagInput;
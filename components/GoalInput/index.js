@@ -1,6 +1,7 @@
 /**
- * @fileoverview GoalInput component for adding new goals to the Todo App.
- * This component provides a modal-based interface for users to input new goals,
+ * @fileoverview GoalInput component for adding and editing goals in the Todo App.
+ * This component provides a modal-based interface for users to input new goals
+ * or change the text of an existing one,
  * featuring a text input field, goal icon, and action buttons for adding or canceling.
  * 
  * @author Todo App Team
@@ -8,34 +9,71 @@
  * @since 2025
  */
 
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import {
     TextInput,
     View,
     Button,
     Modal,
     Image,
+    Text,
+    ScrollView,
 } from "react-native";
 import ActionButton from './ActionButton';
+import DueDatePicker from './DueDatePicker';
+import PriorityPicker from './PriorityPicker';
+import ListPicker from './ListPicker';
+import TagInput from './TagInput';
+import ReminderPicker from './ReminderPicker';
+import RecurrencePicker from './RecurrencePicker';
+import NotesInput from './NotesInput';
 import { goalInputStyles, actionbButtonsStyles } from './styles';
+import { validateGoalText, validateGoalNotes } from '../../utils/validation';
+import { DEFAULT_PRIORITY } from '../../utils/priority';
+import { extractHashtags, mergeTags } from '../../utils/tags';
+import { toDateKey } from '../../utils/dates';
+import { getFirstOccurrence } from '../../utils/recurrence';
+import { selectGoalsInList } from '../../utils/goalSelectors';
+import { useGoalsState, useGoalsDispatch } from '../../store/GoalsProvider';
+import { addGoal, updateGoal } from '../../store/actions';
+import { getKnownTags } from '../../store/selectors';
 
 /**
- * GoalInput component that provides a modal interface for adding new goals.
+ * GoalInput component that provides a modal interface for adding and editing goals.
+ * 
+ * The component works in one of two modes:
+ * - Create mode (no `goalToEdit`): the input starts empty and the primary
+ *   action is "Add Goal", which adds a goal with the entered fields
+ *   (`{ text, notes, dueDate, priority, listId, tags, reminder, recurrence }`) to the goals store
+ * - Edit mode (`goalToEdit` given): the inputs start with the goal's values and
+ *   the primary action is "Save", which updates the goal in the store
  * 
  * This component renders a full-screen modal with:
  * - A goal icon image for visual appeal
  * - A text input field for entering goal text
- * - Action buttons for adding the goal or canceling
+ * - An inline validation message under the input once the user has typed
+ * - Optional multi-line notes in a small Markdown subset, with a preview
+ * - An optional due date with quick presets or a custom date
+ * - A priority picker (low, normal, high, urgent)
+ * - An optional reminder, once at a given day or daily or weekly, at a given time
+ * - An optional repeat rule that turns the goal into a habit; a recurring
+ *   goal saved without a due date is due on the rule's first day from today
+ * - A list picker, shown when there is more than one list, to choose or
+ *   change the list the goal belongs to
+ * - A tag editor that suggests tags already used on other goals; inline
+ *   #hashtags typed in the goal text are added to the tags on submit
+ * - Action buttons for adding or saving the goal, or canceling
  * - Slide animation for smooth modal presentation
  * - Purple theme matching the main app design
  * 
- * The component manages its own internal state for the text input while
- * communicating with the parent component through callback functions
- * for goal addition and modal closure.
+ * The component manages its own internal state for the text input. The
+ * lists, the goals of the active list (used to reject duplicates) and the
+ * known tags are read from the goals store, and the modal asks the parent to
+ * close it once the goal was added or saved.
  * 
  * @component
  * @param {Object} props - The component props
- * @param {Function} props.addGoalHanlder - Callback function to add a new goal
+ * @param {{text: string, id: string, notes: string, dueDate: string|null, priority: string, listId: string, tags: string[], reminder: Object|null, recurrence: Object|null}|null} [props.goalToEdit] - The goal to edit; switches the modal to edit mode
  * @param {boolean} props.visibilty - Controls modal visibility (note: typo in prop name)
  * @param {Function} props.closeModal - Callback function to close the modal
  * 
@@ -45,31 +83,47 @@ import { goalInputStyles, actionbButtonsStyles } from './styles';
  * // Basic usage in parent component
  * <GoalInput
  *   visibilty={isModalVisible}
- *   addGoalHanlder={(goalText) => addGoal(goalText)}
  *   closeModal={() => setModalVisible(false)}
  * />
  * 
  * @example
- * // Complete integration with state management
+ * // Edit mode, prefilled with the goal's text
+ * <GoalInput
+ *   visibilty={isModalVisible}
+ *   goalToEdit={{ id: "1", text: "Learn Reakt", dueDate: null, priority: "high", listId: "default", tags: ["react"] }}
+ *   closeModal={() => setModalVisible(false)}
+ * />
+ * 
+ * @example
+ * // Complete integration with the goals store
  * function App() {
  *   const [modalVisible, setModalVisible] = useState(false);
- *   const [goals, setGoals] = useState([]);
- * 
- *   const addGoal = (text) => {
- *     setGoals(prev => [...prev, { id: Date.now(), text }]);
- *     setModalVisible(false);
- *   };
  * 
  *   return (
- *     <GoalInput
- *       visibilty={modalVisible}
- *       addGoalHanlder={addGoal}
- *       closeModal={() => setModalVisible(false)}
- *     />
+ *     <GoalsProvider repository={goalRepository}>
+ *       <GoalInput
+ *         visibilty={modalVisible}
+ *         closeModal={() => setModalVisible(false)}
+ *       />
+ *     </GoalsProvider>
  *   );
  * }
  */
-function GoalInput({ addGoalHanlder, visibilty, closeModal }) {
+function GoalInput({
+    goalToEdit = null,
+    visibilty,
+    closeModal,
+}) {
+    /**
+     * The goals store, which provides the lists, the goals to check for
+     * duplicates and the tags to suggest.
+     */
+    const state = useGoalsState();
+    const dispatch = useGoalsDispatch();
+    const { lists } = state;
+    const defaultListId = state.settings.activeListId;
+    const knownTags = getKnownTags(state);
+
     /**
      * Local state for managing the text input value.
      * 
@@ -80,6 +134,157 @@ function GoalInput({ addGoalHanlder, visibilty, closeModal }) {
      */
     const [enteredGoal, setEnteredGoal] = useState("");
 
+    /**
+     * Whether the modal edits an existing goal instead of creating one.
+     * 
+     * @type {boolean}
+     */
+    const isEditing = goalToEdit !== null;
+
+    /**
+     * Whether the user has typed into the input since the modal opened.
+     * Validation errors are only shown after that, so an empty modal does
+     * not open with an error already on screen.
+     * 
+     * @type {boolean}
+     */
+    const [isTouched, setIsTouched] = useState(false);
+
+    /**
+     * The selected due date key, or null for no due date.
+     * 
+     * @type {string|null}
+     */
+    const [dueDate, setDueDate] = useState(null);
+
+    /**
+     * Whether the due date picker currently holds a usable value.
+     * False while a custom date is being typed.
+     * 
+     * @type {boolean}
+     */
+    const [isDueDateValid, setIsDueDateValid] = useState(true);
+
+    /**
+     * The reminder chosen in the reminder picker, or null for no reminder.
+     * 
+     * @type {import("../../utils/reminders").Reminder|null}
+     */
+    const [reminder, setReminder] = useState(null);
+
+    /**
+     * Whether the reminder picker currently holds a usable value.
+     * False while a time or date is being typed.
+     * 
+     * @type {boolean}
+     */
+    const [isReminderValid, setIsReminderValid] = useState(true);
+
+    /**
+     * The repeat rule chosen in the recurrence picker, or null for a one-off goal.
+     * 
+     * @type {import("../../utils/recurrence").Recurrence|null}
+     */
+    const [recurrence, setRecurrence] = useState(null);
+
+    /**
+     * Whether the recurrence picker currently holds a usable value.
+     * False while a number of days or a day of the month is being typed.
+     * 
+     * @type {boolean}
+     */
+    const [isRecurrenceValid, setIsRecurrenceValid] = useState(true);
+
+    /**
+     * The notes typed for the goal, in the Markdown subset of utils/markdown.
+     * 
+     * @type {string}
+     */
+    const [notes, setNotes] = useState("");
+
+    /**
+     * The selected priority level.
+     * 
+     * @type {string}
+     */
+    const [priority, setPriority] = useState(DEFAULT_PRIORITY);
+
+    /**
+     * ID of the list the goal goes into, or is moved to.
+     * 
+     * @type {string|undefined}
+     */
+    const [listId, setListId] = useState(defaultListId);
+
+    /**
+     * The tags chosen in the tag editor, not counting inline #hashtags.
+     * 
+     * @type {string[]}
+     */
+    const [tags, setTags] = useState([]);
+
+    /**
+     * Counter bumped every time the modal opens, used as the `key` of the
+     * due date, reminder and recurrence pickers so they start fresh for every goal.
+     * 
+     * @type {number}
+     */
+    const [formKey, setFormKey] = useState(0);
+
+    /**
+     * Prefills the inputs with the goal's values whenever the modal opens in
+     * edit mode, and clears them when it opens in create mode.
+     */
+    useEffect(() => {
+        if (visibilty) {
+            setEnteredGoal(isEditing ? goalToEdit.text : "");
+            setDueDate(isEditing ? goalToEdit.dueDate : null);
+            setIsDueDateValid(true);
+            setReminder(isEditing ? goalToEdit.reminder : null);
+            setIsReminderValid(true);
+            setRecurrence(isEditing ? goalToEdit.recurrence : null);
+            setIsRecurrenceValid(true);
+            setPriority(isEditing ? goalToEdit.priority : DEFAULT_PRIORITY);
+            setListId(isEditing ? goalToEdit.listId : defaultListId);
+            setTags(isEditing ? goalToEdit.tags : []);
+            setNotes(isEditing ? goalToEdit.notes : "");
+            setIsTouched(false);
+            setFormKey((key) => key + 1);
+        }
+    }, [visibilty, goalToEdit]);
+
+    /**
+     * The entered text split into the goal text and its inline #hashtags.
+     * 
+     * @type {{text: string, tags: string[]}}
+     */
+    const parsedGoal = extractHashtags(enteredGoal);
+
+    /**
+     * The goals of the picked list, which the goal text must not repeat.
+     * 
+     * @type {Array<import("../../utils/goalFactory").Goal>}
+     */
+    const existingGoals = selectGoalsInList(state.goals, listId);
+
+    /**
+     * The validation outcome for the goal text without its hashtags,
+     * recomputed on every render.
+     * 
+     * @type {import("../../utils/validation").ValidationResult}
+     */
+    const validation = validateGoalText(parsedGoal.text, {
+        existingGoals,
+        ignoreGoalId: isEditing ? goalToEdit.id : undefined,
+    });
+
+    /**
+     * The validation outcome for the notes, recomputed on every render.
+     * 
+     * @type {import("../../utils/validation").ValidationResult}
+     */
+    const notesValidation = validateGoalNotes(notes);
+
     /**
      * Handles text input changes and updates the local state.
      * 
@@ -93,21 +298,125 @@ function GoalInput({ addGoalHanlder, visibilty, closeModal }) {
      */
     function goalInputHandler(enteredText) {
         setEnteredGoal(enteredText);
+        setIsTouched(true);
+    }
+
+    /**
+     * Handles a change in the due date picker.
+     * 
+     * @function
+     * @param {string|null} dateKey - The selected due date key
+     * @param {boolean} isValid - Whether the picker's value is usable
+     * @returns {void}
+     */
+    function dueDateHandler(dateKey, isValid) {
+        setDueDate(dateKey);
+        setIsDueDateValid(isValid);
+    }
+
+    /**
+     * Handles a change in the reminder picker.
+     * 
+     * @function
+     * @param {import("../../utils/reminders").Reminder|null} nextReminder - The chosen reminder
+     * @param {boolean} isValid - Whether the picker's value is usable
+     * @returns {void}
+     */
+    function reminderHandler(nextReminder, isValid) {
+        setReminder(nextReminder);
+        setIsReminderValid(isValid);
+    }
+
+    /**
+     * Handles a change in the recurrence picker.
+     * 
+     * @function
+     * @param {import("../../utils/recurrence").Recurrence|null} nextRecurrence - The chosen rule
+     * @param {boolean} isValid - Whether the picker's value is usable
+     * @returns {void}
+     */
+    function recurrenceHandler(nextRecurrence, isValid) {
+        setRecurrence(nextRecurrence);
+        setIsRecurrenceValid(isValid);
     }
 
+    /**
+     * Works out the due date to store. A recurring goal always needs one, so
+     * without a chosen date it gets the rule's first day from today.
+     * 
+     * @function
+     * @returns {string|null} The due date key, or null for no due date
+     */
+    function getSubmittedDueDate() {
+        if (recurrence && !dueDate) {
+            return getFirstOccurrence(recurrence, toDateKey(new Date()));
+        }
+        return dueDate;
+    }
+
+    /**
+     * Whether the form can be submitted.
+     * 
+     * @type {boolean}
+     */
+    const canSubmit =
+        validation.isValid && notesValidation.isValid && isDueDateValid && isReminderValid && isRecurrenceValid;
+
     /**
      * Handles the addition of a new goal and resets the input field.
      * 
      * This function is called when the user presses the "Add Goal" button.
-     * It passes the current input value to the parent component's handler
-     * and then clears the input field for the next goal entry.
+     * It adds a goal with the trimmed text, notes, due date, priority, list, tags,
+     * reminder and repeat rule to the store, clears the input field for the next goal entry and closes the modal.
+     * Invalid input is never passed on.
      * 
      * @function
      * @returns {void}
      */
     function handleAddNewGoal() {
-        addGoalHanlder(enteredGoal);
+        if (!canSubmit) {
+            return;
+        }
+        dispatch(addGoal({
+            text: validation.value,
+            notes: notesValidation.value,
+            dueDate: getSubmittedDueDate(),
+            priority,
+            listId,
+            tags: mergeTags(tags, parsedGoal.tags),
+            reminder,
+            recurrence,
+        }));
         setEnteredGoal("");
+        closeModal();
+    }
+
+    /**
+     * Handles saving the edited fields of an existing goal.
+     * 
+     * This function is called when the user presses the "Save" button in
+     * edit mode. It stores the new text, notes, due date, priority, list, tags,
+     * reminder and repeat rule on the goal and closes the modal.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function handleSaveGoal() {
+        if (!canSubmit) {
+            return;
+        }
+        dispatch(updateGoal(goalToEdit.id, {
+            text: validation.value,
+            notes: notesValidation.value,
+            dueDate: getSubmittedDueDate(),
+            priority,
+            listId,
+            tags: mergeTags(tags, parsedGoal.tags),
+            reminder,
+            recurrence,
+        }));
+        setEnteredGoal("");
+        closeModal();
     }
 
     return (
@@ -115,7 +424,10 @@ function GoalInput({ addGoalHanlder, visibilty, closeModal }) {
             visible={visibilty}
             animationType="slide"
         >
-            <View style={goalInputStyles.inputContainer}>
+            <ScrollView
+                contentContainerStyle={goalInputStyles.inputContainer}
+                keyboardShouldPersistTaps="handled"
+            >
                 {/* Goal icon section - centered at the top */}
                 <View style={{flexDirection: 'row', justifyContent: 'center'}}>
                     <Image
@@ -132,13 +444,51 @@ function GoalInput({ addGoalHanlder, visibilty, closeModal }) {
                     value={enteredGoal}
                     style={goalInputStyles.textInput}
                 />
+
+                {/* Inline validation message, shown once the user has typed */}
+                {isTouched && validation.error && (
+                    <Text style={goalInputStyles.errorText} accessibilityLiveRegion="polite">
+                        {validation.error}
+                    </Text>
+                )}
+
+                {/* Hashtags found in the text, which become tags on submit */}
+                {!(isTouched && validation.error) && parsedGoal.tags.length > 0 && (
+                    <Text style={goalInputStyles.hintText}>
+                        Tags from text: {parsedGoal.tags.map((tag) => `#${tag}`).join(" ")}
+                    </Text>
+                )}
+
+                {/* Optional Markdown notes */}
+                <NotesInput value={notes} onChange={setNotes} error={notesValidation.error} />
+
+                {/* Optional due date */}
+                <DueDatePicker key={formKey} value={dueDate} onChange={dueDateHandler} />
+
+                {/* Optional reminder notification */}
+                <ReminderPicker key={formKey} value={reminder} onChange={reminderHandler} />
+
+                {/* Optional repeat rule for habits */}
+                <RecurrencePicker key={formKey} value={recurrence} onChange={recurrenceHandler} />
+
+                {/* Priority level */}
+                <PriorityPicker value={priority} onChange={setPriority} />
+
+                {/* List the goal belongs to; picking another list moves the goal */}
+                {lists.length > 1 && (
+                    <ListPicker lists={lists} value={listId} onChange={setListId} />
+                )}
+
+                {/* Free-form tags with suggestions */}
+                <TagInput key={formKey} value={tags} onChange={setTags} knownTags={knownTags} />
                 
                 {/* Action buttons container */}
                 <View style={goalInputStyles.actionContainer}>
                     <ActionButton 
-                        content='Add Goal' 
-                        handler={handleAddNewGoal} 
+                        content={isEditing ? 'Save' : 'Add Goal'} 
+                        handler={isEditing ? handleSaveGoal : handleAddNewGoal} 
                         styles={actionbButtonsStyles.addGoalButton}
+                        disabled={!canSubmit}
                     />
                     <ActionButton 
                         content='Cancel' 
@@ -146,7 +496,7 @@ function GoalInput({ addGoalHanlder, visibilty, closeModal }) {
                         styles={actionbButtonsStyles.cancelButton}
                     />
                 </View>
-            </View>
+            </ScrollView>
         </Modal>
     );
 }
@@ -23,7 +23,8 @@ import { StyleSheet } from "react-native";
  */
 export const goalInputStyles = StyleSheet.create({
     /**
-     * Main container style for the goal input modal.
+     * Main container style for the goal input modal, applied to the
+     * content of its scroll view.
      * 
      * Creates a full-screen modal layout with:
      * - Vertical column arrangement
@@ -33,11 +34,12 @@ export const goalInputStyles = StyleSheet.create({
      * - Horizontal padding for content margins
      */
     inputContainer: {
-        flex: 1,                        // Full screen coverage
+        flexGrow: 1,                    // Full screen coverage, growing when content is taller
         flexDirection: "column",        // Vertical stacking of elements
         justifyContent: "center",       // Center content vertically
         gap: 40,                        // Large spacing between child elements
         paddingHorizontal: 20,          // Horizontal margins for content
+        paddingVertical: 40,            // Breathing room when the content scrolls
         backgroundColor: "#311b6b",      // Dark purple background
     },
     
@@ -58,6 +60,28 @@ export const goalInputStyles = StyleSheet.create({
         paddingLeft: 16,                // Left padding for text positioning
     },
     
+    /**
+     * Style for the inline validation message shown under the text input.
+     * 
+     * Uses a soft red that stays readable on the dark purple background.
+     */
+    errorText: {
+        color: '#ff9e8f',               // Soft red for error messages
+        marginTop: -30,                 // Pull the message up under the input, against the container gap
+        paddingLeft: 16,                // Align with the input text
+    },
+    
+    /**
+     * Style for the hint listing the #hashtags found in the goal text.
+     * 
+     * Sits where the validation message would, in a muted lavender.
+     */
+    hintText: {
+        color: '#b9a6e0',               // Same muted lavender as the picker placeholders
+        marginTop: -30,                 // Pull the hint up under the input, like the error message
+        paddingLeft: 16,                // Align with the input text
+    },
+    
     /**
      * Style for the goal icon image displayed at the top of the modal.
      * 
@@ -124,4 +148,122 @@ export const actionbButtonsStyles = {
         paddingHorizontal: 20,          // Left and right padding for button width
         borderRadius: 10,               // Rounded corners matching add button
     },
-}
\ No newline at end of file
+}
+
+/**
+ * StyleSheet object containing styles shared by the chip pickers in the
+ * goal input modal (DueDatePicker, PriorityPicker and ListPicker).
+ * 
+ * The chips reuse the purple palette of the modal, with the selected chip
+ * filled in the same color as the "Add Goal" button.
+ * 
+ * @constant
+ * @type {StyleSheet.NamedStyles}
+ */
+export const pickerStyles = StyleSheet.create({
+    /**
+     * Column holding the label, chips and custom field.
+     */
+    container: {
+        gap: 10,                        // Space between label, chips and field
+    },
+    
+    /**
+     * Small caption above the chips.
+     */
+    label: {
+        color: 'white',                 // White text for contrast
+        fontWeight: 'bold',
+    },
+    
+    /**
+     * Row of chips that wraps on narrow screens.
+     */
+    chipRow: {
+        flexDirection: 'row',           // Chips side by side
+        flexWrap: 'wrap',               // Wrap onto a second line when needed
+        gap: 8,                         // Space between chips
+    },
+    
+    /**
+     * Outlined, pill-shaped chip.
+     */
+    chip: {
+        borderColor: 'white',           // White outline like the text input
+        borderWidth: 1,
+        borderRadius: 20,               // Pill shape
+        paddingVertical: 4,
+        paddingHorizontal: 12,
+    },
+    
+    /**
+     * Filled chip for the current selection.
+     */
+    chipSelected: {
+        backgroundColor: '#b121fe',     // Same purple as the Add Goal button
+        borderColor: '#b121fe',
+    },
+    
+    /**
+     * Chip label.
+     */
+    chipText: {
+        color: 'white',
+    },
+    
+    /**
+     * Small colored dot shown in front of a chip label.
+     */
+    chipDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+    },
+    
+    /**
+     * Chip content laid out in a row, for chips with a dot.
+     */
+    chipContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    
+    /**
+     * Text field for a custom date, styled like the goal text input.
+     */
+    customInput: {
+        borderColor: 'white',
+        borderWidth: 2,
+        color: '#ffffff',
+        borderRadius: 20,
+        paddingLeft: 16,
+    },
+    
+    /**
+     * Message shown while the custom date is not valid.
+     */
+    errorText: {
+        color: '#ff9e8f',               // Same soft red as the goal text errors
+        paddingLeft: 16,
+    },
+    
+    /**
+     * Muted help text under a field, such as the notes formatting hint.
+     */
+    hintText: {
+        color: '#b9a6e0',               // Same muted lavender as the placeholders
+        paddingLeft: 16,
+    },
+    
+    /**
+     * Taller, multi-line variant of the custom field for goal notes.
+     */
+    notesInput: {
+        minHeight: 100,
+        maxHeight: 220,
+        paddingTop: 12,
+        paddingRight: 16,
+        textAlignVertical: 'top',       // Start typing at the top on Android
+    },
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview GoalListStatus component for the loading and error states of the goal list.
+ * This component is rendered in place of the goals list while the saved goals
+ * are being read from storage, or when reading them failed.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, Text, StyleSheet, ActivityIndicator, Button } from "react-native";
+
+/**
+ * GoalListStatus component that shows a spinner or an error message with a retry action.
+ *
+ * - While `status` is "loading" a spinner with a short caption is displayed
+ * - When `status` is "error" the error message is shown with a "Try Again" button
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {"loading"|"error"} props.status - Which state to display
+ * @param {Error} [props.error] - The error that made loading fail
+ * @param {Function} [props.onRetry] - Callback invoked when the user asks to load again
+ *
+ * @returns {JSX.Element} The loading or error placeholder
+ *
+ * @example
+ * <GoalListStatus status="error" error={loadError} onRetry={loadGoals} />
+ */
+export default function GoalListStatus({ status, error, onRetry }) {
+    if (status === "loading") {
+        return (
+            <View style={styles.statusContainer}>
+                <ActivityIndicator size="large" color="white" />
+                <Text style={styles.statusText}>Loading your goals...</Text>
+            </View>
+        );
+    }
+
+    return (
+        <View style={styles.statusContainer}>
+            <Text style={styles.statusText}>We couldn't load your goals.</Text>
+            {error && <Text style={styles.errorDetails}>{error.message}</Text>}
+            <Button title="Try Again" onPress={onRetry} />
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the GoalListStatus component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Centered column that takes the space normally used by the goals list.
+     */
+    statusContainer: {
+        flex: 1,                        // Fill the space of the list
+        justifyContent: "center",       // Center content vertically
+        alignItems: "center",           // Center content horizontally
+        gap: 12,                        // Space between spinner, text and button
+    },
+
+    /**
+     * Main caption shown under the spinner or above the retry button.
+     */
+    statusText: {
+        color: "white",                 // White text for contrast
+        fontSize: 16,                   // Slightly larger than card text
+    },
+
+    /**
+     * Smaller, dimmed text with the technical reason of the failure.
+     */
+    errorDetails: {
+        color: "#e0c8f5",               // Light purple so it reads as secondary
+        textAlign: "center",            // Keep long messages centered
+    },
+});
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview GoalProgressCounter component for the header of the Todo App.
+ * This component summarizes how many goals have been completed out of all goals.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { Text, StyleSheet } from "react-native";
+
+/**
+ * GoalProgressCounter component that renders an "X of Y done" summary.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {Array<{completed: boolean}>} props.goals - The goals to count
+ *
+ * @returns {JSX.Element} The progress summary text
+ *
+ * @example
+ * <GoalProgressCounter goals={listOfGoals} />
+ * // => "2 of 5 done"
+ */
+export default function GoalProgressCounter({ goals }) {
+    const doneCount = goals.filter((goal) => goal.completed).length;
+
+    return (
+        <Text style={styles.counterText} accessibilityRole="header">
+            {doneCount} of {goals.length} done
+        </Text>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the GoalProgressCounter component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Bold, centered header text.
+     */
+    counterText: {
+        color: "white",                 // White text for contrast
+        fontSize: 18,                   // Header size
+        fontWeight: "bold",             // Stand out above the list
+        textAlign: "center",            // Centered in the header
+    },
+});
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview HistoryControls component with the undo and redo buttons of the Todo App header.
+ * The buttons read and change the undo/redo history of the goals store, so
+ * any change to the goals or lists can be taken back and made again.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, Text, Pressable, StyleSheet } from "react-native";
+import { useGoalsHistory } from "../store/GoalsProvider";
+
+/**
+ * HistoryControls component that renders the undo and redo buttons.
+ *
+ * Each button is dimmed and disabled while there is nothing to undo or redo.
+ *
+ * @component
+ * @returns {JSX.Element} The undo and redo buttons
+ *
+ * @example
+ * <View style={styles.headerRow}>
+ *     <GoalProgressCounter goals={goalsInActiveList} />
+ *     <HistoryControls />
+ * </View>
+ */
+export default function HistoryControls() {
+    const { canUndo, canRedo, undo, redo } = useGoalsHistory();
+
+    /**
+     * Renders one history button.
+     *
+     * @function
+     * @param {string} symbol - The arrow shown on the button
+     * @param {string} label - Label read by screen readers
+     * @param {Function} handler - Press handler
+     * @param {boolean} enabled - Whether the button can be pressed
+     * @returns {JSX.Element} The button
+     */
+    function renderButton(symbol, label, handler, enabled) {
+        return (
+            <Pressable
+                onPress={handler}
+                disabled={!enabled}
+                style={[styles.button, !enabled && styles.buttonDisabled]}
+                accessibilityRole="button"
+                accessibilityLabel={label}
+                accessibilityState={{ disabled: !enabled }}
+                hitSlop={8}
+            >
+                <Text style={styles.buttonText}>{symbol}</Text>
+            </Pressable>
+        );
+    }
+
+    return (
+        <View style={styles.controls}>
+            {renderButton("↶", "Undo", undo, canUndo)}
+            {renderButton("↷", "Redo", redo, canRedo)}
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the HistoryControls component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * The two buttons side by side.
+     */
+    controls: {
+        flexDirection: "row",
+        gap: 4,
+    },
+
+    /**
+     * Round outlined button.
+     */
+    button: {
+        width: 36,
+        height: 36,
+        borderRadius: 18,               // Fully rounded
+        borderColor: "white",
+        borderWidth: 1,
+        alignItems: "center",
+        justifyContent: "center",
+    },
+
+    /**
+     * Button with nothing to undo or redo.
+     */
+    buttonDisabled: {
+        opacity: 0.4,                   // Same fade as disabled action buttons
+    },
+
+    /**
+     * The arrow symbol.
+     */
+    buttonText: {
+        color: "white",
+        fontSize: 18,
+    },
+});
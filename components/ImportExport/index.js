@@ -0,0 +1,289 @@
+/**
+ * @fileoverview ImportExport component for getting lists and goals in and out of the app.
+ * This component provides a modal that shares all lists and goals as JSON,
+ * CSV or a Markdown checklist, and imports them back from pasted text, with
+ * a check step that reports rows that can't be imported.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useEffect } from "react";
+import { Modal, View, Text, TextInput, Pressable, ScrollView, Share } from "react-native";
+import * as Clipboard from "expo-clipboard";
+import ActionButton from "../GoalInput/ActionButton";
+import { actionbButtonsStyles } from "../GoalInput/styles";
+import { importExportStyles } from "./styles";
+import { EXPORT_FORMATS, exportGoals } from "../../utils/exportGoals";
+import { IMPORT_MODES, parseImport } from "../../utils/importGoals";
+import { useGoalsState, useGoalsDispatch } from "../../store/GoalsProvider";
+import { importData } from "../../store/actions";
+
+/**
+ * Most row errors listed under the import check; the rest are counted.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_LISTED_ERRORS = 5;
+
+/**
+ * Names of the import formats, as shown in the check summary.
+ *
+ * @constant
+ * @type {Object<string, string>}
+ */
+const FORMAT_LABELS = Object.fromEntries(EXPORT_FORMATS.map((format) => [format.value, format.label]));
+
+/**
+ * ImportExport component that provides a modal to export and import goals.
+ *
+ * Exporting opens the system share sheet with all lists and goals in the
+ * chosen format. Importing works in three steps:
+ * 1. Paste the text (or type it) into the import field
+ * 2. Check it: the format is detected and every row is validated; rows with
+ *    problems are listed with their row or line number and left out
+ * 3. Choose whether to merge the goals into the current ones or replace them,
+ *    and import
+ *
+ * An import is a single change in the undo history, so it can be undone from
+ * the header.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {boolean} props.visible - Controls modal visibility
+ * @param {Function} props.onClose - Callback function to close the modal
+ *
+ * @returns {JSX.Element} A modal interface for importing and exporting goals
+ *
+ * @example
+ * <ImportExport visible={isImportExportVisible} onClose={closeImportExport} />
+ */
+function ImportExport({ visible, onClose }) {
+    const state = useGoalsState();
+    const dispatch = useGoalsDispatch();
+
+    /**
+     * The text in the import field.
+     *
+     * @type {string}
+     */
+    const [importText, setImportText] = useState("");
+
+    /**
+     * The result of checking the import text, or null until it was checked.
+     *
+     * @type {import("../../utils/importGoals").ImportResult|null}
+     */
+    const [checkResult, setCheckResult] = useState(null);
+
+    /**
+     * How the checked goals will be applied.
+     *
+     * @type {string}
+     */
+    const [mode, setMode] = useState(IMPORT_MODES[0].value);
+
+    /**
+     * Clears the import form whenever the modal opens.
+     */
+    useEffect(() => {
+        if (visible) {
+            setImportText("");
+            setCheckResult(null);
+            setMode(IMPORT_MODES[0].value);
+        }
+    }, [visible]);
+
+    /**
+     * Opens the share sheet with all lists and goals in the given format.
+     *
+     * @async
+     * @function
+     * @param {import("../../utils/exportGoals").ExportFormat} format - The chosen format
+     * @returns {Promise<void>}
+     */
+    async function handleExport(format) {
+        try {
+            await Share.share({
+                title: `goals.${format.extension}`,
+                message: exportGoals({ goals: state.goals, lists: state.lists }, format.value),
+            });
+        } catch (error) {
+            console.warn("Failed to share the export", error);
+        }
+    }
+
+    /**
+     * Replaces the import text, dropping the result of an earlier check.
+     *
+     * @function
+     * @param {string} text - The new text
+     * @returns {void}
+     */
+    function changeImportText(text) {
+        setImportText(text);
+        setCheckResult(null);
+    }
+
+    /**
+     * Puts the clipboard text into the import field.
+     *
+     * @async
+     * @function
+     * @returns {Promise<void>}
+     */
+    async function handlePaste() {
+        try {
+            changeImportText(await Clipboard.getStringAsync());
+        } catch (error) {
+            console.warn("Failed to read the clipboard", error);
+        }
+    }
+
+    /**
+     * Validates the import text and shows what would be imported.
+     *
+     * @function
+     * @returns {void}
+     */
+    function handleCheck() {
+        setCheckResult(parseImport(importText));
+    }
+
+    /**
+     * Applies the checked goals to the store and closes the modal.
+     *
+     * @function
+     * @returns {void}
+     */
+    function handleImport() {
+        dispatch(importData({ goals: checkResult.goals, lists: checkResult.lists }, mode));
+        onClose();
+    }
+
+    /**
+     * Renders what the check found: the format, the number of goals and lists,
+     * and the first rows that will be left out.
+     *
+     * @function
+     * @returns {JSX.Element} The check summary
+     */
+    function renderCheckResult() {
+        const { format, rowLabel, goals, lists, errors } = checkResult;
+        return (
+            <View style={importExportStyles.resultBox}>
+                <Text style={importExportStyles.bodyText}>
+                    {FORMAT_LABELS[format]}: {goals.length} {goals.length === 1 ? "goal" : "goals"} in{" "}
+                    {lists.length} {lists.length === 1 ? "list" : "lists"} can be imported.
+                </Text>
+                {errors.slice(0, MAX_LISTED_ERRORS).map((error, index) => (
+                    <Text key={index} style={importExportStyles.errorText}>
+                        {error.row === null ? error.message : `${rowLabel} ${error.row}: ${error.message}`}
+                    </Text>
+                ))}
+                {errors.length > MAX_LISTED_ERRORS && (
+                    <Text style={importExportStyles.errorText}>
+                        …and {errors.length - MAX_LISTED_ERRORS} more problems.
+                    </Text>
+                )}
+            </View>
+        );
+    }
+
+    const canImport = checkResult !== null && checkResult.goals.length > 0;
+
+    return (
+        <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+            <ScrollView
+                contentContainerStyle={importExportStyles.container}
+                keyboardShouldPersistTaps="handled"
+            >
+                <Text style={importExportStyles.title}>Export</Text>
+                <Text style={importExportStyles.bodyText}>
+                    Share all lists and goals as a backup (JSON), a spreadsheet (CSV) or a checklist (Markdown).
+                </Text>
+                <View style={importExportStyles.chipRow}>
+                    {EXPORT_FORMATS.map((format) => (
+                        <ActionButton
+                            key={format.value}
+                            content={format.label}
+                            handler={() => handleExport(format)}
+                            styles={actionbButtonsStyles.addGoalButton}
+                        />
+                    ))}
+                </View>
+
+                <Text style={importExportStyles.title}>Import</Text>
+                <TextInput
+                    placeholder="Paste JSON, CSV or a Markdown checklist"
+                    placeholderTextColor="white"
+                    value={importText}
+                    onChangeText={changeImportText}
+                    multiline
+                    style={importExportStyles.textInput}
+                />
+                <View style={importExportStyles.chipRow}>
+                    <ActionButton
+                        content="Paste"
+                        handler={handlePaste}
+                        styles={actionbButtonsStyles.addGoalButton}
+                    />
+                    <ActionButton
+                        content="Check"
+                        handler={handleCheck}
+                        styles={actionbButtonsStyles.addGoalButton}
+                        disabled={importText.trim().length === 0}
+                    />
+                </View>
+
+                {checkResult && renderCheckResult()}
+
+                {/* Merge or replace */}
+                {canImport && (
+                    <View style={importExportStyles.chipRow}>
+                        {IMPORT_MODES.map((option) => (
+                            <Pressable
+                                key={option.value}
+                                onPress={() => setMode(option.value)}
+                                style={[
+                                    importExportStyles.option,
+                                    mode === option.value && importExportStyles.optionSelected,
+                                ]}
+                                accessibilityRole="radio"
+                                accessibilityState={{ checked: mode === option.value }}
+                            >
+                                <Text style={importExportStyles.optionText}>{option.label}</Text>
+                            </Pressable>
+                        ))}
+                    </View>
+                )}
+                {canImport && (
+                    <Text style={importExportStyles.hintText}>
+                        {mode === "replace"
+                            ? "All current goals will be replaced."
+                            : "Goals you already have are only updated by newer versions."}{" "}
+                        You can undo the import from the header.
+                    </Text>
+                )}
+
+                <View style={importExportStyles.actionContainer}>
+                    <ActionButton
+                        content="Import"
+                        handler={handleImport}
+                        styles={actionbButtonsStyles.addGoalButton}
+                        disabled={!canImport}
+                    />
+                    <ActionButton
+                        content="Close"
+                        handler={onClose}
+                        styles={actionbButtonsStyles.cancelButton}
+                    />
+                </View>
+            </ScrollView>
+        </Modal>
+    );
+}
+
+export default ImportExport;
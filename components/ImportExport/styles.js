@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Styles configuration for the ImportExport component.
+ * This module contains the styling definitions for the import and export
+ * modal, which follows the dark purple look of the goal input modal.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { StyleSheet } from "react-native";
+
+/**
+ * StyleSheet object containing styles for the ImportExport component.
+ *
+ * @constant
+ * @type {StyleSheet.NamedStyles}
+ */
+export const importExportStyles = StyleSheet.create({
+    /**
+     * Full-screen column on the modal's purple background.
+     */
+    container: {
+        flexGrow: 1,                    // Full screen coverage
+        gap: 16,                        // Space between the sections
+        paddingHorizontal: 20,
+        paddingVertical: 40,
+        backgroundColor: "#311b6b",     // Same dark purple as the goal input modal
+    },
+
+    /**
+     * Section heading.
+     */
+    title: {
+        color: "white",
+        fontSize: 22,
+        fontWeight: "bold",
+    },
+
+    /**
+     * Explanatory text.
+     */
+    bodyText: {
+        color: "white",
+    },
+
+    /**
+     * Large field for the pasted import text.
+     */
+    textInput: {
+        borderColor: "white",
+        borderWidth: 2,
+        color: "#ffffff",
+        borderRadius: 20,
+        padding: 16,
+        minHeight: 140,
+        maxHeight: 240,
+        textAlignVertical: "top",       // Start typing at the top on Android
+    },
+
+    /**
+     * Row of buttons or choices that wraps on narrow screens.
+     */
+    chipRow: {
+        flexDirection: "row",
+        flexWrap: "wrap",
+        gap: 8,
+    },
+
+    /**
+     * Outlined box with the result of the import check.
+     */
+    resultBox: {
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 10,
+        padding: 12,
+        gap: 6,
+    },
+
+    /**
+     * A row that will be left out of the import.
+     */
+    errorText: {
+        color: "#ff9e8f",               // Same soft red as the goal input errors
+    },
+
+    /**
+     * Note on what the chosen import mode does.
+     */
+    hintText: {
+        color: "white",
+        opacity: 0.8,
+    },
+
+    /**
+     * A single outlined choice.
+     */
+    option: {
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 20,               // Pill shape
+        paddingVertical: 6,
+        paddingHorizontal: 16,
+    },
+
+    /**
+     * The selected choice, filled in the Add Goal button's purple.
+     */
+    optionSelected: {
+        backgroundColor: "#b121fe",
+        borderColor: "#b121fe",
+    },
+
+    /**
+     * Label of a choice.
+     */
+    optionText: {
+        color: "white",
+    },
+
+    /**
+     * Import and Close buttons side by side.
+     */
+    actionContainer: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+    },
+});
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview ListEditor component for creating, renaming, recoloring and deleting goal lists.
+ * This component provides a modal with a name field and a color palette, and
+ * a guarded delete flow that asks what should happen to the list's goals.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useEffect } from "react";
+import { Modal, View, Text, TextInput, Pressable, ScrollView } from "react-native";
+import ActionButton from "../GoalInput/ActionButton";
+import { actionbButtonsStyles } from "../GoalInput/styles";
+import { listEditorStyles } from "./styles";
+import { LIST_COLORS } from "../../utils/listFactory";
+import { useGoalsState, useGoalsDispatch } from "../../store/GoalsProvider";
+import { addList, updateList, deleteList } from "../../store/actions";
+import { countGoalsInList } from "../../store/selectors";
+
+/**
+ * Longest allowed list name, in characters.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_LIST_NAME_LENGTH = 40;
+
+/**
+ * ListEditor component that provides a modal for editing a goal list.
+ *
+ * The component works in one of two modes:
+ * - Create mode (`list` is null): empty name, first color selected, "Create" action
+ * - Edit mode (`list` given): prefilled name and color, "Save" action and a
+ *   "Delete list" action
+ *
+ * Deleting asks for confirmation inside the modal. When the list still has
+ * goals, the user chooses another list to move them to, or deletes them with
+ * the list. The last remaining list can't be deleted.
+ *
+ * Saving and deleting go straight to the goals store; a new list becomes the
+ * active one. The modal closes itself through `onClose` afterwards.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {boolean} props.visible - Controls modal visibility
+ * @param {import("../../utils/listFactory").GoalList|null} props.list - The list to edit, or null to create one
+ * @param {Function} props.onClose - Callback function to close the modal
+ *
+ * @returns {JSX.Element} A modal interface for list editing
+ *
+ * @example
+ * <ListEditor
+ *   visible={isListEditorVisible}
+ *   list={editingList}
+ *   onClose={closeListEditor}
+ * />
+ */
+function ListEditor({ visible, list, onClose }) {
+    const isEditing = list !== null;
+
+    /**
+     * The goals store, which provides the lists offered as move targets and
+     * the number of goals in the list being edited.
+     */
+    const state = useGoalsState();
+    const dispatch = useGoalsDispatch();
+    const { lists } = state;
+    const goalCount = isEditing ? countGoalsInList(state, list.id) : 0;
+
+    /**
+     * The name typed into the name field.
+     *
+     * @type {string}
+     */
+    const [name, setName] = useState("");
+
+    /**
+     * The selected color.
+     *
+     * @type {string}
+     */
+    const [color, setColor] = useState(LIST_COLORS[0]);
+
+    /**
+     * Whether the delete confirmation is shown instead of the edit form.
+     *
+     * @type {boolean}
+     */
+    const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+
+    /**
+     * ID of the list the goals will be moved to, or null to delete them.
+     *
+     * @type {string|null}
+     */
+    const [moveToListId, setMoveToListId] = useState(null);
+
+    const otherLists = isEditing ? lists.filter((candidate) => candidate.id !== list.id) : [];
+
+    /**
+     * Resets the form whenever the modal opens.
+     */
+    useEffect(() => {
+        if (visible) {
+            setName(isEditing ? list.name : "");
+            setColor(isEditing ? list.color : LIST_COLORS[0]);
+            setIsConfirmingDelete(false);
+            setMoveToListId(otherLists.length > 0 ? otherLists[0].id : null);
+        }
+    }, [visible, list]);
+
+    const trimmedName = name.trim();
+    const nameError =
+        trimmedName.length === 0
+            ? "Please enter a name."
+            : trimmedName.length > MAX_LIST_NAME_LENGTH
+            ? `List names can be at most ${MAX_LIST_NAME_LENGTH} characters.`
+            : null;
+
+    /**
+     * Creates the list, or renames and recolors the list being edited, with
+     * the trimmed name and the color.
+     *
+     * @function
+     * @returns {void}
+     */
+    function handleSave() {
+        if (nameError) {
+            return;
+        }
+        const fields = { name: trimmedName, color };
+        dispatch(isEditing ? updateList(list.id, fields) : addList(fields));
+        onClose();
+    }
+
+    /**
+     * Confirms the deletion with the chosen destination for the goals.
+     *
+     * @function
+     * @returns {void}
+     */
+    function handleConfirmDelete() {
+        dispatch(deleteList(list.id, goalCount > 0 ? moveToListId : null));
+        onClose();
+    }
+
+    /**
+     * Renders the delete confirmation step.
+     *
+     * @function
+     * @returns {JSX.Element} The confirmation content
+     */
+    function renderDeleteConfirmation() {
+        return (
+            <>
+                <Text style={listEditorStyles.title}>Delete "{list.name}"?</Text>
+                {goalCount > 0 ? (
+                    <>
+                        <Text style={listEditorStyles.bodyText}>
+                            This list has {goalCount} {goalCount === 1 ? "goal" : "goals"}. What should
+                            happen to {goalCount === 1 ? "it" : "them"}?
+                        </Text>
+                        <View style={listEditorStyles.optionColumn}>
+                            {otherLists.map((candidate) => (
+                                <Pressable
+                                    key={candidate.id}
+                                    onPress={() => setMoveToListId(candidate.id)}
+                                    style={[
+                                        listEditorStyles.option,
+                                        moveToListId === candidate.id && listEditorStyles.optionSelected,
+                                    ]}
+                                    accessibilityRole="radio"
+                                    accessibilityState={{ checked: moveToListId === candidate.id }}
+                                >
+                                    <Text style={listEditorStyles.optionText}>Move to "{candidate.name}"</Text>
+                                </Pressable>
+                            ))}
+                            <Pressable
+                                onPress={() => setMoveToListId(null)}
+                                style={[
+                                    listEditorStyles.option,
+                                    moveToListId === null && listEditorStyles.optionSelected,
+                                ]}
+                                accessibilityRole="radio"
+                                accessibilityState={{ checked: moveToListId === null }}
+                            >
+                                <Text style={listEditorStyles.optionText}>Delete the goals too</Text>
+                            </Pressable>
+                        </View>
+                    </>
+                ) : (
+                    <Text style={listEditorStyles.bodyText}>This list is empty.</Text>
+                )}
+                <View style={listEditorStyles.actionContainer}>
+                    <ActionButton
+                        content="Delete list"
+                        handler={handleConfirmDelete}
+                        styles={actionbButtonsStyles.cancelButton}
+                    />
+                    <ActionButton
+                        content="Back"
+                        handler={() => setIsConfirmingDelete(false)}
+                        styles={actionbButtonsStyles.addGoalButton}
+                    />
+                </View>
+            </>
+        );
+    }
+
+    /**
+     * Renders the name and color form.
+     *
+     * @function
+     * @returns {JSX.Element} The form content
+     */
+    function renderForm() {
+        return (
+            <>
+                <Text style={listEditorStyles.title}>{isEditing ? "Edit list" : "New list"}</Text>
+                <TextInput
+                    placeholder="List name"
+                    placeholderTextColor="white"
+                    value={name}
+                    onChangeText={setName}
+                    style={listEditorStyles.textInput}
+                />
+                {nameError && name.length > 0 && (
+                    <Text style={listEditorStyles.errorText}>{nameError}</Text>
+                )}
+
+                {/* Color palette */}
+                <View style={listEditorStyles.swatchRow}>
+                    {LIST_COLORS.map((swatch) => (
+                        <Pressable
+                            key={swatch}
+                            onPress={() => setColor(swatch)}
+                            style={[
+                                listEditorStyles.swatch,
+                                { backgroundColor: swatch },
+                                swatch === color && listEditorStyles.swatchSelected,
+                            ]}
+                            accessibilityRole="radio"
+                            accessibilityState={{ checked: swatch === color }}
+                            accessibilityLabel={`Color ${swatch}`}
+                        />
+                    ))}
+                </View>
+
+                <View style={listEditorStyles.actionContainer}>
+                    <ActionButton
+                        content={isEditing ? "Save" : "Create"}
+                        handler={handleSave}
+                        styles={actionbButtonsStyles.addGoalButton}
+                        disabled={nameError !== null}
+                    />
+                    <ActionButton
+                        content="Cancel"
+                        handler={onClose}
+                        styles={actionbButtonsStyles.cancelButton}
+                    />
+                </View>
+
+                {/* Deleting is offered only when another list would remain */}
+                {isEditing && otherLists.length > 0 && (
+                    <Pressable onPress={() => setIsConfirmingDelete(true)} accessibilityRole="button">
+                        <Text style={listEditorStyles.deleteLink}>Delete list</Text>
+                    </Pressable>
+                )}
+            </>
+        );
+    }
+
+    return (
+        <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+            <ScrollView
+                contentContainerStyle={listEditorStyles.container}
+                keyboardShouldPersistTaps="handled"
+            >
+                {isEditing && isConfirmingDelete ? renderDeleteConfirmation() : renderForm()}
+            </ScrollView>
+        </Modal>
+    );
+}
+
+export default ListEditor;
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Styles configuration for the ListEditor component.
+ * This module contains the styling definitions for the list editing modal,
+ * which follows the dark purple look of the goal input modal.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { StyleSheet } from "react-native";
+
+/**
+ * StyleSheet object containing styles for the ListEditor component.
+ *
+ * @constant
+ * @type {StyleSheet.NamedStyles}
+ */
+export const listEditorStyles = StyleSheet.create({
+    /**
+     * Full-screen, vertically centered column on the modal's purple background.
+     */
+    container: {
+        flexGrow: 1,                    // Full screen coverage
+        justifyContent: "center",       // Center content vertically
+        gap: 24,                        // Space between the form sections
+        paddingHorizontal: 20,
+        paddingVertical: 40,
+        backgroundColor: "#311b6b",     // Same dark purple as the goal input modal
+    },
+
+    /**
+     * Modal heading.
+     */
+    title: {
+        color: "white",
+        fontSize: 22,
+        fontWeight: "bold",
+        textAlign: "center",
+    },
+
+    /**
+     * Explanatory text in the delete confirmation.
+     */
+    bodyText: {
+        color: "white",
+        textAlign: "center",
+    },
+
+    /**
+     * Name field, styled like the goal text input.
+     */
+    textInput: {
+        borderColor: "white",
+        borderWidth: 2,
+        color: "#ffffff",
+        borderRadius: 20,
+        paddingLeft: 16,
+    },
+
+    /**
+     * Inline message for an invalid name.
+     */
+    errorText: {
+        color: "#ff9e8f",               // Same soft red as the goal input errors
+        marginTop: -16,                 // Pull the message up under the field
+        paddingLeft: 16,
+    },
+
+    /**
+     * Row of color swatches.
+     */
+    swatchRow: {
+        flexDirection: "row",
+        justifyContent: "center",
+        gap: 12,
+    },
+
+    /**
+     * Round color swatch.
+     */
+    swatch: {
+        width: 36,
+        height: 36,
+        borderRadius: 18,
+    },
+
+    /**
+     * Ring around the selected swatch.
+     */
+    swatchSelected: {
+        borderColor: "white",
+        borderWidth: 3,
+    },
+
+    /**
+     * Save/Create and Cancel buttons side by side.
+     */
+    actionContainer: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+    },
+
+    /**
+     * Understated link that starts the delete flow.
+     */
+    deleteLink: {
+        color: "#ff9e8f",
+        textAlign: "center",
+        textDecorationLine: "underline",
+    },
+
+    /**
+     * Stack of choices for what happens to the goals of a deleted list.
+     */
+    optionColumn: {
+        gap: 8,
+    },
+
+    /**
+     * A single outlined choice.
+     */
+    option: {
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 10,
+        paddingVertical: 10,
+        paddingHorizontal: 16,
+    },
+
+    /**
+     * The selected choice, filled in the Add Goal button's purple.
+     */
+    optionSelected: {
+        backgroundColor: "#b121fe",
+        borderColor: "#b121fe",
+    },
+
+    /**
+     * Label of a choice.
+     */
+    optionText: {
+        color: "white",
+    },
+});
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview ListSwitcher component for switching between goal lists in the Todo App.
+ * This component renders a horizontally scrolling row of list tabs, followed
+ * by buttons to edit the current list and to create a new one.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { ScrollView, View, Text, Pressable, StyleSheet } from "react-native";
+import { useGoalsState, useGoalsDispatch } from "../store/GoalsProvider";
+import { selectList } from "../store/actions";
+import { getOpenCounts } from "../store/selectors";
+
+/**
+ * ListSwitcher component that shows every list as a tab.
+ *
+ * Each tab carries a dot in the list's color and the number of open goals
+ * in that list. The active tab is filled. The lists and counts are read from
+ * the goals store, and tapping a tab makes that list the active one.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {Function} props.onEditList - Callback invoked to edit the active list
+ * @param {Function} props.onCreateList - Callback invoked to create a new list
+ * @param {Function} props.onOpenTemplates - Callback invoked to browse goal templates
+ *
+ * @returns {JSX.Element} The list tabs
+ *
+ * @example
+ * <ListSwitcher
+ *   onEditList={openListEditor}
+ *   onCreateList={openNewListEditor}
+ *   onOpenTemplates={openTemplateBrowser}
+ * />
+ */
+export default function ListSwitcher({ onEditList, onCreateList, onOpenTemplates }) {
+    const state = useGoalsState();
+    const dispatch = useGoalsDispatch();
+    const { lists } = state;
+    const { activeListId } = state.settings;
+    const openCounts = getOpenCounts(state);
+
+    return (
+        <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.tabRow}
+        >
+            {lists.map((list) => {
+                const active = list.id === activeListId;
+                return (
+                    <Pressable
+                        key={list.id}
+                        onPress={() => dispatch(selectList(list.id))}
+                        style={[styles.tab, active && styles.tabActive]}
+                        accessibilityRole="tab"
+                        accessibilityState={{ selected: active }}
+                    >
+                        <View style={[styles.colorDot, { backgroundColor: list.color }]} />
+                        <Text style={[styles.tabText, active && styles.tabTextActive]}>
+                            {list.name} ({openCounts[list.id] ?? 0})
+                        </Text>
+                    </Pressable>
+                );
+            })}
+
+            {/* Edit the active list, create a new one or fill one from a template */}
+            <Pressable onPress={onEditList} style={styles.tab} accessibilityRole="button">
+                <Text style={styles.tabText}>Edit</Text>
+            </Pressable>
+            <Pressable onPress={onCreateList} style={styles.tab} accessibilityRole="button">
+                <Text style={styles.tabText}>+ New list</Text>
+            </Pressable>
+            <Pressable onPress={onOpenTemplates} style={styles.tab} accessibilityRole="button">
+                <Text style={styles.tabText}>Templates</Text>
+            </Pressable>
+        </ScrollView>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the ListSwitcher component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Row of tabs inside the horizontal scroll view.
+     */
+    tabRow: {
+        gap: 8,
+        alignItems: "center",
+    },
+
+    /**
+     * Outlined, pill-shaped tab.
+     */
+    tab: {
+        flexDirection: "row",
+        alignItems: "center",
+        gap: 6,
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 20,               // Pill shape
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+    },
+
+    /**
+     * Filled tab for the list being shown.
+     */
+    tabActive: {
+        backgroundColor: "white",
+    },
+
+    /**
+     * Dot in the list's color.
+     */
+    colorDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+    },
+
+    /**
+     * Tab label.
+     */
+    tabText: {
+        color: "white",
+    },
+
+    /**
+     * Label of the active tab, in the app's purple.
+     */
+    tabTextActive: {
+        color: "#9607e2",
+        fontWeight: "bold",
+    },
+});
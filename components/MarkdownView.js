@@ -0,0 +1,165 @@
+/**
+ * @fileoverview MarkdownView component for rendering goal notes in the Todo App.
+ * This component shows notes written in the Markdown subset of
+ * ../utils/markdown with nested Text elements, so it needs no web view.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useMemo } from "react";
+import { View, Text, StyleSheet, Linking, Platform } from "react-native";
+import { parseMarkdown } from "../utils/markdown";
+
+/**
+ * Renders parsed inline text as nested Text elements.
+ *
+ * @function
+ * @param {Array<import("../utils/markdown").InlineNode>} nodes - The parsed text
+ * @returns {Array<(JSX.Element|string)>} The children of a Text element
+ */
+function renderInline(nodes) {
+    return nodes.map((node, index) => {
+        switch (node.type) {
+            case "bold":
+                return <Text key={index} style={styles.bold}>{renderInline(node.children)}</Text>;
+            case "italic":
+                return <Text key={index} style={styles.italic}>{renderInline(node.children)}</Text>;
+            case "code":
+                return <Text key={index} style={styles.code}>{node.text}</Text>;
+            case "link":
+                return (
+                    <Text
+                        key={index}
+                        style={styles.link}
+                        onPress={() =>
+                            Linking.openURL(node.url).catch((error) => console.warn("Failed to open link", error))
+                        }
+                        accessibilityRole="link"
+                    >
+                        {renderInline(node.children)}
+                    </Text>
+                );
+            default:
+                return node.text;
+        }
+    });
+}
+
+/**
+ * MarkdownView component that renders Markdown notes.
+ *
+ * Paragraphs keep their line breaks and bullet lists get a "•" in front of
+ * every item. Links open in the browser or mail app; the parser only keeps
+ * http, https and mailto links.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string} props.source - The notes to render
+ *
+ * @returns {JSX.Element} The rendered notes
+ *
+ * @example
+ * <MarkdownView source={"Read **chapter 3**\n- [docs](https://reactnative.dev)\n- `useState`"} />
+ */
+export default function MarkdownView({ source }) {
+    const blocks = useMemo(() => parseMarkdown(source), [source]);
+
+    return (
+        <View style={styles.container}>
+            {blocks.map((block, blockIndex) =>
+                block.type === "list" ? (
+                    <View key={blockIndex} style={styles.list}>
+                        {block.items.map((item, itemIndex) => (
+                            <View key={itemIndex} style={styles.listItem}>
+                                <Text style={styles.text}>•</Text>
+                                <Text style={[styles.text, styles.listItemText]}>{renderInline(item)}</Text>
+                            </View>
+                        ))}
+                    </View>
+                ) : (
+                    <Text key={blockIndex} style={styles.text}>
+                        {renderInline(block.children)}
+                    </Text>
+                )
+            )}
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the MarkdownView component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Column of paragraphs and lists.
+     */
+    container: {
+        gap: 8,                         // Space between blocks, like a blank line
+    },
+
+    /**
+     * Body text of paragraphs and list items.
+     */
+    text: {
+        color: "white",
+        lineHeight: 20,
+    },
+
+    /**
+     * Column of list items.
+     */
+    list: {
+        gap: 4,
+    },
+
+    /**
+     * One list item: the bullet and its text.
+     */
+    listItem: {
+        flexDirection: "row",
+        gap: 8,
+        paddingLeft: 4,
+    },
+
+    /**
+     * Item text, wrapping next to the bullet.
+     */
+    listItemText: {
+        flex: 1,
+    },
+
+    /**
+     * **Bold** text.
+     */
+    bold: {
+        fontWeight: "bold",
+    },
+
+    /**
+     * *Italic* text.
+     */
+    italic: {
+        fontStyle: "italic",
+    },
+
+    /**
+     * `Inline code` on a faint background.
+     */
+    code: {
+        fontFamily: Platform.select({ ios: "Menlo", default: "monospace" }),
+        backgroundColor: "rgba(255, 255, 255, 0.15)",
+    },
+
+    /**
+     * Tappable link, underlined in the muted lavender of the app.
+     */
+    link: {
+        color: "#d7c6ff",
+        textDecorationLine: "underline",
+    },
+});
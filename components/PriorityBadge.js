@@ -0,0 +1,64 @@
+/**
+ * @fileoverview PriorityBadge component for showing a goal's priority in the Todo App.
+ * This component renders a small pill in the color of the priority level.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, Text, StyleSheet } from "react-native";
+import { getPriority } from "../utils/priority";
+
+/**
+ * PriorityBadge component that renders the priority label on a colored pill.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string} props.priority - The goal's priority value
+ *
+ * @returns {JSX.Element} The colored badge
+ *
+ * @example
+ * <PriorityBadge priority="urgent" />
+ */
+export default function PriorityBadge({ priority }) {
+    const level = getPriority(priority);
+
+    return (
+        <View
+            style={[styles.badge, { backgroundColor: level.color }]}
+            accessibilityLabel={`${level.label} priority`}
+        >
+            <Text style={styles.badgeText}>{level.label}</Text>
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the PriorityBadge component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Small pill; the background color comes from the priority level.
+     */
+    badge: {
+        alignSelf: "flex-start",        // Only as wide as its label
+        borderRadius: 10,               // Pill shape
+        paddingHorizontal: 8,
+        paddingVertical: 1,
+        marginTop: 4,                   // Gap under the goal text
+    },
+
+    /**
+     * Badge label.
+     */
+    badgeText: {
+        color: "white",
+        fontSize: 11,
+        fontWeight: "bold",
+    },
+});
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview ProgressBar component for showing partial completion in the Todo App.
+ * This component renders a thin track with a filled portion, used for the
+ * checklist progress of a goal.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, StyleSheet } from "react-native";
+
+/**
+ * ProgressBar component that fills a track up to the given ratio.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {number} props.progress - How much of the bar is filled, between 0 and 1
+ * @param {string} [props.color="white"] - Color of the filled portion
+ *
+ * @returns {JSX.Element} The progress bar
+ *
+ * @example
+ * <ProgressBar progress={0.4} />
+ */
+export default function ProgressBar({ progress, color = "white" }) {
+    const percent = Math.round(Math.min(Math.max(progress, 0), 1) * 100);
+
+    return (
+        <View
+            style={styles.track}
+            accessibilityRole="progressbar"
+            accessibilityValue={{ min: 0, max: 100, now: percent }}
+        >
+            <View style={[styles.fill, { width: `${percent}%`, backgroundColor: color }]} />
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the ProgressBar component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Translucent background track.
+     */
+    track: {
+        height: 6,                      // Thin bar
+        borderRadius: 3,                // Fully rounded ends
+        backgroundColor: "rgba(255, 255, 255, 0.25)", // Faint track on any background
+        overflow: "hidden",             // Keep the fill inside the rounded track
+    },
+
+    /**
+     * Filled portion; its width is set from the progress.
+     */
+    fill: {
+        height: "100%",
+        borderRadius: 3,
+    },
+});
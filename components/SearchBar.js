@@ -0,0 +1,91 @@
+/**
+ * @fileoverview SearchBar component for searching the goal list in the Todo App.
+ * This component renders a rounded text field with a clear button.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, TextInput, Pressable, Text, StyleSheet } from "react-native";
+
+/**
+ * SearchBar component that renders a controlled search field.
+ *
+ * The component reports every keystroke; debouncing is left to the parent
+ * so the field itself always shows exactly what was typed.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string} props.value - The current search text
+ * @param {Function} props.onChangeText - Callback receiving the new search text
+ * @param {string} [props.placeholder="Search goals"] - Placeholder shown while empty
+ *
+ * @returns {JSX.Element} The search field
+ *
+ * @example
+ * <SearchBar value={searchText} onChangeText={setSearchText} />
+ */
+export default function SearchBar({ value, onChangeText, placeholder = "Search goals" }) {
+    return (
+        <View style={styles.searchContainer}>
+            <TextInput
+                value={value}
+                onChangeText={onChangeText}
+                placeholder={placeholder}
+                placeholderTextColor="#e0c8f5"
+                style={styles.searchInput}
+                autoCorrect={false}
+                returnKeyType="search"
+                accessibilityLabel="Search goals"
+            />
+            {value.length > 0 && (
+                <Pressable
+                    onPress={() => onChangeText("")}
+                    hitSlop={8}
+                    accessibilityRole="button"
+                    accessibilityLabel="Clear search"
+                >
+                    <Text style={styles.clearText}>✕</Text>
+                </Pressable>
+            )}
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the SearchBar component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Rounded, outlined field matching the goal input's text field.
+     */
+    searchContainer: {
+        flexDirection: "row",
+        alignItems: "center",
+        borderColor: "white",
+        borderWidth: 2,
+        borderRadius: 20,               // Same radius as the goal text input
+        paddingHorizontal: 16,
+    },
+
+    /**
+     * The text field itself, taking all space left of the clear button.
+     */
+    searchInput: {
+        flex: 1,
+        color: "white",
+        paddingVertical: 8,
+    },
+
+    /**
+     * Clear button glyph.
+     */
+    clearText: {
+        color: "white",
+        fontSize: 16,
+    },
+});
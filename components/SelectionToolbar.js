@@ -0,0 +1,208 @@
+/**
+ * @fileoverview SelectionToolbar component for batch actions on selected goals in the Todo App.
+ * This component replaces the "Add Goals" button while goals are being
+ * selected, and offers select all, invert, copy and delete.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useEffect } from "react";
+import { View, Text, Pressable, StyleSheet } from "react-native";
+
+/**
+ * How long the "Copied" confirmation replaces the copy button label, in milliseconds.
+ *
+ * @constant
+ * @type {number}
+ */
+const COPIED_LABEL_MS = 1500;
+
+/**
+ * SelectionToolbar component that shows the selection count and batch actions.
+ *
+ * Copy and delete are disabled while nothing is selected. After a successful
+ * copy, the copy button briefly reads "Copied".
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {number} props.selectedCount - Number of selected goals
+ * @param {Function} props.onSelectAll - Callback that selects every goal on screen
+ * @param {Function} props.onInvert - Callback that inverts the selection
+ * @param {Function} props.onCopy - Callback that copies the selected goals; may return a promise
+ * @param {Function} props.onDelete - Callback that deletes the selected goals
+ * @param {Function} props.onCancel - Callback that leaves selection mode
+ *
+ * @returns {JSX.Element} The selection toolbar
+ *
+ * @example
+ * <SelectionToolbar
+ *   selectedCount={selectedGoalIds.length}
+ *   onSelectAll={selectAllGoals}
+ *   onInvert={invertGoalSelection}
+ *   onCopy={copySelectedGoals}
+ *   onDelete={deleteSelectedGoals}
+ *   onCancel={exitSelectionMode}
+ * />
+ */
+export default function SelectionToolbar({
+    selectedCount,
+    onSelectAll,
+    onInvert,
+    onCopy,
+    onDelete,
+    onCancel,
+}) {
+    /**
+     * Whether the copy button currently confirms a copy.
+     *
+     * @type {boolean}
+     */
+    const [isCopied, setIsCopied] = useState(false);
+
+    /**
+     * Switches the copy button back to its normal label after a moment.
+     */
+    useEffect(() => {
+        if (!isCopied) {
+            return undefined;
+        }
+        const timer = setTimeout(() => setIsCopied(false), COPIED_LABEL_MS);
+        return () => clearTimeout(timer);
+    }, [isCopied]);
+
+    /**
+     * Copies the selection and confirms it on the button.
+     *
+     * @async
+     * @function
+     * @returns {Promise<void>}
+     */
+    async function handleCopy() {
+        try {
+            await onCopy();
+            setIsCopied(true);
+        } catch (error) {
+            console.warn("Failed to copy goals", error);
+        }
+    }
+
+    /**
+     * Renders one toolbar button.
+     *
+     * @function
+     * @param {string} label - Button text
+     * @param {Function} handler - Press handler
+     * @param {boolean} [enabled=true] - Whether the button can be pressed
+     * @param {Object} [extraStyle] - Additional text style
+     * @returns {JSX.Element} The button
+     */
+    function renderButton(label, handler, enabled = true, extraStyle) {
+        return (
+            <Pressable
+                onPress={handler}
+                disabled={!enabled}
+                style={[styles.button, !enabled && styles.buttonDisabled]}
+                accessibilityRole="button"
+                accessibilityState={{ disabled: !enabled }}
+            >
+                <Text style={[styles.buttonText, extraStyle]}>{label}</Text>
+            </Pressable>
+        );
+    }
+
+    const hasSelection = selectedCount > 0;
+
+    return (
+        <View style={styles.toolbar}>
+            <View style={styles.headerRow}>
+                <Text style={styles.countText} accessibilityLiveRegion="polite">
+                    {selectedCount} selected
+                </Text>
+                {renderButton("Done", onCancel)}
+            </View>
+            <View style={styles.actionRow}>
+                {renderButton("Select all", onSelectAll)}
+                {renderButton("Invert", onInvert)}
+                {renderButton(isCopied ? "Copied ✓" : "Copy", handleCopy, hasSelection)}
+                {renderButton("Delete", onDelete, hasSelection, styles.deleteText)}
+            </View>
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the SelectionToolbar component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Outlined panel holding the count and the actions.
+     */
+    toolbar: {
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 10,               // Matches the modal buttons
+        padding: 8,
+        gap: 6,
+    },
+
+    /**
+     * Selection count on the left, "Done" on the right.
+     */
+    headerRow: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+    },
+
+    /**
+     * Row of batch actions sharing the width.
+     */
+    actionRow: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+    },
+
+    /**
+     * "N selected" caption.
+     */
+    countText: {
+        color: "white",
+        fontWeight: "bold",
+        paddingLeft: 8,
+    },
+
+    /**
+     * A single text button.
+     */
+    button: {
+        paddingVertical: 6,
+        paddingHorizontal: 8,
+    },
+
+    /**
+     * Button that can't be pressed right now.
+     */
+    buttonDisabled: {
+        opacity: 0.4,                   // Same fade as disabled action buttons
+    },
+
+    /**
+     * Button label.
+     */
+    buttonText: {
+        color: "white",
+    },
+
+    /**
+     * Label of the delete button, in the cancel button's red.
+     */
+    deleteText: {
+        color: "#fa4326",
+        fontWeight: "bold",
+    },
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Snackbar component for short-lived messages in the Todo App.
+ * This component shows a brief message pinned to the bottom of the screen,
+ * with an optional action such as "Undo".
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, Text, Pressable, StyleSheet } from "react-native";
+
+/**
+ * Snackbar component that renders a message bar with an optional action button.
+ *
+ * The component is purely presentational: the parent decides when it is
+ * shown and for how long.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string} props.message - The message to display
+ * @param {string} [props.actionLabel] - Text of the action button; no button is shown when omitted
+ * @param {Function} [props.onAction] - Callback function invoked when the action is pressed
+ *
+ * @returns {JSX.Element} The snackbar
+ *
+ * @example
+ * <Snackbar
+ *   message='Deleted "Learn React"'
+ *   actionLabel="Undo"
+ *   onAction={undoDeletion}
+ * />
+ */
+export default function Snackbar({ message, actionLabel, onAction }) {
+    return (
+        <View style={styles.snackbarContainer} accessibilityLiveRegion="polite">
+            <Text style={styles.message} numberOfLines={2}>
+                {message}
+            </Text>
+            {actionLabel && (
+                <Pressable onPress={onAction} hitSlop={8} accessibilityRole="button">
+                    <Text style={styles.actionText}>{actionLabel}</Text>
+                </Pressable>
+            )}
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the Snackbar component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Dark bar floating above the bottom edge of the screen.
+     */
+    snackbarContainer: {
+        position: "absolute",           // Float above the list
+        left: 20,                       // Match the app's horizontal padding
+        right: 20,
+        bottom: 30,                     // Clear of the navigation bar
+        flexDirection: "row",           // Message and action side by side
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: 12,
+        paddingVertical: 12,
+        paddingHorizontal: 16,
+        borderRadius: 10,               // Matches the modal buttons
+        backgroundColor: "#311b6b",     // Dark purple used by the modal
+        elevation: 6,                   // Shadow on Android
+    },
+
+    /**
+     * Message text, allowed to wrap onto a second line.
+     */
+    message: {
+        flex: 1,
+        color: "white",
+    },
+
+    /**
+     * Bold, accented action label.
+     */
+    actionText: {
+        color: "#e0b3ff",               // Light purple accent
+        fontWeight: "bold",
+        textTransform: "uppercase",
+    },
+});
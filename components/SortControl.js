@@ -0,0 +1,119 @@
+/**
+ * @fileoverview SortControl component for choosing the order of the goal list in the Todo App.
+ * This component renders a compact segmented row with one segment per sort order.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View, Text, Pressable, StyleSheet } from "react-native";
+import { SORT_OPTIONS } from "../utils/sortGoals";
+
+/**
+ * SortControl component that lets the user pick how the goal list is sorted.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string} props.value - The selected sort order
+ * @param {Function} props.onChange - Callback receiving the newly selected sort order
+ *
+ * @returns {JSX.Element} The sort selector
+ *
+ * @example
+ * <SortControl value={sortBy} onChange={setSortBy} />
+ */
+export default function SortControl({ value, onChange }) {
+    return (
+        <View style={styles.sortContainer}>
+            <Text style={styles.sortLabel}>Sort</Text>
+            <View style={styles.segmentRow}>
+                {SORT_OPTIONS.map((option) => {
+                    const selected = option.value === value;
+                    return (
+                        <Pressable
+                            key={option.value}
+                            onPress={() => onChange(option.value)}
+                            style={[styles.segment, selected && styles.segmentSelected]}
+                            accessibilityRole="button"
+                            accessibilityState={{ selected }}
+                        >
+                            <Text style={[styles.segmentText, selected && styles.segmentTextSelected]}>
+                                {option.label}
+                            </Text>
+                        </Pressable>
+                    );
+                })}
+            </View>
+        </View>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the SortControl component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Row holding the caption and the segments.
+     */
+    sortContainer: {
+        flexDirection: "row",
+        alignItems: "center",
+        gap: 10,
+    },
+
+    /**
+     * "Sort" caption.
+     */
+    sortLabel: {
+        color: "white",
+        fontWeight: "bold",
+    },
+
+    /**
+     * Outlined group of segments.
+     */
+    segmentRow: {
+        flex: 1,
+        flexDirection: "row",
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 10,               // Matches the modal buttons
+        overflow: "hidden",             // Clip the selected segment to the corners
+    },
+
+    /**
+     * A single segment, sharing the row's width with the others.
+     */
+    segment: {
+        flex: 1,
+        paddingVertical: 6,
+        alignItems: "center",
+    },
+
+    /**
+     * Filled segment for the current sort order.
+     */
+    segmentSelected: {
+        backgroundColor: "white",
+    },
+
+    /**
+     * Segment label.
+     */
+    segmentText: {
+        color: "white",
+        fontSize: 12,
+    },
+
+    /**
+     * Label of the selected segment, in the app's purple.
+     */
+    segmentTextSelected: {
+        color: "#9607e2",
+        fontWeight: "bold",
+    },
+});
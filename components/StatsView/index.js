@@ -0,0 +1,172 @@
+/**
+ * @fileoverview StatsView component for the goal statistics of the Todo App.
+ * This component shows the stats screen's completion streaks, the average time
+ * to complete a goal, goals created and completed per day or week, and
+ * completions per weekday.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useMemo } from "react";
+import { View, Text, Pressable, ScrollView } from "react-native";
+import BarChart from "../BarChart";
+import { statsViewStyles } from "./styles";
+import { useGoalsState } from "../../store/GoalsProvider";
+import { computeStats, formatDuration } from "../../utils/analytics";
+import { WEEKDAY_LABELS } from "../../utils/dates";
+
+/**
+ * The two series of the created vs completed chart.
+ *
+ * @constant
+ * @type {Array<{label: string, color: string}>}
+ */
+const ACTIVITY_SERIES = [
+    { label: "Created", color: "#b9a6e0" },
+    { label: "Completed", color: "#1f9d55" },
+];
+
+/**
+ * The periods the activity chart can show.
+ *
+ * @constant
+ * @type {Array<{value: string, label: string}>}
+ */
+const PERIODS = [
+    { value: "daily", label: "Days" },
+    { value: "weekly", label: "Weeks" },
+];
+
+/**
+ * Weekdays in the order the weekday chart shows them, Monday first.
+ *
+ * @constant
+ * @type {number[]}
+ */
+const CHART_WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Formats a number of days for a headline tile.
+ *
+ * @function
+ * @param {number} days - The number of days
+ * @returns {string} E.g. "1 day" or "5 days"
+ */
+function formatDays(days) {
+    return days === 1 ? "1 day" : `${days} days`;
+}
+
+/**
+ * StatsView component that shows the goal statistics.
+ *
+ * The statistics come from the store's event log, which records every goal
+ * created and completed, including goals deleted since. They are recomputed
+ * whenever the log changes. The activity chart shows the last 14 days,
+ * labeled by day of the month, or the last 8 weeks, labeled by the date of
+ * their Monday.
+ *
+ * @component
+ *
+ * @returns {JSX.Element} A scrollable view with the goal statistics
+ *
+ * @example
+ * <StatsView />
+ */
+function StatsView() {
+    const { events } = useGoalsState();
+
+    /**
+     * The period shown in the activity chart.
+     *
+     * @type {string}
+     */
+    const [period, setPeriod] = useState("daily");
+
+    /**
+     * The statistics, recomputed when the log changes.
+     *
+     * @type {import("../../utils/analytics").GoalStats}
+     */
+    const stats = useMemo(() => computeStats(events), [events]);
+
+    const activity = stats[period].map((entry) => ({
+        key: entry.dateKey,
+        // Days by their day of the month ("9"), weeks by their Monday ("06/09")
+        label: period === "daily"
+            ? String(Number(entry.dateKey.slice(8)))
+            : entry.dateKey.slice(5).replace("-", "/"),
+        values: [entry.created, entry.completed],
+    }));
+    const averageTime =
+        stats.averageTimeToCompleteMs === null ? "–" : formatDuration(stats.averageTimeToCompleteMs);
+    const byWeekday = CHART_WEEKDAYS.map((weekday) => ({
+        key: WEEKDAY_LABELS[weekday],
+        label: WEEKDAY_LABELS[weekday],
+        values: [stats.completionsByWeekday[weekday]],
+    }));
+
+    /**
+     * Renders one headline number.
+     *
+     * @function
+     * @param {string} value - The number, formatted
+     * @param {string} label - What it means
+     * @returns {JSX.Element} The tile
+     */
+    function renderTile(value, label) {
+        return (
+            <View style={statsViewStyles.tile} accessible accessibilityLabel={`${label}: ${value}`}>
+                <Text style={statsViewStyles.tileValue}>{value}</Text>
+                <Text style={statsViewStyles.tileLabel}>{label}</Text>
+            </View>
+        );
+    }
+
+    return (
+        <ScrollView contentContainerStyle={statsViewStyles.container}>
+            {/* Headline numbers */}
+            <View style={statsViewStyles.tileRow}>
+                {renderTile(`🔥 ${formatDays(stats.streaks.current)}`, "Current streak")}
+                {renderTile(`🏆 ${formatDays(stats.streaks.longest)}`, "Longest streak")}
+                {renderTile(averageTime, "Average time to complete")}
+            </View>
+
+            {/* Created vs completed per day or week */}
+            <View style={statsViewStyles.card}>
+                <View style={statsViewStyles.cardHeader}>
+                    <Text style={statsViewStyles.cardTitle}>Activity</Text>
+                    <View style={statsViewStyles.optionRow}>
+                        {PERIODS.map((option) => (
+                            <Pressable
+                                key={option.value}
+                                onPress={() => setPeriod(option.value)}
+                                style={[
+                                    statsViewStyles.option,
+                                    period === option.value && statsViewStyles.optionSelected,
+                                ]}
+                                accessibilityRole="radio"
+                                accessibilityState={{ checked: period === option.value }}
+                            >
+                                <Text style={statsViewStyles.optionText}>{option.label}</Text>
+                            </Pressable>
+                        ))}
+                    </View>
+                </View>
+                <BarChart data={activity} series={ACTIVITY_SERIES} />
+                <Text style={statsViewStyles.bodyText}>
+                    {stats.totals.created} goals created and {stats.totals.completed} completed in total
+                </Text>
+            </View>
+
+            {/* Completions per weekday */}
+            <View style={statsViewStyles.card}>
+                <Text style={statsViewStyles.cardTitle}>Completions by weekday</Text>
+                <BarChart data={byWeekday} series={[ACTIVITY_SERIES[1]]} />
+            </View>
+        </ScrollView>
+    );
+}
+
+export default StatsView;
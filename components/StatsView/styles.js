@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Styles configuration for the StatsView component.
+ * This module contains the styling definitions for the statistics screen,
+ * which follows the dark purple look of the goal input modal.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { StyleSheet } from "react-native";
+
+/**
+ * StyleSheet object containing styles for the StatsView component.
+ *
+ * @constant
+ * @type {StyleSheet.NamedStyles}
+ */
+export const statsViewStyles = StyleSheet.create({
+    /**
+     * Full-screen column on the screen's purple background.
+     */
+    container: {
+        flexGrow: 1,                    // Full screen coverage
+        gap: 16,                        // Space between the sections
+        padding: 20,
+        backgroundColor: "#311b6b",     // Same dark purple as the goal input modal
+    },
+
+    /**
+     * Row of the three headline numbers.
+     */
+    tileRow: {
+        flexDirection: "row",
+        gap: 8,
+    },
+
+    /**
+     * Outlined box with one headline number.
+     */
+    tile: {
+        flex: 1,                        // Tiles share the row equally
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 10,
+        paddingVertical: 12,
+        paddingHorizontal: 6,
+        alignItems: "center",
+        gap: 4,
+    },
+
+    /**
+     * The number in a tile.
+     */
+    tileValue: {
+        color: "white",
+        fontSize: 20,
+        fontWeight: "bold",
+    },
+
+    /**
+     * What the number in a tile means.
+     */
+    tileLabel: {
+        color: "white",
+        fontSize: 12,
+        opacity: 0.8,
+        textAlign: "center",
+    },
+
+    /**
+     * Outlined card holding one chart.
+     */
+    card: {
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 10,
+        padding: 16,
+        gap: 10,
+    },
+
+    /**
+     * Card heading, next to the period choices in the first card.
+     */
+    cardTitle: {
+        color: "white",
+        fontSize: 17,
+        fontWeight: "bold",
+    },
+
+    /**
+     * Heading row with the period choices on the right.
+     */
+    cardHeader: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+    },
+
+    /**
+     * Row of period choices.
+     */
+    optionRow: {
+        flexDirection: "row",
+        gap: 6,
+    },
+
+    /**
+     * A single outlined period choice.
+     */
+    option: {
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 20,               // Pill shape
+        paddingVertical: 4,
+        paddingHorizontal: 12,
+    },
+
+    /**
+     * The selected period, filled in the Add Goal button's purple.
+     */
+    optionSelected: {
+        backgroundColor: "#b121fe",
+        borderColor: "#b121fe",
+    },
+
+    /**
+     * Label of a period choice.
+     */
+    optionText: {
+        color: "white",
+        fontSize: 13,
+    },
+
+    /**
+     * Totals and notes under the charts.
+     */
+    bodyText: {
+        color: "white",
+        opacity: 0.8,
+    },
+});
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview TemplateBrowser component for adding packs of goals to a list.
+ * This component provides a modal that lists the built-in and saved goal
+ * templates, adds a template's goals to the active list in one tap, and saves
+ * the active list as a new template.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useEffect } from "react";
+import { Modal, View, Text, TextInput, Pressable, ScrollView } from "react-native";
+import ActionButton from "../GoalInput/ActionButton";
+import { actionbButtonsStyles } from "../GoalInput/styles";
+import { templateBrowserStyles } from "./styles";
+import { useGoalsState, useGoalsDispatch } from "../../store/GoalsProvider";
+import { applyTemplate, saveTemplate, deleteTemplate } from "../../store/actions";
+import { getActiveList, getActiveListGoals, getTemplates } from "../../store/selectors";
+
+/**
+ * Number of goals previewed on each template card.
+ *
+ * @constant
+ * @type {number}
+ */
+const PREVIEW_GOAL_COUNT = 3;
+
+/**
+ * TemplateBrowser component that provides a modal for browsing goal templates.
+ *
+ * Each template card shows its name, a summary and the first few goals.
+ * "Add" puts the template's goals at the end of the active list, skipping
+ * goals the list already has, and closes the modal; the addition can be
+ * undone from the header like any other change. Templates the user saved can
+ * be deleted after a confirmation on the card; built-in packs can't.
+ *
+ * The form at the top saves the goals of the active list as a new template,
+ * named after the list unless another name is typed.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {boolean} props.visible - Controls modal visibility
+ * @param {Function} props.onClose - Callback function to close the modal
+ *
+ * @returns {JSX.Element} A modal interface for goal templates
+ *
+ * @example
+ * <TemplateBrowser visible={isTemplateBrowserVisible} onClose={closeTemplateBrowser} />
+ */
+function TemplateBrowser({ visible, onClose }) {
+    const state = useGoalsState();
+    const dispatch = useGoalsDispatch();
+    const activeList = getActiveList(state);
+    const goalsInActiveList = getActiveListGoals(state);
+    const templates = getTemplates(state);
+
+    /**
+     * The name typed for the new template.
+     *
+     * @type {string}
+     */
+    const [templateName, setTemplateName] = useState("");
+
+    /**
+     * ID of the template whose delete confirmation is shown, or null.
+     *
+     * @type {string|null}
+     */
+    const [confirmingDeleteId, setConfirmingDeleteId] = useState(null);
+
+    /**
+     * Resets the form whenever the modal opens.
+     */
+    useEffect(() => {
+        if (visible) {
+            setTemplateName(activeList ? activeList.name : "");
+            setConfirmingDeleteId(null);
+        }
+    }, [visible]);
+
+    const canSave = templateName.trim().length > 0 && goalsInActiveList.length > 0;
+
+    /**
+     * Adds the goals of a template to the active list and closes the modal.
+     *
+     * @function
+     * @param {import("../../utils/templates").GoalTemplate} template - The chosen template
+     * @returns {void}
+     */
+    function handleApply(template) {
+        dispatch(applyTemplate(template, activeList.id));
+        onClose();
+    }
+
+    /**
+     * Saves the goals of the active list as a template.
+     *
+     * @function
+     * @returns {void}
+     */
+    function handleSave() {
+        if (!canSave) {
+            return;
+        }
+        dispatch(saveTemplate({ name: templateName, goals: goalsInActiveList }));
+        setTemplateName("");
+    }
+
+    /**
+     * Deletes the template whose deletion was confirmed.
+     *
+     * @function
+     * @returns {void}
+     */
+    function handleConfirmDelete() {
+        dispatch(deleteTemplate(confirmingDeleteId));
+        setConfirmingDeleteId(null);
+    }
+
+    /**
+     * Renders the card of one template.
+     *
+     * @function
+     * @param {import("../../utils/templates").GoalTemplate} template - The template to show
+     * @returns {JSX.Element} The template card
+     */
+    function renderTemplate(template) {
+        const hiddenCount = template.goals.length - PREVIEW_GOAL_COUNT;
+
+        if (template.id === confirmingDeleteId) {
+            return (
+                <View key={template.id} style={templateBrowserStyles.card}>
+                    <Text style={templateBrowserStyles.cardTitle}>Delete "{template.name}"?</Text>
+                    <Text style={templateBrowserStyles.bodyText}>Goals added from it stay in their lists.</Text>
+                    <View style={templateBrowserStyles.actionContainer}>
+                        <ActionButton
+                            content="Delete"
+                            handler={handleConfirmDelete}
+                            styles={actionbButtonsStyles.cancelButton}
+                        />
+                        <ActionButton
+                            content="Keep"
+                            handler={() => setConfirmingDeleteId(null)}
+                            styles={actionbButtonsStyles.addGoalButton}
+                        />
+                    </View>
+                </View>
+            );
+        }
+
+        return (
+            <View key={template.id} style={templateBrowserStyles.card}>
+                <Text style={templateBrowserStyles.cardTitle}>{template.name}</Text>
+                <Text style={templateBrowserStyles.description}>{template.description}</Text>
+                {template.goals.slice(0, PREVIEW_GOAL_COUNT).map((goal) => (
+                    <Text key={goal.text} style={templateBrowserStyles.bodyText}>
+                        • {goal.text}
+                    </Text>
+                ))}
+                {hiddenCount > 0 && (
+                    <Text style={templateBrowserStyles.description}>and {hiddenCount} more</Text>
+                )}
+                <View style={templateBrowserStyles.actionContainer}>
+                    <ActionButton
+                        content={`Add to "${activeList.name}"`}
+                        handler={() => handleApply(template)}
+                        styles={actionbButtonsStyles.addGoalButton}
+                    />
+                    {!template.builtIn && (
+                        <Pressable
+                            onPress={() => setConfirmingDeleteId(template.id)}
+                            accessibilityRole="button"
+                            accessibilityLabel={`Delete template ${template.name}`}
+                        >
+                            <Text style={templateBrowserStyles.deleteLink}>Delete</Text>
+                        </Pressable>
+                    )}
+                </View>
+            </View>
+        );
+    }
+
+    return (
+        <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+            <ScrollView
+                contentContainerStyle={templateBrowserStyles.container}
+                keyboardShouldPersistTaps="handled"
+            >
+                <Text style={templateBrowserStyles.title}>Templates</Text>
+
+                {activeList && templates.map(renderTemplate)}
+
+                {/* Save the active list as a template */}
+                {activeList && (
+                    <View style={templateBrowserStyles.card}>
+                        <Text style={templateBrowserStyles.cardTitle}>Save "{activeList.name}" as a template</Text>
+                        {goalsInActiveList.length === 0 ? (
+                            <Text style={templateBrowserStyles.description}>Add goals to this list first.</Text>
+                        ) : (
+                            <TextInput
+                                placeholder="Template name"
+                                placeholderTextColor="white"
+                                value={templateName}
+                                onChangeText={setTemplateName}
+                                style={templateBrowserStyles.textInput}
+                            />
+                        )}
+                        <View style={templateBrowserStyles.actionContainer}>
+                            <ActionButton
+                                content="Save template"
+                                handler={handleSave}
+                                styles={actionbButtonsStyles.addGoalButton}
+                                disabled={!canSave}
+                            />
+                        </View>
+                    </View>
+                )}
+
+                <View style={templateBrowserStyles.actionContainer}>
+                    <ActionButton
+                        content="Close"
+                        handler={onClose}
+                        styles={actionbButtonsStyles.cancelButton}
+                    />
+                </View>
+            </ScrollView>
+        </Modal>
+    );
+}
+
+export default TemplateBrowser;
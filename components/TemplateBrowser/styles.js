@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Styles configuration for the TemplateBrowser component.
+ * This module contains the styling definitions for the template modal,
+ * which follows the dark purple look of the goal input modal.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { StyleSheet } from "react-native";
+
+/**
+ * StyleSheet object containing styles for the TemplateBrowser component.
+ *
+ * @constant
+ * @type {StyleSheet.NamedStyles}
+ */
+export const templateBrowserStyles = StyleSheet.create({
+    /**
+     * Full-screen column on the modal's purple background.
+     */
+    container: {
+        flexGrow: 1,                    // Full screen coverage
+        gap: 16,                        // Space between the cards
+        paddingHorizontal: 20,
+        paddingVertical: 40,
+        backgroundColor: "#311b6b",     // Same dark purple as the goal input modal
+    },
+
+    /**
+     * Modal heading.
+     */
+    title: {
+        color: "white",
+        fontSize: 22,
+        fontWeight: "bold",
+        textAlign: "center",
+    },
+
+    /**
+     * Outlined card holding one template or the save form.
+     */
+    card: {
+        borderColor: "white",
+        borderWidth: 1,
+        borderRadius: 10,
+        padding: 16,
+        gap: 6,
+    },
+
+    /**
+     * Template name.
+     */
+    cardTitle: {
+        color: "white",
+        fontSize: 17,
+        fontWeight: "bold",
+    },
+
+    /**
+     * Summary under the name and the "and N more" line.
+     */
+    description: {
+        color: "white",
+        opacity: 0.7,
+    },
+
+    /**
+     * Previewed goal and confirmation text.
+     */
+    bodyText: {
+        color: "white",
+    },
+
+    /**
+     * Template name field, styled like the goal text input.
+     */
+    textInput: {
+        borderColor: "white",
+        borderWidth: 2,
+        color: "#ffffff",
+        borderRadius: 20,
+        paddingLeft: 16,
+    },
+
+    /**
+     * Buttons at the bottom of a card, side by side.
+     */
+    actionContainer: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+        marginTop: 6,                   // Set the buttons off from the goals above
+    },
+
+    /**
+     * Understated link that starts deleting a user template.
+     */
+    deleteLink: {
+        color: "#ff9e8f",
+        textDecorationLine: "underline",
+    },
+});
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview useDebouncedValue hook for delaying fast-changing values in the Todo App.
+ * This hook is used to wait until the user pauses typing before running
+ * work that depends on the typed text, such as filtering the goal list.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useEffect } from "react";
+
+/**
+ * useDebouncedValue hook that returns a value only after it stopped changing.
+ *
+ * Every change restarts the delay, so while the user keeps typing the
+ * previous value is returned and the new one appears `delay` milliseconds
+ * after the last keystroke.
+ *
+ * @function
+ * @template T
+ * @param {T} value - The fast-changing value
+ * @param {number} [delay=250] - How long the value must stay unchanged, in milliseconds
+ * @returns {T} The debounced value
+ *
+ * @example
+ * const [searchText, setSearchText] = useState("");
+ * const debouncedSearch = useDebouncedValue(searchText);
+ */
+export default function useDebouncedValue(value, delay = 250) {
+    const [debouncedValue, setDebouncedValue] = useState(value);
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebouncedValue(value), delay);
+        return () => clearTimeout(timer);
+    }, [value, delay]);
+
+    return debouncedValue;
+}
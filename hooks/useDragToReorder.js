@@ -0,0 +1,187 @@
+/**
+ * @fileoverview useDragToReorder hook for moving list rows by dragging in the Todo App.
+ * This hook lets a row be picked up with a long press and dragged vertically,
+ * then snaps it to the nearest row position and reports how far it moved.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useRef } from "react";
+import { Animated, PanResponder } from "react-native";
+
+/**
+ * useDragToReorder hook that drives the drag gesture of a single row.
+ *
+ * Dragging starts with `startDrag`, usually from the `onLongPress` of a drag
+ * handle. From then on the row's pan responder captures the touch, so
+ * moving the finger moves the row through `translateY`. On release, the
+ * distance is rounded to whole rows (using the row's measured height plus
+ * `rowGap`), the row springs to that slot, and `onDrop(offset)` is called
+ * with the number of rows moved. A drop back in the original slot springs
+ * the row home without calling `onDrop`.
+ *
+ * @function
+ * @param {Object} options - Hook options
+ * @param {function(number): void} options.onDrop - Called with the rows moved; negative means up
+ * @param {function(boolean): void} [options.onDragStateChange] - Called when dragging starts and ends,
+ *   so the parent can e.g. stop its list from scrolling meanwhile
+ * @param {number} [options.rowGap=0] - Space between rows, added to the row height
+ * @returns {{
+ *   translateY: Animated.Value,
+ *   isDragging: boolean,
+ *   startDrag: function(): void,
+ *   cancelIdleDrag: function(): void,
+ *   panHandlers: Object,
+ *   onLayout: function(Object): void
+ * }} The animated offset for the row's transform, whether it is being
+ *   dragged, functions to start a drag and to cancel one the finger never
+ *   moved, and props to spread onto the row
+ *
+ * @example
+ * const drag = useDragToReorder({ onDrop: (offset) => moveGoal(goal.id, offset), rowGap: 10 });
+ *
+ * <Animated.View
+ *   {...drag.panHandlers}
+ *   onLayout={drag.onLayout}
+ *   style={{ transform: [{ translateY: drag.translateY }] }}
+ * >
+ *   <Pressable onLongPress={drag.startDrag} onPressOut={drag.cancelIdleDrag}>
+ *     <Text>≡</Text>
+ *   </Pressable>
+ * </Animated.View>
+ */
+export default function useDragToReorder({ onDrop, onDragStateChange, rowGap = 0 }) {
+    /**
+     * Vertical offset of the row from its resting position.
+     *
+     * @type {Animated.Value}
+     */
+    const translateY = useRef(new Animated.Value(0)).current;
+
+    /**
+     * Whether the row is picked up, used for styling.
+     *
+     * @type {boolean}
+     */
+    const [isDragging, setIsDragging] = useState(false);
+
+    /**
+     * Gesture flags read by the pan responder, which is created only once.
+     * `active` is set by the long press; `granted` once the responder owns the touch.
+     *
+     * @type {{current: {active: boolean, granted: boolean}}}
+     */
+    const gesture = useRef({ active: false, granted: false });
+
+    /**
+     * Height of the row plus the gap to the next one, in pixels.
+     *
+     * @type {{current: number}}
+     */
+    const rowStride = useRef(0);
+
+    /**
+     * The latest callbacks, so the long-lived pan responder never calls stale ones.
+     *
+     * @type {{current: {onDrop: Function, onDragStateChange: (Function|undefined)}}}
+     */
+    const callbacks = useRef({ onDrop, onDragStateChange });
+    callbacks.current = { onDrop, onDragStateChange };
+
+    /**
+     * Puts the row down and resets the gesture.
+     *
+     * @function
+     * @returns {void}
+     */
+    function endDrag() {
+        gesture.current = { active: false, granted: false };
+        setIsDragging(false);
+        callbacks.current.onDragStateChange?.(false);
+    }
+
+    /**
+     * Snaps the row to the nearest slot and reports the move.
+     *
+     * @function
+     * @param {number} distance - How far the finger moved, in pixels
+     * @returns {void}
+     */
+    function drop(distance) {
+        const offset = rowStride.current > 0 ? Math.round(distance / rowStride.current) : 0;
+
+        Animated.spring(translateY, {
+            toValue: offset * rowStride.current,
+            useNativeDriver: true,
+            bounciness: 4,
+        }).start(() => {
+            if (offset !== 0) {
+                callbacks.current.onDrop(offset);
+            }
+            // The list re-renders the row in its new slot, so it can rest there.
+            translateY.setValue(0);
+            endDrag();
+        });
+    }
+
+    const panResponder = useRef(
+        PanResponder.create({
+            onStartShouldSetPanResponder: () => gesture.current.active,
+            onMoveShouldSetPanResponder: () => gesture.current.active,
+            onMoveShouldSetPanResponderCapture: () => gesture.current.active,
+            onPanResponderTerminationRequest: () => false,
+            onPanResponderGrant: () => {
+                gesture.current.granted = true;
+            },
+            onPanResponderMove: (event, { dy }) => translateY.setValue(dy),
+            onPanResponderRelease: (event, { dy }) => drop(dy),
+            onPanResponderTerminate: () => drop(0),
+        })
+    ).current;
+
+    /**
+     * Picks the row up.
+     *
+     * @function
+     * @returns {void}
+     */
+    function startDrag() {
+        gesture.current = { active: true, granted: false };
+        setIsDragging(true);
+        callbacks.current.onDragStateChange?.(true);
+    }
+
+    /**
+     * Puts the row back down when the finger is lifted without dragging.
+     *
+     * @function
+     * @returns {void}
+     */
+    function cancelIdleDrag() {
+        if (gesture.current.active && !gesture.current.granted) {
+            endDrag();
+        }
+    }
+
+    /**
+     * Measures the row so drops can be rounded to whole rows.
+     *
+     * @function
+     * @param {Object} event - The layout event
+     * @returns {void}
+     */
+    function onLayout(event) {
+        rowStride.current = event.nativeEvent.layout.height + rowGap;
+    }
+
+    return {
+        translateY,
+        isDragging,
+        startDrag,
+        cancelIdleDrag,
+        panHandlers: panResponder.panHandlers,
+        onLayout,
+    };
+}
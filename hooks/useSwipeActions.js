@@ -0,0 +1,186 @@
+/**
+ * @fileoverview useSwipeActions hook for swipe-to-act rows in the Todo App.
+ * This hook moves a row sideways with the finger and performs an action when
+ * the row is swiped far enough to the right or to the left. The decisions
+ * themselves are made by the pure rules in utils/swipeGesture.js.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useRef } from "react";
+import { Animated, PanResponder } from "react-native";
+import {
+    shouldStartSwipe,
+    getCommitDistance,
+    getSwipeAction,
+    getThresholdCrossing,
+    resolveSwipe,
+    SWIPE_ACTIONS,
+} from "../utils/swipeGesture";
+import { silentHaptics } from "../utils/haptics";
+
+/**
+ * useSwipeActions hook that drives the horizontal swipe of a single row.
+ *
+ * While swiping, `translateX` follows the finger and `swipeAction` tells
+ * which action is being revealed, so the row can show it underneath. Passing
+ * the commit distance reports a haptic threshold tick. On release, a
+ * committed swipe right springs back and calls `onSwipeRight`; a committed
+ * swipe left slides the row out and calls `onSwipeLeft`. Anything else
+ * springs back without acting.
+ *
+ * @function
+ * @param {Object} options - Hook options
+ * @param {function(): void} options.onSwipeRight - Called when a swipe to the right commits
+ * @param {function(): void} options.onSwipeLeft - Called when a swipe to the left commits
+ * @param {import("../utils/haptics").Haptics} [options.haptics=silentHaptics] - Feedback for thresholds and commits
+ * @param {boolean} [options.enabled=true] - When false, touches are left to other handlers
+ * @returns {{
+ *   translateX: Animated.Value,
+ *   swipeAction: (string|null),
+ *   panHandlers: Object,
+ *   onLayout: function(Object): void
+ * }} The animated offset for the row's transform, the action being revealed
+ *   ("complete", "delete" or null), and props to spread onto the row
+ *
+ * @example
+ * const swipe = useSwipeActions({
+ *   onSwipeRight: () => toggleGoalCompleted(goal.id),
+ *   onSwipeLeft: () => deleteGoal(goal.id),
+ *   haptics,
+ * });
+ */
+export default function useSwipeActions({
+    onSwipeRight,
+    onSwipeLeft,
+    haptics = silentHaptics,
+    enabled = true,
+}) {
+    /**
+     * Horizontal offset of the row from its resting position.
+     *
+     * @type {Animated.Value}
+     */
+    const translateX = useRef(new Animated.Value(0)).current;
+
+    /**
+     * The action revealed by the current swipe, or null when at rest.
+     *
+     * @type {string|null}
+     */
+    const [swipeAction, setSwipeAction] = useState(null);
+
+    /**
+     * Width of the row, in pixels, measured on layout. Until then it is 0,
+     * and swipes need the minimum commit distance.
+     *
+     * @type {{current: number}}
+     */
+    const rowWidth = useRef(0);
+
+    /**
+     * Horizontal distance at the previous move event, for threshold crossings.
+     *
+     * @type {{current: number}}
+     */
+    const lastDx = useRef(0);
+
+    /**
+     * The latest options, so the long-lived pan responder never uses stale ones.
+     *
+     * @type {{current: Object}}
+     */
+    const latest = useRef({ onSwipeRight, onSwipeLeft, haptics, enabled });
+    latest.current = { onSwipeRight, onSwipeLeft, haptics, enabled };
+
+    /**
+     * Springs the row back to rest.
+     *
+     * @function
+     * @returns {void}
+     */
+    function springBack() {
+        Animated.spring(translateX, { toValue: 0, useNativeDriver: true, bounciness: 6 }).start(() =>
+            setSwipeAction(null)
+        );
+    }
+
+    /**
+     * Handles the end of a swipe.
+     *
+     * @function
+     * @param {number} dx - Horizontal distance at release
+     * @param {number} vx - Horizontal velocity at release
+     * @returns {void}
+     */
+    function release(dx, vx) {
+        const { action, commit } = resolveSwipe({ dx, vx }, getCommitDistance(rowWidth.current));
+        lastDx.current = 0;
+
+        if (!commit) {
+            springBack();
+            return;
+        }
+
+        latest.current.haptics.commit();
+        if (action === SWIPE_ACTIONS.right) {
+            latest.current.onSwipeRight();
+            springBack();
+        } else {
+            Animated.timing(translateX, {
+                toValue: -Math.max(rowWidth.current, Math.abs(dx)),
+                duration: 150,
+                useNativeDriver: true,
+            }).start(() => {
+                latest.current.onSwipeLeft();
+                // The row is usually gone by now; reset in case the parent kept it.
+                translateX.setValue(0);
+                setSwipeAction(null);
+            });
+        }
+    }
+
+    const panResponder = useRef(
+        PanResponder.create({
+            onMoveShouldSetPanResponder: (event, motion) =>
+                latest.current.enabled && shouldStartSwipe(motion),
+            onPanResponderTerminationRequest: () => false,
+            onPanResponderGrant: () => {
+                lastDx.current = 0;
+            },
+            onPanResponderMove: (event, { dx }) => {
+                translateX.setValue(dx);
+                setSwipeAction(getSwipeAction(dx));
+                if (getThresholdCrossing(lastDx.current, dx, getCommitDistance(rowWidth.current)) === "armed") {
+                    latest.current.haptics.threshold();
+                }
+                lastDx.current = dx;
+            },
+            onPanResponderRelease: (event, { dx, vx }) => release(dx, vx),
+            onPanResponderTerminate: () => {
+                lastDx.current = 0;
+                springBack();
+            },
+        })
+    ).current;
+
+    /**
+     * Measures the row so thresholds scale with its width.
+     *
+     * @function
+     * @param {Object} event - The layout event
+     * @returns {void}
+     */
+    function onLayout(event) {
+        rowWidth.current = event.nativeEvent.layout.width;
+    }
+
+    return {
+        translateX,
+        swipeAction,
+        panHandlers: panResponder.panHandlers,
+        onLayout,
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview useUndoQueue hook for timed, undoable actions in the Todo App.
+ * This hook keeps a first-in, first-out queue of recent actions that can still
+ * be undone, and expires them one after another so that a snackbar can offer
+ * "Undo" for each of them in turn.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useEffect, useRef } from "react";
+
+/**
+ * How long, in milliseconds, each queued action stays undoable once it is shown.
+ *
+ * @constant
+ * @type {number}
+ */
+export const UNDO_DURATION_MS = 4000;
+
+/**
+ * useUndoQueue hook that manages a queue of undoable entries.
+ *
+ * Only the entry at the head of the queue is "current". Its timer starts
+ * when it becomes current, so entries added while another one is on screen
+ * wait their turn and each still gets the full duration. When the timer
+ * runs out, the entry is dropped and the next one becomes current.
+ *
+ * @function
+ * @param {Object} [options] - Hook options
+ * @param {number} [options.duration=UNDO_DURATION_MS] - How long each entry stays current
+ * @returns {{
+ *   current: (Object|null),
+ *   pendingCount: number,
+ *   enqueue: function(Object): void,
+ *   dismiss: function(number): void,
+ *   updateEach: function(function(Object): Object): void
+ * }} The current entry (with a generated `key`), how many entries are queued
+ *   in total, and functions to add an entry, remove one by key or change the
+ *   data of every entry
+ *
+ * @example
+ * const undoQueue = useUndoQueue();
+ *
+ * undoQueue.enqueue({ goal, index });
+ * // later, when "Undo" is pressed
+ * restore(undoQueue.current);
+ * undoQueue.dismiss(undoQueue.current.key);
+ */
+export default function useUndoQueue({ duration = UNDO_DURATION_MS } = {}) {
+    /**
+     * The queued entries, oldest first.
+     *
+     * @type {Array<Object>}
+     */
+    const [queue, setQueue] = useState([]);
+
+    /**
+     * Counter used to give every entry a unique key.
+     *
+     * @type {{current: number}}
+     */
+    const nextKey = useRef(0);
+
+    const current = queue.length > 0 ? queue[0] : null;
+    const currentKey = current ? current.key : null;
+
+    /**
+     * Expires the current entry once its time is up.
+     * Restarts whenever a different entry becomes current.
+     */
+    useEffect(() => {
+        if (currentKey === null) {
+            return undefined;
+        }
+        const timer = setTimeout(() => dismiss(currentKey), duration);
+        return () => clearTimeout(timer);
+    }, [currentKey, duration]);
+
+    /**
+     * Adds an entry to the end of the queue.
+     *
+     * @function
+     * @param {Object} entry - The data needed to undo the action
+     * @returns {void}
+     */
+    function enqueue(entry) {
+        const key = nextKey.current;
+        nextKey.current += 1;
+        setQueue((currentQueue) => [...currentQueue, { ...entry, key }]);
+    }
+
+    /**
+     * Removes an entry from the queue, whether it was undone or expired.
+     *
+     * @function
+     * @param {number} key - The key of the entry to remove
+     * @returns {void}
+     */
+    function dismiss(key) {
+        setQueue((currentQueue) => currentQueue.filter((entry) => entry.key !== key));
+    }
+
+    /**
+     * Changes the data of every queued entry, keeping their keys and order.
+     * Runs after any enqueue or dismiss made before it in the same event.
+     *
+     * @function
+     * @param {function(Object): Object} change - Returns the new data of an entry
+     * @returns {void}
+     */
+    function updateEach(change) {
+        setQueue((currentQueue) => currentQueue.map((entry) => ({ ...change(entry), key: entry.key })));
+    }
+
+    return { current, pendingCount: queue.length, enqueue, dismiss, updateEach };
+}
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Tests for the useUndoQueue hook.
+ * Timers are faked, so the tests decide exactly when each entry expires.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { renderHook, act } from "@testing-library/react-native";
+import useUndoQueue, { UNDO_DURATION_MS } from "./useUndoQueue";
+
+describe("useUndoQueue", () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it("starts empty", () => {
+        const { result } = renderHook(() => useUndoQueue());
+
+        expect(result.current.current).toBeNull();
+        expect(result.current.pendingCount).toBe(0);
+    });
+
+    it("expires the current entry after UNDO_DURATION_MS", () => {
+        const { result } = renderHook(() => useUndoQueue());
+
+        act(() => result.current.enqueue({ label: "first" }));
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS - 1));
+
+        expect(result.current.current).toMatchObject({ label: "first" });
+
+        act(() => jest.advanceTimersByTime(1));
+
+        expect(result.current.current).toBeNull();
+        expect(result.current.pendingCount).toBe(0);
+    });
+
+    it("shows queued entries one after another, each for the full duration", () => {
+        const { result } = renderHook(() => useUndoQueue());
+
+        act(() => result.current.enqueue({ label: "first" }));
+        act(() => jest.advanceTimersByTime(1000));
+        act(() => result.current.enqueue({ label: "second" }));
+        act(() => result.current.enqueue({ label: "third" }));
+
+        expect(result.current.current).toMatchObject({ label: "first" });
+        expect(result.current.pendingCount).toBe(3);
+
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS - 1000));
+
+        expect(result.current.current).toMatchObject({ label: "second" });
+        expect(result.current.pendingCount).toBe(2);
+
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS - 1));
+
+        expect(result.current.current).toMatchObject({ label: "second" });
+
+        act(() => jest.advanceTimersByTime(1));
+
+        expect(result.current.current).toMatchObject({ label: "third" });
+
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS));
+
+        expect(result.current.current).toBeNull();
+    });
+
+    it("gives every entry its own key", () => {
+        const { result } = renderHook(() => useUndoQueue());
+
+        act(() => result.current.enqueue({ label: "first" }));
+        const firstKey = result.current.current.key;
+        act(() => result.current.dismiss(firstKey));
+        act(() => result.current.enqueue({ label: "second" }));
+
+        expect(result.current.current.key).not.toBe(firstKey);
+    });
+
+    it("restarts the timer for the next entry when the current one is dismissed", () => {
+        const { result } = renderHook(() => useUndoQueue());
+
+        act(() => {
+            result.current.enqueue({ label: "first" });
+            result.current.enqueue({ label: "second" });
+        });
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS - 1));
+        act(() => result.current.dismiss(result.current.current.key));
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS - 1));
+
+        expect(result.current.current).toMatchObject({ label: "second" });
+
+        act(() => jest.advanceTimersByTime(1));
+
+        expect(result.current.current).toBeNull();
+    });
+
+    it("changes the data of every entry without touching their keys or timers", () => {
+        const { result } = renderHook(() => useUndoQueue());
+
+        act(() => {
+            result.current.enqueue({ label: "first" });
+            result.current.enqueue({ label: "second" });
+        });
+        const key = result.current.current.key;
+        act(() => jest.advanceTimersByTime(1000));
+        act(() => result.current.updateEach((entry) => ({ label: entry.label.toUpperCase() })));
+
+        expect(result.current.current).toEqual({ label: "FIRST", key });
+
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS - 1000));
+
+        expect(result.current.current).toMatchObject({ label: "SECOND" });
+    });
+
+    it("uses the given duration", () => {
+        const { result } = renderHook(() => useUndoQueue({ duration: 500 }));
+
+        act(() => result.current.enqueue({ label: "first" }));
+        act(() => jest.advanceTimersByTime(500));
+
+        expect(result.current.current).toBeNull();
+    });
+});
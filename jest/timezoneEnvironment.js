@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Jest environment for tests that depend on the device timezone.
+ * Dates are read in the timezone of the process running the tests, which a
+ * test can't change through its own copy of `process.env`. This environment
+ * gives the tests a `setTimezone` function that changes it for real, and puts
+ * the original timezone back once the test file is done.
+ *
+ * Use it with a docblock at the top of the test file:
+ * `@jest-environment ./jest/timezoneEnvironment.js`
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const { TestEnvironment } = require("jest-environment-node");
+
+/**
+ * Node test environment with a `setTimezone(timezone)` global.
+ *
+ * @class
+ * @extends TestEnvironment
+ */
+class TimezoneEnvironment extends TestEnvironment {
+    /**
+     * @param {Object} config - The Jest configuration
+     * @param {Object} context - The test file context
+     */
+    constructor(config, context) {
+        super(config, context);
+        this.originalTimezone = process.env.TZ;
+
+        /**
+         * Makes dates use another timezone, e.g. "Europe/Berlin".
+         *
+         * @param {string} timezone - An IANA timezone name
+         * @returns {void}
+         */
+        this.global.setTimezone = (timezone) => {
+            process.env.TZ = timezone;
+        };
+    }
+
+    /**
+     * Puts the original timezone back.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async teardown() {
+        if (this.originalTimezone === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = this.originalTimezone;
+        }
+        await super.teardown();
+    }
+}
+
+module.exports = TimezoneEnvironment;
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Deep link configuration for the navigation of the Todo App.
+ * This module maps URLs such as `rncourse://goal/<id>` to screens, and turns
+ * taps on goal reminder notifications into the same links, so a reminder
+ * opens the goal it is about.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * URL scheme of the app, as set under `expo.scheme` in app.json.
+ *
+ * @constant
+ * @type {string}
+ */
+export const URL_SCHEME = "rncourse";
+
+/**
+ * Paths of the screens that can be opened by a link. The home screen is
+ * always kept below the linked screen, so going back from it stays in the app.
+ *
+ * @constant
+ * @type {{initialRouteName: string, screens: Object<string, string>}}
+ */
+export const LINKING_CONFIG = {
+    initialRouteName: "Home",
+    screens: {
+        Home: "",
+        GoalDetail: "goal/:goalId",
+        Settings: "settings",
+        Stats: "stats",
+    },
+};
+
+/**
+ * Builds the path of a goal's detail screen.
+ *
+ * @function
+ * @param {string} goalId - The goal
+ * @returns {string} The path, e.g. "goal/01JGFJJZ00ERS8QA0PANZ2BKHM"
+ */
+export function getGoalPath(goalId) {
+    return `goal/${encodeURIComponent(goalId)}`;
+}
+
+/**
+ * Creates the `linking` option of the NavigationContainer.
+ *
+ * Besides links opened from outside the app, the app is opened at a goal
+ * when it was started (or brought back) by tapping one of the goal's
+ * reminder notifications.
+ *
+ * @function
+ * @param {Object} expoLinking - The `expo-linking` module namespace
+ * @param {Object} expoNotifications - The `expo-notifications` module namespace
+ * @returns {Object} The linking options
+ *
+ * @example
+ * import * as Linking from "expo-linking";
+ * import * as Notifications from "expo-notifications";
+ * <NavigationContainer linking={createLinking(Linking, Notifications)}>
+ */
+export function createLinking(expoLinking, expoNotifications) {
+    /**
+     * Turns a tapped notification into a link to its goal.
+     *
+     * @function
+     * @param {(Object|null)} response - The notification response
+     * @returns {(string|null)} The link, or null when the notification isn't about a goal
+     */
+    function getNotificationUrl(response) {
+        const goalId = response?.notification.request.content.data?.goalId;
+        return typeof goalId === "string" ? expoLinking.createURL(getGoalPath(goalId)) : null;
+    }
+
+    return {
+        // Expo Go uses exp:// links; builds use the app's own scheme
+        prefixes: [expoLinking.createURL("/"), `${URL_SCHEME}://`],
+        config: LINKING_CONFIG,
+        getInitialURL: async () => {
+            const url = await expoLinking.getInitialURL();
+            if (url !== null) {
+                return url;
+            }
+            return getNotificationUrl(await expoNotifications.getLastNotificationResponseAsync());
+        },
+        subscribe: (listener) => {
+            const urlSubscription = expoLinking.addEventListener("url", ({ url }) => listener(url));
+            const notificationSubscription = expoNotifications.addNotificationResponseReceivedListener(
+                (response) => {
+                    const url = getNotificationUrl(response);
+                    if (url !== null) {
+                        listener(url);
+                    }
+                }
+            );
+            return () => {
+                urlSubscription.remove();
+                notificationSubscription.remove();
+            };
+        },
+    };
+}
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Goal detail screen of the React Native Todo App.
+ * This screen shows everything about a single goal: its full text, its
+ * notes, its details, its checklist and the history of when it was created
+ * and completed, with actions to edit, complete and delete it.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState } from "react";
+import { StyleSheet, ScrollView, View, Text } from "react-native";
+import ActionButton from "../components/GoalInput/ActionButton";
+import { actionbButtonsStyles } from "../components/GoalInput/styles";
+import GoalInput from "../components/GoalInput/index";
+import GoalChecklist from "../components/GoalChecklist/index";
+import GoalListStatus from "../components/GoalListStatus";
+import PriorityBadge from "../components/PriorityBadge";
+import MarkdownView from "../components/MarkdownView";
+import {
+    useGoalsState,
+    useGoalsDispatch,
+    useGoalDeletion,
+    useRetryLoad,
+} from "../store/GoalsProvider";
+import { toggleGoalCompleted } from "../store/actions";
+import { getGoalById, getGoalHistory } from "../store/selectors";
+import { formatDueLabel, formatTimestamp } from "../utils/dates";
+import { describeReminder } from "../utils/reminders";
+import { describeRecurrence } from "../utils/recurrence";
+
+/**
+ * How each kind of history event is described.
+ *
+ * @constant
+ * @type {Object<string, string>}
+ */
+const EVENT_LABELS = {
+    created: "Created",
+    completed: "Completed",
+};
+
+/**
+ * Goal detail screen, opened by tapping a goal card or by a link such as
+ * `rncourse://goal/<id>`.
+ *
+ * The goal is looked up in the goals store on every render, so the screen
+ * always shows its latest state. A link can point at a goal that was
+ * deleted since, in which case the screen says so and offers a way back.
+ *
+ * @component
+ * @param {Object} props - The screen props
+ * @param {Object} props.navigation - The stack navigation object
+ * @param {{params: {goalId: string}}} props.route - The route, with the ID of the goal to show
+ * @returns {JSX.Element} The goal detail screen
+ */
+export default function GoalDetailScreen({ navigation, route }) {
+    const state = useGoalsState();
+    const dispatch = useGoalsDispatch();
+    const deletion = useGoalDeletion();
+    const retryLoad = useRetryLoad();
+
+    /**
+     * State hook for controlling the visibility of the goal input modal,
+     * which edits the goal shown.
+     *
+     * @type {boolean}
+     */
+    const [isEditing, setIsEditing] = useState(false);
+
+    if (state.status !== "ready") {
+        return (
+            <View style={styles.container}>
+                <GoalListStatus status={state.status} error={state.error} onRetry={retryLoad} />
+            </View>
+        );
+    }
+
+    const goal = getGoalById(state, route.params.goalId);
+
+    /**
+     * Leaves the screen, going to the home screen when the app was opened
+     * right here by a link.
+     *
+     * @function
+     * @returns {void}
+     */
+    function goBack() {
+        if (navigation.canGoBack()) {
+            navigation.goBack();
+        } else {
+            navigation.navigate("Home");
+        }
+    }
+
+    if (goal === null) {
+        return (
+            <View style={styles.container}>
+                <Text style={styles.bodyText}>This goal doesn't exist anymore.</Text>
+                <View style={styles.actionRow}>
+                    <ActionButton
+                        content="Back to goals"
+                        handler={goBack}
+                        styles={actionbButtonsStyles.addGoalButton}
+                    />
+                </View>
+            </View>
+        );
+    }
+
+    const list = state.lists.find((item) => item.id === goal.listId);
+    const history = getGoalHistory(state, goal.id);
+
+    /**
+     * Deletes the goal and returns to the list, where the deletion can be undone.
+     *
+     * @function
+     * @returns {void}
+     */
+    function handleDelete() {
+        goBack();
+        deletion.deleteGoals([goal.id]);
+    }
+
+    /**
+     * Renders one labeled detail of the goal.
+     *
+     * @function
+     * @param {string} label - What the detail is
+     * @param {JSX.Element|string} value - The detail
+     * @returns {JSX.Element} The row
+     */
+    function renderDetail(label, value) {
+        return (
+            <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>{label}</Text>
+                {typeof value === "string" ? <Text style={styles.detailValue}>{value}</Text> : value}
+            </View>
+        );
+    }
+
+    return (
+        <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+            {/* Full goal text */}
+            <Text
+                style={[styles.title, goal.completed && styles.completedTitle]}
+                accessibilityRole="header"
+            >
+                {goal.text}
+            </Text>
+
+            {/* Notes, rendered from Markdown */}
+            {goal.notes !== "" && (
+                <View style={styles.card}>
+                    <Text style={styles.sectionLabel}>Notes</Text>
+                    <MarkdownView source={goal.notes} />
+                </View>
+            )}
+
+            {/* Everything known about the goal */}
+            <View style={styles.card}>
+                {renderDetail(
+                    "List",
+                    <View style={styles.listValue}>
+                        <View style={[styles.listDot, { backgroundColor: list?.color ?? "#b9a6e0" }]} />
+                        <Text style={styles.detailValue}>{list?.name ?? "Unknown list"}</Text>
+                    </View>
+                )}
+                {renderDetail("Priority", <PriorityBadge priority={goal.priority} />)}
+                {renderDetail(
+                    "Due",
+                    goal.dueDate ? `${goal.dueDate} (${formatDueLabel(goal.dueDate)})` : "No due date"
+                )}
+                {goal.recurrence && renderDetail(
+                    "Repeats",
+                    `${describeRecurrence(goal.recurrence)}, done ${goal.completions.length}×`
+                )}
+                {renderDetail("Reminder", goal.reminder ? describeReminder(goal.reminder) : "None")}
+                {renderDetail(
+                    "Tags",
+                    goal.tags.length > 0 ? goal.tags.map((tag) => `#${tag}`).join(" ") : "None"
+                )}
+                {renderDetail(
+                    "Status",
+                    goal.completed && goal.completedAt ? `Done on ${formatTimestamp(goal.completedAt)}` : "Open"
+                )}
+                {renderDetail("Created", formatTimestamp(goal.createdAt))}
+                {renderDetail("Updated", formatTimestamp(goal.updatedAt))}
+            </View>
+
+            {/* Actions on the whole goal */}
+            <View style={styles.actionRow}>
+                <ActionButton
+                    content="Edit"
+                    handler={() => setIsEditing(true)}
+                    styles={actionbButtonsStyles.addGoalButton}
+                />
+                <ActionButton
+                    content={goal.completed ? "Reopen" : "Mark done"}
+                    handler={() => dispatch(toggleGoalCompleted(goal.id))}
+                    styles={actionbButtonsStyles.addGoalButton}
+                />
+                <ActionButton
+                    content="Delete"
+                    handler={handleDelete}
+                    styles={actionbButtonsStyles.cancelButton}
+                />
+            </View>
+
+            {/* Steps of the goal, changed in place */}
+            <GoalChecklist key={goal.id} goal={goal} />
+
+            {/* When the goal was created and completed, newest first */}
+            <View style={styles.card}>
+                <Text style={styles.sectionLabel}>History</Text>
+                {history.length === 0 ? (
+                    <Text style={styles.detailValue}>Nothing recorded yet.</Text>
+                ) : (
+                    history.map((event) => (
+                        <View key={`${event.type}|${event.at}`} style={styles.detailRow}>
+                            <Text style={styles.detailLabel}>{EVENT_LABELS[event.type]}</Text>
+                            <Text style={styles.detailValue}>{formatTimestamp(event.at)}</Text>
+                        </View>
+                    ))
+                )}
+            </View>
+
+            {/* Goal input modal in edit mode for this goal */}
+            <GoalInput
+                visibilty={isEditing}
+                goalToEdit={goal}
+                closeModal={() => setIsEditing(false)}
+            />
+        </ScrollView>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the GoalDetailScreen component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Full-screen column on the dark purple background of the modals.
+     */
+    container: {
+        flexGrow: 1,                    // Full screen coverage
+        gap: 20,                        // Space between the sections
+        padding: 20,
+        backgroundColor: "#311b6b",     // Same dark purple as the goal input modal
+    },
+
+    /**
+     * Full goal text as the screen heading.
+     */
+    title: {
+        color: "white",
+        fontSize: 22,
+        fontWeight: "bold",
+    },
+
+    /**
+     * Heading of a completed goal, struck through like on its card.
+     */
+    completedTitle: {
+        textDecorationLine: "line-through",
+        opacity: 0.7,
+    },
+
+    /**
+     * Plain explanatory text.
+     */
+    bodyText: {
+        color: "white",
+    },
+
+    /**
+     * Translucent box around the details and the history.
+     */
+    card: {
+        gap: 8,
+        padding: 14,
+        borderRadius: 12,
+        backgroundColor: "rgba(255, 255, 255, 0.08)",
+    },
+
+    /**
+     * Section label inside a card, matching the checklist label.
+     */
+    sectionLabel: {
+        color: "white",
+        fontWeight: "bold",
+    },
+
+    /**
+     * One labeled detail: label on the left, value on the right.
+     */
+    detailRow: {
+        flexDirection: "row",
+        alignItems: "center",
+        gap: 12,
+    },
+
+    /**
+     * Fixed-width label so the values line up.
+     */
+    detailLabel: {
+        width: 80,
+        color: "#b9a6e0",               // Muted lavender, secondary to the values
+    },
+
+    /**
+     * Value of a detail; takes the rest of the row.
+     */
+    detailValue: {
+        flex: 1,
+        color: "white",
+    },
+
+    /**
+     * List name with its color dot.
+     */
+    listValue: {
+        flex: 1,
+        flexDirection: "row",
+        alignItems: "center",
+        gap: 6,
+    },
+
+    /**
+     * Small dot in the color of the list.
+     */
+    listDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+    },
+
+    /**
+     * Row of the goal actions.
+     */
+    actionRow: {
+        flexDirection: "row",
+        flexWrap: "wrap",
+        gap: 8,
+    },
+});
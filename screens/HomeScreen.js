@@ -0,0 +1,615 @@
+/**
+ * @fileoverview Home screen of the React Native Todo App.
+ * This screen shows the goals of the active list with search, filters,
+ * selection and the undo snackbar, and is where goals are added and lists
+ * are switched and edited.
+ * 
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState, useCallback } from "react";
+import { StyleSheet, FlatList, View, Button, Text, Pressable, BackHandler } from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import * as ExpoHaptics from "expo-haptics";
+import * as Clipboard from "expo-clipboard";
+import HorizontalLine from "../components/HorizontalLine";
+import GoalCard from "../components/GoalCard";
+import GoalInput from "../components/GoalInput/index";
+import GoalListStatus from "../components/GoalListStatus";
+import GoalProgressCounter from "../components/GoalProgressCounter";
+import SortControl from "../components/SortControl";
+import SearchBar from "../components/SearchBar";
+import FilterChips from "../components/FilterChips";
+import Snackbar from "../components/Snackbar";
+import ListSwitcher from "../components/ListSwitcher";
+import ListEditor from "../components/ListEditor/index";
+import SelectionToolbar from "../components/SelectionToolbar";
+import HistoryControls from "../components/HistoryControls";
+import TemplateBrowser from "../components/TemplateBrowser/index";
+import {
+    useGoalsState,
+    useGoalsDispatch,
+    useGoalDeletion,
+    useRetryLoad,
+} from "../store/GoalsProvider";
+import { moveGoal as moveGoalAction, setSortBy } from "../store/actions";
+import {
+    getActiveList,
+    getActiveListGoals,
+    getVisibleGoals,
+} from "../store/selectors";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import {
+    toggleSelected,
+    invertSelection,
+    pickSelectedGoals,
+    formatGoalsForClipboard,
+} from "../utils/selection";
+import { DEFAULT_FILTER } from "../utils/goalSelectors";
+import { createExpoHaptics } from "../utils/haptics";
+import { StatusBar } from "expo-status-bar";
+
+/**
+ * Haptic feedback for the swipe gestures on goal cards.
+ *
+ * @constant
+ * @type {import("../utils/haptics").Haptics}
+ */
+const haptics = createExpoHaptics(ExpoHaptics);
+
+/**
+ * Home screen of the Todo application, the first screen of the stack.
+ * 
+ * The goals, lists and settings live in the goals store. This component
+ * only keeps the state of the screen itself:
+ * - The search text, status filter and tag filter applied to the list
+ * - Which modal is open and what it is editing
+ * - Whether a goal is being dragged, and which goals are selected
+ * 
+ * Tapping a goal opens its detail screen; the header leads to the
+ * statistics and settings screens.
+ * 
+ * @component
+ * @param {Object} props - The screen props
+ * @param {Object} props.navigation - The stack navigation object
+ * @returns {JSX.Element} The home screen
+ */
+export default function HomeScreen({ navigation }) {
+    /**
+     * The goals store: its state, its dispatch function and the undoable
+     * deletions of goals.
+     */
+    const state = useGoalsState();
+    const dispatch = useGoalsDispatch();
+    const deletion = useGoalDeletion();
+    const retryLoad = useRetryLoad();
+
+    /**
+     * State hook for the text typed into the search box.
+     * 
+     * @type {string}
+     */
+    const [searchText, setSearchText] = useState("");
+
+    /**
+     * The search text, updated only once the user pauses typing so the list
+     * isn't filtered again on every keystroke.
+     * 
+     * @type {string}
+     */
+    const debouncedSearchText = useDebouncedValue(searchText);
+
+    /**
+     * State hook for the selected status filter.
+     * 
+     * @type {string}
+     */
+    const [filter, setFilter] = useState(DEFAULT_FILTER);
+
+    /**
+     * State hook for the tag the list is filtered by, set by tapping a tag
+     * chip on a goal card. Null when no tag filter is applied.
+     * 
+     * @type {string|null}
+     */
+    const [tagFilter, setTagFilter] = useState(null);
+
+    /**
+     * State hook for controlling the visibility of the goal input modal,
+     * which creates goals here; they are edited on their detail screen.
+     * 
+     * @type {boolean}
+     */
+    const [modalIsVisible, setModalIsVisible] = useState(false);
+
+    /**
+     * State hook for controlling the visibility of the list editor modal.
+     * 
+     * @type {boolean}
+     */
+    const [listEditorIsVisible, setListEditorIsVisible] = useState(false);
+
+    /**
+     * State hook holding the list being edited in the list editor.
+     * When null, the list editor creates a new list.
+     * 
+     * @type {import("../utils/listFactory").GoalList|null}
+     */
+    const [editingList, setEditingList] = useState(null);
+
+    /**
+     * State hook for controlling the visibility of the template browser.
+     * 
+     * @type {boolean}
+     */
+    const [templateBrowserIsVisible, setTemplateBrowserIsVisible] = useState(false);
+
+    /**
+     * State hook tracking whether a goal card is being dragged, which pauses
+     * scrolling of the goals list so the drag isn't taken over by a scroll.
+     * 
+     * @type {boolean}
+     */
+    const [isDraggingGoal, setIsDraggingGoal] = useState(false);
+
+    /**
+     * State hook holding the IDs of the selected goals while in selection
+     * mode, or null when not selecting. Long-pressing a goal starts selection.
+     * 
+     * @type {string[]|null}
+     */
+    const [selectedGoalIds, setSelectedGoalIds] = useState(null);
+
+    /**
+     * Whether the list is in selection mode.
+     * 
+     * @type {boolean}
+     */
+    const isSelecting = selectedGoalIds !== null;
+
+    /**
+     * Lets the Android back button leave selection mode instead of the app,
+     * but only while this screen is shown, so it still leaves the screens
+     * opened on top of it.
+     */
+    useFocusEffect(
+        useCallback(() => {
+            if (!isSelecting) {
+                return undefined;
+            }
+            const subscription = BackHandler.addEventListener("hardwareBackPress", () => {
+                setSelectedGoalIds(null);
+                return true;
+            });
+            return () => subscription.remove();
+        }, [isSelecting])
+    );
+
+    /**
+     * The goals of the list shown on the main screen, in stored order.
+     * 
+     * @type {Array<import("../utils/goalFactory").Goal>}
+     */
+    const goalsInActiveList = getActiveListGoals(state);
+
+    /**
+     * The goals shown in the list, after search, filters and sorting.
+     * 
+     * @type {Array<import("../utils/goalFactory").Goal>}
+     */
+    const visibleGoals = getVisibleGoals(state, {
+        tag: tagFilter,
+        query: debouncedSearchText,
+        filter,
+    });
+
+    /**
+     * The selected goals that are on screen, in display order. Batch actions
+     * only apply to these, never to selected goals hidden by a search or filter.
+     * 
+     * @type {Array<import("../utils/goalFactory").Goal>}
+     */
+    const selectedGoals = isSelecting ? pickSelectedGoals(visibleGoals, selectedGoalIds) : [];
+
+    /**
+     * Opens the goal input modal by setting modalIsVisible to true.
+     * This function is triggered when the "Add Goals" button is pressed.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function modalVisibility() {
+        setModalIsVisible(true);
+    }
+
+    /**
+     * Closes the goal input modal by setting modalIsVisible to false.
+     * This function is called when the user cancels goal input, clicks outside
+     * the modal, or once a goal was added.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function handleCloseModal() {
+        setModalIsVisible(false);
+    }
+
+    /**
+     * Moves a goal after it was dragged to another position in the list.
+     * 
+     * The goals on screen are renumbered in their new sequence and the list
+     * switches to the manual sort, so the dropped goal stays where it was put
+     * and the rest keep the order they were shown in.
+     * 
+     * @function
+     * @param {string} goalId - The unique identifier of the dragged goal
+     * @param {number} offset - Rows the goal moved; negative means up
+     * @returns {void}
+     */
+    function moveGoal(goalId, offset) {
+        dispatch(moveGoalAction(visibleGoals.map((goal) => goal.id), goalId, offset));
+    }
+
+    /**
+     * Opens the detail screen of a goal.
+     * This function is triggered when the text or the checklist row of a goal card is tapped.
+     * 
+     * @function
+     * @param {import("../utils/goalFactory").Goal} goal - The goal to show
+     * @returns {void}
+     */
+    function openGoalDetail(goal) {
+        navigation.navigate("GoalDetail", { goalId: goal.id });
+    }
+
+    /**
+     * Opens the list editor to create a new list.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function openNewListEditor() {
+        setEditingList(null);
+        setListEditorIsVisible(true);
+    }
+
+    /**
+     * Opens the list editor for the list shown on the main screen.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function openActiveListEditor() {
+        setEditingList(getActiveList(state));
+        setListEditorIsVisible(true);
+    }
+
+    /**
+     * Closes the list editor.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function closeListEditor() {
+        setListEditorIsVisible(false);
+        setEditingList(null);
+    }
+
+    /**
+     * Starts selection mode with the long-pressed goal selected.
+     * 
+     * @function
+     * @param {string} goalId - The unique identifier of the long-pressed goal
+     * @returns {void}
+     */
+    function startSelection(goalId) {
+        setSelectedGoalIds([goalId]);
+    }
+
+    /**
+     * Leaves selection mode and clears the selection.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function exitSelectionMode() {
+        setSelectedGoalIds(null);
+    }
+
+    /**
+     * Selects or deselects a goal in selection mode.
+     * 
+     * @function
+     * @param {string} goalId - The unique identifier of the tapped goal
+     * @returns {void}
+     */
+    function toggleGoalSelected(goalId) {
+        setSelectedGoalIds((currentIds) => toggleSelected(currentIds, goalId));
+    }
+
+    /**
+     * Selects every goal currently on screen.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function selectAllGoals() {
+        setSelectedGoalIds(visibleGoals.map((goal) => goal.id));
+    }
+
+    /**
+     * Inverts the selection among the goals currently on screen.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function invertGoalSelection() {
+        setSelectedGoalIds((currentIds) =>
+            invertSelection(currentIds, visibleGoals.map((goal) => goal.id))
+        );
+    }
+
+    /**
+     * Copies the text of the selected goals to the clipboard, one per line,
+     * in the order they are shown.
+     * 
+     * @async
+     * @function
+     * @returns {Promise<void>}
+     */
+    async function copySelectedGoals() {
+        await Clipboard.setStringAsync(formatGoalsForClipboard(selectedGoals));
+    }
+
+    /**
+     * Deletes every selected goal in one step and leaves selection mode.
+     * 
+     * @function
+     * @returns {void}
+     */
+    function deleteSelectedGoals() {
+        deletion.deleteGoals(selectedGoals.map((goal) => goal.id));
+        exitSelectionMode();
+    }
+
+    return (
+        <>
+            {/* Status bar configuration for light content on dark background */}
+            <StatusBar style='light'/>
+            <View style={styles.appContainer}>
+                {/* Switcher between the named goal lists */}
+                <ListSwitcher
+                    onEditList={openActiveListEditor}
+                    onCreateList={openNewListEditor}
+                    onOpenTemplates={() => setTemplateBrowserIsVisible(true)}
+                />
+
+                {/* Header summary of completed goals in the active list, with undo and
+                    redo and the entries to the statistics and settings screens */}
+                <View style={styles.headerRow}>
+                    <GoalProgressCounter goals={goalsInActiveList} />
+                    <View style={styles.headerActions}>
+                        <HistoryControls />
+                        <Pressable
+                            onPress={() => navigation.navigate("Stats")}
+                            disabled={state.status !== "ready"}
+                            style={styles.headerButton}
+                            accessibilityRole="button"
+                            accessibilityLabel="Statistics"
+                            hitSlop={8}
+                        >
+                            <Text style={styles.headerButtonText}>📊</Text>
+                        </Pressable>
+                        <Pressable
+                            onPress={() => navigation.navigate("Settings")}
+                            style={styles.headerButton}
+                            accessibilityRole="button"
+                            accessibilityLabel="Settings"
+                            hitSlop={8}
+                        >
+                            <Text style={styles.headerButtonText}>⚙</Text>
+                        </Pressable>
+                    </View>
+                </View>
+
+                {/* Primary action button to open the goal input modal, replaced by
+                    the batch actions while goals are being selected */}
+                {isSelecting ? (
+                    <SelectionToolbar
+                        selectedCount={selectedGoals.length}
+                        onSelectAll={selectAllGoals}
+                        onInvert={invertGoalSelection}
+                        onCopy={copySelectedGoals}
+                        onDelete={deleteSelectedGoals}
+                        onCancel={exitSelectionMode}
+                    />
+                ) : (
+                    <Button
+                        title="Add Goals"
+                        onPress={modalVisibility}
+                        disabled={state.status !== "ready"}
+                    />
+                )}
+
+                {/* Goal input modal component with necessary props */}
+                <GoalInput
+                    visibilty={modalIsVisible}
+                    closeModal={handleCloseModal}
+                />
+
+                {/* Search box and status filters for the goals list */}
+                <SearchBar value={searchText} onChangeText={setSearchText} />
+                <FilterChips
+                    value={filter}
+                    onChange={setFilter}
+                    tag={tagFilter}
+                    onClearTag={() => setTagFilter(null)}
+                />
+
+                {/* Visual separator between the add button and goals list */}
+                <HorizontalLine />
+
+                {/* Sort order of the goals list */}
+                <SortControl
+                    value={state.settings.sortBy}
+                    onChange={(sortBy) => dispatch(setSortBy(sortBy))}
+                />
+
+                {/* Scrollable list of goals, replaced by a placeholder until the saved goals are loaded */}
+                {state.status === "ready" ? (
+                    <FlatList
+                        data={visibleGoals}
+                        scrollEnabled={!isDraggingGoal}
+                        keyExtractor={(item) => item.id}
+                        ListEmptyComponent={
+                            <Text style={styles.emptyText}>
+                                {goalsInActiveList.length === 0
+                                    ? "No goals yet. Tap \"Add Goals\" to create one."
+                                    : "No goals match your search."}
+                            </Text>
+                        }
+                        renderItem={(itemData) => {
+                            return (
+                                <GoalCard
+                                    goal={itemData}
+                                    onSelectTag={setTagFilter}
+                                    onOpenDetails={openGoalDetail}
+                                    onMoveGoal={moveGoal}
+                                    onDragStateChange={setIsDraggingGoal}
+                                    haptics={haptics}
+                                    isSelecting={isSelecting}
+                                    isSelected={isSelecting && selectedGoalIds.includes(itemData.item.id)}
+                                    onStartSelection={startSelection}
+                                    onToggleSelected={toggleGoalSelected}
+                                />
+                            );
+                        }}
+                    />
+                ) : (
+                    <GoalListStatus
+                        status={state.status}
+                        error={state.error}
+                        onRetry={retryLoad}
+                    />
+                )}
+
+                {/* Modal for creating, editing and deleting lists */}
+                <ListEditor
+                    visible={listEditorIsVisible}
+                    list={editingList}
+                    onClose={closeListEditor}
+                />
+
+                {/* Modal for adding goals from templates and saving lists as templates */}
+                <TemplateBrowser
+                    visible={templateBrowserIsVisible}
+                    onClose={() => setTemplateBrowserIsVisible(false)}
+                />
+
+                {/* Undo snackbar for the oldest deletion still waiting to expire */}
+                {deletion.current && (
+                    <Snackbar
+                        message={
+                            (deletion.current.removed.length === 1
+                                ? `Deleted "${deletion.current.removed[0].item.text}"`
+                                : `Deleted ${deletion.current.removed.length} goals`) +
+                            (deletion.pendingCount > 1
+                                ? ` (+${deletion.pendingCount - 1} more)`
+                                : "")
+                        }
+                        actionLabel="Undo"
+                        onAction={deletion.undoDeletion}
+                    />
+                )}
+            </View>
+        </>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the HomeScreen component.
+ * 
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Main container style for the entire application.
+     * 
+     * Features:
+     * - Purple gradient background (#9607e2)
+     * - Full height coverage
+     * - Consistent padding for content spacing
+     * - Gap between child elements for visual separation
+     */
+    appContainer: {
+        paddingVertical: 50,    // Top and bottom padding for status bar and navigation
+        paddingHorizontal: 20,  // Left and right padding for content margins
+        backgroundColor: "#9607e2",  // Primary purple theme color
+        height: "100%",         // Full screen height coverage
+        gap: 20,               // Space between child components
+    },
+    
+    /**
+     * Header row with the progress summary on the left and the undo and
+     * redo buttons on the right.
+     */
+    headerRow: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+    },
+    
+    /**
+     * The buttons on the right of the header, side by side.
+     */
+    headerActions: {
+        flexDirection: "row",
+        gap: 4,
+    },
+    
+    /**
+     * Round outlined header button, matching the undo and redo buttons.
+     */
+    headerButton: {
+        width: 36,
+        height: 36,
+        borderRadius: 18,               // Fully rounded
+        borderColor: "white",
+        borderWidth: 1,
+        alignItems: "center",
+        justifyContent: "center",
+    },
+    
+    /**
+     * Symbol on a header button.
+     */
+    headerButtonText: {
+        color: "white",
+        fontSize: 18,
+    },
+    
+    /**
+     * Message shown in place of the list when there is nothing to display.
+     */
+    emptyText: {
+        color: "white",                 // White text for contrast
+        textAlign: "center",            // Centered under the separator
+        marginTop: 20,                  // Some space below the separator
+    },
+    
+    /**
+     * Legacy text input style (currently unused but kept for reference).
+     * This style was likely used before the modal-based input was implemented.
+     * 
+     * @deprecated This style is no longer used in the current implementation
+     */
+    textInput: {
+        flex: 1,
+        borderColor: "grey",
+        borderWidth: 2,
+        padding: 10,
+    },
+});
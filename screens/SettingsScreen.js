@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Settings screen of the React Native Todo App.
+ * This screen holds the choices that apply to the whole app: the sort order
+ * of the goals list, importing and exporting, and information about the app.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { useState } from "react";
+import { StyleSheet, ScrollView, View, Text } from "react-native";
+import ActionButton from "../components/GoalInput/ActionButton";
+import { actionbButtonsStyles } from "../components/GoalInput/styles";
+import SortControl from "../components/SortControl";
+import ImportExport from "../components/ImportExport/index";
+import { useGoalsState, useGoalsDispatch } from "../store/GoalsProvider";
+import { setSortBy } from "../store/actions";
+import { CURRENT_SCHEMA_VERSION } from "../utils/migrations";
+
+/**
+ * Version of the app shown under "About", matching app.json.
+ *
+ * @constant
+ * @type {string}
+ */
+const APP_VERSION = "1.0.0";
+
+/**
+ * Settings screen, opened from the ⚙ button on the home screen or by the
+ * link `rncourse://settings`.
+ *
+ * The sort order is the same control as above the goals list. It is stored
+ * with the rest of the settings, so it is kept across restarts, but like
+ * other settings it is not part of the undo history.
+ *
+ * @component
+ * @param {Object} props - The screen props
+ * @param {Object} props.navigation - The stack navigation object
+ * @returns {JSX.Element} The settings screen
+ */
+export default function SettingsScreen({ navigation }) {
+    const state = useGoalsState();
+    const dispatch = useGoalsDispatch();
+
+    /**
+     * State hook for controlling the visibility of the import and export modal.
+     *
+     * @type {boolean}
+     */
+    const [importExportIsVisible, setImportExportIsVisible] = useState(false);
+
+    const isReady = state.status === "ready";
+
+    return (
+        <ScrollView contentContainerStyle={styles.container}>
+            {/* Sort order of the goals list */}
+            <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Goals list</Text>
+                <SortControl
+                    value={state.settings.sortBy}
+                    onChange={(sortBy) => dispatch(setSortBy(sortBy))}
+                />
+            </View>
+
+            {/* Moving goals in and out of the app */}
+            <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Data</Text>
+                <Text style={styles.bodyText}>
+                    Export all goals as JSON, CSV or Markdown, or import goals from text.
+                </Text>
+                <View style={styles.actionRow}>
+                    <ActionButton
+                        content="Import & export"
+                        handler={() => setImportExportIsVisible(true)}
+                        styles={actionbButtonsStyles.addGoalButton}
+                        disabled={!isReady}
+                    />
+                    <ActionButton
+                        content="Statistics"
+                        handler={() => navigation.navigate("Stats")}
+                        styles={actionbButtonsStyles.addGoalButton}
+                        disabled={!isReady}
+                    />
+                </View>
+            </View>
+
+            {/* App and data format versions */}
+            <View style={styles.section}>
+                <Text style={styles.sectionTitle}>About</Text>
+                <Text style={styles.bodyText}>Version {APP_VERSION}</Text>
+                <Text style={styles.bodyText}>Data format {CURRENT_SCHEMA_VERSION}</Text>
+            </View>
+
+            {/* Modal for exporting all goals and importing goals from text */}
+            <ImportExport
+                visible={importExportIsVisible}
+                onClose={() => setImportExportIsVisible(false)}
+            />
+        </ScrollView>
+    );
+}
+
+/**
+ * StyleSheet object containing all styles for the SettingsScreen component.
+ *
+ * @constant
+ * @type {Object}
+ */
+const styles = StyleSheet.create({
+    /**
+     * Full-screen column on the dark purple background of the modals.
+     */
+    container: {
+        flexGrow: 1,                    // Full screen coverage
+        gap: 24,                        // Space between the sections
+        padding: 20,
+        backgroundColor: "#311b6b",     // Same dark purple as the goal input modal
+    },
+
+    /**
+     * One group of settings.
+     */
+    section: {
+        gap: 10,
+    },
+
+    /**
+     * Heading of a group of settings.
+     */
+    sectionTitle: {
+        color: "white",
+        fontSize: 18,
+        fontWeight: "bold",
+    },
+
+    /**
+     * Explanatory text.
+     */
+    bodyText: {
+        color: "white",
+    },
+
+    /**
+     * Row of buttons that wraps on narrow screens.
+     */
+    actionRow: {
+        flexDirection: "row",
+        flexWrap: "wrap",
+        gap: 8,
+    },
+});
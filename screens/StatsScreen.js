@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Statistics screen of the React Native Todo App.
+ * This screen shows the goal statistics: completion streaks, the average time
+ * to complete a goal and charts of created and completed goals.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { View } from "react-native";
+import StatsView from "../components/StatsView/index";
+import GoalListStatus from "../components/GoalListStatus";
+import { useGoalsState, useRetryLoad } from "../store/GoalsProvider";
+
+/**
+ * Statistics screen, opened from the 📊 button on the home screen or by the
+ * link `rncourse://stats`. Until the saved data is loaded it shows the
+ * loading or error placeholder instead.
+ *
+ * @component
+ * @returns {JSX.Element} The statistics screen
+ */
+export default function StatsScreen() {
+    const state = useGoalsState();
+    const retryLoad = useRetryLoad();
+
+    if (state.status !== "ready") {
+        return (
+            <View style={{ flex: 1, backgroundColor: "#311b6b" }}>
+                <GoalListStatus status={state.status} error={state.error} onRetry={retryLoad} />
+            </View>
+        );
+    }
+
+    return <StatsView />;
+}
@@ -0,0 +1,401 @@
+/**
+ * @fileoverview GoalsProvider component and hooks that give components access to the goals store.
+ * The provider owns the store state (through useReducer), loads the saved
+ * data on startup, saves it after every change and keeps the queue of
+ * deletions that can still be undone. The state is wrapped with an undo/redo
+ * history that is written to storage when the app goes to the background,
+ * goal creations and completions are recorded in an event log for the
+ * statistics, and the goals' reminders are kept scheduled as notifications.
+ * Components read the state and dispatch actions through the hooks exported
+ * here instead of receiving them as props.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { createContext, useContext, useEffect, useReducer, useRef } from "react";
+import { AppState } from "react-native";
+import useUndoQueue from "../hooks/useUndoQueue";
+import { removeWhere, shiftPastRestored } from "../utils/listHelpers";
+import { goalsReducer, initialState } from "./reducer";
+import { withHistory, createHistoryState } from "./history";
+import { withEventLog } from "./eventLog";
+import { syncReminders } from "../utils/reminders";
+import {
+    loadSucceeded,
+    loadFailed,
+    loadRequested,
+    deleteGoals as deleteGoalsAction,
+    restoreGoals,
+    undo,
+    redo,
+} from "./actions";
+
+/**
+ * The goals reducer with undo/redo history and the event log.
+ *
+ * @constant
+ * @type {function(import("./history").HistoryState, {type: string}): import("./history").HistoryState}
+ */
+const goalsHistoryReducer = withEventLog(withHistory(goalsReducer));
+
+/**
+ * Context holding the store state.
+ *
+ * @constant
+ * @type {React.Context<import("./reducer").GoalsState|null>}
+ */
+const GoalsStateContext = createContext(null);
+
+/**
+ * Context holding the store's dispatch function.
+ * Kept apart from the state so components that only dispatch don't
+ * re-render on every change.
+ *
+ * @constant
+ * @type {React.Context<Function|null>}
+ */
+const GoalsDispatchContext = createContext(null);
+
+/**
+ * Context holding the undoable deletions.
+ *
+ * @constant
+ * @type {React.Context<Object|null>}
+ */
+const GoalDeletionContext = createContext(null);
+
+/**
+ * Context holding whether undo and redo are possible.
+ *
+ * @constant
+ * @type {React.Context<{canUndo: boolean, canRedo: boolean}|null>}
+ */
+const GoalsHistoryContext = createContext(null);
+
+/**
+ * GoalsProvider component that makes the goals store available to its children.
+ *
+ * Loading starts whenever the status is "loading", which is the case on
+ * startup and after a retry. Saving only happens while the status is
+ * "ready", so a failed load can never overwrite the stored goals.
+ *
+ * When a history repository is given, the undo and redo stacks are saved
+ * whenever the app goes to the background, and resumed on the next load if
+ * the app was stopped in between.
+ *
+ * When a notification scheduler is given, the scheduled reminders are
+ * brought in line with the goals after every change, so editing, completing
+ * or deleting a goal reschedules or cancels its reminder.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {ReturnType<typeof import("../utils/goalRepository").createGoalRepository>} props.repository -
+ *   Where the goals are loaded from and saved to
+ * @param {ReturnType<typeof import("../utils/historyRepository").createHistoryRepository>} [props.historyRepository] -
+ *   Where the undo/redo history is kept while the app is in the background
+ * @param {import("../utils/notifications").NotificationScheduler} [props.notificationScheduler] -
+ *   Where goal reminders are scheduled
+ * @param {React.ReactNode} props.children - The components that use the store
+ *
+ * @returns {JSX.Element} The provider wrapping its children
+ *
+ * @example
+ * <GoalsProvider
+ *     repository={goalRepository}
+ *     historyRepository={historyRepository}
+ *     notificationScheduler={notificationScheduler}
+ * >
+ *     <MainScreen />
+ * </GoalsProvider>
+ */
+export default function GoalsProvider({ repository, historyRepository, notificationScheduler, children }) {
+    const [history, dispatch] = useReducer(goalsHistoryReducer, initialState, createHistoryState);
+    const state = history.present;
+
+    /**
+     * The latest history, read by the background listener without
+     * re-subscribing on every change.
+     *
+     * @type {{current: import("./history").HistoryState}}
+     */
+    const latestHistory = useRef(history);
+    latestHistory.current = history;
+
+    /**
+     * The reminder sync in progress. Syncs run one after another, so a
+     * quick series of changes can't schedule and cancel out of order.
+     *
+     * @type {{current: Promise<void>}}
+     */
+    const reminderSync = useRef(Promise.resolve());
+
+    /**
+     * Queue of recent deletions that can still be restored.
+     * Each entry holds the deleted goals with the index each had in the list,
+     * so a batch deletion is undone in one step.
+     */
+    const deletedGoals = useUndoQueue();
+
+    /**
+     * Loads the saved data from the repository whenever a load is requested.
+     */
+    useEffect(() => {
+        if (state.status !== "loading") {
+            return undefined;
+        }
+        let isCancelled = false;
+
+        /**
+         * Loads the goals, then the history saved with them, if any.
+         * A history that can't be read is dropped rather than failing the load.
+         *
+         * @async
+         * @function
+         * @returns {Promise<void>}
+         */
+        async function load() {
+            try {
+                const data = await repository.load();
+                const savedHistory = historyRepository
+                    ? await historyRepository.load(data).catch((error) => {
+                          console.warn("Failed to restore undo history", error);
+                          return null;
+                      })
+                    : null;
+                if (!isCancelled) {
+                    dispatch(loadSucceeded(data, savedHistory));
+                }
+            } catch (error) {
+                if (!isCancelled) {
+                    dispatch(loadFailed(error));
+                }
+            }
+        }
+
+        load();
+        return () => {
+            isCancelled = true;
+        };
+    }, [state.status, repository, historyRepository]);
+
+    /**
+     * Saves the goals, lists, settings, templates and event log whenever they change after a successful load.
+     */
+    useEffect(() => {
+        if (state.status !== "ready") {
+            return;
+        }
+        repository
+            .save({
+                goals: state.goals,
+                lists: state.lists,
+                settings: state.settings,
+                templates: state.templates,
+                events: state.events,
+            })
+            .catch((error) => {
+                console.warn("Failed to save goals", error);
+            });
+    }, [state.goals, state.lists, state.settings, state.templates, state.events, state.status, repository]);
+
+    /**
+     * Reschedules the goals' reminders whenever the goals change after a
+     * successful load.
+     */
+    useEffect(() => {
+        if (!notificationScheduler || state.status !== "ready") {
+            return;
+        }
+        const goals = state.goals;
+        reminderSync.current = reminderSync.current
+            .then(() => syncReminders(notificationScheduler, goals))
+            .catch((error) => {
+                console.warn("Failed to schedule reminders", error);
+            });
+    }, [state.goals, state.status, notificationScheduler]);
+
+    /**
+     * Saves the undo/redo history when the app goes to the background, where
+     * the operating system may stop it.
+     */
+    useEffect(() => {
+        if (!historyRepository) {
+            return undefined;
+        }
+        const subscription = AppState.addEventListener("change", (appState) => {
+            const { past, present, future } = latestHistory.current;
+            if (appState !== "background" || present.status !== "ready") {
+                return;
+            }
+            historyRepository.save({ past, future }, present).catch((error) => {
+                console.warn("Failed to save undo history", error);
+            });
+        });
+        return () => subscription.remove();
+    }, [historyRepository]);
+
+    /**
+     * Deletes goals in a single step and queues them, with their positions,
+     * so the whole deletion can be undone from the snackbar at once.
+     *
+     * @function
+     * @param {string[]} goalIds - The unique identifiers of the goals to delete
+     * @returns {void}
+     */
+    function deleteGoals(goalIds) {
+        const { removed } = removeWhere(state.goals, (goal) => goalIds.includes(goal.id));
+        if (removed.length === 0) {
+            return;
+        }
+        deletedGoals.enqueue({ removed });
+        dispatch(deleteGoalsAction(goalIds));
+    }
+
+    /**
+     * Restores the goals of the current deletion at the indexes they were deleted from.
+     *
+     * The deletions queued after it recorded their indexes without these
+     * goals, so their indexes are moved past the restored ones.
+     *
+     * @function
+     * @returns {void}
+     */
+    function undoDeletion() {
+        const entry = deletedGoals.current;
+        if (!entry) {
+            return;
+        }
+        dispatch(restoreGoals(entry.removed));
+        deletedGoals.dismiss(entry.key);
+        deletedGoals.updateEach((pending) => ({
+            ...pending,
+            removed: shiftPastRestored(pending.removed, entry.removed),
+        }));
+    }
+
+    const deletion = {
+        current: deletedGoals.current,
+        pendingCount: deletedGoals.pendingCount,
+        deleteGoals,
+        undoDeletion,
+    };
+
+    const historyStatus = {
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0,
+    };
+
+    return (
+        <GoalsDispatchContext.Provider value={dispatch}>
+            <GoalsStateContext.Provider value={state}>
+                <GoalsHistoryContext.Provider value={historyStatus}>
+                    <GoalDeletionContext.Provider value={deletion}>
+                        {children}
+                    </GoalDeletionContext.Provider>
+                </GoalsHistoryContext.Provider>
+            </GoalsStateContext.Provider>
+        </GoalsDispatchContext.Provider>
+    );
+}
+
+/**
+ * Reads a value from one of the store contexts.
+ *
+ * @function
+ * @param {React.Context} context - The context to read
+ * @param {string} hookName - Name of the calling hook, for the error message
+ * @returns {*} The context value
+ * @throws {Error} When used outside a GoalsProvider
+ */
+function useStoreContext(context, hookName) {
+    const value = useContext(context);
+    if (value === null) {
+        throw new Error(`${hookName} must be used inside a GoalsProvider`);
+    }
+    return value;
+}
+
+/**
+ * useGoalsState hook that returns the store state.
+ *
+ * @function
+ * @returns {import("./reducer").GoalsState} The current state
+ *
+ * @example
+ * const state = useGoalsState();
+ * const goals = getActiveListGoals(state);
+ */
+export function useGoalsState() {
+    return useStoreContext(GoalsStateContext, "useGoalsState");
+}
+
+/**
+ * useGoalsDispatch hook that returns the function to dispatch store actions.
+ *
+ * @function
+ * @returns {function({type: string}): void} The dispatch function
+ *
+ * @example
+ * const dispatch = useGoalsDispatch();
+ * dispatch(toggleGoalCompleted(goal.id));
+ */
+export function useGoalsDispatch() {
+    return useStoreContext(GoalsDispatchContext, "useGoalsDispatch");
+}
+
+/**
+ * useGoalDeletion hook that deletes goals with undo support.
+ *
+ * @function
+ * @returns {{
+ *   current: (Object|null),
+ *   pendingCount: number,
+ *   deleteGoals: function(string[]): void,
+ *   undoDeletion: function(): void
+ * }} The deletion currently offered for undo (its `removed` entries and
+ *   `key`), how many are queued, and functions to delete goals and to undo
+ *   the current deletion
+ */
+export function useGoalDeletion() {
+    return useStoreContext(GoalDeletionContext, "useGoalDeletion");
+}
+
+/**
+ * useRetryLoad hook that returns a function to load the saved data again
+ * after a failed load.
+ *
+ * @function
+ * @returns {function(): void} Starts a new load
+ */
+export function useRetryLoad() {
+    const dispatch = useGoalsDispatch();
+    return () => dispatch(loadRequested());
+}
+
+/**
+ * useGoalsHistory hook that undoes and redoes changes to the goals and lists.
+ *
+ * @function
+ * @returns {{
+ *   canUndo: boolean,
+ *   canRedo: boolean,
+ *   undo: function(): void,
+ *   redo: function(): void
+ * }} Whether there is something to undo or redo, and functions to do it
+ *
+ * @example
+ * const { canUndo, undo } = useGoalsHistory();
+ * <Button title="Undo" onPress={undo} disabled={!canUndo} />
+ */
+export function useGoalsHistory() {
+    const { canUndo, canRedo } = useStoreContext(GoalsHistoryContext, "useGoalsHistory");
+    const dispatch = useGoalsDispatch();
+    return {
+        canUndo,
+        canRedo,
+        undo: () => dispatch(undo()),
+        redo: () => dispatch(redo()),
+    };
+}
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Tests for the undoable deletions of the GoalsProvider.
+ * The provider loads its goals from a repository on the in-memory storage
+ * backend, and timers are faked so the tests decide when each deletion can
+ * no longer be undone.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { renderHook, act, waitFor } from "@testing-library/react-native";
+import GoalsProvider, { useGoalsState, useGoalDeletion } from "./GoalsProvider";
+import { UNDO_DURATION_MS } from "../hooks/useUndoQueue";
+import { createGoal } from "../utils/goalFactory";
+import { createDefaultList, DEFAULT_LIST_ID } from "../utils/listFactory";
+import { createGoalRepository } from "../utils/goalRepository";
+import { createMemoryBackend } from "../utils/storage";
+
+/**
+ * The time the stored goals were created at.
+ *
+ * @constant
+ * @type {Date}
+ */
+const NOW = new Date("2025-06-02T09:00:00.000Z");
+
+/**
+ * The stored goals, in the order they are shown.
+ *
+ * @constant
+ * @type {Array<import("../utils/goalFactory").Goal>}
+ */
+const GOALS = ["Learn React Native", "Learn TypeScript", "Learn SQL", "Learn Rust"].map((text, order) =>
+    createGoal({ text, listId: DEFAULT_LIST_ID, order }, { now: NOW })
+);
+
+/**
+ * Renders the provider around its state and deletion hooks, and waits for
+ * the stored goals to load.
+ *
+ * @async
+ * @function
+ * @returns {Promise<{result: {current: {state: Object, deletion: Object}}}>} The rendered hooks
+ */
+async function renderGoalsProvider() {
+    const repository = createGoalRepository(createMemoryBackend());
+    await repository.save({
+        goals: GOALS,
+        lists: [createDefaultList({ now: NOW })],
+        settings: { sortBy: "createdAt", activeListId: DEFAULT_LIST_ID },
+        templates: [],
+        events: [],
+    });
+
+    const rendered = renderHook(
+        () => ({ state: useGoalsState(), deletion: useGoalDeletion() }),
+        { wrapper: ({ children }) => <GoalsProvider repository={repository}>{children}</GoalsProvider> }
+    );
+    await waitFor(() => expect(rendered.result.current.state.status).toBe("ready"));
+    return rendered;
+}
+
+/**
+ * Reads the texts of the goals in the store.
+ *
+ * @function
+ * @param {{current: {state: Object}}} result - The rendered hooks
+ * @returns {string[]} The goal texts, in store order
+ */
+function goalTexts(result) {
+    return result.current.state.goals.map((goal) => goal.text);
+}
+
+describe("GoalsProvider deletions", () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it("can no longer undo a deletion after UNDO_DURATION_MS", async () => {
+        const { result } = await renderGoalsProvider();
+
+        act(() => result.current.deletion.deleteGoals([GOALS[1].id]));
+
+        expect(goalTexts(result)).toEqual(["Learn React Native", "Learn SQL", "Learn Rust"]);
+        expect(result.current.deletion.current.removed).toEqual([{ item: GOALS[1], index: 1 }]);
+
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS));
+
+        expect(result.current.deletion.current).toBeNull();
+        act(() => result.current.deletion.undoDeletion());
+        expect(goalTexts(result)).toEqual(["Learn React Native", "Learn SQL", "Learn Rust"]);
+    });
+
+    it("puts an undone goal back at its original index", async () => {
+        const { result } = await renderGoalsProvider();
+
+        act(() => result.current.deletion.deleteGoals([GOALS[1].id]));
+        act(() => result.current.deletion.undoDeletion());
+
+        expect(result.current.state.goals).toEqual(GOALS);
+        expect(result.current.deletion.current).toBeNull();
+    });
+
+    it("puts every goal of an undone batch back at its original index", async () => {
+        const { result } = await renderGoalsProvider();
+
+        act(() => result.current.deletion.deleteGoals([GOALS[0].id, GOALS[2].id, GOALS[3].id]));
+
+        expect(goalTexts(result)).toEqual(["Learn TypeScript"]);
+
+        act(() => result.current.deletion.undoDeletion());
+
+        expect(result.current.state.goals).toEqual(GOALS);
+    });
+
+    it("queues deletions made one after another and undoes them in order", async () => {
+        const { result } = await renderGoalsProvider();
+
+        act(() => result.current.deletion.deleteGoals([GOALS[0].id]));
+        act(() => result.current.deletion.deleteGoals([GOALS[2].id]));
+
+        expect(result.current.deletion.pendingCount).toBe(2);
+        expect(result.current.deletion.current.removed[0].item).toEqual(GOALS[0]);
+
+        act(() => result.current.deletion.undoDeletion());
+
+        expect(goalTexts(result)).toEqual(["Learn React Native", "Learn TypeScript", "Learn Rust"]);
+        expect(result.current.deletion.pendingCount).toBe(1);
+        expect(result.current.deletion.current.removed[0].item).toEqual(GOALS[2]);
+
+        act(() => result.current.deletion.undoDeletion());
+
+        expect(result.current.state.goals).toEqual(GOALS);
+        expect(result.current.deletion.pendingCount).toBe(0);
+    });
+
+    it("lets each queued deletion expire in turn", async () => {
+        const { result } = await renderGoalsProvider();
+
+        act(() => result.current.deletion.deleteGoals([GOALS[0].id]));
+        act(() => result.current.deletion.deleteGoals([GOALS[2].id]));
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS));
+
+        expect(result.current.deletion.pendingCount).toBe(1);
+        expect(result.current.deletion.current.removed[0].item).toEqual(GOALS[2]);
+
+        act(() => jest.advanceTimersByTime(UNDO_DURATION_MS));
+
+        expect(result.current.deletion.current).toBeNull();
+        expect(goalTexts(result)).toEqual(["Learn TypeScript", "Learn Rust"]);
+    });
+
+    it("ignores deletions of goals that don't exist", async () => {
+        const { result } = await renderGoalsProvider();
+
+        act(() => result.current.deletion.deleteGoals(["missing"]));
+
+        expect(result.current.deletion.pendingCount).toBe(0);
+        expect(result.current.state.goals).toEqual(GOALS);
+    });
+});
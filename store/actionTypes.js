@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Action types for the goals store of the Todo App.
+ * Every change to the stored goals, lists and settings goes through the
+ * reducer as one of these actions. Types are namespaced strings so they
+ * read well in logs.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/** Loading the saved data was requested (on startup or on retry). */
+export const LOAD_REQUESTED = "data/loadRequested";
+
+/** The saved data was loaded from storage. */
+export const LOAD_SUCCEEDED = "data/loadSucceeded";
+
+/** Loading the saved data failed. */
+export const LOAD_FAILED = "data/loadFailed";
+
+/** Imported lists and goals were merged in or replaced the current ones. */
+export const DATA_IMPORTED = "data/imported";
+
+/** A new goal was added. */
+export const GOAL_ADDED = "goals/added";
+
+/** Fields of a goal were changed. */
+export const GOAL_UPDATED = "goals/updated";
+
+/** A goal was marked done or not done. */
+export const GOAL_COMPLETION_TOGGLED = "goals/completionToggled";
+
+/** A goal was dragged to another position in the manual order. */
+export const GOAL_MOVED = "goals/moved";
+
+/** One or more goals were deleted. */
+export const GOALS_DELETED = "goals/deleted";
+
+/** Deleted goals were put back where they were. */
+export const GOALS_RESTORED = "goals/restored";
+
+/** A new list was created. */
+export const LIST_ADDED = "lists/added";
+
+/** A list was renamed or recolored. */
+export const LIST_UPDATED = "lists/updated";
+
+/** A list was deleted, with its goals moved or deleted. */
+export const LIST_DELETED = "lists/deleted";
+
+/** The goals of a template were added to a list. */
+export const TEMPLATE_APPLIED = "templates/applied";
+
+/** A list was saved as a user template. */
+export const TEMPLATE_SAVED = "templates/saved";
+
+/** A user template was deleted. */
+export const TEMPLATE_DELETED = "templates/deleted";
+
+/** Another list was chosen for the main screen. */
+export const ACTIVE_LIST_SELECTED = "settings/activeListSelected";
+
+/** Another sort order was chosen. */
+export const SORT_CHANGED = "settings/sortChanged";
+
+/** The last recorded change was undone. */
+export const UNDO = "history/undo";
+
+/** The last undone change was made again. */
+export const REDO = "history/redo";
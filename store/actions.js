@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Action creators for the goals store of the Todo App.
+ * Components never build actions by hand; they call these creators and
+ * dispatch the result. Creators do the impure work (new IDs, the current
+ * time) up front, so the reducer stays a pure function of state and action.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import * as types from "./actionTypes";
+import { createGoal } from "../utils/goalFactory";
+import { createList } from "../utils/listFactory";
+import { createTemplate, createGoalsFromTemplate } from "../utils/templates";
+import { toDateKey } from "../utils/dates";
+
+/**
+ * Requests a (re)load of the saved data.
+ *
+ * @function
+ * @returns {{type: "data/loadRequested"}} The action
+ */
+export function loadRequested() {
+    return { type: types.LOAD_REQUESTED };
+}
+
+/**
+ * Hands the loaded data to the store.
+ *
+ * @function
+ * @param {{goals: Array, lists: Array, settings: {sortBy: string, activeListId: string}}} data -
+ *   The data returned by the goal repository
+ * @param {(import("../utils/historyRepository").SavedHistory|null)} [history=null] - Undo and redo
+ *   stacks to resume; the history starts empty when null
+ * @returns {{type: "data/loadSucceeded", data: Object, history: (Object|null)}} The action
+ */
+export function loadSucceeded(data, history = null) {
+    return { type: types.LOAD_SUCCEEDED, data, history };
+}
+
+/**
+ * Reports that loading the saved data failed.
+ *
+ * @function
+ * @param {Error} error - Why loading failed
+ * @returns {{type: "data/loadFailed", error: Error}} The action
+ */
+export function loadFailed(error) {
+    return { type: types.LOAD_FAILED, error };
+}
+
+/**
+ * Applies imported lists and goals to the store.
+ *
+ * @function
+ * @param {{goals: Array<import("../utils/goalFactory").Goal>, lists: Array<import("../utils/listFactory").GoalList>}} imported -
+ *   The valid lists and goals read by parseImport
+ * @param {string} mode - "merge" to add them to the current ones, "replace" to use only them
+ * @returns {{type: "data/imported", imported: Object, mode: string}} The action
+ *
+ * @example
+ * const { goals, lists } = parseImport(pastedText);
+ * dispatch(importData({ goals, lists }, "merge"));
+ */
+export function importData(imported, mode) {
+    return { type: types.DATA_IMPORTED, imported, mode };
+}
+
+/**
+ * Adds a goal built from the entered fields. The reducer places it at the
+ * end of the manual order.
+ *
+ * @function
+ * @param {{text: string, listId: string, dueDate?: (string|null), priority?: string, tags?: string[]}} fields -
+ *   The fields entered for the new goal
+ * @param {Object} [options] - Creator options
+ * @param {Date} [options.now=new Date()] - The creation time
+ * @returns {{type: "goals/added", goal: import("../utils/goalFactory").Goal}} The action
+ *
+ * @example
+ * dispatch(addGoal({ text: "Learn React Native", listId: "default" }));
+ */
+export function addGoal(fields, { now = new Date() } = {}) {
+    return { type: types.GOAL_ADDED, goal: createGoal(fields, { now }) };
+}
+
+/**
+ * Changes fields of a goal.
+ *
+ * @function
+ * @param {string} goalId - The goal to change
+ * @param {Object} patch - The fields to change, e.g. `{ text: "Learn Python" }`
+ * @param {Object} [options] - Creator options
+ * @param {Date} [options.now=new Date()] - The time of the change
+ * @returns {{type: "goals/updated", goalId: string, patch: Object, now: string}} The action
+ */
+export function updateGoal(goalId, patch, { now = new Date() } = {}) {
+    return { type: types.GOAL_UPDATED, goalId, patch, now: now.toISOString() };
+}
+
+/**
+ * Marks a goal done, or not done when it already is. A recurring goal
+ * instead records the completion and moves on to its next occurrence.
+ *
+ * @function
+ * @param {string} goalId - The goal to flip
+ * @param {Object} [options] - Creator options
+ * @param {Date} [options.now=new Date()] - The time of the change, recorded as `completedAt`
+ * @returns {{type: "goals/completionToggled", goalId: string, now: string, today: string}} The action,
+ *   with `today` as the local date key the next occurrence is counted from
+ */
+export function toggleGoalCompleted(goalId, { now = new Date() } = {}) {
+    return { type: types.GOAL_COMPLETION_TOGGLED, goalId, now: now.toISOString(), today: toDateKey(now) };
+}
+
+/**
+ * Moves a goal among the goals on screen and switches to the manual sort.
+ *
+ * @function
+ * @param {string[]} displayedIds - IDs of the goals on screen, in display order
+ * @param {string} goalId - The goal being moved
+ * @param {number} offset - Rows moved; negative means up
+ * @param {Object} [options] - Creator options
+ * @param {Date} [options.now=new Date()] - The time of the change
+ * @returns {{type: "goals/moved", displayedIds: string[], goalId: string, offset: number, now: string}} The action
+ */
+export function moveGoal(displayedIds, goalId, offset, { now = new Date() } = {}) {
+    return { type: types.GOAL_MOVED, displayedIds, goalId, offset, now: now.toISOString() };
+}
+
+/**
+ * Deletes goals.
+ *
+ * @function
+ * @param {string[]} goalIds - The goals to delete
+ * @returns {{type: "goals/deleted", goalIds: string[]}} The action
+ */
+export function deleteGoals(goalIds) {
+    return { type: types.GOALS_DELETED, goalIds };
+}
+
+/**
+ * Puts deleted goals back at the positions they were deleted from.
+ *
+ * @function
+ * @param {Array<{item: import("../utils/goalFactory").Goal, index: number}>} removed -
+ *   The deleted goals with their former positions (see removeWhere)
+ * @returns {{type: "goals/restored", removed: Array}} The action
+ */
+export function restoreGoals(removed) {
+    return { type: types.GOALS_RESTORED, removed };
+}
+
+/**
+ * Creates a list and makes it the active one.
+ *
+ * @function
+ * @param {{name: string, color: string}} fields - The list's name and color
+ * @param {Object} [options] - Creator options
+ * @param {Date} [options.now=new Date()] - The creation time
+ * @returns {{type: "lists/added", list: import("../utils/listFactory").GoalList}} The action
+ */
+export function addList(fields, { now = new Date() } = {}) {
+    return { type: types.LIST_ADDED, list: createList(fields, { now }) };
+}
+
+/**
+ * Renames or recolors a list.
+ *
+ * @function
+ * @param {string} listId - The list to change
+ * @param {{name?: string, color?: string}} fields - The new name and/or color
+ * @returns {{type: "lists/updated", listId: string, fields: Object}} The action
+ */
+export function updateList(listId, fields) {
+    return { type: types.LIST_UPDATED, listId, fields };
+}
+
+/**
+ * Deletes a list. Its goals move to another list, or are deleted with it.
+ * The reducer ignores attempts to delete the last list.
+ *
+ * @function
+ * @param {string} listId - The list to delete
+ * @param {(string|null)} moveToListId - The list that receives the goals, or null to delete them
+ * @param {Object} [options] - Creator options
+ * @param {Date} [options.now=new Date()] - The time of the change, stamped on moved goals
+ * @returns {{type: "lists/deleted", listId: string, moveToListId: (string|null), now: string}} The action
+ */
+export function deleteList(listId, moveToListId, { now = new Date() } = {}) {
+    return { type: types.LIST_DELETED, listId, moveToListId, now: now.toISOString() };
+}
+
+/**
+ * Adds the goals of a template to a list. The reducer skips goals that are
+ * already in the list and places the others at the end of the manual order.
+ *
+ * @function
+ * @param {import("../utils/templates").GoalTemplate} template - The template to use
+ * @param {string} listId - The list to add the goals to
+ * @param {Object} [options] - Creator options
+ * @param {Date} [options.now=new Date()] - The creation time of the goals
+ * @returns {{type: "templates/applied", goals: Array<import("../utils/goalFactory").Goal>}} The action
+ *
+ * @example
+ * dispatch(applyTemplate(BUILT_IN_TEMPLATES[0], state.settings.activeListId));
+ */
+export function applyTemplate(template, listId, { now = new Date() } = {}) {
+    return { type: types.TEMPLATE_APPLIED, goals: createGoalsFromTemplate(template, listId, { now }) };
+}
+
+/**
+ * Saves goals, usually those of one list, as a user template.
+ *
+ * @function
+ * @param {{name: string, goals: Array<import("../utils/goalFactory").Goal>}} fields - The template name and goals
+ * @param {Object} [options] - Creator options
+ * @param {Date} [options.now=new Date()] - The time the template is saved
+ * @returns {{type: "templates/saved", template: import("../utils/templates").GoalTemplate}} The action
+ */
+export function saveTemplate(fields, { now = new Date() } = {}) {
+    return { type: types.TEMPLATE_SAVED, template: createTemplate(fields, { now }) };
+}
+
+/**
+ * Deletes a user template.
+ *
+ * @function
+ * @param {string} templateId - The template to delete
+ * @returns {{type: "templates/deleted", templateId: string}} The action
+ */
+export function deleteTemplate(templateId) {
+    return { type: types.TEMPLATE_DELETED, templateId };
+}
+
+/**
+ * Shows another list on the main screen.
+ *
+ * @function
+ * @param {string} listId - The list to show
+ * @returns {{type: "settings/activeListSelected", listId: string}} The action
+ */
+export function selectList(listId) {
+    return { type: types.ACTIVE_LIST_SELECTED, listId };
+}
+
+/**
+ * Changes the sort order of the goal list.
+ *
+ * @function
+ * @param {string} sortBy - One of the values in SORT_OPTIONS
+ * @returns {{type: "settings/sortChanged", sortBy: string}} The action
+ */
+export function setSortBy(sortBy) {
+    return { type: types.SORT_CHANGED, sortBy };
+}
+
+/**
+ * Undoes the last recorded change to the goals or lists.
+ *
+ * @function
+ * @returns {{type: "history/undo"}} The action
+ */
+export function undo() {
+    return { type: types.UNDO };
+}
+
+/**
+ * Makes the last undone change again.
+ *
+ * @function
+ * @returns {{type: "history/redo"}} The action
+ */
+export function redo() {
+    return { type: types.REDO };
+}
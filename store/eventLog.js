@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Event log recording for the goals store of the Todo App.
+ * This module wraps the history reducer so that every change of the goals,
+ * including undo and redo, keeps the log of goal creations and completions
+ * used by the statistics in line with the goals.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import * as types from "./actionTypes";
+import { recordGoalEvents } from "../utils/goalEvents";
+
+/**
+ * Tells which goals that disappear on an undo were added by the change
+ * being undone.
+ *
+ * A goal that is in none of the snapshots left on the undo stack didn't
+ * exist before that change. A goal that is in one of them was only brought
+ * back by the change, for example by undoing its deletion, so its events
+ * stay in the log.
+ *
+ * @function
+ * @param {import("./history").HistorySnapshot[]} past - The undo stack after the undo
+ * @returns {function(import("../utils/goalFactory").Goal): boolean} True for goals added by the undone change
+ */
+function isAddedByUndoneChange(past) {
+    const earlierIds = new Set(past.flatMap((snapshot) => snapshot.goals.map((goal) => goal.id)));
+    return (goal) => !earlierIds.has(goal.id);
+}
+
+/**
+ * Wraps a reducer of history state so that goal changes are recorded in the
+ * event log of the present state.
+ *
+ * The wrapper sits outside withHistory because undo and redo replace the
+ * goals without going through the goals reducer. Undoing the addition of a
+ * goal also forgets its events; any other way a goal disappears keeps them,
+ * including undoing the restore of a deleted goal.
+ * The log itself is not part of the undo history.
+ *
+ * @function
+ * @param {function(import("./history").HistoryState, {type: string}): import("./history").HistoryState} reducer -
+ *   The history reducer to wrap
+ * @returns {function(import("./history").HistoryState, {type: string}): import("./history").HistoryState}
+ *   A reducer that also records goal events
+ *
+ * @example
+ * const reducer = withEventLog(withHistory(goalsReducer));
+ */
+export function withEventLog(reducer) {
+    return (state, action) => {
+        const next = reducer(state, action);
+        if (next.present.goals === state.present.goals) {
+            return next;
+        }
+
+        const events = recordGoalEvents(
+            next.present.events,
+            state.present.goals,
+            next.present.goals,
+            action.type === types.UNDO ? { forgetRemoved: isAddedByUndoneChange(next.past) } : {}
+        );
+        return events === next.present.events ? next : { ...next, present: { ...next.present, events } };
+    };
+}
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Tests for the event log recording of the goals store.
+ * The store is built the way GoalsProvider builds it, so undo and redo go
+ * through the history reducer before the log is updated.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { withEventLog } from "./eventLog";
+import { withHistory, createHistoryState } from "./history";
+import { goalsReducer, initialState } from "./reducer";
+import {
+    loadSucceeded,
+    addGoal,
+    toggleGoalCompleted,
+    deleteGoals,
+    restoreGoals,
+    undo,
+    redo,
+} from "./actions";
+import { createDefaultList, DEFAULT_LIST_ID } from "../utils/listFactory";
+import { removeWhere } from "../utils/listHelpers";
+
+/**
+ * The time the goal in these tests is created at.
+ *
+ * @constant
+ * @type {Date}
+ */
+const NOW = new Date("2025-06-02T09:00:00.000Z");
+
+/**
+ * The time the goal in these tests is completed at.
+ *
+ * @constant
+ * @type {Date}
+ */
+const LATER = new Date("2025-06-02T10:30:00.000Z");
+
+/**
+ * The store reducer, as GoalsProvider builds it.
+ *
+ * @constant
+ * @type {Function}
+ */
+const reducer = withEventLog(withHistory(goalsReducer));
+
+/**
+ * Runs actions through the store, starting from a store that loaded no goals.
+ *
+ * @function
+ * @param {...Object} actions - The actions, in order
+ * @returns {import("./history").HistoryState} The state after the last one
+ */
+function run(...actions) {
+    const loaded = loadSucceeded({
+        goals: [],
+        lists: [createDefaultList({ now: NOW })],
+        settings: { sortBy: "createdAt", activeListId: DEFAULT_LIST_ID },
+        templates: [],
+        events: [],
+    });
+    return [loaded, ...actions].reduce(reducer, createHistoryState(initialState));
+}
+
+/**
+ * Reads the event types of the log, oldest first.
+ *
+ * @function
+ * @param {import("./history").HistoryState} state - The store state
+ * @returns {string[]} The event types
+ */
+function eventTypes(state) {
+    return state.present.events.map((event) => event.type);
+}
+
+describe("withEventLog", () => {
+    const added = addGoal({ text: "Learn React Native", listId: DEFAULT_LIST_ID }, { now: NOW });
+    const goalId = added.goal.id;
+    const completed = toggleGoalCompleted(goalId, { now: LATER });
+
+    it("records creations and completions", () => {
+        expect(run(added, completed).present.events).toEqual([
+            { type: "created", goalId, at: NOW.toISOString() },
+            { type: "completed", goalId, at: LATER.toISOString() },
+        ]);
+    });
+
+    it("drops the completion when it is undone", () => {
+        expect(eventTypes(run(added, completed, undo()))).toEqual(["created"]);
+    });
+
+    it("keeps the events of a deleted goal", () => {
+        expect(eventTypes(run(added, completed, deleteGoals([goalId])))).toEqual(["created", "completed"]);
+    });
+
+    it("forgets the events of a goal whose addition is undone", () => {
+        const state = run(added, undo());
+
+        expect(state.present.goals).toEqual([]);
+        expect(state.present.events).toEqual([]);
+    });
+
+    it("records the goal again when its addition is redone", () => {
+        expect(eventTypes(run(added, undo(), redo()))).toEqual(["created"]);
+    });
+
+    it("keeps the events when the restore of a deleted goal is undone", () => {
+        const beforeDelete = run(added, completed);
+        const { removed } = removeWhere(beforeDelete.present.goals, (goal) => goal.id === goalId);
+
+        const state = run(added, completed, deleteGoals([goalId]), restoreGoals(removed), undo());
+
+        expect(state.present.goals).toEqual([]);
+        expect(eventTypes(state)).toEqual(["created", "completed"]);
+    });
+
+    it("keeps the events when a deletion is redone", () => {
+        const state = run(added, completed, deleteGoals([goalId]), undo(), redo());
+
+        expect(state.present.goals).toEqual([]);
+        expect(eventTypes(state)).toEqual(["created", "completed"]);
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Undo/redo history for the goals store of the Todo App.
+ * `withHistory` wraps the goals reducer and records a snapshot of the goals
+ * and lists before every action that changes them, so every kind of change,
+ * including ones added later, can be undone without extra work. Actions that
+ * only change settings (such as switching lists) are not recorded.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import * as types from "./actionTypes";
+
+/**
+ * Most snapshots kept on the undo stack; older ones are dropped.
+ *
+ * @constant
+ * @type {number}
+ */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Window, in milliseconds, in which repeated changes of the same kind to the
+ * same goal or list are merged into one undo step. Checking off several
+ * steps of a checklist in a row is undone at once, for example.
+ *
+ * @constant
+ * @type {number}
+ */
+export const COALESCE_WINDOW_MS = 1500;
+
+/**
+ * The data restored by an undo or redo.
+ *
+ * @typedef {Object} HistorySnapshot
+ * @property {Array<import("../utils/goalFactory").Goal>} goals - The goals at that point
+ * @property {Array<import("../utils/listFactory").GoalList>} lists - The lists at that point
+ * @property {{sortBy: string, activeListId: string}} settings - The settings at that point
+ */
+
+/**
+ * The state of a store wrapped with withHistory.
+ *
+ * @typedef {Object} HistoryState
+ * @property {HistorySnapshot[]} past - Snapshots to go back to, oldest first
+ * @property {import("./reducer").GoalsState} present - The current store state
+ * @property {HistorySnapshot[]} future - Snapshots undone, next redo first
+ * @property {({type: string, target: (string|null), at: number}|null)} lastRecorded -
+ *   The last recorded action, used to merge rapid repeats; null after an undo or redo
+ */
+
+/**
+ * Wraps a store state with an empty history.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} present - The initial store state
+ * @returns {HistoryState} The state with nothing to undo or redo
+ */
+export function createHistoryState(present) {
+    return { past: [], present, future: [], lastRecorded: null };
+}
+
+/**
+ * Takes the part of the store state that undo and redo restore.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @returns {HistorySnapshot} The snapshot
+ */
+function takeSnapshot({ goals, lists, settings }) {
+    return { goals, lists, settings };
+}
+
+/**
+ * Puts a snapshot's goals and lists back into the store state.
+ *
+ * The current sort order is kept, and so is the active list as long as it
+ * still exists in the snapshot; otherwise the snapshot's active list is used.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The current store state
+ * @param {HistorySnapshot} snapshot - The snapshot to restore
+ * @returns {import("./reducer").GoalsState} The restored state
+ */
+function restoreSnapshot(state, snapshot) {
+    const keepsActiveList = snapshot.lists.some(
+        (list) => list.id === state.settings.activeListId
+    );
+    return {
+        ...state,
+        goals: snapshot.goals,
+        lists: snapshot.lists,
+        settings: {
+            ...state.settings,
+            activeListId: keepsActiveList
+                ? state.settings.activeListId
+                : snapshot.settings.activeListId,
+        },
+    };
+}
+
+/**
+ * Describes a recorded action for merging rapid repeats.
+ *
+ * @function
+ * @param {{type: string, goalId?: string, listId?: string, now?: string}} action - The recorded action
+ * @returns {{type: string, target: (string|null), at: number}} The action type, the goal or list
+ *   it changed, and when; `at` is NaN for actions without a time, which never merge
+ */
+function describeAction(action) {
+    return {
+        type: action.type,
+        target: action.goalId ?? action.listId ?? null,
+        at: action.now ? Date.parse(action.now) : NaN,
+    };
+}
+
+/**
+ * Checks whether an action repeats the last recorded one closely enough to
+ * share its undo step.
+ *
+ * @function
+ * @param {({type: string, target: (string|null), at: number}|null)} last - The last recorded action
+ * @param {{type: string, target: (string|null), at: number}} next - The new action
+ * @param {number} windowMs - The coalescing window
+ * @returns {boolean} True when both change the same thing the same way within the window
+ */
+function shouldCoalesce(last, next, windowMs) {
+    return (
+        last !== null &&
+        last.type === next.type &&
+        last.target !== null &&
+        last.target === next.target &&
+        next.at - last.at >= 0 &&
+        next.at - last.at <= windowMs
+    );
+}
+
+/**
+ * Wraps a reducer with an undo/redo history.
+ *
+ * The wrapped reducer handles the undo and redo actions itself and passes
+ * every other action to the wrapped reducer. When that changes the goals or
+ * the lists, the previous goals, lists and settings are pushed on the undo
+ * stack and the redo stack is cleared. Loading resets the history, unless the
+ * load action carries a saved history to resume.
+ *
+ * @function
+ * @param {function(import("./reducer").GoalsState, {type: string}): import("./reducer").GoalsState} reducer -
+ *   The reducer to wrap
+ * @param {Object} [options] - History options
+ * @param {number} [options.limit=HISTORY_LIMIT] - Most undo steps kept
+ * @param {number} [options.coalesceMs=COALESCE_WINDOW_MS] - Window for merging rapid repeats
+ * @returns {function(HistoryState, {type: string}): HistoryState} The wrapped reducer
+ *
+ * @example
+ * const reducer = withHistory(goalsReducer);
+ * const [history, dispatch] = useReducer(reducer, initialState, createHistoryState);
+ * dispatch(undo());
+ */
+export function withHistory(
+    reducer,
+    { limit = HISTORY_LIMIT, coalesceMs = COALESCE_WINDOW_MS } = {}
+) {
+    return (state, action) => {
+        const { past, present, future } = state;
+
+        switch (action.type) {
+            case types.UNDO: {
+                if (past.length === 0) {
+                    return state;
+                }
+                return {
+                    past: past.slice(0, -1),
+                    present: restoreSnapshot(present, past[past.length - 1]),
+                    future: [takeSnapshot(present), ...future],
+                    lastRecorded: null,
+                };
+            }
+
+            case types.REDO: {
+                if (future.length === 0) {
+                    return state;
+                }
+                return {
+                    past: [...past, takeSnapshot(present)],
+                    present: restoreSnapshot(present, future[0]),
+                    future: future.slice(1),
+                    lastRecorded: null,
+                };
+            }
+
+            case types.LOAD_SUCCEEDED: {
+                const saved = action.history ?? null;
+                return {
+                    past: saved ? saved.past.slice(-limit) : [],
+                    present: reducer(present, action),
+                    future: saved ? saved.future.slice(0, limit) : [],
+                    lastRecorded: null,
+                };
+            }
+
+            default: {
+                const next = reducer(present, action);
+                if (next === present) {
+                    return state;
+                }
+                if (next.goals === present.goals && next.lists === present.lists) {
+                    return { ...state, present: next };
+                }
+
+                const recorded = describeAction(action);
+                return {
+                    past: shouldCoalesce(state.lastRecorded, recorded, coalesceMs)
+                        ? past
+                        : [...past, takeSnapshot(present)].slice(-limit),
+                    present: next,
+                    future: [],
+                    lastRecorded: recorded,
+                };
+            }
+        }
+    };
+}
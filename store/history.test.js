@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Tests for the undo/redo history of the goals store.
+ * The history wraps the real goals reducer with a small limit, so trimming
+ * the stack takes only a few changes.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { withHistory, createHistoryState, HISTORY_LIMIT, COALESCE_WINDOW_MS } from "./history";
+import { goalsReducer, initialState } from "./reducer";
+import {
+    loadSucceeded,
+    addGoal,
+    updateGoal,
+    addList,
+    selectList,
+    setSortBy,
+    undo,
+    redo,
+} from "./actions";
+import { createGoal } from "../utils/goalFactory";
+import { createDefaultList, DEFAULT_LIST_ID } from "../utils/listFactory";
+
+/**
+ * The time the first change in these tests happens at.
+ *
+ * @constant
+ * @type {Date}
+ */
+const NOW = new Date("2025-06-02T09:00:00.000Z");
+
+/**
+ * The goal every test starts with.
+ *
+ * @constant
+ * @type {import("../utils/goalFactory").Goal}
+ */
+const goal = createGoal({ text: "Learn React Native", listId: DEFAULT_LIST_ID }, { now: NOW });
+
+/**
+ * Most undo steps kept in these tests.
+ *
+ * @constant
+ * @type {number}
+ */
+const LIMIT = 3;
+
+/**
+ * The history reducer under test.
+ *
+ * @constant
+ * @type {Function}
+ */
+const reducer = withHistory(goalsReducer, { limit: LIMIT, coalesceMs: COALESCE_WINDOW_MS });
+
+/**
+ * Returns a time a number of milliseconds after NOW.
+ *
+ * @function
+ * @param {number} ms - Milliseconds after NOW
+ * @returns {Date} The time
+ */
+function after(ms) {
+    return new Date(NOW.getTime() + ms);
+}
+
+/**
+ * Builds the data of a load with the default list and the given goals.
+ *
+ * @function
+ * @param {Array<import("../utils/goalFactory").Goal>} [goals=[]] - The loaded goals
+ * @returns {Object} The loaded data
+ */
+function loadedData(goals = []) {
+    return {
+        goals,
+        lists: [createDefaultList({ now: NOW })],
+        settings: { sortBy: "createdAt", activeListId: DEFAULT_LIST_ID },
+        templates: [],
+        events: [],
+    };
+}
+
+/**
+ * Builds a history snapshot holding the given goals.
+ *
+ * @function
+ * @param {string} text - Text of the only goal in the snapshot
+ * @returns {import("./history").HistorySnapshot} The snapshot
+ */
+function snapshot(text) {
+    const { goals, lists, settings } = loadedData([createGoal({ text, listId: DEFAULT_LIST_ID }, { now: NOW })]);
+    return { goals, lists, settings };
+}
+
+/**
+ * Runs actions through the history, starting from a store that loaded one goal.
+ *
+ * @function
+ * @param {...Object} actions - The actions, in order
+ * @returns {import("./history").HistoryState} The state after the last one
+ */
+function run(...actions) {
+    return [loadSucceeded(loadedData([goal])), ...actions].reduce(reducer, createHistoryState(initialState));
+}
+
+/**
+ * Reads the goal texts of the present state.
+ *
+ * @function
+ * @param {import("./history").HistoryState} state - The history state
+ * @returns {string[]} The goal texts
+ */
+function texts(state) {
+    return state.present.goals.map((item) => item.text);
+}
+
+describe("withHistory", () => {
+    it("keeps 50 undo steps by default", () => {
+        expect(HISTORY_LIMIT).toBe(50);
+    });
+
+    it("records a snapshot before every change", () => {
+        const state = run(addGoal({ text: "Learn SQL", listId: DEFAULT_LIST_ID }, { now: NOW }));
+
+        expect(state.past).toHaveLength(1);
+        expect(state.past[0].goals).toEqual([goal]);
+        expect(state.future).toEqual([]);
+    });
+
+    it("returns to the same state after an undo and a redo", () => {
+        const changed = run(updateGoal(goal.id, { text: "Learn Python" }, { now: NOW }));
+
+        const undone = reducer(changed, undo());
+        const redone = reducer(undone, redo());
+
+        expect(texts(undone)).toEqual(["Learn React Native"]);
+        expect(undone.future).toHaveLength(1);
+        expect(redone.present).toEqual(changed.present);
+        expect(redone.past).toEqual(changed.past);
+        expect(redone.future).toEqual([]);
+    });
+
+    it("ignores undo and redo with nothing to go back or forward to", () => {
+        const state = run();
+
+        expect(reducer(state, undo())).toBe(state);
+        expect(reducer(state, redo())).toBe(state);
+    });
+
+    it("clears the redo stack on a new change", () => {
+        const undone = run(updateGoal(goal.id, { text: "Learn Python" }, { now: NOW }), undo());
+
+        const state = reducer(undone, updateGoal(goal.id, { text: "Learn Go" }, { now: after(5000) }));
+
+        expect(state.future).toEqual([]);
+        expect(reducer(state, redo())).toBe(state);
+    });
+
+    it("drops the oldest steps past the limit", () => {
+        const state = run(
+            updateGoal(goal.id, { text: "Learn A" }, { now: after(0) }),
+            updateGoal(goal.id, { text: "Learn B" }, { now: after(5000) }),
+            updateGoal(goal.id, { text: "Learn C" }, { now: after(10000) }),
+            updateGoal(goal.id, { text: "Learn D" }, { now: after(15000) })
+        );
+
+        expect(state.past).toHaveLength(LIMIT);
+        expect(state.past.map((entry) => entry.goals[0].text)).toEqual(["Learn A", "Learn B", "Learn C"]);
+    });
+
+    it("merges rapid repeats of the same change into one step", () => {
+        const state = run(
+            updateGoal(goal.id, { text: "Learn R" }, { now: after(0) }),
+            updateGoal(goal.id, { text: "Learn Re" }, { now: after(COALESCE_WINDOW_MS) }),
+            updateGoal(goal.id, { text: "Learn Rea" }, { now: after(COALESCE_WINDOW_MS + 500) })
+        );
+
+        expect(state.past).toHaveLength(1);
+        expect(texts(reducer(state, undo()))).toEqual(["Learn React Native"]);
+    });
+
+    it("keeps repeats outside the window as separate steps", () => {
+        const state = run(
+            updateGoal(goal.id, { text: "Learn R" }, { now: after(0) }),
+            updateGoal(goal.id, { text: "Learn Re" }, { now: after(COALESCE_WINDOW_MS + 1) })
+        );
+
+        expect(state.past).toHaveLength(2);
+        expect(texts(reducer(state, undo()))).toEqual(["Learn R"]);
+    });
+
+    it("doesn't merge changes to different goals", () => {
+        const other = addGoal({ text: "Learn SQL", listId: DEFAULT_LIST_ID }, { now: NOW });
+        const state = run(
+            other,
+            updateGoal(goal.id, { text: "Learn Rust" }, { now: after(0) }),
+            updateGoal(other.goal.id, { text: "Learn Go" }, { now: after(100) })
+        );
+
+        expect(state.past).toHaveLength(3);
+    });
+
+    it("doesn't merge a change made after an undo", () => {
+        const undone = run(
+            updateGoal(goal.id, { text: "Learn R" }, { now: after(0) }),
+            updateGoal(goal.id, { text: "Learn Re" }, { now: after(COALESCE_WINDOW_MS + 1) }),
+            undo()
+        );
+
+        const state = reducer(
+            undone,
+            updateGoal(goal.id, { text: "Learn Ru" }, { now: after(COALESCE_WINDOW_MS + 2) })
+        );
+
+        expect(state.past).toHaveLength(2);
+    });
+
+    it("doesn't record settings-only changes", () => {
+        const changed = run(updateGoal(goal.id, { text: "Learn Python" }, { now: NOW }));
+
+        const state = [setSortBy("alphabetical"), selectList(DEFAULT_LIST_ID)].reduce(reducer, changed);
+
+        expect(state.present.settings.sortBy).toBe("alphabetical");
+        expect(state.past).toBe(changed.past);
+        expect(reducer(state, undo()).present.settings.sortBy).toBe("alphabetical");
+    });
+
+    describe("loading", () => {
+        it("starts with an empty history without a saved one", () => {
+            const changed = run(updateGoal(goal.id, { text: "Learn Python" }, { now: NOW }), undo());
+
+            const state = reducer(changed, loadSucceeded(loadedData([goal])));
+
+            expect(state.past).toEqual([]);
+            expect(state.future).toEqual([]);
+            expect(state.lastRecorded).toBeNull();
+        });
+
+        it("resumes a saved history", () => {
+            const saved = { past: [snapshot("Learn A")], future: [snapshot("Learn B")] };
+
+            const state = reducer(createHistoryState(initialState), loadSucceeded(loadedData([goal]), saved));
+
+            expect(state.past).toEqual(saved.past);
+            expect(state.future).toEqual(saved.future);
+            expect(texts(reducer(state, undo()))).toEqual(["Learn A"]);
+            expect(texts(reducer(state, redo()))).toEqual(["Learn B"]);
+        });
+
+        it("trims a saved history over the limit to the newest steps", () => {
+            const saved = {
+                past: ["Learn A", "Learn B", "Learn C", "Learn D", "Learn E"].map(snapshot),
+                future: ["Learn F", "Learn G", "Learn H", "Learn I"].map(snapshot),
+            };
+
+            const state = reducer(createHistoryState(initialState), loadSucceeded(loadedData([goal]), saved));
+
+            expect(state.past.map((entry) => entry.goals[0].text)).toEqual(["Learn C", "Learn D", "Learn E"]);
+            expect(state.future.map((entry) => entry.goals[0].text)).toEqual(["Learn F", "Learn G", "Learn H"]);
+        });
+    });
+
+    describe("restoring a snapshot", () => {
+        it("falls back to the snapshot's active list when the current one isn't in it", () => {
+            const state = run(addList({ name: "Work", color: "#e91e63" }, { now: NOW }));
+            expect(state.present.settings.activeListId).not.toBe(DEFAULT_LIST_ID);
+
+            const undone = reducer(state, undo());
+
+            expect(undone.present.lists.map((list) => list.id)).toEqual([DEFAULT_LIST_ID]);
+            expect(undone.present.settings.activeListId).toBe(DEFAULT_LIST_ID);
+        });
+
+        it("keeps the active list when the snapshot still has it", () => {
+            const added = run(addList({ name: "Work", color: "#e91e63" }, { now: NOW }));
+            const workId = added.present.settings.activeListId;
+            const state = [
+                selectList(DEFAULT_LIST_ID),
+                updateGoal(goal.id, { text: "Learn Python" }, { now: after(5000) }),
+                selectList(workId),
+            ].reduce(reducer, added);
+
+            const undone = reducer(state, undo());
+
+            expect(texts(undone)).toEqual(["Learn React Native"]);
+            expect(undone.present.settings.activeListId).toBe(workId);
+        });
+
+        it("keeps the current sort order", () => {
+            const state = run(updateGoal(goal.id, { text: "Learn Python" }, { now: NOW }), setSortBy("priority"));
+
+            expect(reducer(state, undo()).present.settings.sortBy).toBe("priority");
+        });
+    });
+});
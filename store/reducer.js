@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Reducer for the goals store of the Todo App.
+ * The reducer is the only place where the stored goals, lists and settings
+ * change. It is a pure function of the current state and an action built by
+ * the creators in ./actions, and doesn't depend on React Native.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import * as types from "./actionTypes";
+import { updateGoalFields } from "../utils/goalFactory";
+import { DEFAULT_LIST_ID } from "../utils/listFactory";
+import { getNextOrder, moveInManualOrder } from "../utils/manualOrder";
+import { insertAllAt } from "../utils/listHelpers";
+import { DEFAULT_SORT } from "../utils/sortGoals";
+import { applyImport } from "../utils/importGoals";
+import { validateGoalText } from "../utils/validation";
+import { completeOccurrence } from "../utils/recurrence";
+
+/**
+ * The state held by the goals store.
+ *
+ * @typedef {Object} GoalsState
+ * @property {"loading"|"ready"|"error"} status - Where the saved data is in its lifecycle.
+ *   Goals are only shown (and only saved) once loading succeeded, so a failed
+ *   load can never overwrite the stored goals with an empty list.
+ * @property {(Error|null)} error - The error raised while loading, if any
+ * @property {Array<import("../utils/goalFactory").Goal>} goals - All goals, in the order they were added
+ * @property {Array<import("../utils/listFactory").GoalList>} lists - The goal lists; there is always at least one once loaded
+ * @property {{sortBy: string, activeListId: string}} settings - User preferences saved with the goals
+ * @property {Array<import("../utils/templates").GoalTemplate>} templates - The templates the user saved
+ * @property {Array<import("../utils/goalEvents").GoalEvent>} events - Log of goal creations and completions.
+ *   The reducer only loads it; withEventLog in ./eventLog keeps it in line with the goals
+ */
+
+/**
+ * The state before the saved data is loaded.
+ *
+ * @constant
+ * @type {GoalsState}
+ */
+export const initialState = {
+    status: "loading",
+    error: null,
+    goals: [],
+    lists: [],
+    settings: { sortBy: DEFAULT_SORT, activeListId: DEFAULT_LIST_ID },
+    templates: [],
+    events: [],
+};
+
+/**
+ * Applies a change to the goal with the given ID, leaving the others untouched.
+ *
+ * @function
+ * @param {Array<import("../utils/goalFactory").Goal>} goals - All goals
+ * @param {string} goalId - The goal to change
+ * @param {function(import("../utils/goalFactory").Goal): import("../utils/goalFactory").Goal} change -
+ *   Returns the changed goal
+ * @returns {Array<import("../utils/goalFactory").Goal>} The new goals
+ */
+function mapGoal(goals, goalId, change) {
+    return goals.map((goal) => (goal.id === goalId ? change(goal) : goal));
+}
+
+/**
+ * Checks whether an item with the given ID is in a list of goals or lists.
+ *
+ * @function
+ * @param {Array<{id: string}>} items - The goals or lists
+ * @param {string} id - The ID to look for
+ * @returns {boolean} True when an item has that ID
+ */
+function hasItem(items, id) {
+    return items.some((item) => item.id === id);
+}
+
+/**
+ * Returns the state with some settings changed.
+ *
+ * @function
+ * @param {GoalsState} state - The current state
+ * @param {Object} patch - The settings to change
+ * @returns {GoalsState} The new state
+ */
+function withSettings(state, patch) {
+    return { ...state, settings: { ...state.settings, ...patch } };
+}
+
+/**
+ * Reducer that computes the next state of the goals store.
+ *
+ * Unknown actions, and actions that refer to goals or lists that don't
+ * exist, leave the state as it was.
+ *
+ * @function
+ * @param {GoalsState} state - The current state
+ * @param {{type: string}} action - An action built by the creators in ./actions
+ * @returns {GoalsState} The next state
+ *
+ * @example
+ * const [state, dispatch] = useReducer(goalsReducer, initialState);
+ * dispatch(addGoal({ text: "Learn React Native", listId: state.settings.activeListId }));
+ */
+export function goalsReducer(state, action) {
+    switch (action.type) {
+        case types.LOAD_REQUESTED:
+            return { ...state, status: "loading", error: null };
+
+        case types.LOAD_SUCCEEDED: {
+            const { goals, lists, settings, templates, events } = action.data;
+            return {
+                status: "ready",
+                error: null,
+                goals,
+                lists,
+                settings: {
+                    sortBy: settings.sortBy,
+                    activeListId: lists.some((list) => list.id === settings.activeListId)
+                        ? settings.activeListId
+                        : lists[0].id,
+                },
+                templates,
+                events,
+            };
+        }
+
+        case types.LOAD_FAILED:
+            return { ...state, status: "error", error: action.error };
+
+        case types.DATA_IMPORTED: {
+            const { goals, lists } = applyImport(state, action.imported, action.mode);
+            return withSettings(
+                { ...state, goals, lists },
+                hasItem(lists, state.settings.activeListId) ? {} : { activeListId: lists[0].id }
+            );
+        }
+
+        case types.GOAL_ADDED:
+            return {
+                ...state,
+                goals: [...state.goals, { ...action.goal, order: getNextOrder(state.goals) }],
+            };
+
+        case types.GOAL_UPDATED: {
+            if (!hasItem(state.goals, action.goalId)) {
+                return state;
+            }
+            const now = new Date(action.now);
+            return {
+                ...state,
+                goals: mapGoal(state.goals, action.goalId, (goal) =>
+                    updateGoalFields(goal, action.patch, { now })
+                ),
+            };
+        }
+
+        case types.GOAL_COMPLETION_TOGGLED: {
+            if (!hasItem(state.goals, action.goalId)) {
+                return state;
+            }
+            const now = new Date(action.now);
+            return {
+                ...state,
+                goals: mapGoal(state.goals, action.goalId, (goal) =>
+                    goal.recurrence && !goal.completed
+                        ? completeOccurrence(goal, { now, today: action.today })
+                        : updateGoalFields(
+                              goal,
+                              { completed: !goal.completed, completedAt: goal.completed ? null : action.now },
+                              { now }
+                          )
+                ),
+            };
+        }
+
+        case types.GOAL_MOVED: {
+            const now = new Date(action.now);
+            const newOrders = moveInManualOrder(
+                state.goals,
+                action.displayedIds,
+                action.goalId,
+                action.offset
+            );
+            const isMoved = (goal) =>
+                newOrders[goal.id] !== undefined && newOrders[goal.id] !== goal.order;
+            // Keep the same array when nothing moved, so the history skips the no-op
+            const goals = state.goals.some(isMoved)
+                ? state.goals.map((goal) =>
+                      isMoved(goal) ? updateGoalFields(goal, { order: newOrders[goal.id] }, { now }) : goal
+                  )
+                : state.goals;
+            return withSettings({ ...state, goals }, { sortBy: "manual" });
+        }
+
+        case types.GOALS_DELETED: {
+            if (!state.goals.some((goal) => action.goalIds.includes(goal.id))) {
+                return state;
+            }
+            return {
+                ...state,
+                goals: state.goals.filter((goal) => !action.goalIds.includes(goal.id)),
+            };
+        }
+
+        case types.GOALS_RESTORED: {
+            // Goals brought back another way (such as undo) are not restored twice
+            const missing = action.removed.filter(
+                (entry) => !hasItem(state.goals, entry.item.id)
+            );
+            if (missing.length === 0) {
+                return state;
+            }
+            return { ...state, goals: insertAllAt(state.goals, missing) };
+        }
+
+        case types.LIST_ADDED:
+            return withSettings(
+                { ...state, lists: [...state.lists, action.list] },
+                { activeListId: action.list.id }
+            );
+
+        case types.LIST_UPDATED:
+            if (!hasItem(state.lists, action.listId)) {
+                return state;
+            }
+            return {
+                ...state,
+                lists: state.lists.map((list) =>
+                    list.id === action.listId ? { ...list, ...action.fields } : list
+                ),
+            };
+
+        case types.LIST_DELETED: {
+            const { listId, moveToListId } = action;
+            const remainingLists = state.lists.filter((list) => list.id !== listId);
+            if (remainingLists.length === 0 || remainingLists.length === state.lists.length) {
+                return state;
+            }
+
+            const now = new Date(action.now);
+            const goals = moveToListId
+                ? state.goals.map((goal) =>
+                      goal.listId === listId
+                          ? updateGoalFields(goal, { listId: moveToListId }, { now })
+                          : goal
+                  )
+                : state.goals.filter((goal) => goal.listId !== listId);
+
+            return withSettings(
+                { ...state, goals, lists: remainingLists },
+                state.settings.activeListId === listId
+                    ? { activeListId: moveToListId ?? remainingLists[0].id }
+                    : {}
+            );
+        }
+
+        case types.TEMPLATE_APPLIED: {
+            // Goals the list already has are not added twice
+            const goals = [...state.goals];
+            for (const goal of action.goals) {
+                const isDuplicate = !validateGoalText(goal.text, {
+                    existingGoals: goals.filter((other) => other.listId === goal.listId),
+                }).isValid;
+                if (!isDuplicate) {
+                    goals.push({ ...goal, order: getNextOrder(goals) });
+                }
+            }
+            if (goals.length === state.goals.length) {
+                return state;
+            }
+            return { ...state, goals };
+        }
+
+        case types.TEMPLATE_SAVED:
+            return { ...state, templates: [...state.templates, action.template] };
+
+        case types.TEMPLATE_DELETED:
+            if (!hasItem(state.templates, action.templateId)) {
+                return state;
+            }
+            return {
+                ...state,
+                templates: state.templates.filter((template) => template.id !== action.templateId),
+            };
+
+        case types.ACTIVE_LIST_SELECTED:
+            return withSettings(state, { activeListId: action.listId });
+
+        case types.SORT_CHANGED:
+            return withSettings(state, { sortBy: action.sortBy });
+
+        default:
+            return state;
+    }
+}
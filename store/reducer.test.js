@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Tests for the goals store reducer.
+ * Every action type is covered, as are the actions that must leave the state
+ * untouched: goals or lists that don't exist, deleting the last list and
+ * restoring goals that are already back.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import * as types from "./actionTypes";
+import { goalsReducer, initialState } from "./reducer";
+import {
+    loadRequested,
+    loadSucceeded,
+    loadFailed,
+    importData,
+    addGoal,
+    updateGoal,
+    toggleGoalCompleted,
+    moveGoal,
+    deleteGoals,
+    restoreGoals,
+    addList,
+    updateList,
+    deleteList,
+    applyTemplate,
+    saveTemplate,
+    deleteTemplate,
+    selectList,
+    setSortBy,
+} from "./actions";
+import { createGoal } from "../utils/goalFactory";
+import { createDefaultList, createList, DEFAULT_LIST_ID } from "../utils/listFactory";
+import { removeWhere } from "../utils/listHelpers";
+
+/**
+ * The time every action in these tests happens at.
+ *
+ * @constant
+ * @type {Date}
+ */
+const NOW = new Date("2025-06-02T09:00:00.000Z");
+
+/**
+ * A moment after NOW, for changes made later.
+ *
+ * @constant
+ * @type {Date}
+ */
+const LATER = new Date("2025-06-02T10:30:00.000Z");
+
+/**
+ * Builds a goal in a list, created at NOW.
+ *
+ * @function
+ * @param {string} text - The goal text
+ * @param {Object} [fields] - Other fields of the goal
+ * @returns {import("../utils/goalFactory").Goal} The goal
+ */
+function makeGoal(text, fields = {}) {
+    return createGoal({ text, listId: DEFAULT_LIST_ID, ...fields }, { now: NOW });
+}
+
+/**
+ * Builds the state of a store that finished loading the given data.
+ *
+ * @function
+ * @param {Object} [data] - The loaded data; missing parts are empty
+ * @returns {import("./reducer").GoalsState} The loaded state
+ */
+function loadedState(data = {}) {
+    return goalsReducer(
+        initialState,
+        loadSucceeded({
+            goals: [],
+            lists: [createDefaultList({ now: NOW })],
+            settings: { sortBy: "createdAt", activeListId: DEFAULT_LIST_ID },
+            templates: [],
+            events: [],
+            ...data,
+        })
+    );
+}
+
+describe("goalsReducer", () => {
+    const first = makeGoal("Learn React Native", { order: 0 });
+    const second = makeGoal("Learn TypeScript", { order: 1 });
+    const third = makeGoal("Learn SQL", { order: 2 });
+    const work = createList({ name: "Work" }, { now: NOW });
+
+    describe("loading", () => {
+        it("starts loading again and clears the last error on LOAD_REQUESTED", () => {
+            const failed = goalsReducer(initialState, loadFailed(new Error("disk")));
+
+            const state = goalsReducer(failed, loadRequested());
+
+            expect(state.status).toBe("loading");
+            expect(state.error).toBeNull();
+        });
+
+        it("becomes ready with the loaded data on LOAD_SUCCEEDED", () => {
+            const state = loadedState({ goals: [first], lists: [createDefaultList({ now: NOW }), work] });
+
+            expect(state.status).toBe("ready");
+            expect(state.goals).toEqual([first]);
+            expect(state.lists.map((list) => list.id)).toEqual([DEFAULT_LIST_ID, work.id]);
+            expect(state.settings).toEqual({ sortBy: "createdAt", activeListId: DEFAULT_LIST_ID });
+        });
+
+        it("falls back to the first list when the saved active list is gone", () => {
+            const state = loadedState({
+                lists: [work],
+                settings: { sortBy: "createdAt", activeListId: "missing" },
+            });
+
+            expect(state.settings.activeListId).toBe(work.id);
+        });
+
+        it("keeps the error on LOAD_FAILED", () => {
+            const error = new Error("disk");
+
+            const state = goalsReducer(initialState, loadFailed(error));
+
+            expect(state.status).toBe("error");
+            expect(state.error).toBe(error);
+        });
+    });
+
+    describe("DATA_IMPORTED", () => {
+        it("adds the imported goals and lists when merging", () => {
+            const imported = { goals: [{ ...second, listId: work.id }], lists: [work] };
+
+            const state = goalsReducer(loadedState({ goals: [first] }), importData(imported, "merge"));
+
+            expect(state.goals.map((goal) => goal.text)).toEqual(["Learn React Native", "Learn TypeScript"]);
+            expect(state.lists.map((list) => list.id)).toEqual([DEFAULT_LIST_ID, work.id]);
+        });
+
+        it("moves to the first imported list when replacing drops the active one", () => {
+            const imported = { goals: [{ ...second, listId: work.id }], lists: [work] };
+
+            const state = goalsReducer(loadedState({ goals: [first] }), importData(imported, "replace"));
+
+            expect(state.goals).toEqual([{ ...second, listId: work.id }]);
+            expect(state.settings.activeListId).toBe(work.id);
+        });
+    });
+
+    describe("GOAL_ADDED", () => {
+        it("adds the goal at the end of the manual order", () => {
+            const state = goalsReducer(
+                loadedState({ goals: [first, second] }),
+                addGoal({ text: "Learn SQL", listId: DEFAULT_LIST_ID }, { now: NOW })
+            );
+
+            expect(state.goals).toHaveLength(3);
+            expect(state.goals[2]).toMatchObject({ text: "Learn SQL", order: 2, completed: false });
+        });
+    });
+
+    describe("GOAL_UPDATED", () => {
+        it("changes the goal and stamps the time of the change", () => {
+            const state = goalsReducer(
+                loadedState({ goals: [first, second] }),
+                updateGoal(first.id, { text: "Learn React" }, { now: LATER })
+            );
+
+            expect(state.goals[0]).toMatchObject({ text: "Learn React", updatedAt: LATER.toISOString() });
+            expect(state.goals[1]).toBe(second);
+        });
+
+        it("leaves the state as it was for an unknown goal", () => {
+            const before = loadedState({ goals: [first] });
+
+            expect(goalsReducer(before, updateGoal("missing", { text: "x" }, { now: LATER }))).toBe(before);
+        });
+    });
+
+    describe("GOAL_COMPLETION_TOGGLED", () => {
+        it("marks an open goal done, then open again", () => {
+            const done = goalsReducer(loadedState({ goals: [first] }), toggleGoalCompleted(first.id, { now: LATER }));
+            const reopened = goalsReducer(done, toggleGoalCompleted(first.id, { now: LATER }));
+
+            expect(done.goals[0]).toMatchObject({ completed: true, completedAt: LATER.toISOString() });
+            expect(reopened.goals[0]).toMatchObject({ completed: false, completedAt: null });
+        });
+
+        it("leaves the state as it was for an unknown goal", () => {
+            const before = loadedState({ goals: [first] });
+
+            expect(goalsReducer(before, toggleGoalCompleted("missing", { now: LATER }))).toBe(before);
+        });
+    });
+
+    describe("GOAL_MOVED", () => {
+        it("reorders the displayed goals and switches to the manual sort", () => {
+            const displayedIds = [first.id, second.id, third.id];
+
+            const state = goalsReducer(
+                loadedState({ goals: [first, second, third] }),
+                moveGoal(displayedIds, third.id, -2, { now: LATER })
+            );
+
+            expect(state.goals.map((goal) => goal.order)).toEqual([1, 2, 0]);
+            expect(state.settings.sortBy).toBe("manual");
+        });
+
+        it("keeps the same goals when nothing moved", () => {
+            const before = loadedState({ goals: [first, second] });
+
+            const state = goalsReducer(before, moveGoal([first.id, second.id], "missing", 1, { now: LATER }));
+
+            expect(state.goals).toBe(before.goals);
+        });
+    });
+
+    describe("GOALS_DELETED", () => {
+        it("removes the goals", () => {
+            const state = goalsReducer(loadedState({ goals: [first, second, third] }), deleteGoals([first.id, third.id]));
+
+            expect(state.goals).toEqual([second]);
+        });
+
+        it("leaves the state as it was when none of the goals exist", () => {
+            const before = loadedState({ goals: [first] });
+
+            expect(goalsReducer(before, deleteGoals(["missing"]))).toBe(before);
+        });
+    });
+
+    describe("GOALS_RESTORED", () => {
+        it("puts the goals back where they were deleted from", () => {
+            const goals = [first, second, third];
+            const { removed } = removeWhere(goals, (goal) => goal.id !== second.id);
+            const deleted = goalsReducer(loadedState({ goals }), deleteGoals([first.id, third.id]));
+
+            const state = goalsReducer(deleted, restoreGoals(removed));
+
+            expect(state.goals).toEqual(goals);
+        });
+
+        it("leaves the state as it was when the goals are already back", () => {
+            const before = loadedState({ goals: [first, second] });
+            const { removed } = removeWhere(before.goals, (goal) => goal.id === first.id);
+
+            expect(goalsReducer(before, restoreGoals(removed))).toBe(before);
+        });
+    });
+
+    describe("LIST_ADDED", () => {
+        it("adds the list and makes it the active one", () => {
+            const state = goalsReducer(loadedState(), addList({ name: "Work" }, { now: NOW }));
+
+            expect(state.lists).toHaveLength(2);
+            expect(state.lists[1].name).toBe("Work");
+            expect(state.settings.activeListId).toBe(state.lists[1].id);
+        });
+    });
+
+    describe("LIST_UPDATED", () => {
+        it("renames the list", () => {
+            const state = goalsReducer(loadedState(), updateList(DEFAULT_LIST_ID, { name: "Personal" }));
+
+            expect(state.lists[0].name).toBe("Personal");
+        });
+
+        it("leaves the state as it was for an unknown list", () => {
+            const before = loadedState();
+
+            expect(goalsReducer(before, updateList("missing", { name: "x" }))).toBe(before);
+        });
+    });
+
+    describe("LIST_DELETED", () => {
+        const lists = [createDefaultList({ now: NOW }), work];
+        const workGoal = makeGoal("Ship the release", { listId: work.id, order: 1 });
+
+        it("moves the list's goals to another list", () => {
+            const before = loadedState({ goals: [first, workGoal], lists });
+
+            const state = goalsReducer(before, deleteList(work.id, DEFAULT_LIST_ID, { now: LATER }));
+
+            expect(state.lists).toEqual([lists[0]]);
+            expect(state.goals.map((goal) => goal.listId)).toEqual([DEFAULT_LIST_ID, DEFAULT_LIST_ID]);
+        });
+
+        it("deletes the list's goals with it and picks another active list", () => {
+            const before = loadedState({
+                goals: [first, workGoal],
+                lists,
+                settings: { sortBy: "createdAt", activeListId: work.id },
+            });
+
+            const state = goalsReducer(before, deleteList(work.id, null, { now: LATER }));
+
+            expect(state.goals).toEqual([first]);
+            expect(state.settings.activeListId).toBe(DEFAULT_LIST_ID);
+        });
+
+        it("leaves the state as it was for the last list", () => {
+            const before = loadedState({ goals: [first] });
+
+            expect(goalsReducer(before, deleteList(DEFAULT_LIST_ID, null, { now: LATER }))).toBe(before);
+        });
+
+        it("leaves the state as it was for an unknown list", () => {
+            const before = loadedState({ lists });
+
+            expect(goalsReducer(before, deleteList("missing", null, { now: LATER }))).toBe(before);
+        });
+    });
+
+    describe("templates", () => {
+        const template = {
+            id: "template",
+            name: "Study",
+            goals: [
+                { text: "Learn React Native", priority: "normal", tags: [], steps: [] },
+                { text: "Learn Rust", priority: "high", tags: ["systems"], steps: ["Read the book"] },
+            ],
+        };
+
+        it("adds the template's goals the list doesn't have yet on TEMPLATE_APPLIED", () => {
+            const state = goalsReducer(
+                loadedState({ goals: [first] }),
+                applyTemplate(template, DEFAULT_LIST_ID, { now: NOW })
+            );
+
+            expect(state.goals.map((goal) => goal.text)).toEqual(["Learn React Native", "Learn Rust"]);
+            expect(state.goals[1]).toMatchObject({ priority: "high", tags: ["systems"], order: 1 });
+            expect(state.goals[1].subtasks.map((subtask) => subtask.text)).toEqual(["Read the book"]);
+        });
+
+        it("leaves the state as it was when the list has every goal of the template", () => {
+            const before = loadedState({ goals: [first, makeGoal("Learn Rust")] });
+
+            expect(goalsReducer(before, applyTemplate(template, DEFAULT_LIST_ID, { now: NOW }))).toBe(before);
+        });
+
+        it("saves a template on TEMPLATE_SAVED and deletes it on TEMPLATE_DELETED", () => {
+            const saved = goalsReducer(loadedState(), saveTemplate({ name: "Mine", goals: [first] }, { now: NOW }));
+            const templateId = saved.templates[0].id;
+
+            const deleted = goalsReducer(saved, deleteTemplate(templateId));
+
+            expect(saved.templates[0]).toMatchObject({ name: "Mine", description: "1 goal" });
+            expect(deleted.templates).toEqual([]);
+        });
+
+        it("leaves the state as it was when deleting an unknown template", () => {
+            const before = loadedState();
+
+            expect(goalsReducer(before, deleteTemplate("missing"))).toBe(before);
+        });
+    });
+
+    describe("settings", () => {
+        it("shows another list on ACTIVE_LIST_SELECTED", () => {
+            const state = goalsReducer(loadedState({ lists: [createDefaultList({ now: NOW }), work] }), selectList(work.id));
+
+            expect(state.settings.activeListId).toBe(work.id);
+        });
+
+        it("changes the sort order on SORT_CHANGED", () => {
+            const state = goalsReducer(loadedState(), setSortBy("dueDate"));
+
+            expect(state.settings.sortBy).toBe("dueDate");
+        });
+    });
+
+    it("leaves the state as it was for unknown actions and for UNDO and REDO", () => {
+        const before = loadedState({ goals: [first] });
+
+        expect(goalsReducer(before, { type: "UNKNOWN" })).toBe(before);
+        expect(goalsReducer(before, { type: types.UNDO })).toBe(before);
+        expect(goalsReducer(before, { type: types.REDO })).toBe(before);
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Memoized selectors that read derived data from the goals store.
+ * Each selector takes the store state and returns data computed with the
+ * pure helpers in utils/goalSelectors and utils/tags. Results are cached for
+ * the last inputs, so components that render often get the same array back
+ * until the goals or view options actually change.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { selectVisibleGoals, selectGoalsInList, countOpenGoalsByList } from "../utils/goalSelectors";
+import { collectTags } from "../utils/tags";
+import { BUILT_IN_TEMPLATES } from "../utils/templates";
+
+/**
+ * Wraps a function so it only recomputes when one of its arguments changes.
+ *
+ * Arguments are compared by identity with the previous call; only the last
+ * result is kept.
+ *
+ * @function
+ * @template T
+ * @param {function(...*): T} compute - The function to wrap
+ * @returns {function(...*): T} The memoized function
+ */
+function memoizeLast(compute) {
+    let lastArgs = null;
+    let lastResult;
+    return (...args) => {
+        if (
+            lastArgs === null ||
+            lastArgs.length !== args.length ||
+            args.some((arg, index) => !Object.is(arg, lastArgs[index]))
+        ) {
+            lastResult = compute(...args);
+            lastArgs = args;
+        }
+        return lastResult;
+    };
+}
+
+const goalsInList = memoizeLast(selectGoalsInList);
+const visibleGoals = memoizeLast((goals, listId, tag, query, filter, sortBy) =>
+    selectVisibleGoals(goals, { listId, tag, query, filter, sortBy })
+);
+const openCounts = memoizeLast(countOpenGoalsByList);
+const knownTags = memoizeLast(collectTags);
+const allTemplates = memoizeLast((templates) => [...BUILT_IN_TEMPLATES, ...templates]);
+const goalHistory = memoizeLast((events, goalId) =>
+    events
+        .filter((event) => event.goalId === goalId)
+        .sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0))
+);
+
+/**
+ * Returns the list shown on the main screen.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @returns {(import("../utils/listFactory").GoalList|null)} The active list, or null before loading
+ */
+export function getActiveList(state) {
+    return state.lists.find((list) => list.id === state.settings.activeListId) ?? null;
+}
+
+/**
+ * Returns the goals of the list shown on the main screen, in stored order.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @returns {Array<import("../utils/goalFactory").Goal>} The goals of the active list
+ */
+export function getActiveListGoals(state) {
+    return goalsInList(state.goals, state.settings.activeListId);
+}
+
+/**
+ * Returns the goals of the active list to display, after search, filters and
+ * the saved sort order.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @param {Object} [view] - View options that live outside the store
+ * @param {(string|null)} [view.tag=null] - Only keep goals with this tag
+ * @param {string} [view.query=""] - Search text
+ * @param {string} [view.filter] - One of the values in GOAL_FILTERS
+ * @returns {Array<import("../utils/goalFactory").Goal>} The goals to display
+ *
+ * @example
+ * const goals = getVisibleGoals(state, { query: "react", filter: "active" });
+ */
+export function getVisibleGoals(state, { tag = null, query = "", filter } = {}) {
+    return visibleGoals(
+        state.goals,
+        state.settings.activeListId,
+        tag,
+        query,
+        filter,
+        state.settings.sortBy
+    );
+}
+
+/**
+ * Returns how many goals are not done yet, per list.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @returns {Object<string, number>} Open goal counts keyed by list ID
+ */
+export function getOpenCounts(state) {
+    return openCounts(state.goals);
+}
+
+/**
+ * Returns every tag in use, most used first.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @returns {string[]} The known tags
+ */
+export function getKnownTags(state) {
+    return knownTags(state.goals);
+}
+
+/**
+ * Looks up a goal by its ID.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @param {(string|null)} goalId - The goal to find
+ * @returns {(import("../utils/goalFactory").Goal|null)} The goal, or null when there is none
+ */
+export function getGoalById(state, goalId) {
+    return state.goals.find((goal) => goal.id === goalId) ?? null;
+}
+
+/**
+ * Counts the goals that belong to a list.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @param {string} listId - The list to count
+ * @returns {number} The number of goals in the list
+ */
+export function countGoalsInList(state, listId) {
+    return state.goals.filter((goal) => goal.listId === listId).length;
+}
+
+/**
+ * Returns every template that can be added to a list: the built-in packs
+ * first, then the ones the user saved, oldest first.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @returns {Array<import("../utils/templates").GoalTemplate>} The templates
+ */
+export function getTemplates(state) {
+    return allTemplates(state.templates);
+}
+
+/**
+ * Returns the logged creation and completions of a goal.
+ *
+ * @function
+ * @param {import("./reducer").GoalsState} state - The store state
+ * @param {string} goalId - The goal
+ * @returns {Array<import("../utils/goalEvents").GoalEvent>} The goal's events, newest first
+ */
+export function getGoalHistory(state, goalId) {
+    return goalHistory(state.events, goalId);
+}
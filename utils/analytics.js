@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Goal statistics for the Todo App.
+ * This module turns the event log from ./goalEvents into the numbers shown
+ * on the stats screen: goals created and completed per day and per week,
+ * completion streaks, the average time it takes to complete a goal and
+ * completions per weekday.
+ *
+ * Every function is pure. Events are grouped by the local calendar day they
+ * happened on (see ./dates), and the current time is always passed in, so
+ * the same log and time give the same statistics.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { toDateKey, addDays, daysBetween, getWeekday } from "./dates";
+
+/**
+ * Goals created and completed on one day or in one week.
+ *
+ * @typedef {Object} PeriodCount
+ * @property {string} dateKey - The day, or the Monday that starts the week
+ * @property {number} created - Goals created
+ * @property {number} completed - Goals (or occurrences of recurring goals) completed
+ */
+
+/**
+ * Everything shown on the stats screen.
+ *
+ * @typedef {Object} GoalStats
+ * @property {{created: number, completed: number}} totals - All events in the log
+ * @property {PeriodCount[]} daily - The last days, oldest first
+ * @property {PeriodCount[]} weekly - The last weeks, oldest first
+ * @property {{current: number, longest: number}} streaks - Completion streaks in days
+ * @property {(number|null)} averageTimeToCompleteMs - Average time from creating a goal to
+ *   completing it, or null when no goal was completed
+ * @property {number[]} completionsByWeekday - Completions per weekday, indexed 0 (Sunday) to 6 (Saturday)
+ */
+
+/**
+ * Number of days shown in the daily chart.
+ *
+ * @constant
+ * @type {number}
+ */
+export const DEFAULT_DAY_COUNT = 14;
+
+/**
+ * Number of weeks shown in the weekly chart.
+ *
+ * @constant
+ * @type {number}
+ */
+export const DEFAULT_WEEK_COUNT = 8;
+
+/**
+ * Returns the local date key of an event.
+ *
+ * @function
+ * @param {import("./goalEvents").GoalEvent} event - The event
+ * @returns {string} The day it happened on
+ */
+function getEventDay(event) {
+    return toDateKey(new Date(event.at));
+}
+
+/**
+ * Returns the Monday that starts the week of a day.
+ *
+ * @function
+ * @param {string} dateKey - The day
+ * @returns {string} The date key of that week's Monday
+ */
+export function getWeekStart(dateKey) {
+    // getWeekday counts from Sunday (0); weeks here start on Monday
+    return addDays(dateKey, -((getWeekday(dateKey) + 6) % 7));
+}
+
+/**
+ * Counts the goals created and completed in consecutive periods that end
+ * with the current one.
+ *
+ * @function
+ * @param {Array<import("./goalEvents").GoalEvent>} events - The event log
+ * @param {string} lastPeriod - Date key of the start of the current period
+ * @param {number} count - Number of periods
+ * @param {number} length - Days per period
+ * @param {function(string): string} getPeriod - Maps a day to the start of its period
+ * @returns {PeriodCount[]} The counts, oldest period first
+ */
+function countByPeriod(events, lastPeriod, count, length, getPeriod) {
+    const periods = Array.from({ length: count }, (_, index) => ({
+        dateKey: addDays(lastPeriod, (index - count + 1) * length),
+        created: 0,
+        completed: 0,
+    }));
+    const byKey = new Map(periods.map((period) => [period.dateKey, period]));
+
+    for (const event of events) {
+        const period = byKey.get(getPeriod(getEventDay(event)));
+        if (period) {
+            period[event.type] += 1;
+        }
+    }
+    return periods;
+}
+
+/**
+ * Counts the goals created and completed on each of the last days.
+ *
+ * @function
+ * @param {Array<import("./goalEvents").GoalEvent>} events - The event log
+ * @param {Object} [options] - Options
+ * @param {number} [options.days=DEFAULT_DAY_COUNT] - Number of days, today included
+ * @param {Date} [options.now=new Date()] - The current time
+ * @returns {PeriodCount[]} One entry per day, oldest first
+ *
+ * @example
+ * countByDay(events, { days: 2, now: new Date(2025, 5, 2) });
+ * // => [{ dateKey: "2025-06-01", created: 3, completed: 1 }, { dateKey: "2025-06-02", created: 0, completed: 2 }]
+ */
+export function countByDay(events, { days = DEFAULT_DAY_COUNT, now = new Date() } = {}) {
+    return countByPeriod(events, toDateKey(now), days, 1, (dateKey) => dateKey);
+}
+
+/**
+ * Counts the goals created and completed in each of the last weeks.
+ * Weeks run from Monday to Sunday.
+ *
+ * @function
+ * @param {Array<import("./goalEvents").GoalEvent>} events - The event log
+ * @param {Object} [options] - Options
+ * @param {number} [options.weeks=DEFAULT_WEEK_COUNT] - Number of weeks, the current one included
+ * @param {Date} [options.now=new Date()] - The current time
+ * @returns {PeriodCount[]} One entry per week, keyed by its Monday, oldest first
+ */
+export function countByWeek(events, { weeks = DEFAULT_WEEK_COUNT, now = new Date() } = {}) {
+    return countByPeriod(events, getWeekStart(toDateKey(now)), weeks, 7, getWeekStart);
+}
+
+/**
+ * Works out the completion streaks: runs of consecutive days on which at
+ * least one goal was completed.
+ *
+ * The current streak ends today, or yesterday when nothing was completed
+ * today yet, so a streak isn't lost before the day is over.
+ *
+ * @function
+ * @param {Array<import("./goalEvents").GoalEvent>} events - The event log
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - The current time
+ * @returns {{current: number, longest: number}} Both streaks in days
+ *
+ * @example
+ * // Completions on June 1, 2 and 3; today is June 4
+ * getCompletionStreaks(events, { now: new Date(2025, 5, 4) });
+ * // => { current: 3, longest: 3 }
+ */
+export function getCompletionStreaks(events, { now = new Date() } = {}) {
+    const days = [
+        ...new Set(events.filter((event) => event.type === "completed").map(getEventDay)),
+    ].sort();
+
+    let longest = 0;
+    let run = 0;
+    for (let index = 0; index < days.length; index++) {
+        run = index > 0 && daysBetween(days[index - 1], days[index]) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    const today = toDateKey(now);
+    const lastDay = days[days.length - 1];
+    const isCurrent = lastDay === today || lastDay === addDays(today, -1);
+    return { current: isCurrent ? run : 0, longest };
+}
+
+/**
+ * Works out how long goals take from being created to being completed.
+ *
+ * Only the first completion of each goal counts, so a recurring goal that
+ * is checked off every day doesn't outweigh the rest. Goals whose creation
+ * isn't in the log are left out.
+ *
+ * @function
+ * @param {Array<import("./goalEvents").GoalEvent>} events - The event log
+ * @returns {(number|null)} The average in milliseconds, or null when no goal qualifies
+ */
+export function getAverageTimeToComplete(events) {
+    const createdAt = new Map();
+    const firstCompletedAt = new Map();
+    for (const event of events) {
+        const time = Date.parse(event.at);
+        const times = event.type === "created" ? createdAt : firstCompletedAt;
+        if (!times.has(event.goalId) || time < times.get(event.goalId)) {
+            times.set(event.goalId, time);
+        }
+    }
+
+    const durations = [];
+    for (const [goalId, completedAt] of firstCompletedAt) {
+        if (createdAt.has(goalId)) {
+            durations.push(Math.max(completedAt - createdAt.get(goalId), 0));
+        }
+    }
+    return durations.length > 0
+        ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length
+        : null;
+}
+
+/**
+ * Counts the completions on each day of the week.
+ *
+ * @function
+ * @param {Array<import("./goalEvents").GoalEvent>} events - The event log
+ * @returns {number[]} Seven counts, indexed 0 (Sunday) to 6 (Saturday)
+ */
+export function countCompletionsByWeekday(events) {
+    const counts = [0, 0, 0, 0, 0, 0, 0];
+    for (const event of events) {
+        if (event.type === "completed") {
+            counts[getWeekday(getEventDay(event))] += 1;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Describes a duration in the largest unit that fits, for the stats screen.
+ *
+ * @function
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} The duration, e.g. "45 min", "3 h" or "2.5 days"
+ */
+export function formatDuration(ms) {
+    const minutes = ms / 60000;
+    if (minutes < 60) {
+        return `${Math.max(Math.round(minutes), 1)} min`;
+    }
+    const hours = minutes / 60;
+    if (hours < 24) {
+        return `${Math.round(hours * 10) / 10} h`;
+    }
+    const days = Math.round((hours / 24) * 10) / 10;
+    return days === 1 ? "1 day" : `${days} days`;
+}
+
+/**
+ * Computes every statistic shown on the stats screen.
+ *
+ * @function
+ * @param {Array<import("./goalEvents").GoalEvent>} events - The event log
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - The current time
+ * @returns {GoalStats} The statistics
+ */
+export function computeStats(events, { now = new Date() } = {}) {
+    return {
+        totals: {
+            created: events.filter((event) => event.type === "created").length,
+            completed: events.filter((event) => event.type === "completed").length,
+        },
+        daily: countByDay(events, { now }),
+        weekly: countByWeek(events, { now }),
+        streaks: getCompletionStreaks(events, { now }),
+        averageTimeToCompleteMs: getAverageTimeToComplete(events),
+        completionsByWeekday: countCompletionsByWeekday(events),
+    };
+}
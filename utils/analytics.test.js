@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Tests for the goal statistics.
+ * The event logs are built from local times, so the events fall on the
+ * intended local days in any timezone.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import {
+    getWeekStart,
+    countByDay,
+    countByWeek,
+    getCompletionStreaks,
+    getAverageTimeToComplete,
+    countCompletionsByWeekday,
+    formatDuration,
+    computeStats,
+} from "./analytics";
+
+/**
+ * The current time in these tests: local noon on Tuesday 2025-06-10.
+ *
+ * @constant
+ * @type {Date}
+ */
+const NOW = new Date(2025, 5, 10, 12, 0);
+
+/**
+ * Milliseconds in an hour.
+ *
+ * @constant
+ * @type {number}
+ */
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Builds an event of the log at a local time in June 2025.
+ *
+ * @function
+ * @param {"created"|"completed"} type - What happened
+ * @param {string} goalId - ID of the goal it happened to
+ * @param {number} day - The day of June 2025
+ * @param {number} [hour=12] - The local hour
+ * @returns {import("./goalEvents").GoalEvent} The event
+ */
+function event(type, goalId, day, hour = 12) {
+    return { type, goalId, at: new Date(2025, 5, day, hour, 0).toISOString() };
+}
+
+describe("getWeekStart", () => {
+    it("starts weeks on Monday", () => {
+        expect(getWeekStart("2025-06-02")).toBe("2025-06-02");
+        expect(getWeekStart("2025-06-05")).toBe("2025-06-02");
+        expect(getWeekStart("2025-06-08")).toBe("2025-06-02");
+        expect(getWeekStart("2025-06-09")).toBe("2025-06-09");
+    });
+});
+
+describe("countByDay", () => {
+    it("counts the events of each of the last days, today included", () => {
+        const events = [
+            event("created", "a", 8),
+            event("created", "b", 9, 0),
+            event("completed", "a", 9, 23),
+            event("completed", "b", 10, 8),
+            event("created", "c", 1),
+        ];
+
+        expect(countByDay(events, { days: 3, now: NOW })).toEqual([
+            { dateKey: "2025-06-08", created: 1, completed: 0 },
+            { dateKey: "2025-06-09", created: 1, completed: 1 },
+            { dateKey: "2025-06-10", created: 0, completed: 1 },
+        ]);
+    });
+});
+
+describe("countByWeek", () => {
+    it("counts Sunday with the week before and Monday with its own week", () => {
+        const events = [
+            event("created", "a", 1),
+            event("created", "b", 2),
+            event("completed", "a", 8, 23),
+            event("completed", "b", 9, 0),
+            event("created", "c", 10),
+        ];
+
+        expect(countByWeek(events, { weeks: 3, now: NOW })).toEqual([
+            { dateKey: "2025-05-26", created: 1, completed: 0 },
+            { dateKey: "2025-06-02", created: 1, completed: 1 },
+            { dateKey: "2025-06-09", created: 1, completed: 1 },
+        ]);
+    });
+
+    it("leaves out events before the first week", () => {
+        expect(countByWeek([event("created", "a", 1)], { weeks: 1, now: NOW })).toEqual([
+            { dateKey: "2025-06-09", created: 0, completed: 0 },
+        ]);
+    });
+});
+
+describe("getCompletionStreaks", () => {
+    it("has no streak without completions", () => {
+        expect(getCompletionStreaks([event("created", "a", 9)], { now: NOW })).toEqual({ current: 0, longest: 0 });
+    });
+
+    it("keeps a streak that ended yesterday going", () => {
+        const events = [event("completed", "a", 7), event("completed", "b", 8), event("completed", "c", 9)];
+
+        expect(getCompletionStreaks(events, { now: NOW })).toEqual({ current: 3, longest: 3 });
+    });
+
+    it("counts today once something was completed", () => {
+        const events = [event("completed", "a", 9), event("completed", "b", 10, 8)];
+
+        expect(getCompletionStreaks(events, { now: NOW })).toEqual({ current: 2, longest: 2 });
+    });
+
+    it("ends the current streak after a day without completions", () => {
+        const events = [event("completed", "a", 7), event("completed", "b", 8)];
+
+        expect(getCompletionStreaks(events, { now: NOW })).toEqual({ current: 0, longest: 2 });
+    });
+
+    it("starts over after a gap and keeps the longest run", () => {
+        const events = [
+            event("completed", "a", 1),
+            event("completed", "b", 2),
+            event("completed", "c", 3),
+            event("completed", "d", 4),
+            event("completed", "e", 7),
+            event("completed", "f", 9),
+        ];
+
+        expect(getCompletionStreaks(events, { now: NOW })).toEqual({ current: 1, longest: 4 });
+    });
+
+    it("counts a day with several completions once", () => {
+        const events = [event("completed", "a", 9, 8), event("completed", "b", 9, 20), event("completed", "c", 10)];
+
+        expect(getCompletionStreaks(events, { now: NOW })).toEqual({ current: 2, longest: 2 });
+    });
+});
+
+describe("getAverageTimeToComplete", () => {
+    it("is null when no goal was completed", () => {
+        expect(getAverageTimeToComplete([event("created", "a", 9)])).toBeNull();
+    });
+
+    it("averages the time from creation to completion", () => {
+        const events = [
+            event("created", "a", 1, 9),
+            event("completed", "a", 1, 11),
+            event("created", "b", 2, 9),
+            event("completed", "b", 2, 13),
+        ];
+
+        expect(getAverageTimeToComplete(events)).toBe(3 * HOUR_MS);
+    });
+
+    it("counts only the first completion of a recurring goal", () => {
+        const events = [
+            event("created", "a", 1, 9),
+            event("completed", "a", 3, 9),
+            event("completed", "a", 2, 9),
+            event("completed", "a", 4, 9),
+            event("created", "b", 1, 9),
+            event("completed", "b", 1, 11),
+        ];
+
+        expect(getAverageTimeToComplete(events)).toBe(13 * HOUR_MS);
+    });
+
+    it("leaves out goals whose creation isn't in the log", () => {
+        const events = [event("created", "a", 1, 9), event("completed", "a", 1, 10), event("completed", "b", 9)];
+
+        expect(getAverageTimeToComplete(events)).toBe(HOUR_MS);
+    });
+});
+
+describe("countCompletionsByWeekday", () => {
+    it("counts the completions on each day of the week, Sunday first", () => {
+        const events = [
+            event("completed", "a", 2, 8),
+            event("completed", "b", 2, 20),
+            event("completed", "c", 7),
+            event("completed", "d", 8),
+            event("created", "e", 3),
+        ];
+
+        expect(countCompletionsByWeekday(events)).toEqual([1, 2, 0, 0, 0, 0, 1]);
+    });
+});
+
+describe("formatDuration", () => {
+    it("uses the largest unit that fits", () => {
+        expect(formatDuration(10 * 1000)).toBe("1 min");
+        expect(formatDuration(45 * 60 * 1000)).toBe("45 min");
+        expect(formatDuration(3 * HOUR_MS)).toBe("3 h");
+        expect(formatDuration(24 * HOUR_MS)).toBe("1 day");
+        expect(formatDuration(60 * HOUR_MS)).toBe("2.5 days");
+    });
+});
+
+describe("computeStats", () => {
+    it("totals every event of the log", () => {
+        const events = [event("created", "a", 1), event("completed", "a", 9), event("created", "b", 10)];
+
+        const stats = computeStats(events, { now: NOW });
+
+        expect(stats.totals).toEqual({ created: 2, completed: 1 });
+        expect(stats.daily).toHaveLength(14);
+        expect(stats.weekly).toHaveLength(8);
+        expect(stats.streaks).toEqual({ current: 1, longest: 1 });
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Minimal CSV reading and writing for the Todo App.
+ * Follows RFC 4180: fields are separated by commas, records by line breaks,
+ * and fields containing commas, quotes or line breaks are wrapped in double
+ * quotes with inner quotes doubled.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * One parsed CSV record.
+ *
+ * @typedef {Object} CsvRecord
+ * @property {number} line - The 1-based line the record starts on, for error messages
+ * @property {string[]} cells - The field values
+ */
+
+/**
+ * Quotes a value for a CSV field when needed.
+ *
+ * @function
+ * @param {*} value - The value; null and undefined become an empty field
+ * @returns {string} The field text
+ *
+ * @example
+ * escapeCsvField('Say "hi", then go');
+ * // => '"Say ""hi"", then go"'
+ */
+export function escapeCsvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds CSV text from rows of values.
+ *
+ * @function
+ * @param {Array<Array<*>>} rows - The rows, header first
+ * @returns {string} The CSV text, with a line break after every row
+ */
+export function formatCsv(rows) {
+    return rows.map((row) => row.map(escapeCsvField).join(",") + "\n").join("");
+}
+
+/**
+ * Parses CSV text into records.
+ *
+ * Quoted fields may span several lines. Blank lines are skipped. A quote that
+ * is never closed takes the rest of the text into its field.
+ *
+ * @function
+ * @param {string} text - The CSV text
+ * @returns {CsvRecord[]} The records, in order
+ *
+ * @example
+ * parseCsv('text,tags\n"Learn React, fast",react\n');
+ * // => [{ line: 1, cells: ["text", "tags"] }, { line: 2, cells: ["Learn React, fast", "react"] }]
+ */
+export function parseCsv(text) {
+    const records = [];
+    let cells = [];
+    let field = "";
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    /**
+     * Ends the current record, unless it is a blank line.
+     *
+     * @function
+     * @returns {void}
+     */
+    function endRecord() {
+        cells.push(field);
+        if (cells.length > 1 || cells[0] !== "") {
+            records.push({ line: recordLine, cells });
+        }
+        cells = [];
+        field = "";
+    }
+
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+
+        if (inQuotes) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === "\n") {
+                    line += 1;
+                }
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            cells.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[index + 1] === "\n") {
+                index += 1;
+            }
+            endRecord();
+            line += 1;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== "" || cells.length > 0) {
+        endRecord();
+    }
+    return records;
+}
@@ -19,6 +19,9 @@
  * - Providing users with example goals they can add
  * - Demonstrating the app's capabilities with realistic data
  * 
+ * The "Learn programming" starter pack in ./templates is built from this
+ * list, with the repeated entries removed.
+ * 
  * The list includes popular technologies like:
  * - Frontend frameworks (React, React Native)
  * - Programming languages (JavaScript, Python, C, C++)
@@ -32,13 +35,11 @@
  * @example
  * // Import and use the initial goal list
  * import { initialGoalList } from './utils/data';
+ * import { createGoal } from './utils/goalFactory';
  * 
  * // Use as default data
  * const [goals, setGoals] = useState(
- *   initialGoalList.map((text, index) => ({
- *     id: index.toString(),
- *     text: text
- *   }))
+ *   initialGoalList.map((text) => createGoal({ text }))
  * );
  * 
  * @example
@@ -53,7 +54,7 @@ export const initialGoalList = [
     'Learn React',                      // React library for building user interfaces
     'Learn C programming',              // Low-level programming language
     'Learn Python',                     // High-level, versatile programming language
-    'Learn javScript',                  // Core web programming language
+    'Learn JavaScript',                 // Core web programming language
     'Learn React Native',               // Mobile app development framework
     'Learn React Native Expo',          // React Native development platform
     'Learn C++ Programming',            // Object-oriented extension of C
@@ -61,7 +62,7 @@ export const initialGoalList = [
     'Learn React',                      // React library (duplicate for testing)
     'Learn C programming',              // C programming (duplicate for testing)
     'Learn Python',                     // Python (duplicate for testing)
-    'Learn javScript',                  // JavaScript (duplicate for testing)
+    'Learn JavaScript',                 // JavaScript (duplicate for testing)
     'Learn React Native',               // React Native (duplicate for testing)
     'Learn React Native Expo',          // Expo (duplicate for testing)
     'Learn C++ Programming',            // C++ (duplicate for testing)
@@ -69,14 +70,14 @@ export const initialGoalList = [
     'Learn React',                      // Additional duplicates for
     'Learn C programming',              // comprehensive testing of
     'Learn Python',                     // list handling, scrolling,
-    'Learn javScript',                  // and performance with
+    'Learn JavaScript',                 // and performance with
     'Learn React Native',               // larger datasets
     'Learn React Native Expo',          
     'Learn C++ Programming',            
     'Learn DSA',                        
     'Learn C programming',              
     'Learn Python',                     
-    'Learn javScript',                  
+    'Learn JavaScript',                 
     'Learn React Native',               
     'Learn React Native Expo',          
     'Learn C++ Programming',            
@@ -84,7 +85,7 @@ export const initialGoalList = [
     'Learn React',                      
     'Learn C programming',              
     'Learn Python',                     
-    'Learn javScript',                  
+    'Learn JavaScript',                 
     'Learn React Native',               
     'Learn React Native Expo',          
     'Learn C++ Programming',            
@@ -92,7 +93,7 @@ export const initialGoalList = [
     'Learn React',                      
     'Learn C programming',              
     'Learn Python',                     
-    'Learn javScript',                  
+    'Learn JavaScript',                 
     'Learn React Native',               
     'Learn React Native Expo',          
     'Learn C++ Programming',            
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Date utilities for goal due dates in the Todo App.
+ * This module contains pure helpers for working with calendar days.
+ *
+ * Due dates are stored as date keys in the form "YYYY-MM-DD" rather than as
+ * timestamps. A date key names a day on the user's calendar, so a goal due
+ * "2025-03-30" stays due on that day no matter which timezone the device is
+ * in or whether a daylight saving change happens in between. All day
+ * arithmetic is done on UTC midnights derived from the keys, where every day
+ * is exactly 24 hours long.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Number of milliseconds in one calendar day (in UTC, where days never shift).
+ *
+ * @constant
+ * @type {number}
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Pattern a date key must match.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Short weekday names, indexed like getWeekday (0 is Sunday).
+ *
+ * @constant
+ * @type {string[]}
+ */
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Pads a number to two digits.
+ *
+ * @function
+ * @param {number} value - The number to pad
+ * @returns {string} The padded number
+ */
+function pad(value) {
+    return String(value).padStart(2, "0");
+}
+
+/**
+ * Returns the date key of the local calendar day a moment falls on.
+ *
+ * @function
+ * @param {Date} date - The moment to convert
+ * @returns {string} The date key, e.g. "2025-03-30"
+ *
+ * @example
+ * toDateKey(new Date(2025, 0, 31, 23, 59));
+ * // => "2025-01-31"
+ */
+export function toDateKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Converts a date key to the UTC midnight of that day, in milliseconds.
+ *
+ * @function
+ * @param {string} dateKey - A valid date key
+ * @returns {number} Milliseconds since the Unix epoch
+ */
+function toUtcDay(dateKey) {
+    const [, year, month, day] = DATE_KEY_PATTERN.exec(dateKey);
+    return Date.UTC(Number(year), Number(month) - 1, Number(day));
+}
+
+/**
+ * Converts a UTC midnight back into a date key.
+ *
+ * @function
+ * @param {number} utcDay - Milliseconds since the Unix epoch at a UTC midnight
+ * @returns {string} The date key
+ */
+function fromUtcDay(utcDay) {
+    const date = new Date(utcDay);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+/**
+ * Checks whether a string is a date key naming a real calendar day.
+ *
+ * @function
+ * @param {string} value - The string to check
+ * @returns {boolean} True for keys like "2024-02-29", false for "2025-02-29" or "tomorrow"
+ */
+export function isValidDateKey(value) {
+    if (typeof value !== "string" || !DATE_KEY_PATTERN.test(value)) {
+        return false;
+    }
+    return fromUtcDay(toUtcDay(value)) === value;
+}
+
+/**
+ * Moves a date key forwards or backwards by a number of days.
+ *
+ * @function
+ * @param {string} dateKey - A valid date key
+ * @param {number} days - Days to add; negative values go back
+ * @returns {string} The resulting date key
+ *
+ * @example
+ * addDays("2025-02-28", 1);
+ * // => "2025-03-01"
+ */
+export function addDays(dateKey, days) {
+    return fromUtcDay(toUtcDay(dateKey) + days * MS_PER_DAY);
+}
+
+/**
+ * Returns the day of the week of a date key.
+ *
+ * @function
+ * @param {string} dateKey - A valid date key
+ * @returns {number} 0 (Sunday) to 6 (Saturday), like `Date.prototype.getDay`
+ *
+ * @example
+ * getWeekday("2025-06-02");
+ * // => 1 (a Monday)
+ */
+export function getWeekday(dateKey) {
+    return new Date(toUtcDay(dateKey)).getUTCDay();
+}
+
+/**
+ * Counts the calendar days from one date key to another.
+ *
+ * @function
+ * @param {string} fromKey - The start day
+ * @param {string} toKey - The end day
+ * @returns {number} Whole days; negative when `toKey` is before `fromKey`
+ *
+ * @example
+ * daysBetween("2025-03-29", "2025-03-31");
+ * // => 2 (even across the daylight saving change on March 30 in Europe)
+ */
+export function daysBetween(fromKey, toKey) {
+    return Math.round((toUtcDay(toKey) - toUtcDay(fromKey)) / MS_PER_DAY);
+}
+
+/**
+ * Builds the quick due date presets offered when creating a goal.
+ *
+ * @function
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {Array<{id: string, label: string, dateKey: string}>} Today, tomorrow and next week
+ */
+export function getDueDatePresets(now = new Date()) {
+    const today = toDateKey(now);
+    return [
+        { id: "today", label: "Today", dateKey: today },
+        { id: "tomorrow", label: "Tomorrow", dateKey: addDays(today, 1) },
+        { id: "nextWeek", label: "Next week", dateKey: addDays(today, 7) },
+    ];
+}
+
+/**
+ * Checks whether a due date lies before today.
+ *
+ * @function
+ * @param {(string|null)} dueDate - The due date key, or null when the goal has none
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {boolean} True when the due date has passed
+ */
+export function isOverdue(dueDate, now = new Date()) {
+    return dueDate !== null && daysBetween(toDateKey(now), dueDate) < 0;
+}
+
+/**
+ * Describes a due date relative to today.
+ *
+ * @function
+ * @param {string} dueDate - The due date key
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {string} A label such as "due today", "due in 3 days" or "overdue by 2 days"
+ *
+ * @example
+ * formatDueLabel("2025-01-04", new Date(2025, 0, 1));
+ * // => "due in 3 days"
+ */
+export function formatDueLabel(dueDate, now = new Date()) {
+    const days = daysBetween(toDateKey(now), dueDate);
+
+    if (days === 0) {
+        return "due today";
+    }
+    if (days === 1) {
+        return "due tomorrow";
+    }
+    if (days > 1) {
+        return `due in ${days} days`;
+    }
+    return days === -1 ? "overdue by 1 day" : `overdue by ${-days} days`;
+}
+
+/**
+ * Formats a timestamp as a local date and time, for goal details and history.
+ *
+ * @function
+ * @param {string} timestamp - An ISO timestamp
+ * @returns {string} The local date key and time, e.g. "2025-06-01 09:30"
+ */
+export function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return `${toDateKey(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Tests for the due date helpers.
+ * Every test runs in several timezones, switched with the `setTimezone`
+ * global of the timezone environment, and around the daylight saving changes
+ * of 2025, when a local day is 23 or 25 hours long. Local times are built
+ * inside the tests, once the timezone is in effect.
+ *
+ * @jest-environment ./jest/timezoneEnvironment.js
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import {
+    toDateKey,
+    isValidDateKey,
+    addDays,
+    getWeekday,
+    WEEKDAY_LABELS,
+    daysBetween,
+    getDueDatePresets,
+    isOverdue,
+    formatDueLabel,
+} from "./dates";
+
+/**
+ * The timezones the tests run in, with the local day that 2025-03-30T23:30Z
+ * falls on there.
+ *
+ * Berlin moves its clocks forward on 2025-03-30 and back on 2025-10-26, Los
+ * Angeles on 2025-03-09 and 2025-11-02, and Auckland (ahead of UTC) moves
+ * them back on 2025-04-06.
+ *
+ * @constant
+ * @type {Array<[string, string]>}
+ */
+const TIMEZONES = [
+    ["Europe/Berlin", "2025-03-31"],
+    ["America/Los_Angeles", "2025-03-30"],
+    ["Pacific/Auckland", "2025-03-31"],
+];
+
+describe.each(TIMEZONES)("dates in %s", (timezone, lateMarch30Key) => {
+    beforeAll(() => {
+        setTimezone(timezone);
+    });
+
+    describe("toDateKey", () => {
+        it("uses the local calendar day", () => {
+            expect(toDateKey(new Date("2025-03-30T23:30:00.000Z"))).toBe(lateMarch30Key);
+        });
+
+        it("names the day of a local time on both sides of midnight", () => {
+            expect(toDateKey(new Date(2025, 2, 29, 23, 59))).toBe("2025-03-29");
+            expect(toDateKey(new Date(2025, 2, 30, 0, 1))).toBe("2025-03-30");
+        });
+    });
+
+    describe("isValidDateKey", () => {
+        it("accepts real days and rejects everything else", () => {
+            expect(isValidDateKey("2024-02-29")).toBe(true);
+            expect(isValidDateKey("2025-03-30")).toBe(true);
+            expect(isValidDateKey("2025-02-29")).toBe(false);
+            expect(isValidDateKey("2025-3-30")).toBe(false);
+            expect(isValidDateKey("tomorrow")).toBe(false);
+            expect(isValidDateKey(null)).toBe(false);
+        });
+    });
+
+    describe("addDays", () => {
+        it("moves one day at a time across the daylight saving changes", () => {
+            expect(addDays("2025-03-29", 1)).toBe("2025-03-30");
+            expect(addDays("2025-03-30", 1)).toBe("2025-03-31");
+            expect(addDays("2025-03-08", 2)).toBe("2025-03-10");
+            expect(addDays("2025-10-27", -2)).toBe("2025-10-25");
+        });
+
+        it("crosses month, year and leap day boundaries", () => {
+            expect(addDays("2025-02-28", 1)).toBe("2025-03-01");
+            expect(addDays("2024-02-28", 1)).toBe("2024-02-29");
+            expect(addDays("2025-12-31", 1)).toBe("2026-01-01");
+            expect(addDays("2025-01-01", -1)).toBe("2024-12-31");
+            expect(addDays("2025-03-30", 365)).toBe("2026-03-30");
+        });
+    });
+
+    describe("getWeekday", () => {
+        it("reads the day of the week of the key itself", () => {
+            expect(getWeekday("2025-03-30")).toBe(0);
+            expect(getWeekday("2025-06-02")).toBe(1);
+        });
+
+        it("indexes the weekday names", () => {
+            expect(WEEKDAY_LABELS[getWeekday("2025-03-30")]).toBe("Sun");
+            expect(WEEKDAY_LABELS[getWeekday("2025-06-07")]).toBe("Sat");
+        });
+    });
+
+    describe("daysBetween", () => {
+        it("counts whole days across the daylight saving changes", () => {
+            expect(daysBetween("2025-03-29", "2025-03-31")).toBe(2);
+            expect(daysBetween("2025-10-25", "2025-10-27")).toBe(2);
+            expect(daysBetween("2025-03-01", "2025-04-01")).toBe(31);
+        });
+
+        it("is negative when the end is before the start", () => {
+            expect(daysBetween("2025-03-31", "2025-03-29")).toBe(-2);
+            expect(daysBetween("2025-03-30", "2025-03-30")).toBe(0);
+        });
+    });
+
+    describe("getDueDatePresets", () => {
+        it("offers today, tomorrow and next week from the local day", () => {
+            expect(getDueDatePresets(new Date(2025, 2, 29, 23, 30)).map((preset) => preset.dateKey)).toEqual([
+                "2025-03-29",
+                "2025-03-30",
+                "2025-04-05",
+            ]);
+        });
+    });
+
+    describe("isOverdue", () => {
+        it("is overdue only once the due day has passed", () => {
+            const justAfterMidnight = new Date(2025, 2, 30, 0, 30);
+
+            expect(isOverdue("2025-03-29", justAfterMidnight)).toBe(true);
+            expect(isOverdue("2025-03-30", justAfterMidnight)).toBe(false);
+            expect(isOverdue("2025-03-30", new Date(2025, 2, 30, 23, 59))).toBe(false);
+            expect(isOverdue("2025-03-30", new Date(2025, 2, 31, 0, 0))).toBe(true);
+        });
+
+        it("is never overdue without a due date", () => {
+            expect(isOverdue(null, new Date(2025, 2, 30, 12, 0))).toBe(false);
+        });
+    });
+
+    describe("formatDueLabel", () => {
+        it("describes due dates around the daylight saving change", () => {
+            const lateEvening = new Date(2025, 2, 29, 23, 0);
+
+            expect(formatDueLabel("2025-03-29", lateEvening)).toBe("due today");
+            expect(formatDueLabel("2025-03-30", lateEvening)).toBe("due tomorrow");
+            expect(formatDueLabel("2025-03-31", lateEvening)).toBe("due in 2 days");
+            expect(formatDueLabel("2025-03-28", lateEvening)).toBe("overdue by 1 day");
+            expect(formatDueLabel("2025-03-20", lateEvening)).toBe("overdue by 9 days");
+        });
+
+        it("counts days after the change from the new local day", () => {
+            const morningAfter = new Date(2025, 2, 31, 0, 30);
+
+            expect(formatDueLabel("2025-03-30", morningAfter)).toBe("overdue by 1 day");
+            expect(formatDueLabel("2025-04-06", morningAfter)).toBe("due in 6 days");
+        });
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Exports of all lists and goals in the Todo App.
+ * Goals can be exported as versioned JSON (a complete backup), as CSV (one
+ * row per goal, for spreadsheets) or as a Markdown checklist (for notes and
+ * issue trackers). The matching importers live in ./importGoals.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { CURRENT_SCHEMA_VERSION } from "./migrations";
+import { DEFAULT_PRIORITY } from "./priority";
+import { formatCsv } from "./csv";
+
+/**
+ * Identifies JSON files written by this app.
+ *
+ * @constant
+ * @type {string}
+ */
+export const EXPORT_APP_ID = "rncourse-goals";
+
+/**
+ * The columns of a CSV export, in order. Lists are identified by the
+ * `listId`, `list` and `listColor` columns of their goals.
+ *
+ * @constant
+ * @type {string[]}
+ */
+export const CSV_COLUMNS = [
+    "id",
+    "text",
+    "notes",
+    "completed",
+    "completedAt",
+    "dueDate",
+    "priority",
+    "tags",
+    "subtasks",
+    "order",
+    "reminder",
+    "recurrence",
+    "completions",
+    "listId",
+    "list",
+    "listColor",
+    "createdAt",
+    "updatedAt",
+];
+
+/**
+ * An export format the user can choose.
+ *
+ * @typedef {Object} ExportFormat
+ * @property {string} value - Identifier of the format
+ * @property {string} label - Text shown on the format button
+ * @property {string} extension - File name extension, without the dot
+ * @property {function(import("./goalRepository").GoalData, {now: Date}): string} serialize - Builds the export text
+ */
+
+/**
+ * Serializes the lists and goals as versioned JSON.
+ *
+ * The JSON has the same shape and schema version as the stored data, so
+ * older exports can be upgraded by the storage migrations when imported.
+ *
+ * @function
+ * @param {{goals: Array<import("./goalFactory").Goal>, lists: Array<import("./listFactory").GoalList>}} data -
+ *   The lists and goals to export
+ * @param {Object} [options] - Export options
+ * @param {Date} [options.now=new Date()] - The export time
+ * @returns {string} The JSON text
+ */
+export function exportToJson({ goals, lists }, { now = new Date() } = {}) {
+    return JSON.stringify(
+        {
+            app: EXPORT_APP_ID,
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            exportedAt: now.toISOString(),
+            lists,
+            goals,
+        },
+        null,
+        2
+    );
+}
+
+/**
+ * Serializes the goals as CSV, one row per goal, with a header row.
+ *
+ * Tags and completion times are separated by spaces and the checklist,
+ * reminder and repeat rule are stored as JSON, so every goal field survives
+ * a round trip. Lists without goals are not included.
+ *
+ * @function
+ * @param {{goals: Array<import("./goalFactory").Goal>, lists: Array<import("./listFactory").GoalList>}} data -
+ *   The lists and goals to export
+ * @returns {string} The CSV text
+ */
+export function exportToCsv({ goals, lists }) {
+    const rows = goals.map((goal) => {
+        const list = lists.find((candidate) => candidate.id === goal.listId);
+        return [
+            goal.id,
+            goal.text,
+            goal.notes,
+            goal.completed,
+            goal.completedAt,
+            goal.dueDate,
+            goal.priority,
+            goal.tags.join(" "),
+            goal.subtasks.length > 0 ? JSON.stringify(goal.subtasks) : "",
+            goal.order,
+            goal.reminder ? JSON.stringify(goal.reminder) : "",
+            goal.recurrence ? JSON.stringify(goal.recurrence) : "",
+            goal.completions.join(" "),
+            goal.listId,
+            list ? list.name : "",
+            list ? list.color : "",
+            goal.createdAt,
+            goal.updatedAt,
+        ];
+    });
+    return formatCsv([CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Joins the lines of a text with spaces, since a checklist item is a single line.
+ *
+ * @function
+ * @param {string} text - The text of a goal or checklist step
+ * @returns {string} The text on one line
+ */
+function toSingleLine(text) {
+    return text.replace(/\s*[\r\n]+\s*/g, " ");
+}
+
+/**
+ * Formats one goal as a Markdown checklist item.
+ *
+ * Tags follow the text as #hashtags, a priority other than the default as
+ * `!priority`, and the due date as `(due YYYY-MM-DD)`.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal} goal - The goal to format
+ * @returns {string} The item, followed by its indented checklist steps
+ *
+ * @example
+ * formatMarkdownGoal({ text: "Learn React", completed: false, tags: ["react"], priority: "high",
+ *     dueDate: "2025-06-30", subtasks: [{ text: "Read the docs", done: true }] });
+ * // => "- [ ] Learn React #react !high (due 2025-06-30)\n  - [x] Read the docs"
+ */
+export function formatMarkdownGoal(goal) {
+    const parts = [toSingleLine(goal.text), ...goal.tags.map((tag) => `#${tag}`)];
+    if (goal.priority !== DEFAULT_PRIORITY) {
+        parts.push(`!${goal.priority}`);
+    }
+    if (goal.dueDate) {
+        parts.push(`(due ${goal.dueDate})`);
+    }
+    const lines = [`- [${goal.completed ? "x" : " "}] ${parts.join(" ")}`];
+    for (const subtask of goal.subtasks) {
+        lines.push(`  - [${subtask.done ? "x" : " "}] ${toSingleLine(subtask.text)}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Serializes the lists and goals as a Markdown checklist, with a heading per list.
+ *
+ * @function
+ * @param {{goals: Array<import("./goalFactory").Goal>, lists: Array<import("./listFactory").GoalList>}} data -
+ *   The lists and goals to export
+ * @returns {string} The Markdown text
+ *
+ * @example
+ * exportToMarkdown({ lists: [{ id: "default", name: "My Goals" }], goals });
+ * // => "# My Goals\n\n- [ ] Learn React #react\n- [x] Learn DSA\n"
+ */
+export function exportToMarkdown({ goals, lists }) {
+    return lists
+        .map((list) => {
+            const items = goals
+                .filter((goal) => goal.listId === list.id)
+                .map(formatMarkdownGoal);
+            return [`# ${list.name}`, "", ...items].join("\n") + "\n";
+        })
+        .join("\n");
+}
+
+/**
+ * All export formats, in the order their buttons are shown.
+ *
+ * @constant
+ * @type {ExportFormat[]}
+ */
+export const EXPORT_FORMATS = [
+    { value: "json", label: "JSON", extension: "json", serialize: exportToJson },
+    { value: "csv", label: "CSV", extension: "csv", serialize: exportToCsv },
+    { value: "markdown", label: "Markdown", extension: "md", serialize: exportToMarkdown },
+];
+
+/**
+ * Serializes the lists and goals in one of the export formats.
+ *
+ * @function
+ * @param {{goals: Array<import("./goalFactory").Goal>, lists: Array<import("./listFactory").GoalList>}} data -
+ *   The lists and goals to export
+ * @param {string} format - One of the values in EXPORT_FORMATS
+ * @param {Object} [options] - Export options
+ * @param {Date} [options.now=new Date()] - The export time
+ * @returns {string} The export text
+ * @throws {Error} When the format is unknown
+ */
+export function exportGoals(data, format, { now = new Date() } = {}) {
+    const exportFormat = EXPORT_FORMATS.find((candidate) => candidate.value === format);
+    if (!exportFormat) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+    return exportFormat.serialize(data, { now });
+}
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Event log of created and completed goals in the Todo App.
+ * Statistics need to know when goals were created and completed, including
+ * goals that were deleted since. The log keeps one event per creation and per
+ * completion, and outlives the goals it describes.
+ *
+ * Events are not recorded by hand in every reducer case. Instead the log is
+ * brought in line with the goals after each change: every goal contributes
+ * the events its own timestamps describe (`createdAt`, `completedAt` and the
+ * `completions` of a recurring goal). Reopening a goal therefore drops its
+ * completion again, and an event is never recorded twice.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * One entry of the event log.
+ *
+ * @typedef {Object} GoalEvent
+ * @property {"created"|"completed"} type - What happened
+ * @property {string} goalId - ID of the goal it happened to
+ * @property {string} at - ISO timestamp of when it happened
+ */
+
+/**
+ * Lists the events a goal's timestamps describe.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal} goal - The goal
+ * @returns {GoalEvent[]} Its creation, followed by its completions
+ *
+ * @example
+ * getGoalEvents({ id: "1", createdAt: "2025-01-01T08:00:00.000Z", completed: true,
+ *     completedAt: "2025-01-02T18:00:00.000Z", completions: [] });
+ * // => [{ type: "created", goalId: "1", at: "2025-01-01T08:00:00.000Z" },
+ * //     { type: "completed", goalId: "1", at: "2025-01-02T18:00:00.000Z" }]
+ */
+export function getGoalEvents(goal) {
+    return [
+        { type: "created", goalId: goal.id, at: goal.createdAt },
+        ...getCompletionTimes(goal).map((at) => ({ type: "completed", goalId: goal.id, at })),
+    ];
+}
+
+/**
+ * Lists the times a goal was completed.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal} goal - The goal
+ * @returns {string[]} The recorded occurrences of a recurring goal, and the
+ *   completion time of a goal that is done
+ */
+function getCompletionTimes(goal) {
+    const times = goal.completions ?? [];
+    return goal.completed && goal.completedAt ? [...times, goal.completedAt] : times;
+}
+
+/**
+ * Builds the key that identifies an event, so no event is logged twice.
+ *
+ * @function
+ * @param {GoalEvent} event - The event
+ * @returns {string} The key
+ */
+function getEventKey({ type, goalId, at }) {
+    return `${type}|${goalId}|${at}`;
+}
+
+/**
+ * Brings the event log in line with a change of the goals.
+ *
+ * Goals that are new or whose completion changed add their missing events.
+ * A completion that a goal no longer has (it was reopened, or a completion
+ * was undone) is removed from the log. Goals that disappeared keep their
+ * events, since deleting a goal doesn't undo the work done on it, unless
+ * `forgetRemoved` picks them: undoing the addition of a goal should also take
+ * back its creation.
+ *
+ * @function
+ * @param {GoalEvent[]} events - The log before the change
+ * @param {Array<import("./goalFactory").Goal>} previousGoals - The goals before the change
+ * @param {Array<import("./goalFactory").Goal>} nextGoals - The goals after the change
+ * @param {Object} [options] - Options
+ * @param {function(import("./goalFactory").Goal): boolean} [options.forgetRemoved] - Tells whether a
+ *   goal that disappeared takes its events with it; by default every goal keeps them
+ * @returns {GoalEvent[]} The updated log, or the same array when nothing changed
+ */
+export function recordGoalEvents(events, previousGoals, nextGoals, { forgetRemoved = () => false } = {}) {
+    const previousById = new Map(previousGoals.map((goal) => [goal.id, goal]));
+    const nextIds = new Set(nextGoals.map((goal) => goal.id));
+    const added = [];
+    const removed = new Set();
+
+    for (const goal of nextGoals) {
+        const previous = previousById.get(goal.id);
+        if (previous === goal) {
+            continue;
+        }
+        if (!previous) {
+            added.push(...getGoalEvents(goal));
+            continue;
+        }
+        const times = getCompletionTimes(goal);
+        const previousTimes = getCompletionTimes(previous);
+        for (const at of times) {
+            if (!previousTimes.includes(at)) {
+                added.push({ type: "completed", goalId: goal.id, at });
+            }
+        }
+        for (const at of previousTimes) {
+            if (!times.includes(at)) {
+                removed.add(getEventKey({ type: "completed", goalId: goal.id, at }));
+            }
+        }
+    }
+
+    const forgottenIds = new Set(
+        previousGoals.filter((goal) => !nextIds.has(goal.id) && forgetRemoved(goal)).map((goal) => goal.id)
+    );
+    if (added.length === 0 && removed.size === 0 && forgottenIds.size === 0) {
+        return events;
+    }
+
+    const kept = events.filter(
+        (event) => !removed.has(getEventKey(event)) && !forgottenIds.has(event.goalId)
+    );
+    const keys = new Set(kept.map(getEventKey));
+    const fresh = added.filter((event) => {
+        const key = getEventKey(event);
+        if (keys.has(key)) {
+            return false;
+        }
+        keys.add(key);
+        return true;
+    });
+    return kept.length === events.length && fresh.length === 0 ? events : [...kept, ...fresh];
+}
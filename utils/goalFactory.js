@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Goal factory for building goal objects in the Todo App.
+ * This module is the single place where new goals are created and where
+ * changes to existing goals are stamped, so every goal in the app has the
+ * same complete shape.
+ *
+ * Goal IDs follow the ULID layout: 26 characters of Crockford base32, where
+ * the first 10 encode the creation time in milliseconds and the last 16 are
+ * random. Sorting IDs as plain strings therefore sorts goals by creation
+ * time, and IDs created within the same millisecond are still unique and
+ * ordered because the random part is incremented instead of redrawn.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { DEFAULT_PRIORITY } from "./priority";
+
+/**
+ * The Crockford base32 alphabet used by ULIDs (no I, L, O or U).
+ *
+ * @constant
+ * @type {string}
+ */
+const ENCODING = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+/**
+ * Number of characters used for the time part of an ID.
+ *
+ * @constant
+ * @type {number}
+ */
+const TIME_LENGTH = 10;
+
+/**
+ * Number of characters used for the random part of an ID.
+ *
+ * @constant
+ * @type {number}
+ */
+const RANDOM_LENGTH = 16;
+
+/**
+ * The timestamp and random digits of the last generated ID, kept so that
+ * IDs generated within the same millisecond can be made monotonic.
+ *
+ * @type {{time: number, random: number[]}}
+ */
+const lastId = { time: -1, random: [] };
+
+/**
+ * A complete goal as stored in the app.
+ *
+ * @typedef {Object} Goal
+ * @property {string} id - Time-ordered unique identifier
+ * @property {string} text - The goal text
+ * @property {string} notes - Longer notes in the Markdown subset of ./markdown, or "" for none
+ * @property {boolean} completed - Whether the goal is done
+ * @property {(string|null)} completedAt - ISO timestamp of completion, or null
+ * @property {(string|null)} dueDate - Due date key ("YYYY-MM-DD"), or null when the goal has no deadline
+ * @property {string} priority - One of "low", "normal", "high" or "urgent"
+ * @property {string} listId - ID of the list the goal belongs to
+ * @property {string[]} tags - Normalized tags, e.g. ["react", "dsa"]
+ * @property {Array<import("./subtasks").Subtask>} subtasks - Ordered checklist of steps
+ * @property {number} order - Position in the manual sort order, lowest first
+ * @property {(import("./reminders").Reminder|null)} reminder - When to send a notification about the goal, or null
+ * @property {(import("./recurrence").Recurrence|null)} recurrence - How often the goal repeats, or null for a one-off goal
+ * @property {string[]} completions - ISO timestamps of the occurrences of a recurring goal that were checked off
+ * @property {string} createdAt - ISO timestamp of creation
+ * @property {string} updatedAt - ISO timestamp of the last change
+ */
+
+/**
+ * Encodes a millisecond timestamp as the 10-character time part of an ID.
+ *
+ * @function
+ * @param {number} time - Milliseconds since the Unix epoch
+ * @returns {string} The encoded time
+ */
+function encodeTime(time) {
+    let remaining = time;
+    let encoded = "";
+    for (let i = 0; i < TIME_LENGTH; i++) {
+        encoded = ENCODING[remaining % 32] + encoded;
+        remaining = Math.floor(remaining / 32);
+    }
+    return encoded;
+}
+
+/**
+ * Draws the digits of a fresh random part.
+ *
+ * @function
+ * @param {function(): number} random - Source of numbers in [0, 1)
+ * @returns {number[]} Base32 digit values
+ */
+function randomDigits(random) {
+    return Array.from({ length: RANDOM_LENGTH }, () => Math.floor(random() * 32));
+}
+
+/**
+ * Adds one to a list of base32 digits, carrying from the right.
+ *
+ * @function
+ * @param {number[]} digits - The digits to increment
+ * @returns {number[]} The incremented digits
+ * @throws {Error} When every digit is already at its maximum
+ */
+function incrementDigits(digits) {
+    const next = [...digits];
+    for (let i = next.length - 1; i >= 0; i--) {
+        if (next[i] < 31) {
+            next[i] += 1;
+            return next;
+        }
+        next[i] = 0;
+    }
+    throw new Error("Goal ID random part overflowed within one millisecond");
+}
+
+/**
+ * Creates a new time-ordered unique goal ID.
+ *
+ * @function
+ * @param {Object} [options] - ID options
+ * @param {number} [options.now=Date.now()] - The creation time in milliseconds
+ * @param {function(): number} [options.random=Math.random] - Source of random numbers in [0, 1)
+ * @returns {string} A 26-character ID
+ *
+ * @example
+ * createGoalId({ now: 1735689600000 });
+ * // => "01JGFJJZ00..." (time part followed by 16 random characters)
+ */
+export function createGoalId({ now = Date.now(), random = Math.random } = {}) {
+    // A clock that moved backwards keeps using the last time so order is preserved.
+    const time = Math.max(now, lastId.time);
+    const digits = time === lastId.time ? incrementDigits(lastId.random) : randomDigits(random);
+
+    lastId.time = time;
+    lastId.random = digits;
+
+    return encodeTime(time) + digits.map((digit) => ENCODING[digit]).join("");
+}
+
+/**
+ * Reads the creation time encoded in a goal ID.
+ *
+ * @function
+ * @param {string} id - An ID produced by createGoalId
+ * @returns {number} Milliseconds since the Unix epoch
+ */
+export function getGoalIdTime(id) {
+    return id
+        .slice(0, TIME_LENGTH)
+        .split("")
+        .reduce((time, char) => time * 32 + ENCODING.indexOf(char), 0);
+}
+
+/**
+ * Builds a complete goal object from the fields the user entered.
+ *
+ * @function
+ * @param {Object} fields - The user-provided fields
+ * @param {string} fields.text - The goal text
+ * @param {string} fields.listId - ID of the list the goal belongs to
+ * @param {string} [fields.notes=""] - The goal's notes
+ * @param {(string|null)} [fields.dueDate=null] - The due date key
+ * @param {string} [fields.priority=DEFAULT_PRIORITY] - The priority level
+ * @param {string[]} [fields.tags=[]] - The goal's tags
+ * @param {Array<import("./subtasks").Subtask>} [fields.subtasks=[]] - The goal's checklist
+ * @param {number} [fields.order=0] - Position in the manual sort order (see getNextOrder)
+ * @param {(import("./reminders").Reminder|null)} [fields.reminder=null] - The goal's reminder
+ * @param {(import("./recurrence").Recurrence|null)} [fields.recurrence=null] - The goal's repeat rule
+ * @param {Object} [options] - Factory options
+ * @param {Date} [options.now=new Date()] - The creation time
+ * @returns {Goal} A new, not yet completed goal
+ *
+ * @example
+ * const goal = createGoal({ text: "Learn React Native", listId: "default" });
+ * // => { id: "01J...", text: "Learn React Native", notes: "", listId: "default", completed: false,
+ * //      completedAt: null, dueDate: null, priority: "normal", tags: [], subtasks: [], order: 0,
+ * //      reminder: null, recurrence: null, completions: [], createdAt: "2025-...", updatedAt: "2025-..." }
+ */
+export function createGoal({ text, ...rest }, { now = new Date() } = {}) {
+    const timestamp = now.toISOString();
+    return {
+        notes: "",
+        completed: false,
+        completedAt: null,
+        dueDate: null,
+        priority: DEFAULT_PRIORITY,
+        tags: [],
+        subtasks: [],
+        order: 0,
+        reminder: null,
+        recurrence: null,
+        completions: [],
+        ...rest,
+        id: createGoalId({ now: now.getTime() }),
+        text,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+    };
+}
+
+/**
+ * Applies a change to a goal and stamps its `updatedAt` time.
+ *
+ * The goal's ID and creation time can't be changed through the patch.
+ *
+ * @function
+ * @param {Goal} goal - The goal to change
+ * @param {Object} patch - The fields to change
+ * @param {Object} [options] - Factory options
+ * @param {Date} [options.now=new Date()] - The time of the change
+ * @returns {Goal} The changed goal
+ *
+ * @example
+ * updateGoalFields(goal, { text: "Learn React" });
+ */
+export function updateGoalFields(goal, patch, { now = new Date() } = {}) {
+    return {
+        ...goal,
+        ...patch,
+        id: goal.id,
+        createdAt: goal.createdAt,
+        updatedAt: now.toISOString(),
+    };
+}
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Tests for the goal factory.
+ * createGoalId remembers the last ID it generated, so every test loads a
+ * fresh copy of the module.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * A creation time in milliseconds, 2025-01-01T00:00:00.000Z.
+ *
+ * @constant
+ * @type {number}
+ */
+const TIME = Date.UTC(2025, 0, 1);
+
+/**
+ * A random source that always draws the highest digit.
+ *
+ * @function
+ * @returns {number} A number just below 1
+ */
+const highestRandom = () => 0.999;
+
+/**
+ * A random source that always draws the lowest digit.
+ *
+ * @function
+ * @returns {number} Zero
+ */
+const lowestRandom = () => 0;
+
+describe("goalFactory", () => {
+    let createGoalId;
+    let getGoalIdTime;
+    let createGoal;
+    let updateGoalFields;
+
+    beforeEach(() => {
+        jest.isolateModules(() => {
+            ({ createGoalId, getGoalIdTime, createGoal, updateGoalFields } = require("./goalFactory"));
+        });
+    });
+
+    describe("createGoalId", () => {
+        it("builds a 26-character Crockford base32 ID", () => {
+            expect(createGoalId({ now: TIME })).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+        });
+
+        it("makes IDs created later sort after earlier ones", () => {
+            const first = createGoalId({ now: TIME, random: highestRandom });
+            const second = createGoalId({ now: TIME + 1, random: lowestRandom });
+
+            expect(first < second).toBe(true);
+        });
+
+        it("increments the random part of IDs created in the same millisecond", () => {
+            const ids = Array.from({ length: 3 }, () => createGoalId({ now: TIME, random: lowestRandom }));
+
+            expect(ids[0].slice(10)).toBe("0000000000000000");
+            expect(ids[1].slice(10)).toBe("0000000000000001");
+            expect(ids[2].slice(10)).toBe("0000000000000002");
+            expect([...ids].sort()).toEqual(ids);
+        });
+
+        it("carries into the next digit", () => {
+            // Only the last of the 16 digits drawn is the highest one
+            const draws = [...Array(15).fill(0), 0.999];
+
+            const first = createGoalId({ now: TIME, random: () => draws.shift() });
+            const second = createGoalId({ now: TIME });
+
+            expect(first.slice(10)).toBe("000000000000000Z");
+            expect(second.slice(10)).toBe("0000000000000010");
+        });
+
+        it("keeps IDs ordered when the clock moves backwards", () => {
+            const first = createGoalId({ now: TIME, random: lowestRandom });
+            const second = createGoalId({ now: TIME - 60000, random: highestRandom });
+
+            expect(first < second).toBe(true);
+            expect(getGoalIdTime(second)).toBe(TIME);
+        });
+
+        it("throws when the random part overflows within one millisecond", () => {
+            createGoalId({ now: TIME, random: highestRandom });
+
+            expect(() => createGoalId({ now: TIME })).toThrow(
+                "Goal ID random part overflowed within one millisecond"
+            );
+        });
+
+        it("draws a fresh random part once the clock moves on after an overflow", () => {
+            createGoalId({ now: TIME, random: highestRandom });
+
+            expect(createGoalId({ now: TIME + 1, random: lowestRandom }).slice(10)).toBe("0000000000000000");
+        });
+    });
+
+    describe("getGoalIdTime", () => {
+        it("reads back the creation time", () => {
+            expect(getGoalIdTime(createGoalId({ now: TIME }))).toBe(TIME);
+            expect(getGoalIdTime(createGoalId({ now: TIME * 2 }))).toBe(TIME * 2);
+        });
+
+        it("reads the time of a known ID", () => {
+            expect(getGoalIdTime("01JGFJJZ000000000000000000")).toBe(Date.UTC(2025, 0, 1));
+        });
+    });
+
+    describe("createGoal", () => {
+        it("fills in every field and stamps the creation time", () => {
+            const now = new Date(TIME);
+
+            const goal = createGoal({ text: "Learn React Native", listId: "default", tags: ["react"] }, { now });
+
+            expect(goal).toEqual({
+                id: expect.any(String),
+                text: "Learn React Native",
+                notes: "",
+                listId: "default",
+                completed: false,
+                completedAt: null,
+                dueDate: null,
+                priority: "normal",
+                tags: ["react"],
+                subtasks: [],
+                order: 0,
+                reminder: null,
+                recurrence: null,
+                completions: [],
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+            });
+            expect(getGoalIdTime(goal.id)).toBe(TIME);
+        });
+    });
+
+    describe("updateGoalFields", () => {
+        it("applies the patch but keeps the ID and creation time", () => {
+            const goal = createGoal({ text: "Learn React", listId: "default" }, { now: new Date(TIME) });
+            const later = new Date(TIME + 1000);
+
+            const updated = updateGoalFields(
+                goal,
+                { text: "Learn React Native", id: "other", createdAt: "2000-01-01T00:00:00.000Z" },
+                { now: later }
+            );
+
+            expect(updated).toMatchObject({
+                id: goal.id,
+                text: "Learn React Native",
+                createdAt: goal.createdAt,
+                updatedAt: later.toISOString(),
+            });
+        });
+    });
+});
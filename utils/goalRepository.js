@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Goal repository for loading and saving goals in the Todo App.
+ * This module wraps a storage backend with a versioned on-disk schema, so the
+ * rest of the application can read and write plain goal data without caring
+ * about serialization or where the data actually lives.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { runMigrations, MigrationError, CURRENT_SCHEMA_VERSION } from "./migrations";
+import { DEFAULT_SORT } from "./sortGoals";
+import { createDefaultList, DEFAULT_LIST_ID } from "./listFactory";
+
+/**
+ * The storage key under which the goal payload is saved.
+ *
+ * @constant
+ * @type {string}
+ */
+export const GOALS_STORAGE_KEY = "@rncourse/goals";
+
+/**
+ * The suffix appended to the storage key to build the backup key.
+ *
+ * When a stored payload cannot be migrated, the untouched payload is copied
+ * to `<key>:backup` before the error is reported, so that a later save can
+ * never destroy the only copy of the user's data.
+ *
+ * @constant
+ * @type {string}
+ */
+export const BACKUP_KEY_SUFFIX = ":backup";
+
+/**
+ * The application data handled by the repository.
+ *
+ * @typedef {Object} GoalData
+ * @property {Array<import("./goalFactory").Goal>} goals - The saved goals in the order they were added
+ * @property {Array<import("./listFactory").GoalList>} lists - The goal lists; every goal's `listId` points at one
+ * @property {{sortBy: string, activeListId: string}} settings - User preferences that should survive restarts
+ * @property {Array<import("./templates").GoalTemplate>} templates - The templates the user saved from their lists
+ * @property {Array<import("./goalEvents").GoalEvent>} events - Log of goal creations and completions, used for statistics
+ */
+
+/**
+ * Builds the data of a fresh install.
+ *
+ * @function
+ * @returns {GoalData} A single empty list with default settings, no saved templates and an empty event log
+ */
+export function createDefaultData() {
+    return {
+        goals: [],
+        lists: [createDefaultList()],
+        settings: { sortBy: DEFAULT_SORT, activeListId: DEFAULT_LIST_ID },
+        templates: [],
+        events: [],
+    };
+}
+
+/**
+ * Creates a goal repository on top of a storage backend.
+ *
+ * The repository serializes the goal data as JSON wrapped in an envelope of
+ * the form `{ schemaVersion, goals, lists, settings, templates, events }`. Payloads written by older versions of
+ * the app are upgraded through the migration runner while loading. Loading
+ * from an empty store resolves to the default data so a fresh install
+ * behaves like a returning user with no goals.
+ *
+ * @function
+ * @param {import("./storage").StorageBackend} backend - Where the payload is read from and written to
+ * @param {Object} [options] - Repository options
+ * @param {string} [options.key=GOALS_STORAGE_KEY] - The storage key to use
+ * @returns {{
+ *   load: function(): Promise<GoalData>,
+ *   save: function(GoalData): Promise<void>,
+ *   loadBackup: function(): Promise<(string|null)>,
+ *   clear: function(): Promise<void>
+ * }} The repository API
+ *
+ * @example
+ * const repository = createGoalRepository(createMemoryBackend());
+ *
+ * await repository.save({
+ *     goals: [createGoal({ text: "Learn React", listId: "default" })],
+ *     lists: [createDefaultList()],
+ *     settings: { sortBy: "priority", activeListId: "default" },
+ * });
+ * const { goals } = await repository.load();
+ */
+export function createGoalRepository(backend, { key = GOALS_STORAGE_KEY } = {}) {
+    /**
+     * Reads and parses the stored goal data.
+     *
+     * @async
+     * @function
+     * @returns {Promise<GoalData>} The stored data, or the default data when nothing is stored
+     * @throws {SyntaxError} When the payload is not valid JSON
+     * @throws {import("./migrations").MigrationError} When the payload cannot be upgraded;
+     *   the original payload is backed up first
+     */
+    async function load() {
+        const raw = await backend.getItem(key);
+        if (raw === null) {
+            return createDefaultData();
+        }
+
+        let payload;
+        try {
+            payload = runMigrations(JSON.parse(raw));
+        } catch (error) {
+            if (error instanceof MigrationError) {
+                await backend.setItem(key + BACKUP_KEY_SUFFIX, raw);
+            }
+            throw error;
+        }
+
+        const { schemaVersion, ...data } = payload;
+        return data;
+    }
+
+    /**
+     * Serializes and stores the goal data, replacing whatever was stored before.
+     *
+     * @async
+     * @function
+     * @param {GoalData} data - The data to store
+     * @returns {Promise<void>}
+     */
+    async function save(data) {
+        const payload = { schemaVersion: CURRENT_SCHEMA_VERSION, ...data };
+        await backend.setItem(key, JSON.stringify(payload));
+    }
+
+    /**
+     * Reads the raw payload kept aside by a failed migration.
+     *
+     * @async
+     * @function
+     * @returns {Promise<(string|null)>} The backed up JSON string, or null when there is no backup
+     */
+    async function loadBackup() {
+        return backend.getItem(key + BACKUP_KEY_SUFFIX);
+    }
+
+    /**
+     * Removes the stored goal data entirely.
+     *
+     * @async
+     * @function
+     * @returns {Promise<void>}
+     */
+    async function clear() {
+        await backend.removeItem(key);
+    }
+
+    return { load, save, loadBackup, clear };
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Tests for the goal repository.
+ * The repository runs on the in-memory storage backend, so the tests can
+ * look at exactly what was written under each key.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { createGoalRepository, GOALS_STORAGE_KEY, BACKUP_KEY_SUFFIX } from "./goalRepository";
+import { createMemoryBackend } from "./storage";
+import { MigrationError, CURRENT_SCHEMA_VERSION } from "./migrations";
+
+/**
+ * The key a failed migration backs the stored data up under.
+ *
+ * @constant
+ * @type {string}
+ */
+const BACKUP_KEY = GOALS_STORAGE_KEY + BACKUP_KEY_SUFFIX;
+
+describe("createGoalRepository", () => {
+    it("loads the default data when nothing is stored", async () => {
+        const repository = createGoalRepository(createMemoryBackend());
+
+        const data = await repository.load();
+
+        expect(data.goals).toEqual([]);
+        expect(data.lists.map((list) => list.id)).toEqual(["default"]);
+        expect(data.settings).toEqual({ sortBy: "createdAt", activeListId: "default" });
+    });
+
+    it("saves the data in a versioned envelope and loads it back", async () => {
+        const backend = createMemoryBackend();
+        const repository = createGoalRepository(backend);
+        const data = {
+            goals: [],
+            lists: [{ id: "default", name: "My Goals", color: "#0067ca", createdAt: "2025-01-01T08:00:00.000Z" }],
+            settings: { sortBy: "manual", activeListId: "default" },
+            templates: [],
+            events: [],
+        };
+
+        await repository.save(data);
+
+        expect(JSON.parse(await backend.getItem(GOALS_STORAGE_KEY)).schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+        expect(await repository.load()).toEqual(data);
+    });
+
+    it("upgrades data saved by an older version", async () => {
+        const backend = createMemoryBackend({
+            [GOALS_STORAGE_KEY]: JSON.stringify([{ id: "01JGGOAL", text: "Learn React" }]),
+        });
+
+        const { goals } = await createGoalRepository(backend).load();
+
+        expect(goals).toEqual([expect.objectContaining({ id: "01JGGOAL", text: "Learn React", notes: "" })]);
+    });
+
+    it("backs the stored data up when a migration step throws", async () => {
+        const raw = JSON.stringify({ schemaVersion: 1, goals: null });
+        const backend = createMemoryBackend({ [GOALS_STORAGE_KEY]: raw });
+        const repository = createGoalRepository(backend);
+
+        await expect(repository.load()).rejects.toThrow(MigrationError);
+
+        expect(await backend.getItem(BACKUP_KEY)).toBe(raw);
+        expect(await repository.loadBackup()).toBe(raw);
+        expect(await backend.getItem(GOALS_STORAGE_KEY)).toBe(raw);
+    });
+
+    it("doesn't back up data that isn't JSON", async () => {
+        const backend = createMemoryBackend({ [GOALS_STORAGE_KEY]: "{not json" });
+
+        await expect(createGoalRepository(backend).load()).rejects.toThrow(SyntaxError);
+
+        expect(await backend.getItem(BACKUP_KEY)).toBeNull();
+    });
+
+    it("uses the given storage key", async () => {
+        const backend = createMemoryBackend();
+        const repository = createGoalRepository(backend, { key: "other" });
+
+        await repository.save({ goals: [], lists: [], settings: {}, templates: [], events: [] });
+        await repository.clear();
+
+        expect(await backend.getItem("other")).toBeNull();
+        expect(await backend.getItem(GOALS_STORAGE_KEY)).toBeNull();
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Selectors that derive the visible goal list in the Todo App.
+ * This module turns the stored goals plus the user's search text, filter and
+ * sort order into the list that is actually rendered. All functions are pure
+ * and never modify the goals they are given.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { isOverdue } from "./dates";
+import { sortGoals, DEFAULT_SORT } from "./sortGoals";
+
+/**
+ * A filter the user can apply to the goal list.
+ *
+ * @typedef {Object} GoalFilter
+ * @property {string} value - Identifier of the filter
+ * @property {string} label - Text shown on the filter chip
+ * @property {function(import("./goalFactory").Goal, Date): boolean} matches - Whether a goal passes the filter
+ */
+
+/**
+ * All available filters, in the order their chips are shown.
+ *
+ * @constant
+ * @type {GoalFilter[]}
+ */
+export const GOAL_FILTERS = [
+    { value: "all", label: "All", matches: () => true },
+    { value: "active", label: "Active", matches: (goal) => !goal.completed },
+    { value: "completed", label: "Completed", matches: (goal) => goal.completed },
+    {
+        value: "overdue",
+        label: "Overdue",
+        matches: (goal, now) => !goal.completed && isOverdue(goal.dueDate, now),
+    },
+];
+
+/**
+ * The filter applied until the user picks another one.
+ *
+ * @constant
+ * @type {string}
+ */
+export const DEFAULT_FILTER = "all";
+
+/**
+ * Normalizes text for searching.
+ *
+ * Accents are removed by decomposing characters and dropping the combining
+ * marks, and everything is lowercased, so "Résumé" matches "resume".
+ *
+ * @function
+ * @param {string} text - The text to normalize
+ * @returns {string} The normalized text
+ *
+ * @example
+ * normalizeSearchText("  Éléphant ");
+ * // => "elephant"
+ */
+export function normalizeSearchText(text) {
+    return text
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Checks whether a goal matches a search query.
+ *
+ * The query is split into words and every word must appear somewhere in the
+ * goal text or its tags, in any order. An empty query matches every goal.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal} goal - The goal to check
+ * @param {string} query - The raw search text
+ * @returns {boolean} True when all words of the query are found
+ */
+export function matchesQuery(goal, query) {
+    const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+        return true;
+    }
+    const text = normalizeSearchText([goal.text, ...goal.tags].join(" "));
+    return terms.every((term) => text.includes(term));
+}
+
+/**
+ * Derives the goals to display from the stored goals and the view options.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal[]} goals - All stored goals
+ * @param {Object} [options] - View options
+ * @param {string} [options.listId] - Only keep goals of this list; all lists when omitted
+ * @param {(string|null)} [options.tag=null] - Only keep goals with this tag; all goals when null
+ * @param {string} [options.query=""] - Search text
+ * @param {string} [options.filter=DEFAULT_FILTER] - One of the values in GOAL_FILTERS
+ * @param {string} [options.sortBy=DEFAULT_SORT] - One of the sort orders in sortGoals
+ * @param {Date} [options.now=new Date()] - The current time, used by the overdue filter
+ * @returns {import("./goalFactory").Goal[]} The filtered and sorted goals
+ *
+ * @example
+ * selectVisibleGoals(listOfGoals, { listId: "default", tag: "react", filter: "active", sortBy: "priority" });
+ */
+export function selectVisibleGoals(
+    goals,
+    { listId, tag = null, query = "", filter = DEFAULT_FILTER, sortBy = DEFAULT_SORT, now = new Date() } = {}
+) {
+    const activeFilter =
+        GOAL_FILTERS.find((candidate) => candidate.value === filter) ?? GOAL_FILTERS[0];
+
+    const visible = goals.filter(
+        (goal) =>
+            (listId === undefined || goal.listId === listId) &&
+            (tag === null || goal.tags.includes(tag)) &&
+            activeFilter.matches(goal, now) &&
+            matchesQuery(goal, query)
+    );
+    return sortGoals(visible, sortBy);
+}
+
+/**
+ * Returns the goals that belong to one list, in stored order.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal[]} goals - All stored goals
+ * @param {string} listId - The list to keep
+ * @returns {import("./goalFactory").Goal[]} The goals of that list
+ */
+export function selectGoalsInList(goals, listId) {
+    return goals.filter((goal) => goal.listId === listId);
+}
+
+/**
+ * Counts the goals that are not done yet, per list.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal[]} goals - All stored goals
+ * @returns {Object<string, number>} Open goal counts keyed by list ID; lists without open goals are absent
+ *
+ * @example
+ * countOpenGoalsByList(listOfGoals);
+ * // => { default: 3, "01JGFJJZ00...": 1 }
+ */
+export function countOpenGoalsByList(goals) {
+    const counts = {};
+    for (const goal of goals) {
+        if (!goal.completed) {
+            counts[goal.listId] = (counts[goal.listId] ?? 0) + 1;
+        }
+    }
+    return counts;
+}
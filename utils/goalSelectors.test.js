@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Tests for the goal selectors behind the search bar and the
+ * filter chips.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import {
+    GOAL_FILTERS,
+    normalizeSearchText,
+    matchesQuery,
+    selectVisibleGoals,
+    selectGoalsInList,
+    countOpenGoalsByList,
+} from "./goalSelectors";
+import { createGoal } from "./goalFactory";
+
+/**
+ * The current time in these tests: local noon on 2025-06-10.
+ *
+ * @constant
+ * @type {Date}
+ */
+const NOW = new Date(2025, 5, 10, 12, 0);
+
+/**
+ * Builds a goal in the "default" list.
+ *
+ * @function
+ * @param {string} text - The goal text
+ * @param {Object} [fields] - Other fields of the goal
+ * @returns {import("./goalFactory").Goal} The goal
+ */
+function makeGoal(text, fields = {}) {
+    return createGoal({ text, listId: "default", ...fields }, { now: NOW });
+}
+
+describe("normalizeSearchText", () => {
+    it("drops accents and case and trims", () => {
+        expect(normalizeSearchText("  Crème BRÛLÉE ")).toBe("creme brulee");
+    });
+});
+
+describe("matchesQuery", () => {
+    const goal = makeGoal("Étudier le Café-Théâtre", { tags: ["français", "reading"] });
+
+    it("matches every goal for an empty or blank query", () => {
+        expect(matchesQuery(goal, "")).toBe(true);
+        expect(matchesQuery(goal, "   ")).toBe(true);
+    });
+
+    it("ignores accents and case on both sides", () => {
+        expect(matchesQuery(goal, "etudier")).toBe(true);
+        expect(matchesQuery(goal, "CAFÉ")).toBe(true);
+        expect(matchesQuery(goal, "théatre")).toBe(true);
+    });
+
+    it("needs every word, in any order", () => {
+        expect(matchesQuery(goal, "theatre  etudier")).toBe(true);
+        expect(matchesQuery(goal, "theatre cinema")).toBe(false);
+    });
+
+    it("searches the tags too", () => {
+        expect(matchesQuery(goal, "francais")).toBe(true);
+        expect(matchesQuery(goal, "read cafe")).toBe(true);
+    });
+
+    it("matches parts of words", () => {
+        expect(matchesQuery(goal, "tud")).toBe(true);
+    });
+});
+
+describe("selectVisibleGoals", () => {
+    const open = makeGoal("Learn React Native", { tags: ["react"], order: 0 });
+    const done = makeGoal("Learn TypeScript", {
+        completed: true,
+        completedAt: NOW.toISOString(),
+        dueDate: "2025-06-01",
+        order: 1,
+    });
+    const overdue = makeGoal("Learn SQL", { dueDate: "2025-06-09", tags: ["db"], order: 2 });
+    const dueToday = makeGoal("Learn Rust", { dueDate: "2025-06-10", order: 3 });
+    const otherList = makeGoal("Ship the release", { listId: "work", dueDate: "2025-06-01", order: 4 });
+    const goals = [open, done, overdue, dueToday, otherList];
+
+    /**
+     * Reads the texts of the goals a selection keeps.
+     *
+     * @function
+     * @param {Object} options - The selection options
+     * @returns {string[]} The goal texts
+     */
+    function visibleTexts(options) {
+        return selectVisibleGoals(goals, { sortBy: "manual", now: NOW, ...options }).map((goal) => goal.text);
+    }
+
+    it("keeps the goals of the list", () => {
+        expect(visibleTexts({ listId: "default" })).toEqual([
+            "Learn React Native",
+            "Learn TypeScript",
+            "Learn SQL",
+            "Learn Rust",
+        ]);
+    });
+
+    it("keeps the goals of every list when none is given", () => {
+        expect(visibleTexts({})).toHaveLength(5);
+    });
+
+    it("offers the all, active, completed and overdue filters", () => {
+        expect(GOAL_FILTERS.map((filter) => filter.value)).toEqual(["all", "active", "completed", "overdue"]);
+    });
+
+    it.each([
+        ["all", ["Learn React Native", "Learn TypeScript", "Learn SQL", "Learn Rust"]],
+        ["active", ["Learn React Native", "Learn SQL", "Learn Rust"]],
+        ["completed", ["Learn TypeScript"]],
+        ["overdue", ["Learn SQL"]],
+        ["unknown", ["Learn React Native", "Learn TypeScript", "Learn SQL", "Learn Rust"]],
+    ])("applies the %s filter", (filter, expected) => {
+        expect(visibleTexts({ listId: "default", filter })).toEqual(expected);
+    });
+
+    it("reads overdue goals against the given time", () => {
+        const nextDay = new Date(2025, 5, 11, 0, 5);
+
+        expect(visibleTexts({ listId: "default", filter: "overdue", now: nextDay })).toEqual([
+            "Learn SQL",
+            "Learn Rust",
+        ]);
+    });
+
+    it("keeps the goals with the tag", () => {
+        expect(visibleTexts({ listId: "default", tag: "react" })).toEqual(["Learn React Native"]);
+    });
+
+    it("combines the search, the filter and the tag", () => {
+        expect(visibleTexts({ listId: "default", query: "learn", filter: "active", tag: "db" })).toEqual([
+            "Learn SQL",
+        ]);
+        expect(visibleTexts({ listId: "default", query: "learn sql", filter: "completed" })).toEqual([]);
+    });
+
+    it("sorts what it keeps", () => {
+        expect(
+            selectVisibleGoals(goals, { listId: "default", sortBy: "alphabetical", now: NOW }).map(
+                (goal) => goal.text
+            )
+        ).toEqual(["Learn React Native", "Learn Rust", "Learn SQL", "Learn TypeScript"]);
+    });
+});
+
+describe("selectGoalsInList", () => {
+    it("keeps the goals of one list", () => {
+        const goals = [makeGoal("a"), makeGoal("b", { listId: "work" })];
+
+        expect(selectGoalsInList(goals, "work")).toEqual([goals[1]]);
+    });
+});
+
+describe("countOpenGoalsByList", () => {
+    it("counts the goals still open in each list", () => {
+        const goals = [
+            makeGoal("a"),
+            makeGoal("b", { completed: true }),
+            makeGoal("c", { listId: "work" }),
+            makeGoal("d"),
+        ];
+
+        expect(countOpenGoalsByList(goals)).toEqual({ default: 2, work: 1 });
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Haptic feedback adapters for gestures in the Todo App.
+ * Gestures report feedback moments through a small interface instead of
+ * calling a haptics library directly, so the feedback can be switched off or
+ * swapped (for example on platforms without a vibration motor).
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * The feedback moments a gesture can report.
+ *
+ * @typedef {Object} Haptics
+ * @property {function(): void} threshold - A gesture just reached the point where letting go acts
+ * @property {function(): void} commit - A gesture's action was performed
+ */
+
+/**
+ * Creates haptics backed by the `expo-haptics` module.
+ *
+ * Failures (for example on the web, where haptics are unavailable) are
+ * ignored: feedback is never worth interrupting a gesture for.
+ *
+ * @function
+ * @param {Object} expoHaptics - The `expo-haptics` module namespace
+ * @returns {Haptics} Haptics that tick on thresholds and buzz on commits
+ *
+ * @example
+ * import * as ExpoHaptics from "expo-haptics";
+ * const haptics = createExpoHaptics(ExpoHaptics);
+ */
+export function createExpoHaptics(expoHaptics) {
+    const ignore = () => {};
+    return {
+        threshold: () => {
+            expoHaptics.selectionAsync().catch(ignore);
+        },
+        commit: () => {
+            expoHaptics.impactAsync(expoHaptics.ImpactFeedbackStyle.Medium).catch(ignore);
+        },
+    };
+}
+
+/**
+ * Haptics that do nothing, used when no feedback is wanted.
+ *
+ * @constant
+ * @type {Haptics}
+ */
+export const silentHaptics = {
+    threshold: () => {},
+    commit: () => {},
+};
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview History repository for keeping the undo/redo history across backgrounding in the Todo App.
+ * When the app goes to the background the operating system may stop it to
+ * free memory. The undo and redo stacks are written to storage at that
+ * moment, and picked up again on the next start as long as they are recent
+ * and still belong to the saved goals, so the session continues where the
+ * user left it.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * The storage key under which the history is saved.
+ *
+ * @constant
+ * @type {string}
+ */
+export const HISTORY_STORAGE_KEY = "@rncourse/history";
+
+/**
+ * How long a saved history stays usable, in milliseconds. A start later than
+ * this counts as a new session and begins with an empty history.
+ *
+ * @constant
+ * @type {number}
+ */
+export const SESSION_MAX_AGE_MS = 30 * 60 * 1000;
+
+/**
+ * Undo and redo stacks as kept by withHistory.
+ *
+ * @typedef {Object} SavedHistory
+ * @property {Array<import("../store/history").HistorySnapshot>} past - Snapshots to go back to, oldest first
+ * @property {Array<import("../store/history").HistorySnapshot>} future - Snapshots to redo, next first
+ */
+
+/**
+ * Builds a short description of the goals and lists that changes whenever
+ * any goal or list changes. A saved history is only resumed when the loaded
+ * data has the same signature as the data it was saved with.
+ *
+ * @function
+ * @param {{goals: Array<import("./goalFactory").Goal>, lists: Array<import("./listFactory").GoalList>}} data -
+ *   The goals and lists
+ * @returns {string} The signature
+ */
+export function getDataSignature({ goals, lists }) {
+    return JSON.stringify([
+        goals.map((goal) => `${goal.id}@${goal.updatedAt}`),
+        lists.map((list) => `${list.id}:${list.name}:${list.color}`),
+    ]);
+}
+
+/**
+ * Creates a history repository on top of a storage backend.
+ *
+ * @function
+ * @param {import("./storage").StorageBackend} backend - Where the history is read from and written to
+ * @param {Object} [options] - Repository options
+ * @param {string} [options.key=HISTORY_STORAGE_KEY] - The storage key to use
+ * @param {number} [options.maxAgeMs=SESSION_MAX_AGE_MS] - How long a saved history stays usable
+ * @param {function(): number} [options.clock=Date.now] - Source of the current time in milliseconds
+ * @returns {{
+ *   load: function(import("./goalRepository").GoalData): Promise<(SavedHistory|null)>,
+ *   save: function(SavedHistory, import("./goalRepository").GoalData): Promise<void>,
+ *   clear: function(): Promise<void>
+ * }} The repository API
+ *
+ * @example
+ * const historyRepository = createHistoryRepository(createMemoryBackend());
+ *
+ * await historyRepository.save({ past, future }, { goals, lists });
+ * const history = await historyRepository.load({ goals, lists });
+ */
+export function createHistoryRepository(
+    backend,
+    { key = HISTORY_STORAGE_KEY, maxAgeMs = SESSION_MAX_AGE_MS, clock = Date.now } = {}
+) {
+    /**
+     * Reads the saved history, if it may be resumed.
+     *
+     * @async
+     * @function
+     * @param {import("./goalRepository").GoalData} data - The goal data that was just loaded
+     * @returns {Promise<(SavedHistory|null)>} The saved stacks, or null when nothing is saved,
+     *   the history is from an earlier session, belongs to other data or can't be read
+     */
+    async function load(data) {
+        const raw = await backend.getItem(key);
+        if (raw === null) {
+            return null;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(raw);
+        } catch (error) {
+            return null;
+        }
+
+        const isUsable =
+            payload !== null &&
+            typeof payload === "object" &&
+            Array.isArray(payload.past) &&
+            Array.isArray(payload.future) &&
+            clock() - payload.savedAt <= maxAgeMs &&
+            payload.signature === getDataSignature(data);
+        return isUsable ? { past: payload.past, future: payload.future } : null;
+    }
+
+    /**
+     * Stores the undo and redo stacks together with the data they belong to.
+     *
+     * @async
+     * @function
+     * @param {SavedHistory} history - The stacks to store
+     * @param {import("./goalRepository").GoalData} data - The current goal data
+     * @returns {Promise<void>}
+     */
+    async function save({ past, future }, data) {
+        const payload = { savedAt: clock(), signature: getDataSignature(data), past, future };
+        await backend.setItem(key, JSON.stringify(payload));
+    }
+
+    /**
+     * Removes the saved history.
+     *
+     * @async
+     * @function
+     * @returns {Promise<void>}
+     */
+    async function clear() {
+        await backend.removeItem(key);
+    }
+
+    return { load, save, clear };
+}
@@ -0,0 +1,717 @@
+/**
+ * @fileoverview Imports of lists and goals in the Todo App.
+ * The importers read the JSON, CSV and Markdown written by ./exportGoals, as
+ * well as hand-written CSV and Markdown checklists. Every goal is validated
+ * on its own: rows with problems are reported with their row or line number
+ * and left out, while the valid rows can still be imported. The result is
+ * then merged into the current goals or replaces them.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { createGoalId } from "./goalFactory";
+import { LIST_COLORS } from "./listFactory";
+import { PRIORITIES, DEFAULT_PRIORITY } from "./priority";
+import { isValidDateKey } from "./dates";
+import { extractHashtags, mergeTags } from "./tags";
+import { validateGoalText, validateGoalNotes } from "./validation";
+import { getNextOrder } from "./manualOrder";
+import { runMigrations } from "./migrations";
+import { parseCsv } from "./csv";
+import { validateReminder } from "./reminders";
+import { validateRecurrence } from "./recurrence";
+
+/**
+ * Name of the list that receives goals whose list isn't named in the import.
+ *
+ * @constant
+ * @type {string}
+ */
+export const IMPORTED_LIST_NAME = "Imported";
+
+/**
+ * The ways an import can be applied.
+ * - "merge" adds new goals and lists next to the current ones
+ * - "replace" swaps all current goals and lists for the imported ones
+ *
+ * @constant
+ * @type {Array<{value: string, label: string}>}
+ */
+export const IMPORT_MODES = [
+    { value: "merge", label: "Merge" },
+    { value: "replace", label: "Replace" },
+];
+
+/**
+ * A problem found in one row of an import.
+ *
+ * @typedef {Object} ImportError
+ * @property {(number|null)} row - The 1-based row, line or goal number, or null for problems with the whole input
+ * @property {string} message - What is wrong, in words the user understands
+ */
+
+/**
+ * What an import would add.
+ *
+ * @typedef {Object} ImportResult
+ * @property {string} format - "json", "csv" or "markdown"
+ * @property {string} rowLabel - What the format calls a row in messages: "Goal", "Row" or "Line"
+ * @property {Array<import("./listFactory").GoalList>} lists - The imported lists
+ * @property {Array<import("./goalFactory").Goal>} goals - The valid imported goals
+ * @property {ImportError[]} errors - The rows that were left out, and why
+ */
+
+/**
+ * Checks whether a value is a non-empty string.
+ *
+ * @function
+ * @param {*} value - The value to check
+ * @returns {boolean} True for strings with at least one non-space character
+ */
+function isFilledString(value) {
+    return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Reads an ISO timestamp, ignoring values that aren't one.
+ *
+ * @function
+ * @param {*} value - The imported value
+ * @returns {(string|null)} The timestamp in ISO format, or null
+ */
+function readTimestamp(value) {
+    if (!isFilledString(value) || Number.isNaN(Date.parse(value))) {
+        return null;
+    }
+    return new Date(value).toISOString();
+}
+
+/**
+ * Validates an imported checklist.
+ *
+ * @function
+ * @param {*} subtasks - The imported steps
+ * @param {Date} now - The import time, used for new step IDs
+ * @returns {{subtasks?: Array<import("./subtasks").Subtask>, error?: string}} The steps, or what is wrong with them
+ */
+function readSubtasks(subtasks, now) {
+    if (subtasks === undefined || subtasks === null) {
+        return { subtasks: [] };
+    }
+    if (!Array.isArray(subtasks)) {
+        return { error: "Checklist steps must be a list." };
+    }
+    const result = [];
+    for (const subtask of subtasks) {
+        if (!subtask || !isFilledString(subtask.text)) {
+            return { error: "Every checklist step needs a text." };
+        }
+        result.push({
+            id: isFilledString(subtask.id) ? subtask.id : createGoalId({ now: now.getTime() }),
+            text: subtask.text.trim(),
+            done: subtask.done === true,
+        });
+    }
+    return { subtasks: result };
+}
+
+/**
+ * Validates the recorded completions of an imported recurring goal.
+ *
+ * @function
+ * @param {*} completions - The imported completions
+ * @returns {{completions?: string[], error?: string}} The timestamps in ISO format, or what is wrong with them
+ */
+function readCompletions(completions) {
+    if (completions === undefined || completions === null) {
+        return { completions: [] };
+    }
+    if (!Array.isArray(completions)) {
+        return { error: "Completions must be a list." };
+    }
+    const result = completions.map(readTimestamp);
+    if (result.includes(null)) {
+        return { error: "Every completion must be a date and time." };
+    }
+    return { completions: result };
+}
+
+/**
+ * Validates one imported goal and fills in what it lacks.
+ *
+ * Goals keep their ID and timestamps when the import has them, so a JSON or
+ * CSV round trip gives back the same goals. Missing IDs are generated and
+ * missing timestamps are set to the import time.
+ *
+ * @function
+ * @param {Object} raw - The goal fields as read from the import
+ * @param {Object} options - Reader options
+ * @param {string} options.listId - ID of the imported list the goal belongs to
+ * @param {number} options.order - Manual order used when the import has none
+ * @param {Date} options.now - The import time
+ * @returns {{goal?: import("./goalFactory").Goal, error?: string}} The goal, or what is wrong with it
+ */
+export function readImportedGoal(raw, { listId, order, now }) {
+    if (!raw || typeof raw !== "object") {
+        return { error: "Expected a goal." };
+    }
+
+    const validation = validateGoalText(typeof raw.text === "string" ? raw.text : "");
+    if (!validation.isValid) {
+        return { error: validation.error };
+    }
+
+    if (raw.notes !== undefined && raw.notes !== null && typeof raw.notes !== "string") {
+        return { error: "Notes must be text." };
+    }
+    const notes = validateGoalNotes(raw.notes ?? "");
+    if (!notes.isValid) {
+        return { error: notes.error };
+    }
+
+    const priority = isFilledString(raw.priority) ? raw.priority.trim().toLowerCase() : DEFAULT_PRIORITY;
+    if (!PRIORITIES.some((level) => level.value === priority)) {
+        return { error: `Unknown priority "${raw.priority}".` };
+    }
+
+    const dueDate = isFilledString(raw.dueDate) ? raw.dueDate.trim() : null;
+    if (dueDate !== null && !isValidDateKey(dueDate)) {
+        return { error: `"${raw.dueDate}" is not a valid due date (use YYYY-MM-DD).` };
+    }
+
+    if (raw.tags !== undefined && raw.tags !== null && !Array.isArray(raw.tags)) {
+        return { error: "Tags must be a list." };
+    }
+
+    const checklist = readSubtasks(raw.subtasks, now);
+    if (checklist.error) {
+        return { error: checklist.error };
+    }
+
+    const reminder = raw.reminder ?? null;
+    const reminderError = reminder === null ? null : validateReminder(reminder);
+    if (reminderError) {
+        return { error: reminderError };
+    }
+
+    const recurrence = raw.recurrence ?? null;
+    const recurrenceError = recurrence === null ? null : validateRecurrence(recurrence);
+    if (recurrenceError) {
+        return { error: recurrenceError };
+    }
+
+    const history = readCompletions(raw.completions);
+    if (history.error) {
+        return { error: history.error };
+    }
+
+    const timestamp = now.toISOString();
+    const completed = raw.completed === true;
+    return {
+        goal: {
+            id: isFilledString(raw.id) ? raw.id.trim() : createGoalId({ now: now.getTime() }),
+            text: validation.value,
+            notes: notes.value,
+            completed,
+            completedAt: completed ? readTimestamp(raw.completedAt) ?? timestamp : null,
+            dueDate,
+            priority,
+            listId,
+            tags: mergeTags(raw.tags ?? []),
+            subtasks: checklist.subtasks,
+            order: Number.isFinite(raw.order) ? raw.order : order,
+            reminder,
+            recurrence,
+            completions: history.completions,
+            createdAt: readTimestamp(raw.createdAt) ?? timestamp,
+            updatedAt: readTimestamp(raw.updatedAt) ?? timestamp,
+        },
+    };
+}
+
+/**
+ * Collects the lists named in a CSV or Markdown import, creating each one
+ * the first time it is mentioned.
+ *
+ * @function
+ * @param {Date} now - The import time
+ * @returns {{lists: Array<import("./listFactory").GoalList>, resolve: function({id?: string, name?: string, color?: string}): string}}
+ *   The lists so far, and a function returning the ID of the list described by an ID and/or name
+ */
+function createListCollector(now) {
+    const lists = [];
+
+    /**
+     * Finds or creates the list described by an ID and/or name.
+     *
+     * @function
+     * @param {{id?: string, name?: string, color?: string}} description - What the import says about the list
+     * @returns {string} The list ID
+     */
+    function resolve({ id, name, color }) {
+        const listName = isFilledString(name) ? name.trim() : IMPORTED_LIST_NAME;
+        const existing = isFilledString(id)
+            ? lists.find((list) => list.id === id.trim())
+            : lists.find((list) => list.name.toLowerCase() === listName.toLowerCase());
+        if (existing) {
+            return existing.id;
+        }
+        const list = {
+            id: isFilledString(id) ? id.trim() : createGoalId({ now: now.getTime() }),
+            name: listName,
+            color: isFilledString(color) ? color.trim() : LIST_COLORS[lists.length % LIST_COLORS.length],
+            createdAt: now.toISOString(),
+        };
+        lists.push(list);
+        return list.id;
+    }
+
+    return { lists, resolve };
+}
+
+/**
+ * Validates collected goal entries and assembles the import result.
+ *
+ * Entries are checked in order. Goals with an ID that was already imported
+ * are reported rather than imported twice.
+ *
+ * @function
+ * @param {Object} result - The parts of the result known so far
+ * @param {Array<{row: number, raw: Object, listId: string}>} entries - The goals as read, with their rows
+ * @param {Date} now - The import time
+ * @returns {ImportResult} The complete result
+ */
+function finishImport({ format, rowLabel, lists, errors }, entries, now) {
+    const goals = [];
+    for (const { row, raw, listId } of entries) {
+        const { goal, error } = readImportedGoal(raw, { listId, order: goals.length, now });
+        if (error) {
+            errors.push({ row, message: error });
+        } else if (goals.some((other) => other.id === goal.id)) {
+            errors.push({ row, message: `Goal ID "${goal.id}" appears more than once.` });
+        } else {
+            goals.push(goal);
+        }
+    }
+    errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+    return { format, rowLabel, lists, goals, errors };
+}
+
+/**
+ * Reads a JSON export, or a JSON payload copied from the app's storage.
+ *
+ * Exports from older versions of the app are upgraded with the storage
+ * migrations before they are read.
+ *
+ * @function
+ * @param {string} text - The JSON text
+ * @param {Object} [options] - Import options
+ * @param {Date} [options.now=new Date()] - The import time
+ * @returns {ImportResult} The lists and goals found, and the rows left out
+ */
+export function parseJsonImport(text, { now = new Date() } = {}) {
+    const result = { format: "json", rowLabel: "Goal", lists: [], errors: [] };
+
+    let payload;
+    try {
+        payload = runMigrations(JSON.parse(text), { now });
+    } catch (error) {
+        result.errors.push({ row: null, message: `This isn't a goals export: ${error.message}` });
+        return finishImport(result, [], now);
+    }
+
+    (Array.isArray(payload.lists) ? payload.lists : []).forEach((list, index) => {
+        if (!list || !isFilledString(list.name) || !isFilledString(list.id)) {
+            result.errors.push({ row: null, message: `List ${index + 1} needs an ID and a name.` });
+            return;
+        }
+        result.lists.push({
+            id: list.id,
+            name: list.name.trim(),
+            color: isFilledString(list.color) ? list.color : LIST_COLORS[0],
+            createdAt: readTimestamp(list.createdAt) ?? now.toISOString(),
+        });
+    });
+
+    const entries = [];
+    (Array.isArray(payload.goals) ? payload.goals : []).forEach((raw, index) => {
+        const listId = raw && raw.listId;
+        if (!result.lists.some((list) => list.id === listId)) {
+            result.errors.push({ row: index + 1, message: "This goal's list isn't in the file." });
+            return;
+        }
+        entries.push({ row: index + 1, raw, listId });
+    });
+
+    return finishImport(result, entries, now);
+}
+
+/**
+ * Reads a yes/no CSV cell.
+ *
+ * @function
+ * @param {string} value - The cell text
+ * @returns {(boolean|null)} The value, or null when the cell isn't a yes or no
+ */
+function readCsvBoolean(value) {
+    const normalized = value.trim().toLowerCase();
+    if (["true", "yes", "y", "1", "x", "done"].includes(normalized)) {
+        return true;
+    }
+    if (["", "false", "no", "n", "0"].includes(normalized)) {
+        return false;
+    }
+    return null;
+}
+
+/**
+ * Reads the checklist cell of a CSV row: either the JSON written by the
+ * export, or steps separated by semicolons, each optionally marked `[x]`.
+ *
+ * @function
+ * @param {string} value - The cell text
+ * @returns {Array<{text: string, done: boolean}>} The steps
+ * @throws {SyntaxError} When the cell looks like JSON but isn't
+ */
+function readCsvSubtasks(value) {
+    const trimmed = value.trim();
+    if (trimmed.startsWith("[{")) {
+        return JSON.parse(trimmed);
+    }
+    return trimmed
+        .split(";")
+        .map((step) => step.trim())
+        .filter(Boolean)
+        .map((step) => {
+            const match = /^\[([ xX])\]\s*(.*)$/.exec(step);
+            return match ? { text: match[2], done: match[1] !== " " } : { text: step, done: false };
+        });
+}
+
+/**
+ * Reads a CSV export, or a hand-made CSV file with a header row.
+ *
+ * Only the `text` column is required; see CSV_COLUMNS in ./exportGoals for
+ * the others. Column names are matched without regard to case. Goals without
+ * a list go into a list named "Imported".
+ *
+ * @function
+ * @param {string} text - The CSV text
+ * @param {Object} [options] - Import options
+ * @param {Date} [options.now=new Date()] - The import time
+ * @returns {ImportResult} The lists and goals found, and the rows left out
+ */
+export function parseCsvImport(text, { now = new Date() } = {}) {
+    const collector = createListCollector(now);
+    const result = { format: "csv", rowLabel: "Row", lists: collector.lists, errors: [] };
+    const [header, ...records] = parseCsv(text);
+
+    const columns = header ? header.cells.map((cell) => cell.trim().toLowerCase()) : [];
+    if (!columns.includes("text")) {
+        result.errors.push({ row: header ? header.line : null, message: 'The header row needs a "text" column.' });
+        return finishImport(result, [], now);
+    }
+
+    const entries = [];
+    for (const { line, cells } of records) {
+        /**
+         * Reads a cell of this row by column name.
+         *
+         * @function
+         * @param {string} name - The column name, in lower case
+         * @returns {string} The cell text, or "" when the column or cell is missing
+         */
+        const cell = (name) => cells[columns.indexOf(name)] ?? "";
+
+        const completed = readCsvBoolean(cell("completed"));
+        if (completed === null) {
+            result.errors.push({ row: line, message: `"${cell("completed")}" is not a yes or no value.` });
+            continue;
+        }
+
+        let subtasks;
+        try {
+            subtasks = readCsvSubtasks(cell("subtasks"));
+        } catch (error) {
+            result.errors.push({ row: line, message: "The checklist steps can't be read." });
+            continue;
+        }
+
+        let reminder = null;
+        try {
+            reminder = cell("reminder").trim() === "" ? null : JSON.parse(cell("reminder"));
+        } catch (error) {
+            result.errors.push({ row: line, message: "The reminder can't be read." });
+            continue;
+        }
+
+        let recurrence = null;
+        try {
+            recurrence = cell("recurrence").trim() === "" ? null : JSON.parse(cell("recurrence"));
+        } catch (error) {
+            result.errors.push({ row: line, message: "The repeat rule can't be read." });
+            continue;
+        }
+
+        const order = cell("order").trim();
+        entries.push({
+            row: line,
+            listId: collector.resolve({ id: cell("listid"), name: cell("list"), color: cell("listcolor") }),
+            raw: {
+                id: cell("id"),
+                text: cell("text"),
+                notes: cell("notes"),
+                completed,
+                completedAt: cell("completedat"),
+                dueDate: cell("duedate"),
+                priority: cell("priority"),
+                tags: cell("tags").split(/[\s,;]+/).filter(Boolean),
+                subtasks,
+                order: order === "" ? undefined : Number(order),
+                reminder,
+                recurrence,
+                completions: cell("completions").split(/\s+/).filter(Boolean),
+                createdAt: cell("createdat"),
+                updatedAt: cell("updatedat"),
+            },
+        });
+    }
+
+    return finishImport(result, entries, now);
+}
+
+/**
+ * Matches a Markdown heading, capturing its text.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const MARKDOWN_HEADING = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Matches a Markdown list item with an optional check box, capturing the
+ * indentation, the box content and the text.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const MARKDOWN_ITEM = /^(\s*)[-*+]\s+(?:\[([ xX])\]\s*)?(.*)$/;
+
+/**
+ * Splits the text of a Markdown checklist item into the goal fields written
+ * by formatMarkdownGoal: #hashtags, `!priority` and `(due YYYY-MM-DD)`.
+ *
+ * @function
+ * @param {string} text - The item text
+ * @returns {{text: string, tags: string[], priority: (string|undefined), dueDate: (string|null)}} The goal fields
+ *
+ * @example
+ * parseMarkdownGoalText("Learn React #react !high (due 2025-06-30)");
+ * // => { text: "Learn React", tags: ["react"], priority: "high", dueDate: "2025-06-30" }
+ */
+export function parseMarkdownGoalText(text) {
+    let rest = text;
+    let dueDate = null;
+    let priority;
+
+    rest = rest.replace(/\s*\(due\s+([^)]*)\)/i, (match, date) => {
+        dueDate = date.trim();
+        return "";
+    });
+    rest = rest.replace(/(^|\s)!([A-Za-z]+)(?=\s|$)/, (match, space, level) => {
+        if (!PRIORITIES.some((candidate) => candidate.value === level.toLowerCase())) {
+            return match;
+        }
+        priority = level;
+        return space;
+    });
+
+    const { text: goalText, tags } = extractHashtags(rest);
+    return { text: goalText, tags, priority, dueDate };
+}
+
+/**
+ * Reads a Markdown checklist, as written by the Markdown export.
+ *
+ * Headings start a new list named after them. Items (`- [ ] goal`, `- [x] goal`
+ * or a plain `- goal`) become goals, and indented items below a goal become
+ * its checklist steps. Goals before the first heading go into a list named
+ * "Imported". Other non-empty lines are reported and skipped.
+ *
+ * @function
+ * @param {string} text - The Markdown text
+ * @param {Object} [options] - Import options
+ * @param {Date} [options.now=new Date()] - The import time
+ * @returns {ImportResult} The lists and goals found, and the lines left out
+ */
+export function parseMarkdownImport(text, { now = new Date() } = {}) {
+    const collector = createListCollector(now);
+    const result = { format: "markdown", rowLabel: "Line", lists: collector.lists, errors: [] };
+    const entries = [];
+    let listId = null;
+
+    text.split(/\r?\n/).forEach((lineText, index) => {
+        const line = index + 1;
+        if (lineText.trim() === "") {
+            return;
+        }
+
+        const heading = MARKDOWN_HEADING.exec(lineText);
+        if (heading) {
+            listId = collector.resolve({ name: heading[1] });
+            return;
+        }
+
+        const item = MARKDOWN_ITEM.exec(lineText);
+        if (!item) {
+            result.errors.push({ row: line, message: "This line isn't a heading or a checklist item." });
+            return;
+        }
+
+        const [, indent, box, itemText] = item;
+        const done = box !== undefined && box !== " ";
+        const parent = entries[entries.length - 1];
+        if (indent.replace(/\t/g, "  ").length >= 2 && parent) {
+            parent.raw.subtasks.push({ text: itemText, done });
+            return;
+        }
+
+        if (listId === null) {
+            listId = collector.resolve({ name: IMPORTED_LIST_NAME });
+        }
+        entries.push({
+            row: line,
+            listId,
+            raw: { ...parseMarkdownGoalText(itemText), completed: done, subtasks: [] },
+        });
+    });
+
+    return finishImport(result, entries, now);
+}
+
+/**
+ * Guesses the format of pasted text.
+ *
+ * @function
+ * @param {string} text - The pasted text
+ * @returns {string} "json" when it starts like JSON, "markdown" when its first line is a
+ *   heading or list item, otherwise "csv"
+ */
+export function detectImportFormat(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+        return "json";
+    }
+    const firstLine = trimmed.split(/\r?\n/)[0];
+    return /^(#|[-*+]\s)/.test(firstLine) ? "markdown" : "csv";
+}
+
+/**
+ * Reads lists and goals from text in any supported format.
+ *
+ * @function
+ * @param {string} text - The text to import
+ * @param {Object} [options] - Import options
+ * @param {string} [options.format] - "json", "csv" or "markdown"; guessed from the text when omitted
+ * @param {Date} [options.now=new Date()] - The import time
+ * @returns {ImportResult} The lists and goals found, and the rows left out
+ *
+ * @example
+ * const { goals, errors } = parseImport("- [ ] Learn React #react\n- [x] Learn DSA");
+ */
+export function parseImport(text, { format = detectImportFormat(text), now = new Date() } = {}) {
+    switch (format) {
+        case "json":
+            return parseJsonImport(text, { now });
+        case "csv":
+            return parseCsvImport(text, { now });
+        default:
+            return parseMarkdownImport(text, { now });
+    }
+}
+
+/**
+ * Applies an import to the current lists and goals.
+ *
+ * When replacing, the imported lists and goals take the place of the current
+ * ones. When merging:
+ * - imported lists join the current list with the same ID or name, or are added
+ * - goals with the ID of a current goal update it if they were changed later,
+ *   and are skipped otherwise
+ * - new goals whose text is already in their list are skipped
+ * - other goals are added at the end of their list's manual order
+ *
+ * @function
+ * @param {{goals: Array<import("./goalFactory").Goal>, lists: Array<import("./listFactory").GoalList>}} current -
+ *   The current lists and goals
+ * @param {{goals: Array<import("./goalFactory").Goal>, lists: Array<import("./listFactory").GoalList>}} imported -
+ *   The imported lists and goals (see parseImport)
+ * @param {string} mode - One of the values in IMPORT_MODES
+ * @returns {{
+ *   goals: Array<import("./goalFactory").Goal>,
+ *   lists: Array<import("./listFactory").GoalList>,
+ *   summary: {added: number, updated: number, skipped: number, removed: number}
+ * }} The new lists and goals, and what changed
+ */
+export function applyImport(current, imported, mode) {
+    if (mode === "replace") {
+        return {
+            goals: imported.goals,
+            lists: imported.lists.length > 0 ? imported.lists : current.lists,
+            summary: {
+                added: imported.goals.length,
+                updated: 0,
+                skipped: 0,
+                removed: current.goals.length,
+            },
+        };
+    }
+
+    const lists = [...current.lists];
+    const listIds = {};
+    for (const list of imported.lists) {
+        const match =
+            lists.find((candidate) => candidate.id === list.id) ??
+            lists.find((candidate) => candidate.name.toLowerCase() === list.name.toLowerCase());
+        if (match) {
+            listIds[list.id] = match.id;
+        } else {
+            lists.push(list);
+            listIds[list.id] = list.id;
+        }
+    }
+
+    const goals = [...current.goals];
+    const summary = { added: 0, updated: 0, skipped: 0, removed: 0 };
+    let nextOrder = getNextOrder(current.goals);
+    for (const importedGoal of imported.goals) {
+        const goal = { ...importedGoal, listId: listIds[importedGoal.listId] };
+        const index = goals.findIndex((candidate) => candidate.id === goal.id);
+
+        if (index !== -1) {
+            if (Date.parse(goal.updatedAt) > Date.parse(goals[index].updatedAt)) {
+                goals[index] = { ...goal, order: goals[index].order };
+                summary.updated += 1;
+            } else {
+                summary.skipped += 1;
+            }
+            continue;
+        }
+
+        const isDuplicate = !validateGoalText(goal.text, {
+            existingGoals: goals.filter((candidate) => candidate.listId === goal.listId),
+        }).isValid;
+        if (isDuplicate) {
+            summary.skipped += 1;
+            continue;
+        }
+
+        goals.push({ ...goal, order: nextOrder });
+        nextOrder += 1;
+        summary.added += 1;
+    }
+
+    return { goals, lists, summary };
+}
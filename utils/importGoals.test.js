@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Tests for importing goals.
+ * Exports made by ./exportGoals must read back into the same goals, the
+ * rows that can't be read must be reported with their row or line number,
+ * and the imported goals must be merged into or replace the current ones.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import {
+    parseImport,
+    parseJsonImport,
+    parseCsvImport,
+    parseMarkdownImport,
+    parseMarkdownGoalText,
+    detectImportFormat,
+    applyImport,
+    IMPORTED_LIST_NAME,
+} from "./importGoals";
+import { exportToJson, exportToCsv, exportToMarkdown } from "./exportGoals";
+import { CURRENT_SCHEMA_VERSION } from "./migrations";
+
+/**
+ * The time of the imports in these tests.
+ *
+ * @constant
+ * @type {Date}
+ */
+const NOW = new Date("2025-06-10T12:00:00.000Z");
+
+/**
+ * Two lists, one with a name that needs quoting in CSV.
+ *
+ * @constant
+ * @type {Array<import("./listFactory").GoalList>}
+ */
+const LISTS = [
+    { id: "default", name: "My Goals", color: "#0067ca", createdAt: "2025-01-01T08:00:00.000Z" },
+    { id: "01JWORK", name: 'Work, "Q3"', color: "#e91e63", createdAt: "2025-02-01T08:00:00.000Z" },
+];
+
+/**
+ * Goals using every field, with text and notes full of CSV special characters.
+ *
+ * @constant
+ * @type {Array<import("./goalFactory").Goal>}
+ */
+const GOALS = [
+    {
+        id: "01JGOAL1",
+        text: 'Read "Clean Code", chapters 1, 2',
+        notes: 'Take notes on:\n- naming, "small" functions\n- [summary](https://example.com/a,b)\r\nDone?',
+        completed: true,
+        completedAt: "2025-06-01T18:30:00.000Z",
+        dueDate: "2025-06-05",
+        priority: "high",
+        listId: "default",
+        tags: ["books", "craft"],
+        subtasks: [
+            { id: "01JSTEP1", text: 'Chapter 1, "Clean Code"', done: true },
+            { id: "01JSTEP2", text: "Chapter 2\nnames", done: false },
+        ],
+        order: 4,
+        reminder: { type: "weekly", time: "08:30", weekday: 1 },
+        recurrence: null,
+        completions: [],
+        createdAt: "2025-05-01T09:00:00.000Z",
+        updatedAt: "2025-06-01T18:30:00.000Z",
+    },
+    {
+        id: "01JGOAL2",
+        text: "Stand-up notes",
+        notes: "",
+        completed: false,
+        completedAt: null,
+        dueDate: null,
+        priority: "normal",
+        listId: "01JWORK",
+        tags: [],
+        subtasks: [],
+        order: 0,
+        reminder: { type: "once", time: "09:00", date: "2025-06-12" },
+        recurrence: { type: "weekly", weekdays: [1, 3, 5] },
+        completions: ["2025-06-02T09:15:00.000Z", "2025-06-04T09:10:00.000Z"],
+        createdAt: "2025-05-20T09:00:00.000Z",
+        updatedAt: "2025-06-04T09:10:00.000Z",
+    },
+];
+
+describe("round trips", () => {
+    it("reads a JSON export back into the same lists and goals", () => {
+        const result = parseImport(exportToJson({ goals: GOALS, lists: LISTS }, { now: NOW }), { now: NOW });
+
+        expect(result.format).toBe("json");
+        expect(result.errors).toEqual([]);
+        expect(result.lists).toEqual(LISTS);
+        expect(result.goals).toEqual(GOALS.map((goal) => ({ ...goal, notes: goal.notes.replace(/\r\n/g, "\n") })));
+    });
+
+    it("reads a CSV export back into the same lists and goals", () => {
+        const result = parseImport(exportToCsv({ goals: GOALS, lists: LISTS }), { now: NOW });
+
+        expect(result.format).toBe("csv");
+        expect(result.errors).toEqual([]);
+        expect(result.lists).toEqual(LISTS.map((list) => ({ ...list, createdAt: NOW.toISOString() })));
+        expect(result.goals).toEqual(GOALS.map((goal) => ({ ...goal, notes: goal.notes.replace(/\r\n/g, "\n") })));
+    });
+
+    it("reads a Markdown export back into the same checklist", () => {
+        const result = parseImport(exportToMarkdown({ goals: GOALS, lists: LISTS }), { now: NOW });
+
+        expect(result.format).toBe("markdown");
+        expect(result.errors).toEqual([]);
+        expect(result.lists.map((list) => list.name)).toEqual(["My Goals", 'Work, "Q3"']);
+        expect(result.goals[0]).toMatchObject({
+            text: 'Read "Clean Code", chapters 1, 2',
+            completed: true,
+            dueDate: "2025-06-05",
+            priority: "high",
+            tags: ["books", "craft"],
+        });
+        expect(result.goals[0].subtasks.map(({ text, done }) => ({ text, done }))).toEqual([
+            { text: 'Chapter 1, "Clean Code"', done: true },
+            { text: "Chapter 2 names", done: false },
+        ]);
+        expect(result.goals[1]).toMatchObject({ text: "Stand-up notes", completed: false, tags: [] });
+    });
+});
+
+describe("detectImportFormat", () => {
+    it("tells JSON, Markdown and CSV apart", () => {
+        expect(detectImportFormat('  {"goals": []}')).toBe("json");
+        expect(detectImportFormat("[]")).toBe("json");
+        expect(detectImportFormat("# Work\n- [ ] Ship")).toBe("markdown");
+        expect(detectImportFormat("- [ ] Ship")).toBe("markdown");
+        expect(detectImportFormat("text,completed\nShip,no")).toBe("csv");
+    });
+});
+
+describe("parseJsonImport", () => {
+    it("reports a file that isn't a goals export", () => {
+        const result = parseJsonImport("{ nope", { now: NOW });
+
+        expect(result.goals).toEqual([]);
+        expect(result.errors).toHaveLength(1);
+        expect(result.errors[0].row).toBeNull();
+        expect(result.errors[0].message).toMatch(/^This isn't a goals export: /);
+    });
+
+    it("reports goals whose list is missing and keeps the others", () => {
+        const payload = { schemaVersion: CURRENT_SCHEMA_VERSION, lists: [LISTS[0]], goals: GOALS };
+
+        const result = parseJsonImport(JSON.stringify(payload), { now: NOW });
+
+        expect(result.goals.map((goal) => goal.id)).toEqual(["01JGOAL1"]);
+        expect(result.errors).toEqual([{ row: 2, message: "This goal's list isn't in the file." }]);
+    });
+});
+
+describe("parseCsvImport", () => {
+    it("needs a text column", () => {
+        const result = parseCsvImport("name,completed\nShip,no", { now: NOW });
+
+        expect(result.goals).toEqual([]);
+        expect(result.errors).toEqual([{ row: 1, message: 'The header row needs a "text" column.' }]);
+    });
+
+    it("reports every row that can't be read, with its line, and imports the others", () => {
+        const csv = [
+            "text,completed,priority,dueDate,subtasks,reminder,recurrence,notes",
+            "Learn React Native,yes,,,,,,",
+            "Bad completion,maybe,,,,,,",
+            "Bad priority,no,whenever,,,,,",
+            "Bad date,no,,2025-02-30,,,,",
+            'Bad steps,no,,,"[{broken",,,',
+            "Bad reminder,no,,,,{,,",
+            "Bad rule,no,,,,,{,",
+            "x,no,,,,,,",
+            "Learn SQL,no,low,2025-07-01,[x] Install; Learn joins,,,",
+        ].join("\n");
+
+        const result = parseCsvImport(csv, { now: NOW });
+
+        expect(result.rowLabel).toBe("Row");
+        expect(result.goals.map((goal) => goal.text)).toEqual(["Learn React Native", "Learn SQL"]);
+        expect(result.goals[1].subtasks.map(({ text, done }) => ({ text, done }))).toEqual([
+            { text: "Install", done: true },
+            { text: "Learn joins", done: false },
+        ]);
+        expect(result.errors).toEqual([
+            { row: 3, message: '"maybe" is not a yes or no value.' },
+            { row: 4, message: 'Unknown priority "whenever".' },
+            { row: 5, message: '"2025-02-30" is not a valid due date (use YYYY-MM-DD).' },
+            { row: 6, message: "The checklist steps can't be read." },
+            { row: 7, message: "The reminder can't be read." },
+            { row: 8, message: "The repeat rule can't be read." },
+            { row: 9, message: "Goals need at least 3 characters." },
+        ]);
+    });
+
+    it("counts lines, not records, when a quoted cell spans lines", () => {
+        const csv = 'text,completed\n"Two\nlines",no\nBroken,maybe';
+
+        expect(parseCsvImport(csv, { now: NOW }).errors).toEqual([
+            { row: 4, message: '"maybe" is not a yes or no value.' },
+        ]);
+    });
+
+    it("reports goal IDs that appear more than once", () => {
+        const csv = "id,text\n01JSAME,Learn React Native\n01JSAME,Learn SQL";
+
+        const result = parseCsvImport(csv, { now: NOW });
+
+        expect(result.goals).toHaveLength(1);
+        expect(result.errors).toEqual([{ row: 3, message: 'Goal ID "01JSAME" appears more than once.' }]);
+    });
+
+    it("puts goals without a list in the imported list", () => {
+        const result = parseCsvImport("text\nLearn React Native", { now: NOW });
+
+        expect(result.lists.map((list) => list.name)).toEqual([IMPORTED_LIST_NAME]);
+        expect(result.goals[0].listId).toBe(result.lists[0].id);
+    });
+});
+
+describe("parseMarkdownImport", () => {
+    it("reports lines that aren't headings or items, and goals that can't be read", () => {
+        const markdown = [
+            "# Study",
+            "",
+            "- [x] Learn React Native #react !high (due 2025-06-01)",
+            "  - [x] Read the docs",
+            "Just a sentence",
+            "- [ ] Learn Go (due someday)",
+            "- [ ] ab",
+            "* Learn SQL",
+        ].join("\n");
+
+        const result = parseMarkdownImport(markdown, { now: NOW });
+
+        expect(result.rowLabel).toBe("Line");
+        expect(result.goals.map((goal) => goal.text)).toEqual(["Learn React Native", "Learn SQL"]);
+        expect(result.goals[0]).toMatchObject({
+            completed: true,
+            tags: ["react"],
+            priority: "high",
+            dueDate: "2025-06-01",
+        });
+        expect(result.goals[0].subtasks).toEqual([expect.objectContaining({ text: "Read the docs", done: true })]);
+        expect(result.errors).toEqual([
+            { row: 5, message: "This line isn't a heading or a checklist item." },
+            { row: 6, message: '"someday" is not a valid due date (use YYYY-MM-DD).' },
+            { row: 7, message: "Goals need at least 3 characters." },
+        ]);
+    });
+});
+
+describe("parseMarkdownGoalText", () => {
+    it("reads the tags, priority and due date out of an item", () => {
+        expect(parseMarkdownGoalText("Learn React #react !urgent (due 2025-06-01) #mobile")).toEqual({
+            text: "Learn React",
+            tags: ["react", "mobile"],
+            priority: "urgent",
+            dueDate: "2025-06-01",
+        });
+    });
+
+    it("leaves unknown priorities in the text", () => {
+        expect(parseMarkdownGoalText("Shout !loudly").text).toBe("Shout !loudly");
+    });
+});
+
+describe("applyImport", () => {
+    const current = {
+        lists: [LISTS[0]],
+        goals: [
+            { ...GOALS[0], updatedAt: "2025-06-01T18:30:00.000Z" },
+            { ...GOALS[1], id: "01JLOCAL", text: "Learn SQL", listId: "default", order: 7 },
+        ],
+    };
+
+    it("replaces every goal, and the lists when the import has some", () => {
+        const imported = { lists: [LISTS[1]], goals: [GOALS[1]] };
+
+        expect(applyImport(current, imported, "replace")).toEqual({
+            goals: [GOALS[1]],
+            lists: [LISTS[1]],
+            summary: { added: 1, updated: 0, skipped: 0, removed: 2 },
+        });
+        expect(applyImport(current, { lists: [], goals: [] }, "replace").lists).toBe(current.lists);
+    });
+
+    it("merges new goals, updates goals changed since and skips the rest", () => {
+        const newer = { ...GOALS[0], text: "Read Clean Code again", updatedAt: "2025-06-09T10:00:00.000Z", order: 0 };
+        const brandNew = { ...GOALS[1], id: "01JNEW", text: "Learn Go", listId: "01JWORK" };
+        const duplicate = { ...GOALS[1], id: "01JDUPLICATE", text: "  learn sql ", listId: "default" };
+        const imported = { lists: LISTS, goals: [newer, brandNew, duplicate] };
+
+        const result = applyImport(current, imported, "merge");
+
+        expect(result.lists).toEqual(LISTS);
+        expect(result.goals.map((goal) => goal.text)).toEqual(["Read Clean Code again", "Learn SQL", "Learn Go"]);
+        expect(result.goals[0].order).toBe(4);
+        expect(result.goals[2].order).toBe(8);
+        expect(result.summary).toEqual({ added: 1, updated: 1, skipped: 1, removed: 0 });
+    });
+
+    it("skips goals that aren't newer than the current ones", () => {
+        const result = applyImport(current, { lists: [], goals: [GOALS[0]] }, "merge");
+
+        expect(result.goals).toEqual(current.goals);
+        expect(result.summary).toEqual({ added: 0, updated: 0, skipped: 1, removed: 0 });
+    });
+
+    it("moves imported goals into a current list with the same name", () => {
+        const sameName = { id: "01JOTHER", name: "my goals", color: "#000000", createdAt: NOW.toISOString() };
+        const goal = { ...GOALS[1], id: "01JNEW", text: "Learn Go", listId: "01JOTHER" };
+
+        const result = applyImport(current, { lists: [sameName], goals: [goal] }, "merge");
+
+        expect(result.lists).toEqual(current.lists);
+        expect(result.goals[2].listId).toBe("default");
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview List factory for building goal lists in the Todo App.
+ * Goal lists group goals into named projects such as "Work" or "Learning".
+ * This module creates list objects and defines the colors a list can have.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { createGoalId } from "./goalFactory";
+
+/**
+ * The colors offered when creating or recoloring a list.
+ *
+ * @constant
+ * @type {string[]}
+ */
+export const LIST_COLORS = [
+    "#0067ca", // Blue, matching the goal cards
+    "#2e9e5b", // Green
+    "#e07b00", // Amber
+    "#d7263d", // Red
+    "#b121fe", // Purple, matching the Add Goal button
+    "#00a3a3", // Teal
+];
+
+/**
+ * ID of the list every install starts with. Goals saved before lists
+ * existed are moved into this list.
+ *
+ * @constant
+ * @type {string}
+ */
+export const DEFAULT_LIST_ID = "default";
+
+/**
+ * A named list of goals.
+ *
+ * @typedef {Object} GoalList
+ * @property {string} id - Unique identifier, referenced by each goal's `listId`
+ * @property {string} name - The list name
+ * @property {string} color - One of LIST_COLORS
+ * @property {string} createdAt - ISO timestamp of creation
+ */
+
+/**
+ * Builds the list a fresh install starts with.
+ *
+ * @function
+ * @param {Object} [options] - Factory options
+ * @param {Date} [options.now=new Date()] - The creation time
+ * @returns {GoalList} The default "My Goals" list
+ */
+export function createDefaultList({ now = new Date() } = {}) {
+    return {
+        id: DEFAULT_LIST_ID,
+        name: "My Goals",
+        color: LIST_COLORS[0],
+        createdAt: now.toISOString(),
+    };
+}
+
+/**
+ * Builds a new goal list.
+ *
+ * @function
+ * @param {Object} fields - The user-provided fields
+ * @param {string} fields.name - The list name
+ * @param {string} [fields.color=LIST_COLORS[0]] - The list color
+ * @param {Object} [options] - Factory options
+ * @param {Date} [options.now=new Date()] - The creation time
+ * @returns {GoalList} The new list
+ *
+ * @example
+ * createList({ name: "Learning", color: "#2e9e5b" });
+ */
+export function createList({ name, color = LIST_COLORS[0] }, { now = new Date() } = {}) {
+    return {
+        id: createGoalId({ now: now.getTime() }),
+        name,
+        color,
+        createdAt: now.toISOString(),
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Immutable array helpers for working with ordered lists in the Todo App.
+ * Every helper returns new arrays and leaves its input untouched, so the
+ * results can be passed straight to React state setters.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Returns a copy of a list with an item inserted at the given position.
+ *
+ * Indexes past the end of the list append the item, and negative indexes
+ * insert it at the start, so an item can always be put back even when the
+ * list has shrunk since its position was recorded.
+ *
+ * @function
+ * @template T
+ * @param {T[]} list - The list to insert into
+ * @param {T} item - The item to insert
+ * @param {number} index - The position the item should end up at
+ * @returns {T[]} A new list containing the item
+ *
+ * @example
+ * insertAt(["a", "c"], "b", 1);
+ * // => ["a", "b", "c"]
+ */
+export function insertAt(list, item, index) {
+    const position = Math.min(Math.max(index, 0), list.length);
+    return [...list.slice(0, position), item, ...list.slice(position)];
+}
+
+/**
+ * Splits a list into the items to keep and the items to remove, remembering
+ * where each removed item was.
+ *
+ * @function
+ * @template T
+ * @param {T[]} list - The list to split
+ * @param {function(T): boolean} predicate - Returns true for items to remove
+ * @returns {{kept: T[], removed: Array<{item: T, index: number}>}} The remaining items, and the
+ *   removed items with their original positions, in list order
+ *
+ * @example
+ * removeWhere(["a", "b", "c"], (item) => item !== "b");
+ * // => { kept: ["b"], removed: [{ item: "a", index: 0 }, { item: "c", index: 2 }] }
+ */
+export function removeWhere(list, predicate) {
+    const kept = [];
+    const removed = [];
+    list.forEach((item, index) => {
+        if (predicate(item)) {
+            removed.push({ item, index });
+        } else {
+            kept.push(item);
+        }
+    });
+    return { kept, removed };
+}
+
+/**
+ * Puts items removed with removeWhere back at their original positions.
+ *
+ * Items are inserted from the lowest position up, so each one lands where it
+ * was as long as the rest of the list hasn't changed; otherwise positions
+ * are clamped as in insertAt.
+ *
+ * @function
+ * @template T
+ * @param {T[]} list - The list to insert into
+ * @param {Array<{item: T, index: number}>} entries - The items and the positions they should end up at
+ * @returns {T[]} A new list containing the items
+ *
+ * @example
+ * insertAllAt(["b"], [{ item: "a", index: 0 }, { item: "c", index: 2 }]);
+ * // => ["a", "b", "c"]
+ */
+export function insertAllAt(list, entries) {
+    return [...entries]
+        .sort((a, b) => a.index - b.index)
+        .reduce((result, entry) => insertAt(result, entry.item, entry.index), list);
+}
+
+/**
+ * Moves the recorded positions of removed items past items that were put
+ * back since.
+ *
+ * Positions recorded by removeWhere only count the items that were in the
+ * list at the time. When items removed earlier are put back first, the
+ * positions of items removed later must grow by one for each item put back
+ * at or before them.
+ *
+ * @function
+ * @template T
+ * @param {Array<{item: T, index: number}>} entries - The removed items and their recorded positions
+ * @param {Array<{item: T, index: number}>} restored - The items that were put back with insertAllAt
+ * @returns {Array<{item: T, index: number}>} The entries with their positions in the list
+ *   that contains the restored items
+ *
+ * @example
+ * // "a" was removed from ["a", "b", "c"], then "c" from ["b", "c"]
+ * shiftPastRestored([{ item: "c", index: 1 }], [{ item: "a", index: 0 }]);
+ * // => [{ item: "c", index: 2 }]
+ */
+export function shiftPastRestored(entries, restored) {
+    const restoredIndexes = restored.map((entry) => entry.index).sort((a, b) => a - b);
+    return entries.map((entry) => ({
+        ...entry,
+        index: restoredIndexes.reduce(
+            (index, restoredIndex) => (restoredIndex <= index ? index + 1 : index),
+            entry.index
+        ),
+    }));
+}
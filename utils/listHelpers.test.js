@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests for the immutable list helpers.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { insertAt, removeWhere, insertAllAt, shiftPastRestored } from "./listHelpers";
+
+describe("insertAt", () => {
+    it("inserts the item at the position", () => {
+        expect(insertAt(["a", "c"], "b", 1)).toEqual(["a", "b", "c"]);
+    });
+
+    it("clamps positions outside the list", () => {
+        expect(insertAt(["a"], "b", 5)).toEqual(["a", "b"]);
+        expect(insertAt(["a"], "b", -1)).toEqual(["b", "a"]);
+    });
+});
+
+describe("removeWhere", () => {
+    it("splits the list and remembers where each removed item was", () => {
+        const list = ["a", "b", "c", "d"];
+
+        expect(removeWhere(list, (item) => item === "a" || item === "c")).toEqual({
+            kept: ["b", "d"],
+            removed: [
+                { item: "a", index: 0 },
+                { item: "c", index: 2 },
+            ],
+        });
+        expect(list).toEqual(["a", "b", "c", "d"]);
+    });
+});
+
+describe("insertAllAt", () => {
+    it("puts removed items back at their original positions", () => {
+        const list = ["a", "b", "c", "d", "e"];
+        const { kept, removed } = removeWhere(list, (item) => item !== "c");
+
+        expect(insertAllAt(kept, removed)).toEqual(list);
+    });
+
+    it("doesn't depend on the order of the entries", () => {
+        const entries = [
+            { item: "e", index: 4 },
+            { item: "a", index: 0 },
+        ];
+
+        expect(insertAllAt(["b", "c", "d"], entries)).toEqual(["a", "b", "c", "d", "e"]);
+    });
+});
+
+describe("shiftPastRestored", () => {
+    it("moves positions at or after a restored item one further", () => {
+        const list = ["a", "b", "c", "d"];
+        const first = removeWhere(list, (item) => item === "a");
+        const second = removeWhere(first.kept, (item) => item === "c");
+
+        const restored = insertAllAt(second.kept, first.removed);
+        const shifted = shiftPastRestored(second.removed, first.removed);
+
+        expect(shifted).toEqual([{ item: "c", index: 2 }]);
+        expect(insertAllAt(restored, shifted)).toEqual(list);
+    });
+
+    it("keeps positions before every restored item", () => {
+        expect(shiftPastRestored([{ item: "b", index: 1 }], [{ item: "d", index: 2 }])).toEqual([
+            { item: "b", index: 1 },
+        ]);
+    });
+
+    it("counts every restored item up to the position", () => {
+        const restored = [
+            { item: "a", index: 0 },
+            { item: "b", index: 1 },
+            { item: "f", index: 5 },
+        ];
+
+        expect(shiftPastRestored([{ item: "d", index: 1 }], restored)).toEqual([{ item: "d", index: 3 }]);
+    });
+});
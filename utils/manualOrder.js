@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Manual ordering of goals in the Todo App.
+ * Every goal carries a numeric `order`; the "Manual" sort shows goals by
+ * ascending `order`. This module hands out the order of new goals and
+ * rewrites orders when the user drags a goal to another position.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Returns the order for a goal added after all existing goals.
+ *
+ * @function
+ * @param {Array<{order: number}>} goals - All stored goals
+ * @returns {number} One more than the highest order in use, or 0 when there are no goals
+ *
+ * @example
+ * getNextOrder([{ order: 0 }, { order: 4 }]);
+ * // => 5
+ */
+export function getNextOrder(goals) {
+    return goals.reduce((highest, goal) => Math.max(highest, goal.order + 1), 0);
+}
+
+/**
+ * Moves a goal among the goals currently on screen and renumbers them.
+ *
+ * Only the displayed goals change: their existing `order` values are handed
+ * out again, lowest first, in the new on-screen sequence. Goals hidden by a
+ * search, a filter or another list keep their orders, so they don't jump
+ * around when they are shown again. Because the new sequence is based on
+ * what is displayed, dropping a goal while another sort is active turns
+ * that sort into the manual order without the other goals moving.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal[]} goals - All stored goals
+ * @param {string[]} displayedIds - IDs of the goals on screen, in display order
+ * @param {string} goalId - The goal being moved
+ * @param {number} offset - Positions to move; negative values move up. Moves
+ *   past either end are clamped
+ * @returns {Object<string, number>} The new order of every displayed goal, keyed by goal ID
+ *
+ * @example
+ * // "c" is dragged two rows up
+ * moveInManualOrder(goals, ["a", "b", "c"], "c", -2);
+ * // => { c: 0, a: 1, b: 2 }
+ */
+export function moveInManualOrder(goals, displayedIds, goalId, offset) {
+    const from = displayedIds.indexOf(goalId);
+    const sequence = [...displayedIds];
+    if (from !== -1) {
+        const to = Math.min(Math.max(from + offset, 0), sequence.length - 1);
+        sequence.splice(from, 1);
+        sequence.splice(to, 0, goalId);
+    }
+
+    const slots = goals
+        .filter((goal) => displayedIds.includes(goal.id))
+        .map((goal) => goal.order)
+        .sort((a, b) => a - b);
+
+    return Object.fromEntries(sequence.map((id, index) => [id, slots[index]]));
+}
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Markdown parsing for goal notes in the Todo App.
+ * Notes are written in a small subset of Markdown: **bold** (or __bold__),
+ * *italics* (or _italics_), `inline code`, [links](https://example.com) and
+ * bullet lists starting with "-", "*" or "+". Everything else is plain text.
+ *
+ * The parser turns notes into a tree of plain objects that the MarkdownView
+ * component renders, and has no React Native dependency. It never fails:
+ * markers without a partner are shown as they were typed.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * A piece of text inside a paragraph or list item.
+ *
+ * @typedef {Object} InlineNode
+ * @property {"text"|"bold"|"italic"|"code"|"link"} type - What kind of piece it is
+ * @property {string} [text] - The text of a "text" or "code" node
+ * @property {InlineNode[]} [children] - The content of a "bold", "italic" or "link" node
+ * @property {string} [url] - Where a "link" node leads
+ */
+
+/**
+ * A paragraph or a bullet list.
+ *
+ * @typedef {Object} MarkdownBlock
+ * @property {"paragraph"|"list"} type - What kind of block it is
+ * @property {InlineNode[]} [children] - The content of a paragraph; its line breaks are kept
+ * @property {Array<InlineNode[]>} [items] - The content of each list item
+ */
+
+/**
+ * Characters that a backslash turns back into plain text.
+ *
+ * @constant
+ * @type {string}
+ */
+const ESCAPABLE = "\\`*_[]()#+-!";
+
+/**
+ * URL schemes links may use; links with any other scheme are shown as plain text.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const SAFE_URL_SCHEMES = ["http:", "https:", "mailto:"];
+
+/**
+ * Matches a bullet list line and captures the item text.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+
+/**
+ * Checks whether a link may be opened from the notes.
+ *
+ * @function
+ * @param {string} url - The link target
+ * @returns {boolean} True for http, https and mailto links
+ *
+ * @example
+ * isSafeUrl("https://reactnative.dev"); // => true
+ * isSafeUrl("javascript:alert(1)");     // => false
+ */
+export function isSafeUrl(url) {
+    const scheme = /^([a-z][a-z0-9+.-]*:)/i.exec(url.trim());
+    return scheme !== null && SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Checks whether a character is part of a word, so underscores inside
+ * names like snake_case aren't read as italics.
+ *
+ * @function
+ * @param {(string|undefined)} char - The character, or undefined past either end
+ * @returns {boolean} True for letters, digits and underscores
+ */
+function isWordChar(char) {
+    return char !== undefined && /[\p{L}\p{N}_]/u.test(char);
+}
+
+/**
+ * Finds where an emphasis that opens at `from` closes.
+ *
+ * Escaped characters are skipped, and a single `*` or `_` skips over
+ * doubled ones, so italics can contain bold text.
+ *
+ * @function
+ * @param {string} text - The text being parsed
+ * @param {string} marker - The closing marker, e.g. "**" or "_"
+ * @param {number} from - Index just after the opening marker
+ * @returns {number} Index of the closing marker, or -1 when there is none
+ */
+function findClosing(text, marker, from) {
+    for (let index = from; index < text.length; index++) {
+        if (text[index] === "\\") {
+            index++;
+            continue;
+        }
+        if (!text.startsWith(marker, index)) {
+            continue;
+        }
+        if (marker.length === 1 && text[index + 1] === marker) {
+            index++;
+            continue;
+        }
+        return index;
+    }
+    return -1;
+}
+
+/**
+ * Reads an emphasis (bold or italics) that opens at `index`.
+ *
+ * @function
+ * @param {string} text - The text being parsed
+ * @param {number} index - Index of the opening marker
+ * @param {string} marker - "**", "__", "*" or "_"
+ * @returns {({nodes: InlineNode[], end: number}|null)} The node and the index after it,
+ *   or null when the marker doesn't open an emphasis
+ */
+function readEmphasis(text, index, marker) {
+    const start = index + marker.length;
+    const isUnderscore = marker[0] === "_";
+    if (isUnderscore && isWordChar(text[index - 1])) {
+        return null;
+    }
+    const close = findClosing(text, marker, start);
+    if (close <= start) {
+        return null;
+    }
+    const inner = text.slice(start, close);
+    if (inner.trim() !== inner || (isUnderscore && isWordChar(text[close + marker.length]))) {
+        return null;
+    }
+    return {
+        nodes: [{ type: marker.length === 2 ? "bold" : "italic", children: parseInline(inner) }],
+        end: close + marker.length,
+    };
+}
+
+/**
+ * Reads a link that opens at `index`. Links to unsafe URLs keep their text
+ * but lose the link.
+ *
+ * @function
+ * @param {string} text - The text being parsed
+ * @param {number} index - Index of the "["
+ * @returns {({nodes: InlineNode[], end: number}|null)} The nodes and the index after them,
+ *   or null when the "[" doesn't open a link
+ */
+function readLink(text, index) {
+    const closeBracket = findClosing(text, "]", index + 1);
+    if (closeBracket <= index + 1 || text[closeBracket + 1] !== "(") {
+        return null;
+    }
+    // URLs may contain balanced parentheses, as in Wikipedia links
+    let closeParen = -1;
+    let depth = 0;
+    for (let position = closeBracket + 2; position < text.length && closeParen === -1; position++) {
+        if (text[position] === "(") {
+            depth++;
+        } else if (text[position] === ")") {
+            if (depth === 0) {
+                closeParen = position;
+            }
+            depth--;
+        }
+    }
+    if (closeParen === -1) {
+        return null;
+    }
+    const children = parseInline(text.slice(index + 1, closeBracket));
+    const url = text.slice(closeBracket + 2, closeParen).trim();
+    return {
+        nodes: isSafeUrl(url) ? [{ type: "link", url, children }] : children,
+        end: closeParen + 1,
+    };
+}
+
+/**
+ * Reads the formatted piece of text that starts at `index`, if any.
+ *
+ * @function
+ * @param {string} text - The text being parsed
+ * @param {number} index - Where to look
+ * @returns {({nodes: InlineNode[], end: number}|null)} The nodes and the index after them,
+ *   or null when the text there is plain
+ */
+function readFormatted(text, index) {
+    switch (text[index]) {
+        case "`": {
+            const close = text.indexOf("`", index + 1);
+            return close > index + 1
+                ? { nodes: [{ type: "code", text: text.slice(index + 1, close) }], end: close + 1 }
+                : null;
+        }
+        case "*":
+        case "_": {
+            const double = text[index].repeat(2);
+            return text.startsWith(double, index)
+                ? readEmphasis(text, index, double)
+                : readEmphasis(text, index, text[index]);
+        }
+        case "[":
+            return readLink(text, index);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parses the formatting inside a paragraph or list item.
+ *
+ * @function
+ * @param {string} text - The text to parse
+ * @returns {InlineNode[]} The pieces of text, with neighbouring plain text merged
+ *
+ * @example
+ * parseInline("Read **chapter 3** of `the docs`");
+ * // => [{ type: "text", text: "Read " },
+ * //     { type: "bold", children: [{ type: "text", text: "chapter 3" }] },
+ * //     { type: "text", text: " of " },
+ * //     { type: "code", text: "the docs" }]
+ */
+export function parseInline(text) {
+    const nodes = [];
+    let plain = "";
+
+    /**
+     * Adds the plain text read so far as a text node.
+     */
+    function flushPlain() {
+        if (plain !== "") {
+            nodes.push({ type: "text", text: plain });
+            plain = "";
+        }
+    }
+
+    let index = 0;
+    while (index < text.length) {
+        if (text[index] === "\\" && ESCAPABLE.includes(text[index + 1])) {
+            plain += text[index + 1];
+            index += 2;
+            continue;
+        }
+        const formatted = readFormatted(text, index);
+        if (formatted === null) {
+            plain += text[index];
+            index++;
+            continue;
+        }
+        for (const node of formatted.nodes) {
+            if (node.type === "text") {
+                plain += node.text;
+            } else {
+                flushPlain();
+                nodes.push(node);
+            }
+        }
+        index = formatted.end;
+    }
+    flushPlain();
+    return nodes;
+}
+
+/**
+ * Parses notes into paragraphs and bullet lists.
+ *
+ * Blank lines separate paragraphs. Consecutive lines starting with "-", "*"
+ * or "+" and a space form one list; other lines that follow each other make
+ * up one paragraph, keeping their line breaks.
+ *
+ * @function
+ * @param {string} source - The notes
+ * @returns {MarkdownBlock[]} The blocks, top to bottom
+ *
+ * @example
+ * parseMarkdown("Steps:\n- read\n- *practice*");
+ * // => [{ type: "paragraph", children: [{ type: "text", text: "Steps:" }] },
+ * //     { type: "list", items: [[{ type: "text", text: "read" }],
+ * //                             [{ type: "italic", children: [{ type: "text", text: "practice" }] }]] }]
+ */
+export function parseMarkdown(source) {
+    const blocks = [];
+    let paragraph = [];
+    let items = [];
+
+    /**
+     * Ends the paragraph or list being read, if any.
+     */
+    function flushBlock() {
+        if (paragraph.length > 0) {
+            blocks.push({ type: "paragraph", children: parseInline(paragraph.join("\n")) });
+            paragraph = [];
+        }
+        if (items.length > 0) {
+            blocks.push({ type: "list", items: items.map(parseInline) });
+            items = [];
+        }
+    }
+
+    for (const line of source.replace(/\r\n?/g, "\n").split("\n")) {
+        const bullet = BULLET_PATTERN.exec(line);
+        if (line.trim() === "") {
+            flushBlock();
+        } else if (bullet) {
+            if (paragraph.length > 0) {
+                flushBlock();
+            }
+            items.push(bullet[1].trim());
+        } else {
+            if (items.length > 0) {
+                flushBlock();
+            }
+            paragraph.push(line.trim());
+        }
+    }
+    flushBlock();
+    return blocks;
+}
+
+/**
+ * Drops the formatting of parsed text.
+ *
+ * @function
+ * @param {InlineNode[]} nodes - The parsed text
+ * @returns {string} The text as it reads, without markers or link targets
+ */
+export function toPlainText(nodes) {
+    return nodes
+        .map((node) => (node.children ? toPlainText(node.children) : node.text))
+        .join("");
+}
+
+/**
+ * Builds the one-line preview of a goal's notes shown on its card: the
+ * first line with text, without its bullet or formatting.
+ *
+ * @function
+ * @param {string} notes - The notes
+ * @returns {string} The preview, or "" when there are no notes
+ *
+ * @example
+ * getNotesPreview("\n- Read **chapter 3**\n- Do the exercises");
+ * // => "Read chapter 3"
+ */
+export function getNotesPreview(notes) {
+    const line = notes.split(/\r\n?|\n/).find((candidate) => candidate.trim() !== "");
+    if (line === undefined) {
+        return "";
+    }
+    const bullet = BULLET_PATTERN.exec(line);
+    return toPlainText(parseInline((bullet ? bullet[1] : line).trim())).trim();
+}
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Tests for the Markdown parser behind goal notes.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { isSafeUrl, parseInline, parseMarkdown, toPlainText, getNotesPreview } from "./markdown";
+
+/**
+ * Builds a plain text node.
+ *
+ * @function
+ * @param {string} text - The text
+ * @returns {import("./markdown").InlineNode} The node
+ */
+function text(text) {
+    return { type: "text", text };
+}
+
+describe("isSafeUrl", () => {
+    it("allows http, https and mailto links in any case", () => {
+        expect(isSafeUrl("https://reactnative.dev")).toBe(true);
+        expect(isSafeUrl("HTTP://example.com")).toBe(true);
+        expect(isSafeUrl(" mailto:team@example.com")).toBe(true);
+    });
+
+    it("rejects other schemes and links without a scheme", () => {
+        expect(isSafeUrl("javascript:alert(1)")).toBe(false);
+        expect(isSafeUrl("file:///etc/passwd")).toBe(false);
+        expect(isSafeUrl("data:text/html,hi")).toBe(false);
+        expect(isSafeUrl("//example.com")).toBe(false);
+        expect(isSafeUrl("example.com")).toBe(false);
+    });
+});
+
+describe("parseInline", () => {
+    it("reads bold, italics and code", () => {
+        expect(parseInline("Read **chapter 3** of `the docs`")).toEqual([
+            text("Read "),
+            { type: "bold", children: [text("chapter 3")] },
+            text(" of "),
+            { type: "code", text: "the docs" },
+        ]);
+        expect(parseInline("__bold__ and _italics_")).toEqual([
+            { type: "bold", children: [text("bold")] },
+            text(" and "),
+            { type: "italic", children: [text("italics")] },
+        ]);
+    });
+
+    it("reads bold text inside italics", () => {
+        expect(parseInline("*very **important** step*")).toEqual([
+            {
+                type: "italic",
+                children: [text("very "), { type: "bold", children: [text("important")] }, text(" step")],
+            },
+        ]);
+    });
+
+    it("keeps underscores inside words plain", () => {
+        expect(parseInline("rename my_old_name to snake_case_name")).toEqual([
+            text("rename my_old_name to snake_case_name"),
+        ]);
+        expect(parseInline("_italics_suffix")).toEqual([text("_italics_suffix")]);
+    });
+
+    it("shows markers without a partner as they were typed", () => {
+        expect(parseInline("2 ** 3 and *open")).toEqual([text("2 ** 3 and *open")]);
+        expect(parseInline("* spaced *")).toEqual([text("* spaced *")]);
+        expect(parseInline("an `unclosed span")).toEqual([text("an `unclosed span")]);
+    });
+
+    it("turns escaped markers back into plain text", () => {
+        expect(parseInline("\\*not italics\\* and \\[not a link\\]")).toEqual([
+            text("*not italics* and [not a link]"),
+        ]);
+        expect(parseInline("a\\\\b")).toEqual([text("a\\b")]);
+        expect(parseInline("C:\\Users")).toEqual([text("C:\\Users")]);
+    });
+
+    it("skips escaped markers when looking for the closing one", () => {
+        expect(parseInline("*2 \\* 3*")).toEqual([{ type: "italic", children: [text("2 * 3")] }]);
+    });
+
+    it("reads links with formatted text", () => {
+        expect(parseInline("See [the **docs**](https://reactnative.dev) first")).toEqual([
+            text("See "),
+            {
+                type: "link",
+                url: "https://reactnative.dev",
+                children: [text("the "), { type: "bold", children: [text("docs")] }],
+            },
+            text(" first"),
+        ]);
+    });
+
+    it("keeps balanced parentheses in URLs", () => {
+        expect(parseInline("[Rust](https://en.wikipedia.org/wiki/Rust_(programming_language)) rocks")).toEqual([
+            {
+                type: "link",
+                url: "https://en.wikipedia.org/wiki/Rust_(programming_language)",
+                children: [text("Rust")],
+            },
+            text(" rocks"),
+        ]);
+    });
+
+    it("shows a link whose target never closes as plain text", () => {
+        expect(parseInline("[docs](https://example.com")).toEqual([text("[docs](https://example.com")]);
+        expect(parseInline("[docs] (https://example.com)")).toEqual([text("[docs] (https://example.com)")]);
+    });
+
+    it("keeps the text of links with an unsafe scheme but drops the link", () => {
+        expect(parseInline("[click me](javascript:alert(1)) now")).toEqual([text("click me now")]);
+        expect(parseInline("[**open**](file:///etc/passwd)")).toEqual([
+            { type: "bold", children: [text("open")] },
+        ]);
+    });
+});
+
+describe("parseMarkdown", () => {
+    it("reads paragraphs and bullet lists", () => {
+        expect(parseMarkdown("Steps:\n- read\n* *practice*\n+ repeat\n\nThen rest.")).toEqual([
+            { type: "paragraph", children: [text("Steps:")] },
+            {
+                type: "list",
+                items: [[text("read")], [{ type: "italic", children: [text("practice")] }], [text("repeat")]],
+            },
+            { type: "paragraph", children: [text("Then rest.")] },
+        ]);
+    });
+
+    it("keeps the line breaks of a paragraph and splits on blank lines", () => {
+        expect(parseMarkdown("first line\r\n  second line\r\n\r\n\nnext")).toEqual([
+            { type: "paragraph", children: [text("first line\nsecond line")] },
+            { type: "paragraph", children: [text("next")] },
+        ]);
+    });
+
+    it("needs a space after the bullet", () => {
+        expect(parseMarkdown("*italics* here\n-1 degrees")).toEqual([
+            {
+                type: "paragraph",
+                children: [{ type: "italic", children: [text("italics")] }, text(" here\n-1 degrees")],
+            },
+        ]);
+    });
+
+    it("ends a list at the next line of text", () => {
+        expect(parseMarkdown("- one\n- two\nafter")).toEqual([
+            { type: "list", items: [[text("one")], [text("two")]] },
+            { type: "paragraph", children: [text("after")] },
+        ]);
+    });
+
+    it("has no blocks for empty notes", () => {
+        expect(parseMarkdown("")).toEqual([]);
+        expect(parseMarkdown("  \n\n ")).toEqual([]);
+    });
+});
+
+describe("toPlainText", () => {
+    it("drops markers and link targets", () => {
+        expect(toPlainText(parseInline("Read **the [docs](https://reactnative.dev)** and `code`"))).toBe(
+            "Read the docs and code"
+        );
+    });
+});
+
+describe("getNotesPreview", () => {
+    it("shows the first line with text, without its bullet or formatting", () => {
+        expect(getNotesPreview("\n- Read **chapter 3**\n- Do the exercises")).toBe("Read chapter 3");
+        expect(getNotesPreview("  \r\nSee [the docs](https://reactnative.dev)\r\nlater")).toBe("See the docs");
+    });
+
+    it("is empty without notes", () => {
+        expect(getNotesPreview("")).toBe("");
+        expect(getNotesPreview("\n  \n")).toBe("");
+    });
+});
@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Schema migrations for persisted goal data in the Todo App.
+ * This module upgrades payloads written by older versions of the app, one
+ * schema version at a time, until they match the schema the current code
+ * expects.
+ *
+ * To change the shape of the stored data, append a step to `migrations`
+ * that upgrades a payload from the previous version to the new one. Steps
+ * must be pure functions: they receive the old payload (and a context with
+ * the current time) and return a new one without touching storage.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * A single upgrade step between two consecutive schema versions.
+ *
+ * @typedef {Object} Migration
+ * @property {number} version - The schema version produced by this step
+ * @property {string} description - A short, human readable summary of the change
+ * @property {function(Object, MigrationContext): Object} up - Upgrades a payload from `version - 1` to `version`
+ */
+
+/**
+ * Values shared by every step of a migration run.
+ *
+ * @typedef {Object} MigrationContext
+ * @property {Date} now - The time the migration runs, used for timestamps the old data lacks
+ */
+
+/**
+ * Error raised when a stored payload cannot be upgraded to the current schema.
+ *
+ * @class
+ * @extends Error
+ */
+export class MigrationError extends Error {
+    /**
+     * @param {string} message - Description of what went wrong
+     * @param {Object} details - Extra information about the failure
+     * @param {number} details.fromVersion - The schema version the failing step started from
+     * @param {Error} [details.cause] - The error thrown by the migration step, if any
+     */
+    constructor(message, { fromVersion, cause } = {}) {
+        super(message);
+        this.name = "MigrationError";
+        this.fromVersion = fromVersion;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The ordered list of migration steps.
+ *
+ * Version 0 is the unversioned format, where the goals array was stored
+ * directly without an envelope around it.
+ *
+ * @constant
+ * @type {Migration[]}
+ */
+export const migrations = [
+    {
+        version: 1,
+        description: "Wrap the bare goals array in a versioned envelope",
+        up: (goals) => ({ schemaVersion: 1, goals }),
+    },
+    {
+        version: 2,
+        description: "Add completion state to every goal",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 2,
+            goals: payload.goals.map((goal) => ({
+                ...goal,
+                completed: false,
+                completedAt: null,
+            })),
+        }),
+    },
+    {
+        version: 3,
+        description: "Add creation and update timestamps to every goal",
+        up: (payload, { now }) => ({
+            ...payload,
+            schemaVersion: 3,
+            goals: payload.goals.map((goal) => ({
+                ...goal,
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+            })),
+        }),
+    },
+    {
+        version: 4,
+        description: "Add an empty due date to every goal",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 4,
+            goals: payload.goals.map((goal) => ({ ...goal, dueDate: null })),
+        }),
+    },
+    {
+        version: 5,
+        description: "Add a normal priority to every goal and a settings object with the sort order",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 5,
+            goals: payload.goals.map((goal) => ({ ...goal, priority: "normal" })),
+            settings: { sortBy: "createdAt" },
+        }),
+    },
+    {
+        version: 6,
+        description: "Move every goal into a default list and remember the active list",
+        up: (payload, { now }) => ({
+            ...payload,
+            schemaVersion: 6,
+            lists: [
+                { id: "default", name: "My Goals", color: "#0067ca", createdAt: now.toISOString() },
+            ],
+            goals: payload.goals.map((goal) => ({ ...goal, listId: "default" })),
+            settings: { ...payload.settings, activeListId: "default" },
+        }),
+    },
+    {
+        version: 7,
+        description: "Add an empty tag list to every goal",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 7,
+            goals: payload.goals.map((goal) => ({ ...goal, tags: [] })),
+        }),
+    },
+    {
+        version: 8,
+        description: "Add an empty checklist of subtasks to every goal",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 8,
+            goals: payload.goals.map((goal) => ({ ...goal, subtasks: [] })),
+        }),
+    },
+    {
+        version: 9,
+        description: "Give every goal a manual order matching its stored position",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 9,
+            goals: payload.goals.map((goal, index) => ({ ...goal, order: index })),
+        }),
+    },
+    {
+        version: 10,
+        description: "Add an empty list of user goal templates",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 10,
+            templates: [],
+        }),
+    },
+    {
+        version: 11,
+        description: "Add an empty reminder to every goal",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 11,
+            goals: payload.goals.map((goal) => ({ ...goal, reminder: null })),
+        }),
+    },
+    {
+        version: 12,
+        description: "Make every goal a one-off goal with no recorded completions",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 12,
+            goals: payload.goals.map((goal) => ({ ...goal, recurrence: null, completions: [] })),
+        }),
+    },
+    {
+        version: 13,
+        description: "Start the event log with the creation and completion of every goal",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 13,
+            events: payload.goals.flatMap((goal) => [
+                { type: "created", goalId: goal.id, at: goal.createdAt },
+                ...goal.completions.map((at) => ({ type: "completed", goalId: goal.id, at })),
+                ...(goal.completed && goal.completedAt
+                    ? [{ type: "completed", goalId: goal.id, at: goal.completedAt }]
+                    : []),
+            ]),
+        }),
+    },
+    {
+        version: 14,
+        description: "Give every goal empty notes",
+        up: (payload) => ({
+            ...payload,
+            schemaVersion: 14,
+            goals: payload.goals.map((goal) => ({ ...goal, notes: "" })),
+        }),
+    },
+];
+
+/**
+ * The schema version written by the current version of the app.
+ *
+ * @constant
+ * @type {number}
+ */
+export const CURRENT_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Reads the schema version of a stored payload.
+ *
+ * @function
+ * @param {*} payload - The parsed payload
+ * @returns {number} The stored version, with bare arrays reported as version 0
+ * @throws {MigrationError} When the payload carries no usable version
+ */
+export function getSchemaVersion(payload) {
+    if (Array.isArray(payload)) {
+        return 0;
+    }
+    if (payload && Number.isInteger(payload.schemaVersion)) {
+        return payload.schemaVersion;
+    }
+    throw new MigrationError("Stored goal data has no schema version", {
+        fromVersion: undefined,
+    });
+}
+
+/**
+ * Upgrades a payload step by step until it reaches the target schema version.
+ *
+ * Payloads that are already current are returned unchanged. Each step that
+ * runs must produce exactly the version it declares, which catches steps
+ * that forget to bump `schemaVersion`.
+ *
+ * @function
+ * @param {*} payload - The parsed payload as it was read from storage
+ * @param {Object} [options] - Runner options
+ * @param {Migration[]} [options.steps=migrations] - The migration steps to use
+ * @param {number} [options.targetVersion=CURRENT_SCHEMA_VERSION] - The version to upgrade to
+ * @param {Date} [options.now=new Date()] - The time passed to the steps in their context
+ * @returns {Object} The payload in the target schema version
+ * @throws {MigrationError} When the payload is newer than the app, a step is missing or a step throws
+ *
+ * @example
+ * runMigrations({ schemaVersion: 1, goals: [{ text: "Learn React", id: "1" }] }, { targetVersion: 2 });
+ * // => { schemaVersion: 2, goals: [{ text: "Learn React", id: "1", completed: false, completedAt: null }] }
+ */
+export function runMigrations(
+    payload,
+    { steps = migrations, targetVersion = CURRENT_SCHEMA_VERSION, now = new Date() } = {}
+) {
+    let version = getSchemaVersion(payload);
+
+    if (version > targetVersion) {
+        throw new MigrationError(
+            `Stored goal data uses schema version ${version}, which is newer than this app supports (${targetVersion})`,
+            { fromVersion: version }
+        );
+    }
+
+    let current = payload;
+    while (version < targetVersion) {
+        const step = steps.find((migration) => migration.version === version + 1);
+        if (!step) {
+            throw new MigrationError(`No migration found from schema version ${version}`, {
+                fromVersion: version,
+            });
+        }
+
+        try {
+            current = step.up(current, { now });
+        } catch (error) {
+            throw new MigrationError(
+                `Migration to schema version ${step.version} failed: ${error.message}`,
+                { fromVersion: version, cause: error }
+            );
+        }
+
+        if (getSchemaVersion(current) !== step.version) {
+            throw new MigrationError(
+                `Migration to schema version ${step.version} produced version ${getSchemaVersion(current)}`,
+                { fromVersion: version }
+            );
+        }
+        version = step.version;
+    }
+
+    return current;
+}
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Tests for the schema migrations of the stored goal data.
+ * There is one fixture for every schema version the app has ever written,
+ * from the bare goals array of version 0 onwards. Each one is upgraded to the
+ * current schema and must come out complete, keeping what was stored and
+ * filling in what was not.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import {
+    migrations,
+    runMigrations,
+    getSchemaVersion,
+    MigrationError,
+    CURRENT_SCHEMA_VERSION,
+} from "./migrations";
+
+/**
+ * The time the migrations run at in these tests.
+ *
+ * @constant
+ * @type {Date}
+ */
+const NOW = new Date("2025-06-01T12:00:00.000Z");
+
+/**
+ * Every field a goal has in the current schema.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const GOAL_FIELDS = [
+    "completed",
+    "completedAt",
+    "completions",
+    "createdAt",
+    "dueDate",
+    "id",
+    "listId",
+    "notes",
+    "order",
+    "priority",
+    "recurrence",
+    "reminder",
+    "subtasks",
+    "tags",
+    "text",
+    "updatedAt",
+];
+
+/**
+ * The list every goal was moved into by the version 6 migration.
+ *
+ * @constant
+ * @type {import("./listFactory").GoalList}
+ */
+const MIGRATED_LIST = { id: "default", name: "My Goals", color: "#0067ca", createdAt: NOW.toISOString() };
+
+/**
+ * The list stored by the fixtures from version 6 on.
+ *
+ * @constant
+ * @type {import("./listFactory").GoalList}
+ */
+const STORED_LIST = { id: "default", name: "Personal", color: "#e91e63", createdAt: "2025-01-01T08:00:00.000Z" };
+
+/**
+ * One stored goal as each schema version wrote it. Every version adds its
+ * new fields, with values other than the migration defaults, to the goal of
+ * the version before.
+ *
+ * @constant
+ * @type {Object<number, Object>}
+ */
+const STORED_GOALS = {};
+STORED_GOALS[0] = { id: "01JGGOAL", text: "Learn React" };
+STORED_GOALS[1] = STORED_GOALS[0];
+STORED_GOALS[2] = { ...STORED_GOALS[1], completed: true, completedAt: "2025-01-03T10:00:00.000Z" };
+STORED_GOALS[3] = {
+    ...STORED_GOALS[2],
+    createdAt: "2025-01-02T09:00:00.000Z",
+    updatedAt: "2025-01-03T10:00:00.000Z",
+};
+STORED_GOALS[4] = { ...STORED_GOALS[3], dueDate: "2025-01-05" };
+STORED_GOALS[5] = { ...STORED_GOALS[4], priority: "high" };
+STORED_GOALS[6] = { ...STORED_GOALS[5], listId: "default" };
+STORED_GOALS[7] = { ...STORED_GOALS[6], tags: ["react"] };
+STORED_GOALS[8] = { ...STORED_GOALS[7], subtasks: [{ id: "01JGSTEP", text: "Read the docs", done: true }] };
+STORED_GOALS[9] = { ...STORED_GOALS[8], order: 3 };
+STORED_GOALS[10] = STORED_GOALS[9];
+STORED_GOALS[11] = { ...STORED_GOALS[10], reminder: { type: "once", time: "08:00", date: "2025-01-04" } };
+STORED_GOALS[12] = {
+    ...STORED_GOALS[11],
+    recurrence: { type: "weekly", weekdays: [1] },
+    completions: ["2024-12-30T18:00:00.000Z"],
+};
+STORED_GOALS[13] = STORED_GOALS[12];
+
+/**
+ * The stored payload of a schema version, around the goal of that version.
+ *
+ * @function
+ * @param {number} version - The schema version
+ * @returns {*} The payload as that version saved it
+ */
+function storedPayload(version) {
+    const goals = [STORED_GOALS[version]];
+    if (version === 0) {
+        return goals;
+    }
+    return {
+        schemaVersion: version,
+        goals,
+        ...(version >= 5 && {
+            settings: { sortBy: "priority", ...(version >= 6 && { activeListId: "default" }) },
+        }),
+        ...(version >= 6 && { lists: [STORED_LIST] }),
+        ...(version >= 10 && { templates: [{ id: "01JGTEMPLATE", name: "Mine", goals: [] }] }),
+        ...(version >= 13 && {
+            events: [{ type: "created", goalId: "01JGGOAL", at: "2025-01-02T09:00:00.000Z" }],
+        }),
+    };
+}
+
+/**
+ * The goal each fixture must be upgraded to.
+ *
+ * @function
+ * @param {number} version - The schema version of the fixture
+ * @returns {import("./goalFactory").Goal} The upgraded goal
+ */
+function expectedGoal(version) {
+    return {
+        notes: "",
+        completed: false,
+        completedAt: null,
+        createdAt: NOW.toISOString(),
+        updatedAt: NOW.toISOString(),
+        dueDate: null,
+        priority: "normal",
+        listId: "default",
+        tags: [],
+        subtasks: [],
+        order: 0,
+        reminder: null,
+        recurrence: null,
+        completions: [],
+        ...STORED_GOALS[version],
+    };
+}
+
+/**
+ * The event log each fixture must be upgraded to.
+ *
+ * @function
+ * @param {number} version - The schema version of the fixture
+ * @returns {Array<import("./goalEvents").GoalEvent>} The upgraded event log
+ */
+function expectedEvents(version) {
+    if (version === 13) {
+        return storedPayload(13).events;
+    }
+    const goal = expectedGoal(version);
+    return [
+        { type: "created", goalId: goal.id, at: goal.createdAt },
+        ...goal.completions.map((at) => ({ type: "completed", goalId: goal.id, at })),
+        ...(goal.completed ? [{ type: "completed", goalId: goal.id, at: goal.completedAt }] : []),
+    ];
+}
+
+describe("runMigrations", () => {
+    it("has one step for every version up to the current one", () => {
+        expect(migrations.map((step) => step.version)).toEqual(
+            Array.from({ length: CURRENT_SCHEMA_VERSION }, (_, index) => index + 1)
+        );
+    });
+
+    it.each(Array.from({ length: CURRENT_SCHEMA_VERSION }, (_, version) => version))(
+        "upgrades the data stored by schema version %i to the current schema",
+        (version) => {
+            const payload = storedPayload(version);
+            expect(getSchemaVersion(payload)).toBe(version);
+
+            const upgraded = runMigrations(payload, { now: NOW });
+
+            expect(Object.keys(upgraded).sort()).toEqual(
+                ["events", "goals", "lists", "schemaVersion", "settings", "templates"]
+            );
+            expect(upgraded.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+            expect(Object.keys(upgraded.goals[0]).sort()).toEqual(GOAL_FIELDS);
+            expect(upgraded.goals).toEqual([expectedGoal(version)]);
+            expect(upgraded.lists).toEqual([version >= 6 ? STORED_LIST : MIGRATED_LIST]);
+            expect(upgraded.settings).toEqual({
+                sortBy: version >= 5 ? "priority" : "createdAt",
+                activeListId: "default",
+            });
+            expect(upgraded.templates).toEqual(version >= 10 ? storedPayload(10).templates : []);
+            expect(upgraded.events).toEqual(expectedEvents(version));
+        }
+    );
+
+    it("returns current data unchanged", () => {
+        const payload = runMigrations(storedPayload(0), { now: NOW });
+
+        expect(runMigrations(payload, { now: NOW })).toBe(payload);
+    });
+
+    it("gives every goal of a bare array its stored position as manual order", () => {
+        const upgraded = runMigrations(
+            [
+                { id: "a", text: "First" },
+                { id: "b", text: "Second" },
+            ],
+            { now: NOW }
+        );
+
+        expect(upgraded.goals.map((goal) => goal.order)).toEqual([0, 1]);
+    });
+
+    it("rejects data newer than the app", () => {
+        expect(() => runMigrations({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, goals: [] })).toThrow(
+            MigrationError
+        );
+    });
+
+    it("rejects data without a schema version", () => {
+        expect(() => runMigrations({ goals: [] })).toThrow("Stored goal data has no schema version");
+    });
+
+    it("reports the version a failing step started from, with its error", () => {
+        let caught = null;
+        try {
+            runMigrations({ schemaVersion: 1, goals: null }, { now: NOW });
+        } catch (error) {
+            caught = error;
+        }
+
+        expect(caught).toBeInstanceOf(MigrationError);
+        expect(caught.fromVersion).toBe(1);
+        expect(caught.cause).toBeInstanceOf(TypeError);
+    });
+
+    it("rejects a step that doesn't produce the version it declares", () => {
+        const steps = [{ version: 1, description: "Broken", up: (goals) => ({ schemaVersion: 2, goals }) }];
+
+        expect(() => runMigrations([], { steps, targetVersion: 1 })).toThrow(
+            "Migration to schema version 1 produced version 2"
+        );
+    });
+
+    it("rejects a gap in the steps", () => {
+        expect(() => runMigrations([], { steps: [], targetVersion: 1 })).toThrow(
+            "No migration found from schema version 0"
+        );
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Notification scheduler adapters for the Todo App.
+ * Reminders are scheduled through a small interface instead of calling a
+ * notification library directly, so the app can use Expo notifications on
+ * devices and an in-memory scheduler where there are none (tests, Node).
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * A place where local notifications are scheduled.
+ *
+ * @typedef {Object} NotificationScheduler
+ * @property {function(): Promise<boolean>} requestPermission - Asks for permission to show
+ *   notifications if needed; resolves to whether it is granted
+ * @property {function(): Promise<Array<{id: string, signature: (string|null)}>>} getScheduled - Lists
+ *   the pending notifications
+ * @property {function(import("./reminders").ReminderRequest): Promise<void>} schedule - Schedules a
+ *   notification, replacing a pending one with the same ID
+ * @property {function(string): Promise<void>} cancel - Cancels the pending notification with the given ID
+ */
+
+/**
+ * ID of the Android notification channel used for reminders.
+ *
+ * @constant
+ * @type {string}
+ */
+export const REMINDER_CHANNEL_ID = "reminders";
+
+/**
+ * Creates a scheduler backed by the `expo-notifications` module.
+ *
+ * The reminder's signature is stored in the notification data, so the
+ * scheduled notifications can be compared with the goals after a restart,
+ * and so is the goal ID, so a tapped notification can open its goal.
+ *
+ * @function
+ * @param {Object} expoNotifications - The `expo-notifications` module namespace
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.platform="ios"] - The platform (`Platform.OS`); Android needs a notification channel
+ * @returns {NotificationScheduler} The scheduler
+ *
+ * @example
+ * import * as Notifications from "expo-notifications";
+ * const scheduler = createExpoNotificationScheduler(Notifications, { platform: Platform.OS });
+ */
+export function createExpoNotificationScheduler(expoNotifications, { platform = "ios" } = {}) {
+    const { SchedulableTriggerInputTypes } = expoNotifications;
+
+    /**
+     * Converts a library-independent trigger to an Expo trigger.
+     *
+     * @function
+     * @param {import("./reminders").ReminderTrigger} trigger - The trigger
+     * @returns {Object} The Expo notification trigger
+     */
+    function toExpoTrigger(trigger) {
+        const channelId = platform === "android" ? REMINDER_CHANNEL_ID : undefined;
+        switch (trigger.type) {
+            case "daily":
+                return {
+                    type: SchedulableTriggerInputTypes.DAILY,
+                    hour: trigger.hour,
+                    minute: trigger.minute,
+                    channelId,
+                };
+            case "weekly":
+                // Expo numbers weekdays from 1 (Sunday) to 7 (Saturday)
+                return {
+                    type: SchedulableTriggerInputTypes.WEEKLY,
+                    weekday: trigger.weekday + 1,
+                    hour: trigger.hour,
+                    minute: trigger.minute,
+                    channelId,
+                };
+            default:
+                return { type: SchedulableTriggerInputTypes.DATE, date: trigger.date, channelId };
+        }
+    }
+
+    return {
+        requestPermission: async () => {
+            if (platform === "android") {
+                // Android 13+ only shows the permission prompt once a channel exists
+                await expoNotifications.setNotificationChannelAsync(REMINDER_CHANNEL_ID, {
+                    name: "Goal reminders",
+                    importance: expoNotifications.AndroidImportance.HIGH,
+                });
+            }
+            const current = await expoNotifications.getPermissionsAsync();
+            if (current.granted) {
+                return true;
+            }
+            if (!current.canAskAgain) {
+                return false;
+            }
+            const requested = await expoNotifications.requestPermissionsAsync();
+            return requested.granted;
+        },
+        getScheduled: async () => {
+            const requests = await expoNotifications.getAllScheduledNotificationsAsync();
+            return requests.map((request) => ({
+                id: request.identifier,
+                signature: request.content.data?.signature ?? null,
+            }));
+        },
+        schedule: async ({ id, goalId, title, body, trigger, signature }) => {
+            await expoNotifications.scheduleNotificationAsync({
+                identifier: id,
+                content: { title, body, data: { signature, goalId } },
+                trigger: toExpoTrigger(trigger),
+            });
+        },
+        cancel: async (id) => {
+            await expoNotifications.cancelScheduledNotificationAsync(id);
+        },
+    };
+}
+
+/**
+ * Creates a scheduler that only keeps the scheduled notifications in memory.
+ * Useful in tests and anywhere notifications can't be shown; `getRequests`
+ * lets a test inspect what would have been scheduled.
+ *
+ * @function
+ * @param {Object} [options] - Scheduler options
+ * @param {boolean} [options.permission=true] - Whether permission is granted when asked
+ * @returns {NotificationScheduler & {getRequests: function(): Array<import("./reminders").ReminderRequest>}}
+ *   The scheduler
+ *
+ * @example
+ * const scheduler = createFakeNotificationScheduler();
+ * await syncReminders(scheduler, goals);
+ * scheduler.getRequests(); // => [{ id: "goal-reminder:01J...", body: "Learn React", ... }]
+ */
+export function createFakeNotificationScheduler({ permission = true } = {}) {
+    const requests = new Map();
+    return {
+        requestPermission: async () => permission,
+        getScheduled: async () =>
+            [...requests.values()].map((request) => ({ id: request.id, signature: request.signature })),
+        schedule: async (request) => {
+            requests.set(request.id, request);
+        },
+        cancel: async (id) => {
+            requests.delete(id);
+        },
+        getRequests: () => [...requests.values()],
+    };
+}
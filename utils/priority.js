@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Priority levels for goals in the Todo App.
+ * This module defines the available priority levels, their display labels
+ * and badge colors, and the rank used when sorting by priority.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * A priority level a goal can have.
+ *
+ * @typedef {Object} PriorityLevel
+ * @property {string} value - Identifier stored on the goal
+ * @property {string} label - Human readable name
+ * @property {string} color - Badge background color
+ * @property {number} rank - Sort weight; higher ranks are more important
+ */
+
+/**
+ * All priority levels, from least to most important.
+ *
+ * @constant
+ * @type {PriorityLevel[]}
+ */
+export const PRIORITIES = [
+    { value: "low", label: "Low", color: "#5f7d95", rank: 0 },       // Muted slate
+    { value: "normal", label: "Normal", color: "#2e9e5b", rank: 1 }, // Calm green
+    { value: "high", label: "High", color: "#e07b00", rank: 2 },     // Amber
+    { value: "urgent", label: "Urgent", color: "#d7263d", rank: 3 }, // Alarm red
+];
+
+/**
+ * The priority given to goals that don't choose one.
+ *
+ * @constant
+ * @type {string}
+ */
+export const DEFAULT_PRIORITY = "normal";
+
+/**
+ * Looks up a priority level by its value.
+ *
+ * Unknown values fall back to the default level, so goals with a
+ * corrupted or future priority still render and sort sensibly.
+ *
+ * @function
+ * @param {string} value - The stored priority value
+ * @returns {PriorityLevel} The matching priority level
+ *
+ * @example
+ * getPriority("urgent").label;
+ * // => "Urgent"
+ */
+export function getPriority(value) {
+    return (
+        PRIORITIES.find((priority) => priority.value === value) ??
+        PRIORITIES.find((priority) => priority.value === DEFAULT_PRIORITY)
+    );
+}
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Repeat rules for recurring goals in the Todo App.
+ * A recurring goal is a habit rather than a one-off todo: checking it off
+ * records the completion and moves its due date to the next day the rule
+ * names, instead of marking the goal done for good.
+ *
+ * Rules work on date keys ("YYYY-MM-DD") from ./dates, never on timestamps,
+ * so the next occurrence of a daily goal is always the next calendar day,
+ * even across a daylight saving change. This module is pure and free of
+ * React Native.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { addDays, getWeekday, WEEKDAY_LABELS } from "./dates";
+import { updateGoalFields } from "./goalFactory";
+
+/**
+ * How often a recurring goal comes back.
+ *
+ * @typedef {Object} Recurrence
+ * @property {"daily"|"weekdays"|"interval"|"weekly"|"monthly"} type - The kind of rule
+ * @property {number} [days] - Days between occurrences of an "interval" rule, 1 to 365
+ * @property {number[]} [weekdays] - Days of a "weekly" rule, 0 (Sunday) to 6 (Saturday), ascending
+ * @property {number} [dayOfMonth] - Day of a "monthly" rule, 1 to 31; months that are
+ *   shorter use their last day instead
+ */
+
+/**
+ * The rule kinds, in the order their chips are shown.
+ *
+ * @constant
+ * @type {Array<{value: string, label: string}>}
+ */
+export const RECURRENCE_TYPES = [
+    { value: "daily", label: "Daily" },
+    { value: "weekdays", label: "Weekdays" },
+    { value: "interval", label: "Every N days" },
+    { value: "weekly", label: "Weekly" },
+    { value: "monthly", label: "Monthly" },
+];
+
+/**
+ * Largest gap allowed between occurrences of an "interval" rule.
+ *
+ * @constant
+ * @type {number}
+ */
+export const MAX_INTERVAL_DAYS = 365;
+
+/**
+ * Checks a repeat rule and explains what is wrong with it.
+ *
+ * @function
+ * @param {*} recurrence - The rule to check
+ * @returns {(string|null)} A message for the user, or null when the rule is valid
+ */
+export function validateRecurrence(recurrence) {
+    if (!recurrence || !RECURRENCE_TYPES.some((type) => type.value === recurrence.type)) {
+        return "Choose how often the goal repeats.";
+    }
+    if (
+        recurrence.type === "interval" &&
+        !(Number.isInteger(recurrence.days) && recurrence.days >= 1 && recurrence.days <= MAX_INTERVAL_DAYS)
+    ) {
+        return `Enter a number of days from 1 to ${MAX_INTERVAL_DAYS}.`;
+    }
+    if (
+        recurrence.type === "weekly" &&
+        !(
+            Array.isArray(recurrence.weekdays) &&
+            recurrence.weekdays.length > 0 &&
+            recurrence.weekdays.every((weekday) => Number.isInteger(weekday) && WEEKDAY_LABELS[weekday])
+        )
+    ) {
+        return "Choose at least one day of the week.";
+    }
+    if (
+        recurrence.type === "monthly" &&
+        !(Number.isInteger(recurrence.dayOfMonth) && recurrence.dayOfMonth >= 1 && recurrence.dayOfMonth <= 31)
+    ) {
+        return "Enter a day of the month from 1 to 31.";
+    }
+    return null;
+}
+
+/**
+ * Describes a repeat rule in a few words, for goal cards.
+ *
+ * @function
+ * @param {Recurrence} recurrence - A valid rule
+ * @returns {string} The description
+ *
+ * @example
+ * describeRecurrence({ type: "weekly", weekdays: [1, 3] });
+ * // => "Every Mon, Wed"
+ */
+export function describeRecurrence(recurrence) {
+    switch (recurrence.type) {
+        case "weekdays":
+            return "Every weekday";
+        case "interval":
+            return recurrence.days === 1 ? "Every day" : `Every ${recurrence.days} days`;
+        case "weekly":
+            return `Every ${[...recurrence.weekdays]
+                .sort((a, b) => a - b)
+                .map((weekday) => WEEKDAY_LABELS[weekday])
+                .join(", ")}`;
+        case "monthly":
+            return `Monthly on day ${recurrence.dayOfMonth}`;
+        default:
+            return "Every day";
+    }
+}
+
+/**
+ * Returns the number of days in a month.
+ *
+ * @function
+ * @param {number} year - The full year
+ * @param {number} month - The month, 1 (January) to 12 (December)
+ * @returns {number} 28 to 31
+ */
+function getMonthLength(year, month) {
+    // Day 0 of the following month is the last day of this one
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Builds the date key of a monthly rule's day in a given month, moving it to
+ * the last day of the month when the month is too short.
+ *
+ * @function
+ * @param {number} year - The full year
+ * @param {number} month - The month, 1 to 12
+ * @param {number} dayOfMonth - The rule's day, 1 to 31
+ * @returns {string} The date key
+ */
+function getMonthlyDay(year, month, dayOfMonth) {
+    const day = Math.min(dayOfMonth, getMonthLength(year, month));
+    return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Checks whether a repeat rule names a given day.
+ *
+ * "daily" and "interval" rules name every day: an interval counts from
+ * wherever the goal's due date currently is, not from a fixed start.
+ *
+ * @function
+ * @param {Recurrence} recurrence - A valid rule
+ * @param {string} dateKey - The day to check
+ * @returns {boolean} Whether the goal would be due that day
+ */
+export function occursOn(recurrence, dateKey) {
+    switch (recurrence.type) {
+        case "weekdays": {
+            const weekday = getWeekday(dateKey);
+            return weekday >= 1 && weekday <= 5;
+        }
+        case "weekly":
+            return recurrence.weekdays.includes(getWeekday(dateKey));
+        case "monthly": {
+            const [year, month] = dateKey.split("-").map(Number);
+            return getMonthlyDay(year, month, recurrence.dayOfMonth) === dateKey;
+        }
+        default:
+            return true;
+    }
+}
+
+/**
+ * Finds the first day after a given day that a repeat rule names.
+ *
+ * @function
+ * @param {Recurrence} recurrence - A valid rule
+ * @param {string} afterKey - The day to start from; it is never returned itself
+ * @returns {string} The date key of the next occurrence
+ *
+ * @example
+ * getNextOccurrence({ type: "monthly", dayOfMonth: 31 }, "2025-01-31");
+ * // => "2025-02-28"
+ * getNextOccurrence({ type: "weekdays" }, "2025-06-06");
+ * // => "2025-06-09" (Friday to Monday)
+ */
+export function getNextOccurrence(recurrence, afterKey) {
+    switch (recurrence.type) {
+        case "interval":
+            return addDays(afterKey, recurrence.days);
+        case "monthly": {
+            const [year, month] = afterKey.split("-").map(Number);
+            const thisMonth = getMonthlyDay(year, month, recurrence.dayOfMonth);
+            if (thisMonth > afterKey) {
+                return thisMonth;
+            }
+            return month === 12
+                ? getMonthlyDay(year + 1, 1, recurrence.dayOfMonth)
+                : getMonthlyDay(year, month + 1, recurrence.dayOfMonth);
+        }
+        default: {
+            // Every other rule names at least one day in any week
+            let next = addDays(afterKey, 1);
+            while (!occursOn(recurrence, next)) {
+                next = addDays(next, 1);
+            }
+            return next;
+        }
+    }
+}
+
+/**
+ * Finds the first day on or after a given day that a repeat rule names.
+ * Used to give a new recurring goal its first due date.
+ *
+ * @function
+ * @param {Recurrence} recurrence - A valid rule
+ * @param {string} fromKey - The earliest day allowed
+ * @returns {string} The date key of the first occurrence
+ */
+export function getFirstOccurrence(recurrence, fromKey) {
+    return occursOn(recurrence, fromKey) ? fromKey : getNextOccurrence(recurrence, fromKey);
+}
+
+/**
+ * Checks off the current occurrence of a recurring goal.
+ *
+ * The completion time is appended to the goal's `completions`, its checklist
+ * is unchecked for the next round, and its due date moves to the next
+ * occurrence after whichever is later: the current due date or today. A goal
+ * checked off early therefore skips to the occurrence after the one it was
+ * due on, and an overdue goal catches up instead of staying in the past.
+ * The goal itself stays open.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal} goal - A goal with a repeat rule
+ * @param {Object} options - Options
+ * @param {Date} options.now - The time of completion
+ * @param {string} options.today - The date key of the day the goal was checked off
+ * @returns {import("./goalFactory").Goal} The goal rolled forward to its next occurrence
+ *
+ * @example
+ * completeOccurrence(
+ *     { ...goal, recurrence: { type: "daily" }, dueDate: "2025-03-29" },
+ *     { now, today: "2025-03-29" }
+ * );
+ * // => { ...goal, dueDate: "2025-03-30", completions: [..., "2025-03-29T..."], ... }
+ */
+export function completeOccurrence(goal, { now, today }) {
+    const base = goal.dueDate && goal.dueDate > today ? goal.dueDate : today;
+    return updateGoalFields(
+        goal,
+        {
+            dueDate: getNextOccurrence(goal.recurrence, base),
+            completions: [...goal.completions, now.toISOString()],
+            subtasks: goal.subtasks.map((subtask) => (subtask.done ? { ...subtask, done: false } : subtask)),
+        },
+        { now }
+    );
+}
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Tests for the repeat rules of recurring goals.
+ * The rules work on date keys, so they run in Berlin to check that a daily
+ * goal still moves one calendar day across the spring daylight saving change.
+ *
+ * @jest-environment ./jest/timezoneEnvironment.js
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import {
+    validateRecurrence,
+    describeRecurrence,
+    occursOn,
+    getNextOccurrence,
+    getFirstOccurrence,
+    completeOccurrence,
+} from "./recurrence";
+import { createGoal } from "./goalFactory";
+
+beforeAll(() => {
+    setTimezone("Europe/Berlin");
+});
+
+describe("validateRecurrence", () => {
+    it("accepts every kind of rule", () => {
+        expect(validateRecurrence({ type: "daily" })).toBeNull();
+        expect(validateRecurrence({ type: "weekdays" })).toBeNull();
+        expect(validateRecurrence({ type: "interval", days: 365 })).toBeNull();
+        expect(validateRecurrence({ type: "weekly", weekdays: [0, 6] })).toBeNull();
+        expect(validateRecurrence({ type: "monthly", dayOfMonth: 31 })).toBeNull();
+    });
+
+    it("explains what is wrong", () => {
+        expect(validateRecurrence(null)).toBe("Choose how often the goal repeats.");
+        expect(validateRecurrence({ type: "interval", days: 0 })).toBe("Enter a number of days from 1 to 365.");
+        expect(validateRecurrence({ type: "weekly", weekdays: [] })).toBe("Choose at least one day of the week.");
+        expect(validateRecurrence({ type: "weekly", weekdays: [7] })).toBe("Choose at least one day of the week.");
+        expect(validateRecurrence({ type: "monthly", dayOfMonth: 32 })).toBe(
+            "Enter a day of the month from 1 to 31."
+        );
+    });
+});
+
+describe("describeRecurrence", () => {
+    it("describes every kind of rule", () => {
+        expect(describeRecurrence({ type: "daily" })).toBe("Every day");
+        expect(describeRecurrence({ type: "weekdays" })).toBe("Every weekday");
+        expect(describeRecurrence({ type: "interval", days: 3 })).toBe("Every 3 days");
+        expect(describeRecurrence({ type: "weekly", weekdays: [3, 1] })).toBe("Every Mon, Wed");
+        expect(describeRecurrence({ type: "monthly", dayOfMonth: 15 })).toBe("Monthly on day 15");
+    });
+});
+
+describe("occursOn", () => {
+    it("names the last day of a short month for a late monthly day", () => {
+        const monthly = { type: "monthly", dayOfMonth: 30 };
+
+        expect(occursOn(monthly, "2025-02-28")).toBe(true);
+        expect(occursOn(monthly, "2024-02-28")).toBe(false);
+        expect(occursOn(monthly, "2024-02-29")).toBe(true);
+    });
+});
+
+describe("getNextOccurrence", () => {
+    it("moves a daily goal one calendar day across the daylight saving change", () => {
+        expect(getNextOccurrence({ type: "daily" }, "2025-03-29")).toBe("2025-03-30");
+        expect(getNextOccurrence({ type: "daily" }, "2025-03-30")).toBe("2025-03-31");
+        expect(getNextOccurrence({ type: "interval", days: 2 }, "2025-03-29")).toBe("2025-03-31");
+    });
+
+    it("skips the weekend for a weekday goal", () => {
+        expect(getNextOccurrence({ type: "weekdays" }, "2025-06-05")).toBe("2025-06-06");
+        expect(getNextOccurrence({ type: "weekdays" }, "2025-06-06")).toBe("2025-06-09");
+        expect(getNextOccurrence({ type: "weekdays" }, "2025-06-07")).toBe("2025-06-09");
+    });
+
+    it("moves a weekly goal to the next of its days", () => {
+        const weekly = { type: "weekly", weekdays: [1, 3, 5] };
+
+        expect(getNextOccurrence(weekly, "2025-06-02")).toBe("2025-06-04");
+        expect(getNextOccurrence(weekly, "2025-06-04")).toBe("2025-06-06");
+        expect(getNextOccurrence(weekly, "2025-06-06")).toBe("2025-06-09");
+        expect(getNextOccurrence({ type: "weekly", weekdays: [0] }, "2025-06-08")).toBe("2025-06-15");
+    });
+
+    it("moves day 31 to the last day of shorter months", () => {
+        const monthly = { type: "monthly", dayOfMonth: 31 };
+
+        expect(getNextOccurrence(monthly, "2025-01-31")).toBe("2025-02-28");
+        expect(getNextOccurrence(monthly, "2025-02-28")).toBe("2025-03-31");
+        expect(getNextOccurrence(monthly, "2025-03-31")).toBe("2025-04-30");
+        expect(getNextOccurrence(monthly, "2025-04-30")).toBe("2025-05-31");
+    });
+
+    it("uses the leap day in a leap year", () => {
+        const monthly = { type: "monthly", dayOfMonth: 31 };
+
+        expect(getNextOccurrence(monthly, "2024-01-31")).toBe("2024-02-29");
+        expect(getNextOccurrence(monthly, "2024-02-29")).toBe("2024-03-31");
+    });
+
+    it("moves from December to January of the next year", () => {
+        expect(getNextOccurrence({ type: "monthly", dayOfMonth: 31 }, "2025-12-31")).toBe("2026-01-31");
+        expect(getNextOccurrence({ type: "monthly", dayOfMonth: 5 }, "2025-12-20")).toBe("2026-01-05");
+    });
+
+    it("stays in the month when its day is still ahead", () => {
+        expect(getNextOccurrence({ type: "monthly", dayOfMonth: 31 }, "2025-01-15")).toBe("2025-01-31");
+    });
+});
+
+describe("getFirstOccurrence", () => {
+    it("keeps a day the rule names and moves to the next otherwise", () => {
+        expect(getFirstOccurrence({ type: "weekdays" }, "2025-06-06")).toBe("2025-06-06");
+        expect(getFirstOccurrence({ type: "weekdays" }, "2025-06-07")).toBe("2025-06-09");
+        expect(getFirstOccurrence({ type: "monthly", dayOfMonth: 31 }, "2025-02-10")).toBe("2025-02-28");
+    });
+});
+
+describe("completeOccurrence", () => {
+    /**
+     * Builds a recurring goal with a two-step checklist, one step done.
+     *
+     * @function
+     * @param {import("./recurrence").Recurrence} recurrence - The goal's repeat rule
+     * @param {string} dueDate - The goal's due date
+     * @returns {import("./goalFactory").Goal} The goal
+     */
+    function makeRecurringGoal(recurrence, dueDate) {
+        return createGoal(
+            {
+                text: "Practice Spanish",
+                listId: "default",
+                recurrence,
+                dueDate,
+                subtasks: [
+                    { id: "s1", text: "Read", done: true },
+                    { id: "s2", text: "Write", done: false },
+                ],
+            },
+            { now: new Date(2025, 5, 1, 9, 0) }
+        );
+    }
+
+    it("records the completion, unchecks the checklist and keeps the goal open", () => {
+        const now = new Date(2025, 5, 10, 18, 0);
+        const goal = makeRecurringGoal({ type: "daily" }, "2025-06-10");
+
+        const next = completeOccurrence(goal, { now, today: "2025-06-10" });
+
+        expect(next.dueDate).toBe("2025-06-11");
+        expect(next.completed).toBe(false);
+        expect(next.completions).toEqual([now.toISOString()]);
+        expect(next.subtasks.map((subtask) => subtask.done)).toEqual([false, false]);
+        expect(next.updatedAt).toBe(now.toISOString());
+    });
+
+    it("skips to the occurrence after the due date when checked off early", () => {
+        const now = new Date(2025, 5, 6, 18, 0);
+        const weekly = makeRecurringGoal({ type: "weekly", weekdays: [1] }, "2025-06-09");
+
+        expect(completeOccurrence(weekly, { now, today: "2025-06-06" }).dueDate).toBe("2025-06-16");
+    });
+
+    it("catches an overdue goal up to the occurrence after today", () => {
+        const now = new Date(2025, 5, 10, 18, 0);
+        const daily = makeRecurringGoal({ type: "daily" }, "2025-06-05");
+        const monthly = makeRecurringGoal({ type: "monthly", dayOfMonth: 31 }, "2025-03-31");
+
+        expect(completeOccurrence(daily, { now, today: "2025-06-10" }).dueDate).toBe("2025-06-11");
+        expect(completeOccurrence(monthly, { now, today: "2025-06-10" }).dueDate).toBe("2025-06-30");
+    });
+
+    it("keeps the earlier completions", () => {
+        const goal = makeRecurringGoal({ type: "daily" }, "2025-03-29");
+        const first = completeOccurrence(goal, { now: new Date(2025, 2, 29, 20, 0), today: "2025-03-29" });
+
+        const second = completeOccurrence(first, { now: new Date(2025, 2, 30, 20, 0), today: "2025-03-30" });
+
+        expect(second.dueDate).toBe("2025-03-31");
+        expect(second.completions).toEqual([
+            new Date(2025, 2, 29, 20, 0).toISOString(),
+            new Date(2025, 2, 30, 20, 0).toISOString(),
+        ]);
+    });
+});
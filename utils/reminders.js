@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Goal reminders for the Todo App.
+ * A goal can carry a reminder that fires once at a given day and time, every
+ * day, or every week on a given weekday. Times are local wall-clock times
+ * ("HH:MM"), so a daily 09:00 reminder stays at 09:00 across time zones and
+ * daylight saving changes.
+ *
+ * This module is free of React Native: it describes reminders and works out
+ * which notifications should be scheduled or cancelled. The notifications
+ * themselves go through a scheduler from ./notifications.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { isValidDateKey, WEEKDAY_LABELS } from "./dates";
+
+/**
+ * A reminder attached to a goal.
+ *
+ * @typedef {Object} Reminder
+ * @property {"once"|"daily"|"weekly"} type - How often the reminder fires
+ * @property {string} time - Local time of day as "HH:MM" (24-hour clock)
+ * @property {string} [date] - Day of a one-off reminder, as "YYYY-MM-DD"
+ * @property {number} [weekday] - Day of a weekly reminder, 0 (Sunday) to 6 (Saturday)
+ */
+
+/**
+ * When a notification fires, independent of the notification library.
+ *
+ * @typedef {Object} ReminderTrigger
+ * @property {"date"|"daily"|"weekly"} type - The kind of trigger
+ * @property {Date} [date] - The moment a "date" trigger fires
+ * @property {number} [hour] - Hour of a repeating trigger
+ * @property {number} [minute] - Minute of a repeating trigger
+ * @property {number} [weekday] - Day of a "weekly" trigger, 0 (Sunday) to 6 (Saturday)
+ */
+
+/**
+ * A notification that should be scheduled for a goal.
+ *
+ * @typedef {Object} ReminderRequest
+ * @property {string} id - Notification ID, derived from the goal ID
+ * @property {string} goalId - ID of the goal, so tapping the notification can open it
+ * @property {string} title - Notification title
+ * @property {string} body - Notification text, the goal text
+ * @property {ReminderTrigger} trigger - When the notification fires
+ * @property {string} signature - Fingerprint of the goal's text and reminder, used to
+ *   tell whether an already scheduled notification is still up to date
+ */
+
+/**
+ * The reminder kinds, in the order their chips are shown.
+ *
+ * @constant
+ * @type {Array<{value: string, label: string}>}
+ */
+export const REMINDER_TYPES = [
+    { value: "once", label: "Once" },
+    { value: "daily", label: "Daily" },
+    { value: "weekly", label: "Weekly" },
+];
+
+/**
+ * Prefix of the IDs of goal reminder notifications. Scheduled notifications
+ * with other IDs are never touched.
+ *
+ * @constant
+ * @type {string}
+ */
+export const REMINDER_ID_PREFIX = "goal-reminder:";
+
+/**
+ * Parses a time of day typed as "H:MM" or "HH:MM" on a 24-hour clock.
+ *
+ * @function
+ * @param {string} text - The typed time
+ * @returns {({hour: number, minute: number}|null)} The time, or null when it isn't a valid time
+ *
+ * @example
+ * parseTime("9:05");  // => { hour: 9, minute: 5 }
+ * parseTime("24:00"); // => null
+ */
+export function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(typeof text === "string" ? text.trim() : "");
+    if (!match) {
+        return null;
+    }
+    const hour = Number(match[1]);
+    const minute = Number(match[2]);
+    return hour < 24 && minute < 60 ? { hour, minute } : null;
+}
+
+/**
+ * Formats a parsed time as "HH:MM".
+ *
+ * @function
+ * @param {{hour: number, minute: number}} time - The time
+ * @returns {string} The time with two-digit hours and minutes
+ */
+export function formatTime({ hour, minute }) {
+    return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
+
+/**
+ * Checks a reminder and explains what is wrong with it.
+ *
+ * @function
+ * @param {*} reminder - The reminder to check
+ * @returns {(string|null)} A message for the user, or null when the reminder is valid
+ */
+export function validateReminder(reminder) {
+    if (!reminder || !REMINDER_TYPES.some((type) => type.value === reminder.type)) {
+        return "Choose how often to be reminded.";
+    }
+    if (!parseTime(reminder.time)) {
+        return "Enter a time as HH:MM, for example 09:30.";
+    }
+    if (reminder.type === "once" && !isValidDateKey(reminder.date)) {
+        return "Enter a real date as YYYY-MM-DD.";
+    }
+    if (reminder.type === "weekly" && !(Number.isInteger(reminder.weekday) && WEEKDAY_LABELS[reminder.weekday])) {
+        return "Choose a day of the week.";
+    }
+    return null;
+}
+
+/**
+ * Describes a reminder in a few words, for goal cards.
+ *
+ * @function
+ * @param {Reminder} reminder - A valid reminder
+ * @returns {string} The description
+ *
+ * @example
+ * describeReminder({ type: "weekly", weekday: 1, time: "09:00" });
+ * // => "Mon at 09:00"
+ */
+export function describeReminder(reminder) {
+    switch (reminder.type) {
+        case "daily":
+            return `Daily at ${reminder.time}`;
+        case "weekly":
+            return `${WEEKDAY_LABELS[reminder.weekday]} at ${reminder.time}`;
+        default:
+            return `${reminder.date} at ${reminder.time}`;
+    }
+}
+
+/**
+ * Works out when a reminder's notification should fire.
+ *
+ * @function
+ * @param {Reminder} reminder - A valid reminder
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - The current time
+ * @returns {(ReminderTrigger|null)} The trigger, or null for a one-off reminder whose time has passed
+ */
+export function getReminderTrigger(reminder, { now = new Date() } = {}) {
+    const { hour, minute } = parseTime(reminder.time);
+    switch (reminder.type) {
+        case "daily":
+            return { type: "daily", hour, minute };
+        case "weekly":
+            return { type: "weekly", weekday: reminder.weekday, hour, minute };
+        default: {
+            const [year, month, day] = reminder.date.split("-").map(Number);
+            const date = new Date(year, month - 1, day, hour, minute);
+            return date > now ? { type: "date", date } : null;
+        }
+    }
+}
+
+/**
+ * Builds the notification ID of a goal's reminder.
+ *
+ * @function
+ * @param {string} goalId - The goal ID
+ * @returns {string} The notification ID
+ */
+export function getReminderId(goalId) {
+    return REMINDER_ID_PREFIX + goalId;
+}
+
+/**
+ * Works out which reminder notifications to schedule and which to cancel so
+ * that exactly the open goals with an upcoming reminder have one.
+ *
+ * Notifications whose goal was deleted or completed, or lost its reminder,
+ * are cancelled. Goals whose text or reminder changed since their
+ * notification was scheduled are scheduled again.
+ *
+ * @function
+ * @param {Array<import("./goalFactory").Goal>} goals - All goals
+ * @param {Array<{id: string, signature: (string|null)}>} scheduled - The notifications scheduled now
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - The current time
+ * @returns {{schedule: ReminderRequest[], cancel: string[]}} The notifications to schedule
+ *   (replacing any with the same ID) and the IDs to cancel
+ */
+export function planReminders(goals, scheduled, { now = new Date() } = {}) {
+    const wanted = [];
+    for (const goal of goals) {
+        if (goal.completed || !goal.reminder) {
+            continue;
+        }
+        const trigger = getReminderTrigger(goal.reminder, { now });
+        if (trigger) {
+            wanted.push({
+                id: getReminderId(goal.id),
+                goalId: goal.id,
+                title: "Goal reminder",
+                body: goal.text,
+                trigger,
+                signature: JSON.stringify([goal.text, goal.reminder]),
+            });
+        }
+    }
+
+    const ours = scheduled.filter((notification) => notification.id.startsWith(REMINDER_ID_PREFIX));
+    return {
+        schedule: wanted.filter(
+            (request) =>
+                !ours.some(
+                    (notification) =>
+                        notification.id === request.id && notification.signature === request.signature
+                )
+        ),
+        cancel: ours
+            .filter((notification) => !wanted.some((request) => request.id === notification.id))
+            .map((notification) => notification.id),
+    };
+}
+
+/**
+ * Brings the scheduled notifications in line with the goals' reminders.
+ *
+ * Permission to show notifications is only asked for when something needs
+ * to be scheduled. Without it, stale notifications are still cancelled.
+ *
+ * @async
+ * @function
+ * @param {import("./notifications").NotificationScheduler} scheduler - Where notifications are scheduled
+ * @param {Array<import("./goalFactory").Goal>} goals - All goals
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - The current time
+ * @returns {Promise<{scheduled: number, cancelled: number}>} How many notifications were scheduled and cancelled
+ *
+ * @example
+ * await syncReminders(createFakeNotificationScheduler(), goals);
+ */
+export async function syncReminders(scheduler, goals, { now = new Date() } = {}) {
+    const plan = planReminders(goals, await scheduler.getScheduled(), { now });
+
+    for (const id of plan.cancel) {
+        await scheduler.cancel(id);
+    }
+    if (plan.schedule.length === 0 || !(await scheduler.requestPermission())) {
+        return { scheduled: 0, cancelled: plan.cancel.length };
+    }
+    for (const request of plan.schedule) {
+        await scheduler.schedule(request);
+    }
+    return { scheduled: plan.schedule.length, cancelled: plan.cancel.length };
+}
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Tests for goal reminders.
+ * Reminders are scheduled on the in-memory notification scheduler, which
+ * keeps what would have been shown so the tests can inspect it.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import {
+    parseTime,
+    validateReminder,
+    describeReminder,
+    getReminderTrigger,
+    getReminderId,
+    planReminders,
+    syncReminders,
+} from "./reminders";
+import { createFakeNotificationScheduler } from "./notifications";
+import { createGoal, updateGoalFields } from "./goalFactory";
+
+/**
+ * The current time in these tests: local noon on 2025-06-10.
+ *
+ * @constant
+ * @type {Date}
+ */
+const NOW = new Date(2025, 5, 10, 12, 0);
+
+/**
+ * Builds a goal with a reminder.
+ *
+ * @function
+ * @param {string} text - The goal text
+ * @param {(import("./reminders").Reminder|null)} reminder - The goal's reminder
+ * @param {Object} [fields] - Other fields of the goal
+ * @returns {import("./goalFactory").Goal} The goal
+ */
+function makeGoal(text, reminder, fields = {}) {
+    return createGoal({ text, listId: "default", reminder, ...fields }, { now: NOW });
+}
+
+describe("parseTime", () => {
+    it("reads times on a 24-hour clock", () => {
+        expect(parseTime("9:05")).toEqual({ hour: 9, minute: 5 });
+        expect(parseTime(" 23:59 ")).toEqual({ hour: 23, minute: 59 });
+    });
+
+    it("rejects anything else", () => {
+        expect(parseTime("24:00")).toBeNull();
+        expect(parseTime("12:60")).toBeNull();
+        expect(parseTime("noon")).toBeNull();
+        expect(parseTime(undefined)).toBeNull();
+    });
+});
+
+describe("validateReminder", () => {
+    it("accepts every kind of reminder", () => {
+        expect(validateReminder({ type: "once", time: "09:00", date: "2025-06-11" })).toBeNull();
+        expect(validateReminder({ type: "daily", time: "09:00" })).toBeNull();
+        expect(validateReminder({ type: "weekly", time: "09:00", weekday: 0 })).toBeNull();
+    });
+
+    it("explains what is wrong", () => {
+        expect(validateReminder({ type: "hourly", time: "09:00" })).toBe("Choose how often to be reminded.");
+        expect(validateReminder({ type: "daily", time: "9am" })).toBe("Enter a time as HH:MM, for example 09:30.");
+        expect(validateReminder({ type: "once", time: "09:00", date: "2025-02-30" })).toBe(
+            "Enter a real date as YYYY-MM-DD."
+        );
+        expect(validateReminder({ type: "weekly", time: "09:00", weekday: 7 })).toBe("Choose a day of the week.");
+    });
+});
+
+describe("describeReminder", () => {
+    it("describes every kind of reminder", () => {
+        expect(describeReminder({ type: "once", time: "09:00", date: "2025-06-11" })).toBe("2025-06-11 at 09:00");
+        expect(describeReminder({ type: "daily", time: "07:30" })).toBe("Daily at 07:30");
+        expect(describeReminder({ type: "weekly", time: "09:00", weekday: 1 })).toBe("Mon at 09:00");
+    });
+});
+
+describe("getReminderTrigger", () => {
+    it("repeats daily and weekly reminders", () => {
+        expect(getReminderTrigger({ type: "daily", time: "07:30" }, { now: NOW })).toEqual({
+            type: "daily",
+            hour: 7,
+            minute: 30,
+        });
+        expect(getReminderTrigger({ type: "weekly", time: "09:00", weekday: 5 }, { now: NOW })).toEqual({
+            type: "weekly",
+            weekday: 5,
+            hour: 9,
+            minute: 0,
+        });
+    });
+
+    it("fires a one-off reminder at its local date and time", () => {
+        expect(getReminderTrigger({ type: "once", time: "12:01", date: "2025-06-10" }, { now: NOW })).toEqual({
+            type: "date",
+            date: new Date(2025, 5, 10, 12, 1),
+        });
+    });
+
+    it("has no trigger for a one-off reminder whose time has passed", () => {
+        expect(getReminderTrigger({ type: "once", time: "12:00", date: "2025-06-10" }, { now: NOW })).toBeNull();
+        expect(getReminderTrigger({ type: "once", time: "09:00", date: "2025-06-01" }, { now: NOW })).toBeNull();
+    });
+});
+
+describe("planReminders", () => {
+    const daily = makeGoal("Practice Spanish", { type: "daily", time: "08:00" });
+
+    it("schedules the open goals with a reminder", () => {
+        const goals = [daily, makeGoal("Learn SQL", null)];
+
+        const plan = planReminders(goals, [], { now: NOW });
+
+        expect(plan.cancel).toEqual([]);
+        expect(plan.schedule).toEqual([
+            {
+                id: getReminderId(daily.id),
+                goalId: daily.id,
+                title: "Goal reminder",
+                body: "Practice Spanish",
+                trigger: { type: "daily", hour: 8, minute: 0 },
+                signature: JSON.stringify(["Practice Spanish", daily.reminder]),
+            },
+        ]);
+    });
+
+    it("leaves notifications that are still up to date alone", () => {
+        const [request] = planReminders([daily], [], { now: NOW }).schedule;
+
+        expect(planReminders([daily], [request], { now: NOW })).toEqual({ schedule: [], cancel: [] });
+    });
+
+    it("never cancels notifications that aren't goal reminders", () => {
+        expect(planReminders([], [{ id: "other", signature: null }], { now: NOW })).toEqual({
+            schedule: [],
+            cancel: [],
+        });
+    });
+});
+
+describe("syncReminders", () => {
+    const daily = makeGoal("Practice Spanish", { type: "daily", time: "08:00" });
+    const weekly = makeGoal("Review the week", { type: "weekly", time: "17:00", weekday: 5 });
+
+    it("schedules a notification for every open goal with a reminder", async () => {
+        const scheduler = createFakeNotificationScheduler();
+
+        const result = await syncReminders(scheduler, [daily, weekly, makeGoal("Learn SQL", null)], { now: NOW });
+
+        expect(result).toEqual({ scheduled: 2, cancelled: 0 });
+        expect(scheduler.getRequests().map((request) => request.body)).toEqual([
+            "Practice Spanish",
+            "Review the week",
+        ]);
+    });
+
+    it("doesn't schedule anything again when nothing changed", async () => {
+        const scheduler = createFakeNotificationScheduler();
+        await syncReminders(scheduler, [daily], { now: NOW });
+
+        expect(await syncReminders(scheduler, [daily], { now: NOW })).toEqual({ scheduled: 0, cancelled: 0 });
+    });
+
+    it("reschedules a goal whose text changed", async () => {
+        const scheduler = createFakeNotificationScheduler();
+        await syncReminders(scheduler, [daily], { now: NOW });
+
+        const renamed = updateGoalFields(daily, { text: "Practice Spanish verbs" }, { now: NOW });
+        const result = await syncReminders(scheduler, [renamed], { now: NOW });
+
+        expect(result).toEqual({ scheduled: 1, cancelled: 0 });
+        expect(scheduler.getRequests()).toEqual([
+            expect.objectContaining({ id: getReminderId(daily.id), body: "Practice Spanish verbs" }),
+        ]);
+    });
+
+    it("reschedules a goal whose reminder changed", async () => {
+        const scheduler = createFakeNotificationScheduler();
+        await syncReminders(scheduler, [daily], { now: NOW });
+
+        const moved = updateGoalFields(daily, { reminder: { type: "daily", time: "20:15" } }, { now: NOW });
+        const result = await syncReminders(scheduler, [moved], { now: NOW });
+
+        expect(result).toEqual({ scheduled: 1, cancelled: 0 });
+        expect(scheduler.getRequests()[0].trigger).toEqual({ type: "daily", hour: 20, minute: 15 });
+    });
+
+    it("cancels the reminder of a completed goal", async () => {
+        const scheduler = createFakeNotificationScheduler();
+        await syncReminders(scheduler, [daily, weekly], { now: NOW });
+
+        const done = updateGoalFields(daily, { completed: true, completedAt: NOW.toISOString() }, { now: NOW });
+        const result = await syncReminders(scheduler, [done, weekly], { now: NOW });
+
+        expect(result).toEqual({ scheduled: 0, cancelled: 1 });
+        expect(scheduler.getRequests().map((request) => request.goalId)).toEqual([weekly.id]);
+    });
+
+    it("cancels the reminder of a deleted goal", async () => {
+        const scheduler = createFakeNotificationScheduler();
+        await syncReminders(scheduler, [daily, weekly], { now: NOW });
+
+        const result = await syncReminders(scheduler, [weekly], { now: NOW });
+
+        expect(result).toEqual({ scheduled: 0, cancelled: 1 });
+        expect(scheduler.getRequests().map((request) => request.goalId)).toEqual([weekly.id]);
+    });
+
+    it("cancels the reminder of a goal that lost it", async () => {
+        const scheduler = createFakeNotificationScheduler();
+        await syncReminders(scheduler, [daily], { now: NOW });
+
+        const withoutReminder = updateGoalFields(daily, { reminder: null }, { now: NOW });
+
+        expect(await syncReminders(scheduler, [withoutReminder], { now: NOW })).toEqual({ scheduled: 0, cancelled: 1 });
+        expect(scheduler.getRequests()).toEqual([]);
+    });
+
+    it("skips one-off reminders in the past and cancels them once they pass", async () => {
+        const scheduler = createFakeNotificationScheduler();
+        const past = makeGoal("Call the bank", { type: "once", time: "09:00", date: "2025-06-10" });
+        const upcoming = makeGoal("Pay the rent", { type: "once", time: "18:00", date: "2025-06-10" });
+
+        expect(await syncReminders(scheduler, [past, upcoming], { now: NOW })).toEqual({ scheduled: 1, cancelled: 0 });
+        expect(scheduler.getRequests().map((request) => request.goalId)).toEqual([upcoming.id]);
+
+        const evening = new Date(2025, 5, 10, 18, 30);
+
+        expect(await syncReminders(scheduler, [past, upcoming], { now: evening })).toEqual({
+            scheduled: 0,
+            cancelled: 1,
+        });
+        expect(scheduler.getRequests()).toEqual([]);
+    });
+
+    it("schedules nothing without permission, but still cancels", async () => {
+        const allowed = createFakeNotificationScheduler();
+        await syncReminders(allowed, [daily], { now: NOW });
+        const [stale] = allowed.getRequests();
+
+        const denied = createFakeNotificationScheduler({ permission: false });
+        await denied.schedule(stale);
+        const requestPermission = jest.spyOn(denied, "requestPermission");
+
+        const result = await syncReminders(denied, [weekly], { now: NOW });
+
+        expect(result).toEqual({ scheduled: 0, cancelled: 1 });
+        expect(requestPermission).toHaveBeenCalledTimes(1);
+        expect(denied.getRequests()).toEqual([]);
+    });
+
+    it("only asks for permission when something needs scheduling", async () => {
+        const scheduler = createFakeNotificationScheduler({ permission: false });
+        const requestPermission = jest.spyOn(scheduler, "requestPermission");
+
+        await syncReminders(scheduler, [makeGoal("Learn SQL", null)], { now: NOW });
+
+        expect(requestPermission).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Multi-select helpers for batch actions on goals in the Todo App.
+ * A selection is an array of goal IDs. The functions in this module are pure
+ * and return new arrays, so their results can go straight into React state.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Adds a goal to the selection, or removes it when it is already selected.
+ *
+ * @function
+ * @param {string[]} selectedIds - The current selection
+ * @param {string} goalId - The goal to flip
+ * @returns {string[]} The new selection
+ */
+export function toggleSelected(selectedIds, goalId) {
+    return selectedIds.includes(goalId)
+        ? selectedIds.filter((id) => id !== goalId)
+        : [...selectedIds, goalId];
+}
+
+/**
+ * Selects every goal on screen that isn't selected, and deselects the rest.
+ *
+ * Selected goals that are not on screen (hidden by a search or filter) are
+ * dropped, so a batch action never touches goals the user can't see.
+ *
+ * @function
+ * @param {string[]} selectedIds - The current selection
+ * @param {string[]} visibleIds - IDs of the goals on screen
+ * @returns {string[]} The inverted selection
+ *
+ * @example
+ * invertSelection(["a"], ["a", "b", "c"]);
+ * // => ["b", "c"]
+ */
+export function invertSelection(selectedIds, visibleIds) {
+    return visibleIds.filter((id) => !selectedIds.includes(id));
+}
+
+/**
+ * Returns the selected goals in the order they are shown.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal[]} goals - The goals on screen, in display order
+ * @param {string[]} selectedIds - The selection
+ * @returns {import("./goalFactory").Goal[]} The selected goals
+ */
+export function pickSelectedGoals(goals, selectedIds) {
+    return goals.filter((goal) => selectedIds.includes(goal.id));
+}
+
+/**
+ * Formats goals as plain text for the clipboard, one goal per line.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal[]} goals - The goals to copy
+ * @returns {string} The goal texts separated by line breaks
+ *
+ * @example
+ * formatGoalsForClipboard([{ text: "Learn React" }, { text: "Practice DSA" }]);
+ * // => "Learn React\nPractice DSA"
+ */
+export function formatGoalsForClipboard(goals) {
+    return goals.map((goal) => goal.text).join("\n");
+}
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Sorting of the goal list in the Todo App.
+ * This module defines the sort orders the user can choose from and applies
+ * them to a list of goals without changing the stored order.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { getPriority } from "./priority";
+
+/**
+ * A sort order the user can choose.
+ *
+ * @typedef {Object} SortOption
+ * @property {string} value - Identifier saved in the settings
+ * @property {string} label - Text shown on the sort control
+ */
+
+/**
+ * All available sort orders, in the order they are offered.
+ *
+ * @constant
+ * @type {SortOption[]}
+ */
+export const SORT_OPTIONS = [
+    { value: "createdAt", label: "Created" },
+    { value: "priority", label: "Priority" },
+    { value: "dueDate", label: "Due date" },
+    { value: "alphabetical", label: "A–Z" },
+    { value: "manual", label: "Manual" },
+];
+
+/**
+ * The sort order used until the user picks one; it matches the order in
+ * which goals were added.
+ *
+ * @constant
+ * @type {string}
+ */
+export const DEFAULT_SORT = "createdAt";
+
+/**
+ * Compares two goals by creation time, oldest first.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal} a - First goal
+ * @param {import("./goalFactory").Goal} b - Second goal
+ * @returns {number} Negative, zero or positive as for Array.prototype.sort
+ */
+function compareCreatedAt(a, b) {
+    return a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0;
+}
+
+/**
+ * Comparators for every sort order. Each one falls back to creation time so
+ * goals that tie keep a predictable order.
+ *
+ * @constant
+ * @type {Object<string, function(Object, Object): number>}
+ */
+const comparators = {
+    createdAt: compareCreatedAt,
+
+    priority: (a, b) =>
+        getPriority(b.priority).rank - getPriority(a.priority).rank || compareCreatedAt(a, b),
+
+    // Goals without a due date go last; date keys sort correctly as strings.
+    dueDate: (a, b) => {
+        if (a.dueDate === b.dueDate) {
+            return compareCreatedAt(a, b);
+        }
+        if (a.dueDate === null) {
+            return 1;
+        }
+        if (b.dueDate === null) {
+            return -1;
+        }
+        return a.dueDate < b.dueDate ? -1 : 1;
+    },
+
+    alphabetical: (a, b) =>
+        a.text.localeCompare(b.text, undefined, { sensitivity: "base" }) || compareCreatedAt(a, b),
+
+    // The order the user arranged by dragging; see manualOrder.js.
+    manual: (a, b) => a.order - b.order || compareCreatedAt(a, b),
+};
+
+/**
+ * Returns a sorted copy of a goal list.
+ *
+ * The input list is left untouched, so the stored order (which undo relies
+ * on) never changes just because the user looks at the goals differently.
+ *
+ * @function
+ * @param {import("./goalFactory").Goal[]} goals - The goals to sort
+ * @param {string} sortBy - One of the values in SORT_OPTIONS; unknown values use DEFAULT_SORT
+ * @returns {import("./goalFactory").Goal[]} The sorted goals
+ *
+ * @example
+ * sortGoals(listOfGoals, "priority");
+ * // => urgent goals first, low priority goals last
+ */
+export function sortGoals(goals, sortBy) {
+    const comparator = comparators[sortBy] ?? comparators[DEFAULT_SORT];
+    return [...goals].sort(comparator);
+}
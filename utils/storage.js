@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Storage backends for persisting application data in the Todo App.
+ * This module provides small key-value adapters that share the same asynchronous
+ * interface, so the goal repository can be pointed at the device storage in
+ * production or at a plain in-memory map in tests.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * The contract every storage backend implements.
+ *
+ * All methods are asynchronous and work with string values only, mirroring
+ * the AsyncStorage API so any AsyncStorage-compatible driver can be used.
+ *
+ * @typedef {Object} StorageBackend
+ * @property {function(string): Promise<(string|null)>} getItem - Reads the value stored under a key, or null when missing
+ * @property {function(string, string): Promise<void>} setItem - Writes a string value under a key
+ * @property {function(string): Promise<void>} removeItem - Removes the value stored under a key
+ */
+
+/**
+ * Creates a storage backend that delegates to an AsyncStorage-style driver.
+ *
+ * The driver is passed in rather than imported here so this module stays free
+ * of native dependencies and can be loaded in any JavaScript environment.
+ *
+ * @function
+ * @param {Object} asyncStorage - An object implementing getItem, setItem and removeItem
+ * @returns {StorageBackend} A backend that reads and writes through the driver
+ *
+ * @example
+ * import AsyncStorage from "@react-native-async-storage/async-storage";
+ *
+ * const backend = createAsyncStorageBackend(AsyncStorage);
+ * await backend.setItem("greeting", "hello");
+ */
+export function createAsyncStorageBackend(asyncStorage) {
+    return {
+        getItem: (key) => asyncStorage.getItem(key),
+        setItem: (key, value) => asyncStorage.setItem(key, value),
+        removeItem: (key) => asyncStorage.removeItem(key),
+    };
+}
+
+/**
+ * Creates a storage backend that keeps its values in memory.
+ *
+ * Values are lost when the JavaScript context is torn down, which makes this
+ * backend a good fit for tests and previews. Seed entries can be provided to
+ * simulate data that was saved by an earlier app session.
+ *
+ * @function
+ * @param {Object<string, string>} [initialEntries={}] - Key-value pairs to start with
+ * @returns {StorageBackend} A backend backed by a Map
+ *
+ * @example
+ * const backend = createMemoryBackend({ "@rncourse/goals": "{\"schemaVersion\":1,\"goals\":[]}" });
+ * const raw = await backend.getItem("@rncourse/goals");
+ */
+export function createMemoryBackend(initialEntries = {}) {
+    const entries = new Map(Object.entries(initialEntries));
+
+    return {
+        getItem: async (key) => (entries.has(key) ? entries.get(key) : null),
+        setItem: async (key, value) => {
+            entries.set(key, String(value));
+        },
+        removeItem: async (key) => {
+            entries.delete(key);
+        },
+    };
+}
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Checklist helpers for the subtasks of a goal in the Todo App.
+ * Every goal holds an ordered array of subtasks. The functions in this module
+ * are pure: each returns a new array and never modifies the one it is given.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { createGoalId } from "./goalFactory";
+
+/**
+ * A single step in a goal's checklist.
+ *
+ * @typedef {Object} Subtask
+ * @property {string} id - Time-ordered unique identifier
+ * @property {string} text - What the step is
+ * @property {boolean} done - Whether the step has been checked off
+ */
+
+/**
+ * Appends a new, unchecked subtask to the checklist.
+ *
+ * @function
+ * @param {Subtask[]} subtasks - The current checklist
+ * @param {string} text - The text of the new step; surrounding whitespace is removed
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - The creation time, used for the ID
+ * @returns {Subtask[]} The checklist with the step added, or the same checklist when the text is blank
+ *
+ * @example
+ * addSubtask([], "  Install Expo CLI ");
+ * // => [{ id: "01J...", text: "Install Expo CLI", done: false }]
+ */
+export function addSubtask(subtasks, text, { now = new Date() } = {}) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        return subtasks;
+    }
+    return [...subtasks, { id: createGoalId({ now: now.getTime() }), text: trimmed, done: false }];
+}
+
+/**
+ * Checks or unchecks a subtask.
+ *
+ * @function
+ * @param {Subtask[]} subtasks - The current checklist
+ * @param {string} subtaskId - The step to flip
+ * @returns {Subtask[]} The updated checklist
+ */
+export function toggleSubtask(subtasks, subtaskId) {
+    return subtasks.map((subtask) =>
+        subtask.id === subtaskId ? { ...subtask, done: !subtask.done } : subtask
+    );
+}
+
+/**
+ * Removes a subtask from the checklist.
+ *
+ * @function
+ * @param {Subtask[]} subtasks - The current checklist
+ * @param {string} subtaskId - The step to remove
+ * @returns {Subtask[]} The checklist without the step
+ */
+export function removeSubtask(subtasks, subtaskId) {
+    return subtasks.filter((subtask) => subtask.id !== subtaskId);
+}
+
+/**
+ * Moves a subtask up or down in the checklist.
+ *
+ * Moves past either end are clamped, so moving the first step up leaves the
+ * checklist unchanged.
+ *
+ * @function
+ * @param {Subtask[]} subtasks - The current checklist
+ * @param {string} subtaskId - The step to move
+ * @param {number} offset - Positions to move; negative values move up
+ * @returns {Subtask[]} The reordered checklist
+ *
+ * @example
+ * moveSubtask([a, b, c], c.id, -1);
+ * // => [a, c, b]
+ */
+export function moveSubtask(subtasks, subtaskId, offset) {
+    const from = subtasks.findIndex((subtask) => subtask.id === subtaskId);
+    if (from === -1) {
+        return subtasks;
+    }
+    const to = Math.min(Math.max(from + offset, 0), subtasks.length - 1);
+    if (to === from) {
+        return subtasks;
+    }
+
+    const reordered = [...subtasks];
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    return reordered;
+}
+
+/**
+ * Summarizes how far a checklist has come.
+ *
+ * @function
+ * @param {Subtask[]} subtasks - The checklist
+ * @returns {{done: number, total: number, ratio: number, isComplete: boolean}}
+ *   Checked and total steps, the checked share between 0 and 1, and whether
+ *   every step is checked (always false for an empty checklist)
+ *
+ * @example
+ * getSubtaskProgress([{ done: true }, { done: false }]);
+ * // => { done: 1, total: 2, ratio: 0.5, isComplete: false }
+ */
+export function getSubtaskProgress(subtasks) {
+    const total = subtasks.length;
+    const done = subtasks.filter((subtask) => subtask.done).length;
+    return {
+        done,
+        total,
+        ratio: total === 0 ? 0 : done / total,
+        isComplete: total > 0 && done === total,
+    };
+}
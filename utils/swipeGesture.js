@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Swipe gesture rules for goal cards in the Todo App.
+ * This module decides when a horizontal drag counts as a swipe, which action
+ * it triggers and whether it has gone far (or fast) enough to commit. It is
+ * plain arithmetic on gesture numbers, independent of React Native, so the
+ * rules can be checked without a device.
+ *
+ * A swipe to the right completes a goal; a swipe to the left deletes it.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * The movement of a gesture, as reported by PanResponder.
+ *
+ * @typedef {Object} SwipeMotion
+ * @property {number} dx - Horizontal distance since the touch started, in pixels; positive is right
+ * @property {number} [dy=0] - Vertical distance since the touch started, in pixels
+ * @property {number} [vx=0] - Horizontal velocity, in pixels per millisecond
+ */
+
+/**
+ * Horizontal distance a finger must travel before a drag is treated as a swipe.
+ *
+ * @constant
+ * @type {number}
+ */
+export const SWIPE_ACTIVATION_DISTANCE = 12;
+
+/**
+ * Share of the card width a swipe must cover to commit its action.
+ *
+ * @constant
+ * @type {number}
+ */
+export const SWIPE_COMMIT_RATIO = 0.35;
+
+/**
+ * Shortest distance, in pixels, a swipe must cover to commit. Keeps narrow
+ * cards, and cards not measured yet (width 0), from acting on a tiny drag.
+ *
+ * @constant
+ * @type {number}
+ */
+export const MIN_SWIPE_COMMIT_DISTANCE = 80;
+
+/**
+ * Horizontal speed, in pixels per millisecond, at which a shorter flick still
+ * commits, as long as it covered at least half the commit distance.
+ *
+ * @constant
+ * @type {number}
+ */
+export const SWIPE_FLICK_VELOCITY = 0.6;
+
+/**
+ * Actions a swipe can trigger, keyed by direction.
+ *
+ * @constant
+ * @type {{right: string, left: string}}
+ */
+export const SWIPE_ACTIONS = { right: "complete", left: "delete" };
+
+/**
+ * Checks whether a drag should be handled as a horizontal swipe rather than
+ * a vertical scroll.
+ *
+ * @function
+ * @param {SwipeMotion} motion - The gesture so far
+ * @returns {boolean} True when the drag is mostly horizontal and long enough
+ *
+ * @example
+ * shouldStartSwipe({ dx: 20, dy: 4 });   // => true
+ * shouldStartSwipe({ dx: 20, dy: 30 });  // => false, that's a scroll
+ */
+export function shouldStartSwipe({ dx, dy = 0 }) {
+    return Math.abs(dx) >= SWIPE_ACTIVATION_DISTANCE && Math.abs(dx) > Math.abs(dy) * 2;
+}
+
+/**
+ * Returns the distance a swipe must cover to commit on a card of a given width.
+ *
+ * @function
+ * @param {number} width - The card width, in pixels; 0 before the card was measured
+ * @returns {number} The commit distance, in pixels, never below MIN_SWIPE_COMMIT_DISTANCE
+ */
+export function getCommitDistance(width) {
+    return Math.max(width * SWIPE_COMMIT_RATIO, MIN_SWIPE_COMMIT_DISTANCE);
+}
+
+/**
+ * Returns the action a swipe in the given direction would trigger.
+ *
+ * @function
+ * @param {number} dx - Horizontal distance; positive is right
+ * @returns {(string|null)} "complete", "delete", or null when there is no movement
+ */
+export function getSwipeAction(dx) {
+    if (dx > 0) {
+        return SWIPE_ACTIONS.right;
+    }
+    if (dx < 0) {
+        return SWIPE_ACTIONS.left;
+    }
+    return null;
+}
+
+/**
+ * Detects the moment a swipe crosses its commit distance, in either direction.
+ * Used to give feedback (such as a haptic tick) exactly once per crossing.
+ *
+ * @function
+ * @param {number} previousDx - Horizontal distance at the previous move event
+ * @param {number} dx - Horizontal distance now
+ * @param {number} commitDistance - The distance at which the swipe commits
+ * @returns {(string|null)} "armed" when the threshold was just passed, "disarmed" when
+ *   the finger just went back below it, otherwise null
+ *
+ * @example
+ * getThresholdCrossing(100, 130, 120); // => "armed"
+ * getThresholdCrossing(130, 110, 120); // => "disarmed"
+ */
+export function getThresholdCrossing(previousDx, dx, commitDistance) {
+    const wasArmed = Math.abs(previousDx) >= commitDistance;
+    const isArmed = Math.abs(dx) >= commitDistance;
+    if (isArmed && !wasArmed) {
+        return "armed";
+    }
+    if (wasArmed && !isArmed) {
+        return "disarmed";
+    }
+    return null;
+}
+
+/**
+ * Decides what happens when the finger is lifted.
+ *
+ * A swipe commits when it covered the commit distance, or when it was a
+ * fast flick that covered at least half of it in the same direction it was
+ * moving.
+ *
+ * @function
+ * @param {SwipeMotion} motion - The gesture at release
+ * @param {number} commitDistance - The distance at which the swipe commits
+ * @returns {{action: (string|null), commit: boolean}} The action the swipe points to,
+ *   and whether to perform it (otherwise the card springs back)
+ *
+ * @example
+ * resolveSwipe({ dx: -150, vx: 0 }, 120);  // => { action: "delete", commit: true }
+ * resolveSwipe({ dx: 70, vx: 1.2 }, 120);  // => { action: "complete", commit: true }
+ * resolveSwipe({ dx: 70, vx: 0.1 }, 120);  // => { action: "complete", commit: false }
+ */
+export function resolveSwipe({ dx, vx = 0 }, commitDistance) {
+    const action = getSwipeAction(dx);
+    if (action === null) {
+        return { action, commit: false };
+    }
+
+    const distance = Math.abs(dx);
+    const isFlick =
+        Math.abs(vx) >= SWIPE_FLICK_VELOCITY &&
+        Math.sign(vx) === Math.sign(dx) &&
+        distance >= commitDistance / 2;
+
+    return { action, commit: distance >= commitDistance || isFlick };
+}
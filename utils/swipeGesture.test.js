@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Tests for the swipe gesture rules of goal cards.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import {
+    SWIPE_ACTIVATION_DISTANCE,
+    SWIPE_FLICK_VELOCITY,
+    MIN_SWIPE_COMMIT_DISTANCE,
+    shouldStartSwipe,
+    getCommitDistance,
+    getSwipeAction,
+    getThresholdCrossing,
+    resolveSwipe,
+} from "./swipeGesture";
+
+/**
+ * The distance a swipe must cover to commit in these tests.
+ *
+ * @constant
+ * @type {number}
+ */
+const COMMIT_DISTANCE = 120;
+
+describe("shouldStartSwipe", () => {
+    it("starts on a long enough horizontal move in either direction", () => {
+        expect(shouldStartSwipe({ dx: 20, dy: 4 })).toBe(true);
+        expect(shouldStartSwipe({ dx: -20, dy: -4 })).toBe(true);
+        expect(shouldStartSwipe({ dx: SWIPE_ACTIVATION_DISTANCE })).toBe(true);
+    });
+
+    it("waits until the finger moved far enough", () => {
+        expect(shouldStartSwipe({ dx: SWIPE_ACTIVATION_DISTANCE - 1, dy: 0 })).toBe(false);
+    });
+
+    it("leaves vertical and diagonal moves to the list scroll", () => {
+        expect(shouldStartSwipe({ dx: 20, dy: 30 })).toBe(false);
+        expect(shouldStartSwipe({ dx: 20, dy: 10 })).toBe(false);
+        expect(shouldStartSwipe({ dx: 4, dy: 60 })).toBe(false);
+    });
+});
+
+describe("getCommitDistance", () => {
+    it("scales with the card width", () => {
+        expect(getCommitDistance(400)).toBe(140);
+        expect(getCommitDistance(1000)).toBe(350);
+    });
+
+    it("never drops below the minimum on narrow cards", () => {
+        expect(getCommitDistance(200)).toBe(MIN_SWIPE_COMMIT_DISTANCE);
+    });
+
+    it("needs the minimum distance before the card was measured", () => {
+        const unmeasured = getCommitDistance(0);
+
+        expect(unmeasured).toBe(MIN_SWIPE_COMMIT_DISTANCE);
+        expect(resolveSwipe({ dx: -5, vx: 0 }, unmeasured)).toEqual({ action: "delete", commit: false });
+        expect(resolveSwipe({ dx: -30, vx: 2 }, unmeasured)).toEqual({ action: "delete", commit: false });
+        expect(resolveSwipe({ dx: -MIN_SWIPE_COMMIT_DISTANCE }, unmeasured)).toEqual({
+            action: "delete",
+            commit: true,
+        });
+    });
+});
+
+describe("getSwipeAction", () => {
+    it("completes to the right and deletes to the left", () => {
+        expect(getSwipeAction(30)).toBe("complete");
+        expect(getSwipeAction(-30)).toBe("delete");
+        expect(getSwipeAction(0)).toBeNull();
+    });
+});
+
+describe("getThresholdCrossing", () => {
+    it("arms once when the swipe passes the commit distance", () => {
+        expect(getThresholdCrossing(100, 130, COMMIT_DISTANCE)).toBe("armed");
+        expect(getThresholdCrossing(-100, -120, COMMIT_DISTANCE)).toBe("armed");
+        expect(getThresholdCrossing(130, 150, COMMIT_DISTANCE)).toBeNull();
+    });
+
+    it("disarms once when the finger goes back below it", () => {
+        expect(getThresholdCrossing(130, 110, COMMIT_DISTANCE)).toBe("disarmed");
+        expect(getThresholdCrossing(-130, -20, COMMIT_DISTANCE)).toBe("disarmed");
+        expect(getThresholdCrossing(110, 90, COMMIT_DISTANCE)).toBeNull();
+    });
+
+    it("arms again when the swipe jumps to the other side", () => {
+        expect(getThresholdCrossing(130, -130, COMMIT_DISTANCE)).toBeNull();
+        expect(getThresholdCrossing(10, -130, COMMIT_DISTANCE)).toBe("armed");
+    });
+});
+
+describe("resolveSwipe", () => {
+    it("springs back below the commit distance", () => {
+        expect(resolveSwipe({ dx: 70, vx: 0.1 }, COMMIT_DISTANCE)).toEqual({ action: "complete", commit: false });
+        expect(resolveSwipe({ dx: -119 }, COMMIT_DISTANCE)).toEqual({ action: "delete", commit: false });
+    });
+
+    it("commits past the commit distance, however slow", () => {
+        expect(resolveSwipe({ dx: 120, vx: 0 }, COMMIT_DISTANCE)).toEqual({ action: "complete", commit: true });
+        expect(resolveSwipe({ dx: -150, vx: 0 }, COMMIT_DISTANCE)).toEqual({ action: "delete", commit: true });
+    });
+
+    it("commits a fast flick over half the commit distance", () => {
+        expect(resolveSwipe({ dx: 70, vx: 1.2 }, COMMIT_DISTANCE)).toEqual({ action: "complete", commit: true });
+        expect(resolveSwipe({ dx: -60, vx: -SWIPE_FLICK_VELOCITY }, COMMIT_DISTANCE)).toEqual({
+            action: "delete",
+            commit: true,
+        });
+    });
+
+    it("doesn't commit a flick shorter than half the commit distance", () => {
+        expect(resolveSwipe({ dx: 59, vx: 2 }, COMMIT_DISTANCE)).toEqual({ action: "complete", commit: false });
+    });
+
+    it("doesn't commit a flick against the drag direction", () => {
+        expect(resolveSwipe({ dx: 90, vx: -1.5 }, COMMIT_DISTANCE)).toEqual({ action: "complete", commit: false });
+        expect(resolveSwipe({ dx: -90, vx: 1.5 }, COMMIT_DISTANCE)).toEqual({ action: "delete", commit: false });
+    });
+
+    it("does nothing without movement", () => {
+        expect(resolveSwipe({ dx: 0, vx: 2 }, COMMIT_DISTANCE)).toEqual({ action: null, commit: false });
+    });
+});
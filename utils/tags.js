@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Tag utilities for labeling goals in the Todo App.
+ * This module normalizes free-form tags, reads inline #hashtags out of goal
+ * text, and ranks existing tags for suggestions. Tags are stored lowercase
+ * and without the leading "#", e.g. "react" or "machine-learning".
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Matches an inline hashtag: a "#" at the start of the text or after
+ * whitespace, followed by a letter and then letters, digits, "-" or "_".
+ * Requiring a letter first keeps phrases like "#1 priority" as plain text.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const HASHTAG_PATTERN = /(^|\s)#(\p{L}[\p{L}\p{N}_-]*)/gu;
+
+/**
+ * Matches the run of hashtags that ends the text, with the whitespace
+ * before and after it. Only hashtags after the last word are dropped from
+ * the text; hashtags inside a sentence keep their word.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const TRAILING_HASHTAGS_PATTERN = /(?:(?:^|\s+)#\p{L}[\p{L}\p{N}_-]*)+\s*$/u;
+
+/**
+ * Longest allowed tag, in characters.
+ *
+ * @constant
+ * @type {number}
+ */
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Turns user input into a stored tag.
+ *
+ * Leading "#" characters are dropped, the tag is lowercased, inner
+ * whitespace becomes "-", and characters other than letters, digits, "-"
+ * and "_" are removed.
+ *
+ * @function
+ * @param {string} raw - The tag as typed
+ * @returns {string} The normalized tag, or an empty string when nothing usable is left
+ *
+ * @example
+ * normalizeTag("  #React Native ");
+ * // => "react-native"
+ */
+export function normalizeTag(raw) {
+    return raw
+        .trim()
+        .replace(/^#+/, "")
+        .toLowerCase()
+        .replace(/\s+/g, "-")
+        .replace(/[^\p{L}\p{N}_-]/gu, "")
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Combines tag lists, normalizing them and dropping empty tags and duplicates.
+ *
+ * @function
+ * @param {...string[]} tagLists - The tag lists to combine, in priority order
+ * @returns {string[]} The unique tags, in the order they were first seen
+ *
+ * @example
+ * mergeTags(["react"], ["React", "dsa"]);
+ * // => ["react", "dsa"]
+ */
+export function mergeTags(...tagLists) {
+    const merged = [];
+    for (const tags of tagLists) {
+        for (const raw of tags) {
+            const tag = normalizeTag(raw);
+            if (tag && !merged.includes(tag)) {
+                merged.push(tag);
+            }
+        }
+    }
+    return merged;
+}
+
+/**
+ * Splits goal text into the plain text and the inline hashtags it contains.
+ *
+ * Hashtags at the end of the text are removed from it. Hashtags inside a
+ * sentence lose their "#" but keep their word, so the text still reads
+ * well, e.g. around punctuation.
+ *
+ * @function
+ * @param {string} text - The goal text as typed
+ * @returns {{text: string, tags: string[]}} The text without trailing hashtags, and the normalized tags
+ *
+ * @example
+ * extractHashtags("Practice hooks #react #Frontend");
+ * // => { text: "Practice hooks", tags: ["react", "frontend"] }
+ * extractHashtags("Learn #react, then #python.");
+ * // => { text: "Learn react, then python.", tags: ["react", "python"] }
+ */
+export function extractHashtags(text) {
+    const found = [];
+    const trailing = TRAILING_HASHTAGS_PATTERN.exec(text);
+    const body = trailing ? text.slice(0, trailing.index) : text;
+
+    const kept = body.replace(HASHTAG_PATTERN, (match, leadingSpace, tag) => {
+        found.push(tag);
+        return leadingSpace + tag;
+    });
+    for (const match of (trailing ? trailing[0] : "").matchAll(HASHTAG_PATTERN)) {
+        found.push(match[2]);
+    }
+
+    return {
+        text: kept.replace(/\s+/g, " ").trim(),
+        tags: mergeTags(found),
+    };
+}
+
+/**
+ * Collects every tag used by a set of goals, most used first.
+ *
+ * @function
+ * @param {Array<{tags: string[]}>} goals - The goals to look at
+ * @returns {string[]} The unique tags, ordered by usage and then alphabetically
+ */
+export function collectTags(goals) {
+    const counts = new Map();
+    for (const goal of goals) {
+        for (const tag of goal.tags) {
+            counts.set(tag, (counts.get(tag) ?? 0) + 1);
+        }
+    }
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
+
+/**
+ * Suggests existing tags for what the user is typing.
+ *
+ * @function
+ * @param {string} input - The partial tag typed so far
+ * @param {string[]} knownTags - Candidate tags, best first (see collectTags)
+ * @param {Object} [options] - Suggestion options
+ * @param {string[]} [options.exclude=[]] - Tags already chosen, which are never suggested
+ * @param {number} [options.limit=5] - Maximum number of suggestions
+ * @returns {string[]} Tags starting with the input, followed by tags containing it
+ *
+ * @example
+ * suggestTags("re", ["python", "react", "redux", "dsa"]);
+ * // => ["react", "redux"]
+ */
+export function suggestTags(input, knownTags, { exclude = [], limit = 5 } = {}) {
+    const query = normalizeTag(input);
+    const candidates = knownTags.filter((tag) => !exclude.includes(tag));
+    if (!query) {
+        return candidates.slice(0, limit);
+    }
+
+    const prefixMatches = candidates.filter((tag) => tag.startsWith(query));
+    const innerMatches = candidates.filter((tag) => !tag.startsWith(query) && tag.includes(query));
+    return [...prefixMatches, ...innerMatches].slice(0, limit);
+}
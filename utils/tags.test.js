@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Tests for the tag utilities.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { MAX_TAG_LENGTH, normalizeTag, mergeTags, extractHashtags, collectTags, suggestTags } from "./tags";
+
+describe("normalizeTag", () => {
+    it("drops the #, lowercases and joins words with -", () => {
+        expect(normalizeTag("  #React Native ")).toBe("react-native");
+        expect(normalizeTag("##DSA")).toBe("dsa");
+        expect(normalizeTag("Café_2025")).toBe("café_2025");
+    });
+
+    it("removes other characters and caps the length", () => {
+        expect(normalizeTag("c++!")).toBe("c");
+        expect(normalizeTag("!!!")).toBe("");
+        expect(normalizeTag("a".repeat(40))).toHaveLength(MAX_TAG_LENGTH);
+    });
+});
+
+describe("mergeTags", () => {
+    it("keeps the first of every tag, normalized", () => {
+        expect(mergeTags(["react", "#DSA"], ["React", "dsa", " ", "python"])).toEqual(["react", "dsa", "python"]);
+    });
+});
+
+describe("extractHashtags", () => {
+    it("removes the hashtags at the end of the text", () => {
+        expect(extractHashtags("Practice hooks #react #Frontend")).toEqual({
+            text: "Practice hooks",
+            tags: ["react", "frontend"],
+        });
+        expect(extractHashtags("Practice hooks  #react\t#frontend  ")).toEqual({
+            text: "Practice hooks",
+            tags: ["react", "frontend"],
+        });
+    });
+
+    it("keeps the word of hashtags inside a sentence", () => {
+        expect(extractHashtags("Learn #react, then #python.")).toEqual({
+            text: "Learn react, then python.",
+            tags: ["react", "python"],
+        });
+        expect(extractHashtags("#Read the docs on #hooks today #react")).toEqual({
+            text: "Read the docs on hooks today",
+            tags: ["read", "hooks", "react"],
+        });
+    });
+
+    it("lists every tag once", () => {
+        expect(extractHashtags("Learn #react and more #React")).toEqual({
+            text: "Learn react and more",
+            tags: ["react"],
+        });
+    });
+
+    it("leaves hashtags that don't start with a letter and # inside words alone", () => {
+        expect(extractHashtags("Fix the #1 priority in C#")).toEqual({ text: "Fix the #1 priority in C#", tags: [] });
+        expect(extractHashtags("Write docs#draft")).toEqual({ text: "Write docs#draft", tags: [] });
+    });
+
+    it("reads hashtags in any script", () => {
+        expect(extractHashtags("Étudier #français")).toEqual({ text: "Étudier", tags: ["français"] });
+    });
+
+    it("has no text left when there are only hashtags", () => {
+        expect(extractHashtags("#react #dsa")).toEqual({ text: "", tags: ["react", "dsa"] });
+    });
+});
+
+describe("collectTags", () => {
+    it("orders tags by use, then alphabetically", () => {
+        const goals = [
+            { tags: ["react", "dsa"] },
+            { tags: ["python", "react"] },
+            { tags: ["dsa", "react"] },
+            { tags: [] },
+        ];
+
+        expect(collectTags(goals)).toEqual(["react", "dsa", "python"]);
+    });
+});
+
+describe("suggestTags", () => {
+    const knownTags = ["python", "react", "redux", "dsa", "pre-release"];
+
+    it("suggests tags starting with the input before tags containing it", () => {
+        expect(suggestTags("#Re", knownTags)).toEqual(["react", "redux", "pre-release"]);
+    });
+
+    it("leaves out tags already chosen and stops at the limit", () => {
+        expect(suggestTags("re", knownTags, { exclude: ["react"], limit: 1 })).toEqual(["redux"]);
+    });
+
+    it("suggests the best tags for an empty input", () => {
+        expect(suggestTags("", knownTags, { limit: 2 })).toEqual(["python", "react"]);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Goal templates for the Todo App.
+ * A template is a named pack of goals that can be added to a list in one go.
+ * The app ships with built-in packs, and users can save any of their lists
+ * as a template of their own. Templates only keep what is worth reusing: the
+ * goal text, priority, tags and checklist steps, never completion or dates.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { initialGoalList } from "./data";
+import { createGoal, createGoalId } from "./goalFactory";
+import { DEFAULT_PRIORITY } from "./priority";
+import { validateGoalText } from "./validation";
+
+/**
+ * A goal inside a template.
+ *
+ * @typedef {Object} TemplateGoal
+ * @property {string} text - The goal text
+ * @property {string} priority - The priority level
+ * @property {string[]} tags - The goal's tags
+ * @property {string[]} steps - The texts of the goal's checklist steps
+ */
+
+/**
+ * A named pack of goals.
+ *
+ * @typedef {Object} GoalTemplate
+ * @property {string} id - Unique identifier; built-in templates use a `builtin/` prefix
+ * @property {string} name - Name shown in the template browser
+ * @property {string} description - One-line summary shown under the name
+ * @property {boolean} builtIn - True for the packs shipped with the app, which can't be deleted
+ * @property {TemplateGoal[]} goals - The goals the template adds, in order
+ * @property {(string|null)} createdAt - When a user template was saved, or null for built-in ones
+ */
+
+/**
+ * Removes repeated goal texts, keeping the first of each. Texts are compared
+ * the same way duplicate goals are detected, ignoring case and extra spaces.
+ *
+ * @function
+ * @param {string[]} texts - The goal texts
+ * @returns {string[]} The texts without duplicates, in their original order
+ *
+ * @example
+ * dedupeGoalTexts(["Learn React", "Learn DSA", "learn  react"]);
+ * // => ["Learn React", "Learn DSA"]
+ */
+export function dedupeGoalTexts(texts) {
+    const unique = [];
+    for (const text of texts) {
+        const existingGoals = unique.map((uniqueText, index) => ({ id: String(index), text: uniqueText }));
+        if (validateGoalText(text, { existingGoals }).isValid) {
+            unique.push(text.trim());
+        }
+    }
+    return unique;
+}
+
+/**
+ * The templates shipped with the app.
+ *
+ * @constant
+ * @type {GoalTemplate[]}
+ */
+export const BUILT_IN_TEMPLATES = [
+    {
+        id: "builtin/learn-programming",
+        name: "Learn programming",
+        description: "Languages, frameworks and fundamentals to study",
+        builtIn: true,
+        goals: dedupeGoalTexts(initialGoalList).map((text) => ({
+            text,
+            priority: DEFAULT_PRIORITY,
+            tags: ["programming"],
+            steps: [],
+        })),
+        createdAt: null,
+    },
+];
+
+/**
+ * Builds a user template from the goals of a list.
+ *
+ * Goals are taken in their manual order, and repeated goal texts are kept
+ * only once.
+ *
+ * @function
+ * @param {Object} fields - The template fields
+ * @param {string} fields.name - The template name
+ * @param {Array<import("./goalFactory").Goal>} fields.goals - The goals to save, usually all goals of one list
+ * @param {Object} [options] - Factory options
+ * @param {Date} [options.now=new Date()] - The time the template is saved
+ * @returns {GoalTemplate} The new template
+ *
+ * @example
+ * createTemplate({ name: "Morning routine", goals: getActiveListGoals(state) });
+ */
+export function createTemplate({ name, goals }, { now = new Date() } = {}) {
+    const ordered = [...goals].sort((a, b) => a.order - b.order);
+    const texts = dedupeGoalTexts(ordered.map((goal) => goal.text));
+    return {
+        id: createGoalId({ now: now.getTime() }),
+        name: name.trim(),
+        description: `${texts.length} ${texts.length === 1 ? "goal" : "goals"}`,
+        builtIn: false,
+        goals: texts.map((text) => {
+            const goal = ordered.find((candidate) => candidate.text.trim() === text);
+            return {
+                text,
+                priority: goal.priority,
+                tags: goal.tags,
+                steps: goal.subtasks.map((subtask) => subtask.text),
+            };
+        }),
+        createdAt: now.toISOString(),
+    };
+}
+
+/**
+ * Builds new goals for a list from a template.
+ *
+ * Every goal gets a new ID and unchecked checklist steps. The reducer gives
+ * them their place in the manual order and skips the ones already in the list.
+ *
+ * @function
+ * @param {GoalTemplate} template - The template to use
+ * @param {string} listId - ID of the list the goals are added to
+ * @param {Object} [options] - Factory options
+ * @param {Date} [options.now=new Date()] - The creation time
+ * @returns {Array<import("./goalFactory").Goal>} The new goals, in template order
+ */
+export function createGoalsFromTemplate(template, listId, { now = new Date() } = {}) {
+    return template.goals.map((templateGoal) =>
+        createGoal(
+            {
+                text: templateGoal.text,
+                listId,
+                priority: templateGoal.priority,
+                tags: templateGoal.tags,
+                subtasks: templateGoal.steps.map((text) => ({
+                    id: createGoalId({ now: now.getTime() }),
+                    text,
+                    done: false,
+                })),
+            },
+            { now }
+        )
+    );
+}
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Validation rules for goal input in the Todo App.
+ * This module checks the text and notes typed into the goal input modal before
+ * they are turned into a goal, and produces user-facing error messages for the
+ * problems it finds.
+ *
+ * @author Todo App Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Default limits applied to goal text.
+ *
+ * @constant
+ * @type {{minLength: number, maxLength: number}}
+ */
+export const GOAL_TEXT_LIMITS = {
+    minLength: 3,
+    maxLength: 120,
+};
+
+/**
+ * The outcome of validating a piece of goal text.
+ *
+ * @typedef {Object} ValidationResult
+ * @property {boolean} isValid - Whether the text can be saved as a goal
+ * @property {string} value - The trimmed text that should be saved
+ * @property {(string|null)} error - A message describing the first failed rule, or null when valid
+ */
+
+/**
+ * Normalizes goal text for duplicate comparison.
+ *
+ * Comparison ignores case, surrounding whitespace and repeated inner spaces,
+ * so "Learn  React " and "learn react" count as the same goal.
+ *
+ * @function
+ * @param {string} text - The text to normalize
+ * @returns {string} The normalized text
+ */
+function normalizeForComparison(text) {
+    return text.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Validates goal text against the length rules and, optionally, the existing goals.
+ *
+ * Rules are checked in order and the first failure is reported:
+ * 1. The trimmed text must not be empty
+ * 2. It must be at least `minLength` characters long
+ * 3. It must be at most `maxLength` characters long
+ * 4. When `existingGoals` is given, no other goal may have the same text
+ *
+ * @function
+ * @param {string} text - The raw text from the input field
+ * @param {Object} [options] - Validation options
+ * @param {number} [options.minLength=GOAL_TEXT_LIMITS.minLength] - Minimum trimmed length
+ * @param {number} [options.maxLength=GOAL_TEXT_LIMITS.maxLength] - Maximum trimmed length
+ * @param {Array<{id: string, text: string}>} [options.existingGoals] - Goals to check for duplicates;
+ *   duplicate detection is skipped when omitted
+ * @param {string} [options.ignoreGoalId] - ID of a goal to leave out of the duplicate check,
+ *   used when editing so a goal does not clash with itself
+ * @returns {ValidationResult} The validation outcome
+ *
+ * @example
+ * validateGoalText("   ");
+ * // => { isValid: false, value: "", error: "Please enter a goal." }
+ *
+ * @example
+ * validateGoalText("Learn React", { existingGoals: [{ id: "1", text: "learn react" }] });
+ * // => { isValid: false, value: "Learn React", error: "This goal is already on your list." }
+ */
+export function validateGoalText(
+    text,
+    {
+        minLength = GOAL_TEXT_LIMITS.minLength,
+        maxLength = GOAL_TEXT_LIMITS.maxLength,
+        existingGoals,
+        ignoreGoalId,
+    } = {}
+) {
+    const value = text.trim();
+
+    function invalid(error) {
+        return { isValid: false, value, error };
+    }
+
+    if (value.length === 0) {
+        return invalid("Please enter a goal.");
+    }
+    if (value.length < minLength) {
+        return invalid(`Goals need at least ${minLength} characters.`);
+    }
+    if (value.length > maxLength) {
+        return invalid(`Goals can be at most ${maxLength} characters (this one has ${value.length}).`);
+    }
+
+    if (existingGoals) {
+        const normalized = normalizeForComparison(value);
+        const isDuplicate = existingGoals.some(
+            (goal) => goal.id !== ignoreGoalId && normalizeForComparison(goal.text) === normalized
+        );
+        if (isDuplicate) {
+            return invalid("This goal is already on your list.");
+        }
+    }
+
+    return { isValid: true, value, error: null };
+}
+
+/**
+ * Longest notes a goal can have, counted after trimming.
+ *
+ * @constant
+ * @type {number}
+ */
+export const GOAL_NOTES_MAX_LENGTH = 2000;
+
+/**
+ * Validates the notes of a goal.
+ *
+ * Notes are optional, so empty notes are valid. Line breaks are kept, with
+ * Windows line endings turned into plain ones, and blank space around the
+ * notes is trimmed.
+ *
+ * @function
+ * @param {string} notes - The raw notes from the input field
+ * @returns {ValidationResult} The validation outcome; `value` holds the notes to save
+ *
+ * @example
+ * validateGoalNotes("  Read **chapter 3**\r\n- [ ] exercises \n");
+ * // => { isValid: true, value: "Read **chapter 3**\n- [ ] exercises", error: null }
+ */
+export function validateGoalNotes(notes) {
+    const value = notes.replace(/\r\n?/g, "\n").trim();
+    if (value.length > GOAL_NOTES_MAX_LENGTH) {
+        return {
+            isValid: false,
+            value,
+            error: `Notes can be at most ${GOAL_NOTES_MAX_LENGTH} characters (these have ${value.length}).`,
+        };
+    }
+    return { isValid: true, value, error: null };
+}